@@ -0,0 +1,65 @@
+// ============================================
+// ACCOUNT BAR - Who's Logged In?
+// ============================================
+// Loaded on every page except the login page (after offline.js). It asks
+// the server who you are (GET /auth/me) and fills in the
+// <p id="accountBar"> at the top of the page with either
+// "logged in as alice · log out" or a "log in / sign up" link.
+
+const accountBar = document.getElementById("accountBar");
+
+// The address of the login page, coming back to THIS page afterwards.
+// Other scripts use it too, e.g. when saving a trip needs a login.
+function loginLink() {
+    const here = window.location.pathname.slice(1) + window.location.search;
+    // ^ e.g. "results.html?trip=abc" (without the leading "/")
+    return `login.html?next=${encodeURIComponent(here || "index.html")}`;
+}
+
+async function showAccountBar() {
+    let user = null;
+    try {
+        const response = await fetch('/auth/me');
+        if (response.ok) {
+            user = (await response.json()).user;
+        }
+        // ^ 401 just means nobody is logged in - not an error
+    } catch (error) {
+        // No connection - we can't tell who's logged in, so leave
+        // everything saved on this device alone (see offline.js)
+        console.error("Error checking login:", error);
+        accountBar.textContent = t("account.offline");
+        return;
+    }
+
+    await rememberUser(user);
+    // ^ From offline.js: clears another user's offline trips, and sends
+    //   your queued requests
+
+    accountBar.replaceChildren();
+
+    if (user) {
+        accountBar.appendChild(document.createTextNode(t("account.loggedInAs", { username: user.username })));
+        // ^ A text node, so a username can never be treated as HTML
+
+        const logoutLink = document.createElement("a");
+        logoutLink.href = "#";
+        logoutLink.textContent = t("account.logOut");
+        logoutLink.addEventListener("click", async event => {
+            event.preventDefault();
+            await fetch('/auth/logout', { method: 'POST' });
+            await clearOfflineData();
+            // ^ Your trips shouldn't stay on this device once you've logged out
+            window.location.href = 'index.html';
+        });
+        accountBar.appendChild(logoutLink);
+    } else {
+        const loginAnchor = document.createElement("a");
+        loginAnchor.href = loginLink();
+        loginAnchor.textContent = t("account.logIn");
+        accountBar.append(...tWithElements("account.logInToSave", { link: loginAnchor }));
+        // ^ The link goes wherever the language puts it in the sentence
+    }
+}
+
+showAccountBar();
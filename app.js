@@ -0,0 +1,769 @@
+// ============================================
+// APP - All the Routes in One Place
+// ============================================
+// createApp() builds the Express app: middleware, the generate, refine
+// and regenerate endpoints, and the saved-trips API. It doesn't start
+// listening - server.js does that - so tests can build an app with a fake
+// AI provider and an in-memory trip store and send it requests.
+//
+// Usage:
+//   const app = createApp({ llm, tripStore });
+//   app.listen(3000);
+//
+// The limits on AI calls (see lib/limits.js), the itinerary cache, the
+// account stores and the logger and metrics can be passed in too -
+// otherwise each app gets its own with default settings (and accounts
+// kept in memory):
+//   createApp({ llm, tripStore, rateLimiter, usageQuota, itineraryCache,
+//               userStore, sessions, loginLimiter, secureCookies,
+//               logger, metrics, metricsToken })
+//
+// Every request gets an id (sent back in the X-Request-Id header and in
+// error responses), and everything logged while handling it includes
+// that id - so "it broke, reference 4f1c..." leads straight to the logs.
+
+const crypto = require('crypto');
+const path = require('path');
+const express = require('express');
+const {
+    ItineraryFormatError,
+    validateItinerary,
+    validateSingleDay,
+    validateSingleItem
+} = require('./lib/itinerarySchema');
+const { createDayStreamParser } = require('./lib/dayStreamParser');
+const { validateTripRequest } = require('./lib/tripRequest');
+const { createShareIndex, createSharedRouter, createTripsRouter, loadOwnTrip } = require('./routes/trips');
+const { createAuthRouter } = require('./routes/auth');
+const { createMemoryUserStore } = require('./lib/userStore');
+const { createSessionStore, loadSession, requireLogin } = require('./lib/sessions');
+const { diffItineraries } = require('./lib/itineraryDiff');
+const { computeCostBreakdown } = require('./lib/budget');
+const { checkConstraints } = require('./lib/constraints');
+const { createItineraryCache } = require('./lib/itineraryCache');
+const { createRateLimiter, createUsageQuota } = require('./lib/limits');
+const { createLogger } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const { describeFailure } = require('./lib/errors');
+const { buildItineraryPrompt, buildRefinePrompt, buildRegeneratePrompt } = require('./lib/prompts');
+const {
+    checkOrRepair,
+    checkOrRepairItinerary,
+    enforceConstraints,
+    generateStructuredItinerary,
+    logUsage,
+    trackUsage,
+    trimConversation
+} = require('./lib/generator');
+const { SHELL_FILES } = require('./sw');
+
+// The only files the browser can download: the app shell the service
+// worker caches (see sw.js), the service worker itself, and "/" (index.html)
+const PUBLIC_FILES = new Set(['/', '/sw.js', ...SHELL_FILES]);
+
+// ============================================
+// HELPER FUNCTION: Start a Server-Sent Events Stream
+// ============================================
+// Server-Sent Events (SSE) keep one HTTP response open and send
+// small messages down it as things happen. Each message looks like:
+//
+//   event: day
+//   data: {"day":1,"date":"2025-11-01",...}
+//
+// followed by a blank line. Returns a send(event, data) function.
+function startEventStream(res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+
+    return function send(event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+}
+
+// ============================================
+// HELPER FUNCTION: Reject a Bad Trip Request
+// ============================================
+// Sends a 400 with a message for each field that has a problem, e.g.
+// { error: "Invalid trip request", fields: { end: "The end date must be..." },
+//   problems: { end: { code: "end-before-start", params: {} } } }
+// The pages use "problems" to show each message in their own language
+// (see validateTripRequest() in lib/tripRequest.js).
+function sendRequestErrors(res, { errors, problems }) {
+    return res.status(400).json({
+        error: 'Invalid trip request',
+        fields: errors,
+        problems: problems
+    });
+}
+
+// ============================================
+// HELPER FUNCTION: Say "Slow Down"
+// ============================================
+// Sends a 429 "Too Many Requests" with a Retry-After header - the number
+// of seconds to wait before trying again. Browsers and HTTP libraries
+// understand that header; our results page shows it to the user.
+// "code" is "rate_limited" or "quota_exceeded".
+function sendTooManyRequests(req, res, error, code, retryAfterSeconds) {
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({
+        error: error,
+        code: code,
+        retryAfter: retryAfterSeconds,
+        requestId: req.id
+    });
+}
+
+// ============================================
+// HELPER FUNCTION: Which Route Was This?
+// ============================================
+// The route's pattern, like "/trips/:id" - never the real address, which
+// has trip ids and share tokens in it. Used in logs and metrics.
+// Static files (pages, scripts, styles) and unknown addresses have no route.
+function routeOf(req) {
+    return req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+}
+
+// Request ids we accept from the browser or a proxy in front of us
+// (anything else is replaced with a new one)
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,64}$/;
+
+// Routes that are called every few seconds by monitoring tools - they're
+// counted in the metrics but not logged
+const QUIET_ROUTES = new Set(['/healthz', '/metrics']);
+
+// Compares the /metrics token without giving away how much of it matched
+// (a plain === stops at the first wrong character, which can be timed)
+function tokensMatch(given, expected) {
+    const a = crypto.createHash('sha256').update(given).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+function createApp({
+    llm,
+    tripStore,
+    rateLimiter = createRateLimiter(),
+    usageQuota = createUsageQuota(),
+    itineraryCache = createItineraryCache(),
+    userStore = createMemoryUserStore(),
+    sessions = createSessionStore(),
+    loginLimiter = createRateLimiter({ windowSeconds: 15 * 60, maxRequests: 10 }),
+    secureCookies = false,
+    logger = createLogger(),
+    metrics = createMetrics(),
+    metricsToken = null
+}) {
+    const app = express();
+
+    // ============================================
+    // REQUEST IDS, LOGS AND METRICS
+    // ============================================
+    // Runs first, for every request: gives it an id, a logger that adds
+    // the id to every line (req.log), and - once the response is done -
+    // one log line and a few metrics about how it went.
+    app.use((req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        req.log = logger.child({ requestId: req.id });
+        res.set('X-Request-Id', req.id);
+        // ^ The browser can read this, and quote it when something goes wrong
+
+        const startedAt = process.hrtime.bigint();
+        // ^ A high-resolution clock in nanoseconds, made for timing things
+        res.on('close', () => {
+            const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            const route = routeOf(req);
+            metrics.recordRequest({ method: req.method, route: route, status: res.statusCode, seconds: seconds });
+
+            if (QUIET_ROUTES.has(route)) {
+                return;
+            }
+            const fields = {
+                method: req.method,
+                route: route,
+                status: res.statusCode,
+                durationMs: Math.round(seconds * 1000),
+                userId: req.user ? req.user.id : null
+            };
+            if (!res.writableFinished) {
+                fields.aborted = true;
+                // ^ The connection closed before we finished answering
+            }
+            const level = route === 'other' && res.statusCode < 400 ? 'debug' : 'info';
+            // ^ Static files are only logged at LOG_LEVEL=debug, or a page view would be ten lines
+            req.log[level]('Request finished', fields);
+        });
+        next();
+    });
+
+    // ============================================
+    // HEALTH CHECK AND METRICS
+    // ============================================
+    // GET /healthz answers 200 as long as the server is up - hosting
+    // platforms and load balancers call it to decide whether to send
+    // traffic here (or restart us).
+    app.get('/healthz', (req, res) => {
+        res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+    });
+
+    // GET /metrics is for Prometheus (see lib/metrics.js). When a
+    // METRICS_TOKEN is set, it needs "Authorization: Bearer <token>".
+    app.get('/metrics', (req, res) => {
+        if (metricsToken && !tokensMatch(req.get('Authorization') || '', `Bearer ${metricsToken}`)) {
+            return res.status(401).json({ error: 'Missing or wrong metrics token', code: 'unauthorized', requestId: req.id });
+        }
+        res.type('text/plain; version=0.0.4').send(metrics.render());
+        // ^ The content type Prometheus expects for its text format
+    });
+
+    // ============================================
+    // MIDDLEWARE SETUP
+    // ============================================
+    // These help Express understand different types of data
+
+    // Parse JSON data from requests
+    app.use(express.json());
+
+    // Serve the app's pages, styles and scripts (see PUBLIC_FILES above).
+    // Anything else in the project folder - server code, tests, and the
+    // saved trips and accounts in "data" - is never handed out, however
+    // the address is written ("//data/...", "/x/../data/...", "/%64ata/...").
+    const serveStatic = express.static(__dirname);
+    app.use((req, res, next) => PUBLIC_FILES.has(req.path) ? serveStatic(req, res, next) : next());
+
+    // Works out who's logged in (req.user) from the session cookie
+    app.use(loadSession(sessions));
+
+    // Sign up, log in and log out (see routes/auth.js)
+    app.use('/auth', createAuthRouter({ userStore, sessions, loginLimiter, secureCookies }));
+
+    // The saved-trips API and read-only share links (see routes/trips.js)
+    const shareIndex = createShareIndex(tripStore);
+    app.use('/trips', createTripsRouter(tripStore, shareIndex));
+    app.use('/shared', createSharedRouter(tripStore, shareIndex));
+
+    // ============================================
+    // LIMITS ON AI CALLS
+    // ============================================
+    // limitRate goes in front of every route that can call the AI. It
+    // counts requests per user (or per IP address, req.ip, for visitors
+    // who aren't logged in), so one client can't make more than a few
+    // requests a minute.
+    function limitRate(req, res, next) {
+        const result = rateLimiter.hit(describeClient(req));
+        if (!result.allowed) {
+            req.log.warn('Rate limit reached', { userId: req.user ? req.user.id : null });
+            // ^ Not the IP address: that's personal data too
+            metrics.recordError('rate_limited');
+            return sendTooManyRequests(req, res, 'Too many requests, please slow down', 'rate_limited', result.retryAfterSeconds);
+        }
+        next();
+    }
+
+    // Checks the daily quota right before we call the AI.
+    // Returns true (after sending a 429) when today's quota is used up.
+    function refuseOverQuota(req, res) {
+        const result = usageQuota.check();
+        if (!result.allowed) {
+            req.log.warn('Daily AI quota reached');
+            metrics.recordError('quota_exceeded');
+            sendTooManyRequests(req, res, 'The daily limit for new itineraries has been reached', 'quota_exceeded', result.retryAfterSeconds);
+            return true;
+        }
+        return false;
+    }
+
+    // "user 42" or "ip 1.2.3.4" - used as the rate limit key
+    function describeClient(req) {
+        return req.user ? `user ${req.user.id}` : `ip ${req.ip}`;
+    }
+
+    // Logs what one request cost in total, counts it towards the quota
+    // and adds it to the metrics.
+    // "totals" comes from trackUsage() (see lib/generator.js).
+    function recordUsage(label, req, totals) {
+        if (totals.calls === 0) {
+            return;
+            // ^ The AI never answered, so there's nothing to count
+        }
+        usageQuota.record(totals);
+        metrics.recordAiUsage(routeOf(req), totals);
+        const today = usageQuota.getUsage();
+        req.log.info(`${label} used the AI`, {
+            calls: totals.calls,
+            inputTokens: totals.inputTokens,
+            outputTokens: totals.outputTokens,
+            todayRequests: today.requests,
+            todayTokens: today.tokens
+        });
+    }
+
+    // ============================================
+    // HELPER FUNCTION: Report a Failed Request
+    // ============================================
+    // Logs the whole error (under the request id), counts it, and works
+    // out what the browser may see (see lib/errors.js):
+    //   { status: 503, body: { error, code: "upstream_overloaded", requestId } }
+    // "messages.failed" is the route's general error message, and
+    // "messages.badFormat" the one for an answer in the wrong format -
+    // only then are the schema problems ("details") included.
+    function describeRequestFailure(req, error, messages) {
+        const failure = describeFailure(error);
+        req.log.error(messages.failed, { code: failure.code, error: error });
+        metrics.recordError(failure.code);
+
+        const body = { error: messages.failed, code: failure.code, requestId: req.id };
+        if (error instanceof ItineraryFormatError) {
+            body.error = messages.badFormat;
+            body.details = error.errors;
+        }
+        return { status: failure.status, body: body };
+    }
+
+    function sendFailure(req, res, error, messages) {
+        const { status, body } = describeRequestFailure(req, error, messages);
+        res.status(status).json(body);
+    }
+
+    // ============================================
+    // API ENDPOINT: Generate Itinerary
+    // ============================================
+    // This is the route that the frontend will call
+    // POST means the frontend is "sending" data to us
+
+    app.post('/generate-itinerary', limitRate, async (req, res) => {
+        // Counts the tokens of every AI call this request makes
+        const tracked = trackUsage(llm);
+
+        try {
+            // Step 1: Get user data from the request body
+            // (logged only at LOG_LEVEL=debug, and without the personal parts)
+            const userData = req.body;
+            req.log.debug('Received trip request', { request: userData });
+
+            // Step 2: Check every field, and use the cleaned-up version from here on
+            const { request, errors, problems } = validateTripRequest(userData);
+            if (Object.keys(errors).length > 0) {
+                return sendRequestErrors(res, { errors, problems });
+            }
+
+            // Step 3: Have we made this exact trip before? Then we're done!
+            // Adding ?regenerate=true to the address skips the cache and
+            // asks for a fresh itinerary.
+            const regenerate = req.query.regenerate === 'true';
+            const cached = regenerate ? null : itineraryCache.get(request);
+            if (cached) {
+                req.log.info('Sending a cached itinerary');
+                return res.json({
+                    success: true,
+                    itinerary: cached.itinerary,
+                    costs: computeCostBreakdown(cached.itinerary, request),
+                    warnings: checkConstraints(cached.itinerary, request),
+                    cached: true,
+                    cachedAt: cached.createdAt
+                });
+            }
+
+            if (refuseOverQuota(req, res)) {
+                return;
+            }
+
+            // Step 4: Build the prompt for Claude
+            const prompt = buildItineraryPrompt(request);
+
+            // Step 5: Call Claude API and get back a validated itinerary
+            // This is where the magic happens! We send the prompt to Claude.
+            req.log.info('Calling Claude API...');
+            const generated = await generateStructuredItinerary(tracked.llm, prompt, { log: req.log });
+
+            // Step 6: Does it fit the trip? If not, Claude gets one try to fix it
+            const { itinerary, warnings } = await enforceConstraints(
+                tracked.llm, [{ role: 'user', content: prompt }], generated, request, { log: req.log }
+            );
+            req.log.info('Itinerary generated successfully!', { days: itinerary.days.length, warnings: warnings.length });
+            itineraryCache.set(request, itinerary);
+
+            // Step 7: Send the itinerary back to the frontend
+            // "itinerary" is an object: { title, summary, currency, days: [...], tips: [...] }
+            // "costs" adds up the estimated costs per day, category and traveler
+            // "warnings" lists what still doesn't fit the request (see lib/constraints.js)
+            res.json({
+                success: true,
+                itinerary: itinerary,
+                costs: computeCostBreakdown(itinerary, request),
+                warnings: warnings,
+                cached: false
+            });
+
+        } catch (error) {
+            // Log the whole error, but only send back a short code
+            // (see lib/errors.js). If Claude answered but even after a
+            // repair attempt the answer didn't have the right shape, that's
+            // a bad upstream response (502) and we list the problems.
+            sendFailure(req, res, error, {
+                failed: 'Failed to generate itinerary',
+                badFormat: 'Generated itinerary was not in the expected format'
+            });
+        } finally {
+            recordUsage('Generation request', req, tracked.totals);
+        }
+    });
+
+    // ============================================
+    // API ENDPOINT: Generate Itinerary (Streaming)
+    // ============================================
+    // Same job as the endpoint above, but instead of making the browser wait
+    // for the whole itinerary, we relay Claude's answer as it's written.
+    // The browser receives these events:
+    //   "day"    - one finished day (so it can be shown right away)
+    //   "repair" - the full answer needs fixing; streamed days may change
+    //   "fix"    - the answer doesn't fit the request and is being fixed;
+    //              streamed days may change
+    //   "done"   - the final, validated itinerary, its cost breakdown and
+    //              any warnings that are left
+    //   "error"  - something went wrong AFTER streaming had started
+    // Problems BEFORE streaming starts (bad input, too many requests, Claude
+    // unreachable) are sent as a normal JSON error response with a
+    // 4xx/5xx status instead.
+    // A cached itinerary is sent as "day" events and a "done" event right away.
+
+    app.post('/generate-itinerary/stream', limitRate, async (req, res, next) => {
+        try {
+            await streamItinerary(req, res);
+        } catch (error) {
+            next(error);
+            // ^ Express 4 doesn't catch errors thrown by async handlers - without
+            //   this, a bug in the checks below would crash the whole server.
+            //   The error handler at the bottom of this file answers instead.
+        }
+    });
+
+    async function streamItinerary(req, res) {
+        const userData = req.body;
+        req.log.debug('Received trip request (streaming)', { request: userData });
+
+        const { request, errors, problems } = validateTripRequest(userData);
+        if (Object.keys(errors).length > 0) {
+            return sendRequestErrors(res, { errors, problems });
+        }
+
+        const regenerate = req.query.regenerate === 'true';
+        const cached = regenerate ? null : itineraryCache.get(request);
+        if (cached) {
+            req.log.info('Streaming a cached itinerary');
+            const sendCached = startEventStream(res);
+            cached.itinerary.days.forEach(day => sendCached('day', day));
+            sendCached('done', {
+                success: true,
+                itinerary: cached.itinerary,
+                costs: computeCostBreakdown(cached.itinerary, request),
+                warnings: checkConstraints(cached.itinerary, request),
+                cached: true,
+                cachedAt: cached.createdAt
+            });
+            return res.end();
+        }
+
+        if (refuseOverQuota(req, res)) {
+            return;
+        }
+
+        const prompt = buildItineraryPrompt(request);
+        const messages = [{ role: 'user', content: prompt }];
+        const tracked = trackUsage(llm);
+
+        // If the browser goes away (tab closed, navigated off), stop Claude too
+        // so we don't keep paying for tokens nobody will read
+        const upstream = new AbortController();
+        let finished = false;
+        res.on('close', () => {
+            if (!finished) {
+                req.log.info('Client disconnected, aborting Claude request');
+                upstream.abort();
+            }
+        });
+
+        // "send" is set once the AI has accepted the request and we've
+        // switched the response over to an event stream
+        let send = null;
+
+        // Every time a day is complete in the streamed text, send it along
+        const parser = createDayStreamParser(day => {
+            if (validateSingleDay(day).length === 0) {
+                send('day', day);
+            }
+        });
+
+        try {
+            // Ask Claude to stream its answer instead of sending it all at once
+            req.log.info('Calling Claude API (streaming)...');
+            const result = await tracked.llm.stream({
+                messages: messages,
+                signal: upstream.signal,
+                onConnect: () => {
+                    send = startEventStream(res);
+                },
+                onText: text => parser.push(text)
+            });
+            logUsage(req.log, 'Streamed generation', result.usage);
+
+            const streamed = await checkOrRepairItinerary(tracked.llm, messages, result.text, {
+                onRepair: errors => send('repair', { details: errors }),
+                signal: upstream.signal,
+                log: req.log
+            });
+            const { itinerary, warnings } = await enforceConstraints(tracked.llm, messages, streamed, request, {
+                onFix: problems => send('fix', { details: problems.map(problem => problem.message) }),
+                signal: upstream.signal,
+                log: req.log
+            });
+
+            req.log.info('Itinerary streamed successfully!', { days: itinerary.days.length, warnings: warnings.length });
+            itineraryCache.set(request, itinerary);
+            send('done', {
+                success: true,
+                itinerary: itinerary,
+                costs: computeCostBreakdown(itinerary, request),
+                warnings: warnings,
+                cached: false
+            });
+        } catch (error) {
+            if (upstream.signal.aborted) {
+                return;
+            }
+
+            // Startup errors (bad API key, overloaded, network down): nothing
+            // has been streamed yet, so we can still send a normal error status
+            if (!send) {
+                return sendFailure(req, res, error, { failed: 'Failed to start generating itinerary' });
+            }
+
+            // Mid-stream errors: the status code (200) is already sent,
+            // so the only way to report a problem is another event
+            const { body } = describeRequestFailure(req, error, {
+                failed: 'Itinerary generation was interrupted',
+                badFormat: 'Generated itinerary was not in the expected format'
+            });
+            send('error', body);
+        } finally {
+            finished = true;
+            recordUsage('Streamed generation request', req, tracked.totals);
+            if (send) {
+                res.end();
+            }
+        }
+    }
+
+    // ============================================
+    // API ENDPOINT: Refine a Saved Trip
+    // ============================================
+    // Takes an instruction like "swap day 2 afternoon for something indoors"
+    // and asks Claude for a revised version of a saved trip.
+    //
+    // Each trip keeps its conversation with Claude ("conversation": the
+    // original prompt, each instruction and each itinerary Claude gave back),
+    // so later instructions like "actually, undo that" have context.
+    //
+    // Request body:  { instruction: "make day 3 cheaper" }
+    // Response:      { success: true, trip: {...}, changes: [...], costs: {...}, warnings: [...] }
+    // "changes" lists what's different from the previous version
+    // (see lib/itineraryDiff.js).
+    // "warnings" are only reported here, never fixed automatically: the
+    // traveler may have asked for exactly the thing we'd warn about
+    // ("add a second museum at the same time for my partner").
+
+    const MAX_INSTRUCTION_LENGTH = 1000;
+
+    app.post('/trips/:id/refine', requireLogin, limitRate, async (req, res) => {
+        const tracked = trackUsage(llm);
+
+        try {
+            const instruction = typeof req.body.instruction === 'string' ? req.body.instruction.trim() : '';
+
+            if (!instruction) {
+                return res.status(400).json({
+                    error: 'Missing instruction'
+                });
+            }
+            if (instruction.length > MAX_INSTRUCTION_LENGTH) {
+                return res.status(400).json({
+                    error: `Instruction must be at most ${MAX_INSTRUCTION_LENGTH} characters`
+                });
+            }
+
+            // You can only refine your own trips
+            const trip = await loadOwnTrip(tripStore, req);
+            if (!trip) {
+                return res.status(404).json({ error: 'Trip not found' });
+            }
+
+            if (refuseOverQuota(req, res)) {
+                return;
+            }
+
+            // Trips saved before their first refinement have no conversation yet,
+            // so we rebuild its opening from the original prompt.
+            // The last message is always the itinerary as it is NOW (it may have
+            // been changed with PUT /trips/:id since Claude last saw it).
+            const earlierMessages = trip.conversation
+                ? trip.conversation.slice(0, -1)
+                : [{ role: 'user', content: buildItineraryPrompt(trip.request) }];
+            const conversation = [
+                ...earlierMessages,
+                { role: 'assistant', content: JSON.stringify(trip.itinerary) }
+            ];
+            const refineMessage = { role: 'user', content: buildRefinePrompt(instruction) };
+            const messages = [...trimConversation(conversation), refineMessage];
+
+            req.log.info('Refining trip...', { tripId: trip.id });
+            const result = await tracked.llm.complete({ messages: messages });
+            logUsage(req.log, 'Refinement', result.usage);
+            const itinerary = await checkOrRepairItinerary(tracked.llm, messages, result.text, { log: req.log });
+
+            const changes = diffItineraries(trip.itinerary, itinerary);
+            req.log.info('Trip refined', { tripId: trip.id, changes: changes.length });
+
+            // Save the new version, plus the conversation and a log entry
+            // describing what this refinement changed
+            const updatedTrip = await tripStore.update(trip.id, {
+                itinerary: itinerary,
+                conversation: [
+                    ...conversation,
+                    refineMessage,
+                    { role: 'assistant', content: JSON.stringify(itinerary) }
+                ],
+                revisions: [
+                    ...(trip.revisions || []),
+                    { instruction: instruction, changes: changes, createdAt: new Date().toISOString() }
+                ]
+            });
+
+            res.json({
+                success: true,
+                trip: updatedTrip,
+                changes: changes,
+                costs: computeCostBreakdown(itinerary, updatedTrip.request),
+                warnings: checkConstraints(itinerary, updatedTrip.request)
+            });
+
+        } catch (error) {
+            sendFailure(req, res, error, {
+                failed: 'Failed to refine itinerary',
+                badFormat: 'Refined itinerary was not in the expected format'
+            });
+        } finally {
+            recordUsage('Refinement request', req, tracked.totals);
+        }
+    });
+
+    // ============================================
+    // API ENDPOINT: Regenerate One Day or Item
+    // ============================================
+    // Used by the itinerary editor on the results page: asks Claude for
+    // a replacement for just one day, or just one item of a day.
+    // The editor sends its CURRENT draft (which may have unsaved changes)
+    // so Claude plans around what the traveler actually has. Nothing is
+    // saved here - the editor puts the new part into its draft, and the
+    // traveler saves the whole thing with PUT /trips/:id.
+    //
+    // Request body:  { itinerary: {...}, dayIndex: 1 }                -> { success: true, day: {...} }
+    //                { itinerary: {...}, dayIndex: 1, itemIndex: 3 }  -> { success: true, item: {...} }
+    // Both indexes count from 0, like the arrays they point into.
+
+    app.post('/trips/:id/regenerate', requireLogin, limitRate, async (req, res) => {
+        const tracked = trackUsage(llm);
+
+        try {
+            const { itinerary, dayIndex, itemIndex } = req.body;
+
+            const itineraryErrors = validateItinerary(itinerary);
+            if (itineraryErrors.length > 0) {
+                return res.status(400).json({
+                    error: 'Invalid itinerary',
+                    details: itineraryErrors
+                });
+            }
+            const day = Number.isInteger(dayIndex) ? itinerary.days[dayIndex] : undefined;
+            if (!day) {
+                return res.status(400).json({ error: 'dayIndex must point at a day of the itinerary' });
+            }
+            const what = itemIndex === undefined ? 'day' : 'item';
+            if (what === 'item' && !(Number.isInteger(itemIndex) && day.items[itemIndex])) {
+                return res.status(400).json({ error: 'itemIndex must point at an item of that day' });
+            }
+
+            // You can only regenerate parts of your own trips
+            const trip = await loadOwnTrip(tripStore, req);
+            if (!trip) {
+                return res.status(404).json({ error: 'Trip not found' });
+            }
+
+            if (refuseOverQuota(req, res)) {
+                return;
+            }
+
+            // The same conversation as refining, but ending with the draft
+            const earlierMessages = trip.conversation
+                ? trip.conversation.slice(0, -1)
+                : [{ role: 'user', content: buildItineraryPrompt(trip.request) }];
+            const conversation = [
+                ...earlierMessages,
+                { role: 'assistant', content: JSON.stringify(itinerary) }
+            ];
+            const label = what === 'day'
+                ? `day ${day.day}`
+                : `item ${itemIndex + 1} of day ${day.day}`;
+            const part = what === 'day' ? day : day.items[itemIndex];
+            const messages = [
+                ...trimConversation(conversation),
+                { role: 'user', content: buildRegeneratePrompt(what, label, part) }
+            ];
+
+            req.log.info(`Regenerating ${label} of a trip...`, { tripId: trip.id });
+            const result = await tracked.llm.complete({ messages: messages });
+            logUsage(req.log, 'Regeneration', result.usage);
+            const validate = what === 'day' ? validateSingleDay : validateSingleItem;
+            const replacement = await checkOrRepair(tracked.llm, messages, result.text, validate, { what: what, log: req.log });
+
+            res.json({ success: true, [what]: replacement });
+            // ^ [what] uses the value of "what" as the key: { day: ... } or { item: ... }
+
+        } catch (error) {
+            sendFailure(req, res, error, {
+                failed: 'Failed to regenerate',
+                badFormat: 'Regenerated part was not in the expected format'
+            });
+        } finally {
+            recordUsage('Regeneration request', req, tracked.totals);
+        }
+    });
+
+    // ============================================
+    // LAST STOP: Errors Nobody Else Handled
+    // ============================================
+    // Express sends errors here when a route throws (or a body isn't valid
+    // JSON). Its default answer is an HTML page with the error in it, so
+    // we answer in JSON like every other route instead.
+    // (Express spots error handlers by their FOUR parameters.)
+    app.use((error, req, res, next) => {
+        if (res.headersSent) {
+            return next(error);
+            // ^ Too late for a JSON answer (an event stream had started) -
+            //   Express's own handler just closes the connection
+        }
+        if (error.expose && error.status >= 400 && error.status < 500) {
+            // Problems with the request itself, like broken JSON. Their
+            // messages are written to be shown ("expose"), so we pass them on.
+            req.log.warn('Bad request', { status: error.status, error: error.message });
+            return res.status(error.status).json({ error: error.message, code: 'bad_request', requestId: req.id });
+        }
+        sendFailure(req, res, error, { failed: 'Something went wrong' });
+    });
+
+    return app;
+}
+
+module.exports = { createApp };
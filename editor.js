@@ -0,0 +1,522 @@
+// ============================================
+// ITINERARY EDITOR - Change the Trip Yourself
+// ============================================
+// Once a trip is saved, the "✏️ edit itinerary" button turns the
+// itinerary into an editor where you can:
+// - drag items to another time slot or another day (or use ↑ and ↓)
+// - change any item's time, title, location, cost or notes
+// - delete items and add new ones
+// - undo and redo all of the above
+// - ask Claude for something different for ONE item or ONE day (🔄),
+//   while the rest of the trip stays exactly as it is
+//
+// Every change is made by a function from lib/itineraryEdits.js and
+// kept in an edit history, so undo/redo just steps through it.
+// Nothing is saved until you click "save changes", which sends the new
+// itinerary to PUT /trips/<id>.
+//
+// This file runs after results.js and uses its variables and functions
+// (currentTripId, currentItinerary, showItinerary(), ...). Messages go
+// through t() from locale.js, like everywhere else on the page.
+
+const editButton = document.getElementById("editButton");
+const editToolbar = document.getElementById("editToolbar");
+const undoButton = document.getElementById("undoButton");
+const redoButton = document.getElementById("redoButton");
+const saveEditsButton = document.getElementById("saveEditsButton");
+const cancelEditsButton = document.getElementById("cancelEditsButton");
+const editStatus = document.getElementById("editStatus");
+
+// The same categories lib/itinerarySchema.js accepts
+const EDIT_CATEGORIES = ['lodging', 'food', 'activity', 'transport', 'other'];
+
+// The edit history while editing (see createEditHistory() in
+// lib/itineraryEdits.js), or null when we're not editing
+let editHistory = null;
+
+// Which item is being dragged: { dayIndex, index }
+let draggedItem = null;
+
+// ============================================
+// STEP 1: Start and Stop Editing
+// ============================================
+
+editButton.addEventListener("click", function() {
+    editHistory = createEditHistory(currentItinerary);
+
+    // The other trip actions work on the SAVED trip, so they're hidden
+    // until the edits are saved (or thrown away)
+    editButton.style.display = "none";
+    refineForm.style.display = "none";
+    changesSummary.style.display = "none";
+    exportLinks.style.display = "none";
+    shareBox.style.display = "none";
+
+    editToolbar.style.display = "block";
+    editStatus.textContent = t('editor.intro');
+    renderEditor();
+});
+
+function stopEditing() {
+    editHistory = null;
+
+    editToolbar.style.display = "none";
+    editButton.style.display = "inline-block";
+    refineForm.style.display = "block";
+    exportLinks.style.display = "block";
+    shareBox.style.display = "block";
+}
+
+cancelEditsButton.addEventListener("click", function() {
+    if (editHistory.canUndo() && !confirm(t('editor.confirmCancel'))) {
+        return;
+    }
+    stopEditing();
+    showItinerary(currentItinerary, currentCosts, currentWarnings);
+    // ^ currentItinerary is still the saved version - edits only change the history
+});
+
+// Leaving the page with unsaved changes? The browser asks "are you sure?"
+window.addEventListener("beforeunload", function(event) {
+    if (editHistory && editHistory.canUndo()) {
+        event.preventDefault();
+    }
+});
+
+// ============================================
+// STEP 2: Make a Change, Undo, Redo
+// ============================================
+
+// Every edit goes through here. Typing in a field doesn't rebuild the
+// editor (that would move the cursor away), so those pass
+// { rerender: false } and only the toolbar is updated.
+function applyEdit(itinerary, { rerender = true } = {}) {
+    editHistory.apply(itinerary);
+    if (rerender) {
+        renderEditor();
+    } else {
+        updateToolbar();
+    }
+}
+
+function undoEdit() {
+    if (editHistory.canUndo()) {
+        editHistory.undo();
+        renderEditor();
+    }
+}
+
+function redoEdit() {
+    if (editHistory.canRedo()) {
+        editHistory.redo();
+        renderEditor();
+    }
+}
+
+undoButton.addEventListener("click", undoEdit);
+redoButton.addEventListener("click", redoEdit);
+
+// Ctrl+Z / Ctrl+Shift+Z (or ⌘ on a Mac), except inside a text field,
+// where they undo your typing like they normally do
+document.addEventListener("keydown", function(event) {
+    if (!editHistory || resultDiv.inert || !(event.ctrlKey || event.metaKey)) {
+        return;
+        // ^ resultDiv is "inert" while we wait for Claude (see STEP 4)
+    }
+    if (["INPUT", "TEXTAREA", "SELECT"].includes(event.target.tagName)) {
+        return;
+    }
+
+    const key = event.key.toLowerCase();
+    if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        undoEdit();
+    } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        redoEdit();
+    }
+});
+
+function updateToolbar() {
+    undoButton.disabled = !editHistory.canUndo();
+    redoButton.disabled = !editHistory.canRedo();
+    saveEditsButton.disabled = !editHistory.canUndo();
+    // ^ Nothing to save until something has changed
+}
+
+// ============================================
+// STEP 3: Save
+// ============================================
+
+// The server's "details" are written for developers (and Claude), like
+//   "days[0].items[2].title must be a non-empty string"
+// so we only take WHERE the problem is from them, and name the field
+// with the same label the editor shows next to it.
+const EDIT_FIELD_LABELS = {
+    startTime: 'editor.startTime',
+    endTime: 'editor.endTime',
+    title: 'editor.title',
+    category: 'editor.category',
+    location: 'editor.location',
+    estimatedCost: 'editor.cost',
+    notes: 'editor.notes'
+};
+
+function describeEditProblem(detail) {
+    const match = /^days\[(\d+)\](?:\.items\[(\d+)\])?\.(\w+) /.exec(detail);
+    if (!match) {
+        return t('editor.badItinerary');
+    }
+    const [, dayIndex, itemIndex, field] = match;
+    const day = Number(dayIndex) + 1;
+    if (itemIndex === undefined) {
+        return field === 'title' ? t('editor.badDay', { day: day, field: t('editor.dayTitle') }) : t('editor.badItinerary');
+        // ^ The day's title is the only day field the editor changes
+    }
+    if (!Object.hasOwn(EDIT_FIELD_LABELS, field)) {
+        return t('editor.badItinerary');
+    }
+    return t('editor.badItem', { day: day, item: Number(itemIndex) + 1, field: t(EDIT_FIELD_LABELS[field]) });
+}
+
+saveEditsButton.addEventListener("click", async function() {
+    saveEditsButton.disabled = true;
+    editStatus.textContent = t('editor.saving');
+
+    try {
+        const response = await fetch(`/trips/${encodeURIComponent(currentTripId)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ itinerary: editHistory.current() })
+        });
+
+        if (response.status === 400) {
+            // Something isn't filled in right, e.g. an empty title
+            const data = await response.json();
+            const problems = [...new Set((data.details || []).map(describeEditProblem))];
+            // ^ A Set drops repeats, like two broken times in the same item
+            editStatus.textContent = t('editor.fixFirst', { problems: problems.slice(0, 3).join('; ') });
+            updateToolbar();
+            return;
+        }
+
+        if (!response.ok) {
+            throw new Error('Failed to save changes');
+        }
+
+        const trip = await response.json();
+        // ^ The saved trip, with its cost breakdown and warnings worked out again
+        stopEditing();
+        showItinerary(trip.itinerary, trip.costs, trip.warnings);
+        saveOfflineTrip(trip);
+        // ^ Keep the copy on this device up to date (see offline.js)
+        saveStatus.textContent = t('editor.saved');
+        saveStatus.style.display = "block";
+    } catch (error) {
+        console.error("Error:", error);
+        editStatus.textContent = t('editor.saveFailed');
+        updateToolbar();
+    }
+});
+
+// ============================================
+// STEP 4: Ask Claude for Something Different
+// ============================================
+// Sends the whole draft (with your unsaved changes) to
+// POST /trips/<id>/regenerate, and swaps the new day or item in.
+// Leave "itemIndex" out to replace the whole day.
+
+async function regeneratePart(dayIndex, itemIndex) {
+    const draft = editHistory.current();
+
+    // While we wait, the editor can't be changed - the answer has to fit
+    // into the itinerary exactly as we sent it
+    resultDiv.inert = true;
+    // ^ "inert" makes everything inside unclickable, like it's a picture
+    editToolbar.inert = true;
+    editStatus.textContent = itemIndex === undefined
+        ? t('editor.planningDay', { day: draft.days[dayIndex].day })
+        : t('editor.replacingItem', { title: draft.days[dayIndex].items[itemIndex].title });
+
+    try {
+        const response = await fetch(`/trips/${encodeURIComponent(currentTripId)}/regenerate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ itinerary: draft, dayIndex: dayIndex, itemIndex: itemIndex })
+            // ^ JSON.stringify() leaves out "itemIndex" when it's undefined
+        });
+
+        if (response.status === 429) {
+            throw await tooManyRequestsError(response);
+        }
+
+        if (!response.ok) {
+            throw new Error('Failed to regenerate');
+        }
+
+        const data = await response.json();
+        // ^ Now "data" contains: { success: true, day: {...} } or { success: true, item: {...} }
+
+        applyEdit(itemIndex === undefined
+            ? replaceDay(draft, dayIndex, data.day)
+            : replaceItem(draft, dayIndex, itemIndex, data.item));
+        editStatus.textContent = t('editor.replaced');
+    } catch (error) {
+        console.error("Error:", error);
+        if (error instanceof TooManyRequestsError) {
+            editStatus.textContent = t('editor.tooMany', { wait: describeWait(error.retryAfterSeconds) });
+        } else {
+            editStatus.textContent = t('editor.failed');
+        }
+    }
+
+    resultDiv.inert = false;
+    editToolbar.inert = false;
+}
+
+// ============================================
+// STEP 5: Build the Editor
+// ============================================
+// Like renderItinerary() in results.js, but every item is a little form.
+// The whole editor is rebuilt after each change - simple, and the
+// itinerary is never big enough for that to be slow.
+
+function renderEditor() {
+    const itinerary = editHistory.current();
+    const fragment = document.createDocumentFragment();
+
+    const title = document.createElement('h1');
+    title.textContent = itinerary.title;
+    fragment.appendChild(title);
+
+    itinerary.days.forEach((day, dayIndex) => {
+        fragment.appendChild(renderEditableDay(day, dayIndex));
+    });
+
+    resultDiv.replaceChildren(fragment);
+    updateToolbar();
+}
+
+function renderEditableDay(day, dayIndex) {
+    const section = document.createElement('section');
+    section.className = 'itinerary-day edit-day';
+
+    const header = document.createElement('div');
+    header.className = 'edit-day-header';
+
+    const label = document.createElement('h2');
+    const city = day.city ? ` · ${day.city}` : '';
+    label.textContent = `${t('itinerary.day', { day: day.day, date: formatDate(currentLocale, day.date) })}${city}:`;
+    header.appendChild(label);
+
+    const titleInput = createField('text', day.title, t('editor.dayTitle'));
+    titleInput.addEventListener("change", function() {
+        applyEdit(updateDay(editHistory.current(), dayIndex, { title: titleInput.value }), { rerender: false });
+    });
+    header.appendChild(titleInput);
+
+    header.appendChild(createButton(t('editor.newDay'), t('editor.newDayLabel', { day: day.day }), function() {
+        regeneratePart(dayIndex);
+    }));
+    section.appendChild(header);
+
+    const list = document.createElement('ol');
+    list.className = 'edit-items';
+    day.items.forEach((item, index) => {
+        list.appendChild(renderEditableItem(item, dayIndex, index));
+    });
+
+    // Dropping on the list itself (not on an item) puts the item at the end,
+    // which is also how you move something into an empty day
+    list.addEventListener("dragover", function(event) {
+        if (draggedItem) {
+            event.preventDefault();
+            // ^ Says "you can drop here" - without it, the drop is refused
+        }
+    });
+    list.addEventListener("drop", function(event) {
+        event.preventDefault();
+        dropItem(dayIndex, day.items.length);
+    });
+    section.appendChild(list);
+
+    section.appendChild(createButton(t('editor.addItem'), t('editor.addItemLabel'), function() {
+        applyEdit(addItem(editHistory.current(), dayIndex, { ...newItem(day), title: t('editor.newItemTitle') }));
+    }));
+
+    return section;
+}
+
+function renderEditableItem(item, dayIndex, index) {
+    const row = document.createElement('li');
+    row.className = `edit-item category-${item.category}`;
+
+    // The item can only be dragged by its handle - otherwise selecting
+    // text in one of its fields would start dragging the whole item
+    const handle = document.createElement('span');
+    handle.className = 'drag-handle';
+    handle.textContent = '⠿';
+    handle.title = t('editor.dragToMove');
+    handle.addEventListener("pointerdown", () => { row.draggable = true; });
+    handle.addEventListener("pointerup", () => { row.draggable = false; });
+    row.appendChild(handle);
+
+    // Every field saves its new value when you leave it
+    function bindField(field, input, readValue) {
+        input.addEventListener("change", function() {
+            const changes = { [field]: readValue ? readValue(input.value) : input.value };
+            applyEdit(updateItem(editHistory.current(), dayIndex, index, changes), { rerender: false });
+        });
+        return input;
+    }
+
+    const fields = document.createElement('div');
+    fields.className = 'edit-fields';
+
+    fields.appendChild(bindField('startTime', createField('time', item.startTime, t('editor.startTime'))));
+    fields.appendChild(bindField('endTime', createField('time', item.endTime, t('editor.endTime'))));
+    fields.appendChild(bindField('title', createField('text', item.title, t('editor.title'))));
+
+    const category = document.createElement('select');
+    category.setAttribute('aria-label', t('editor.category'));
+    EDIT_CATEGORIES.forEach(name => {
+        category.appendChild(new Option(t(`category.${name}`), name, false, name === item.category));
+        // ^ new Option(text, value, defaultSelected, selected)
+    });
+    fields.appendChild(bindField('category', category));
+
+    fields.appendChild(bindField('location', createField('text', item.location, t('editor.location'))));
+
+    const cost = createField('number', item.estimatedCost, t('editor.cost'));
+    cost.min = '0';
+    cost.step = 'any';
+    fields.appendChild(bindField('estimatedCost', cost, value => Math.max(Number(value) || 0, 0)));
+    // ^ An empty (or negative) cost counts as free
+
+    const notes = document.createElement('textarea');
+    notes.rows = 2;
+    notes.value = item.notes || '';
+    notes.placeholder = t('editor.notes');
+    notes.setAttribute('aria-label', t('editor.notes'));
+    fields.appendChild(bindField('notes', notes));
+
+    row.appendChild(fields);
+
+    // ↑ and ↓ do the same as dragging, for anyone not using a mouse.
+    // At the top or bottom of a day, they move the item to the day before or after.
+    const actions = document.createElement('div');
+    actions.className = 'edit-actions';
+    actions.appendChild(createButton('↑', t('editor.moveUp'), function() {
+        const itinerary = editHistory.current();
+        if (index > 0) {
+            applyEdit(moveItem(itinerary, { dayIndex, index }, { dayIndex, index: index - 1 }));
+        } else if (dayIndex > 0) {
+            const previousDay = itinerary.days[dayIndex - 1];
+            applyEdit(moveItem(itinerary, { dayIndex, index }, { dayIndex: dayIndex - 1, index: previousDay.items.length }));
+        }
+    }));
+    actions.appendChild(createButton('↓', t('editor.moveDown'), function() {
+        const itinerary = editHistory.current();
+        if (index < itinerary.days[dayIndex].items.length - 1) {
+            applyEdit(moveItem(itinerary, { dayIndex, index }, { dayIndex, index: index + 1 }));
+        } else if (dayIndex < itinerary.days.length - 1) {
+            applyEdit(moveItem(itinerary, { dayIndex, index }, { dayIndex: dayIndex + 1, index: 0 }));
+        }
+    }));
+    actions.appendChild(createButton('🔄', t('editor.replaceItem'), function() {
+        regeneratePart(dayIndex, index);
+    }));
+    actions.appendChild(createButton('🗑️', t('editor.delete'), function() {
+        applyEdit(removeItem(editHistory.current(), dayIndex, index));
+    }));
+    row.appendChild(actions);
+
+    // ============================================
+    // Drag and Drop
+    // ============================================
+    // The browser does the dragging; we just remember what's being dragged,
+    // and on drop work out whether it goes above or below this item.
+    row.addEventListener("dragstart", function(event) {
+        draggedItem = { dayIndex, index };
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', item.title);
+        // ^ Some browsers won't start a drag without any data
+        row.classList.add('dragging');
+    });
+    row.addEventListener("dragend", function() {
+        draggedItem = null;
+        row.draggable = false;
+        row.classList.remove('dragging');
+    });
+    row.addEventListener("dragover", function(event) {
+        if (!draggedItem) {
+            return;
+        }
+        event.preventDefault();
+        event.stopPropagation();
+        // ^ Handled here, so the list's own handler doesn't run too
+        const below = isBelowMiddle(row, event);
+        row.classList.toggle('drop-above', !below);
+        row.classList.toggle('drop-below', below);
+    });
+    row.addEventListener("dragleave", function() {
+        row.classList.remove('drop-above', 'drop-below');
+    });
+    row.addEventListener("drop", function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        row.classList.remove('drop-above', 'drop-below');
+        dropItem(dayIndex, isBelowMiddle(row, event) ? index + 1 : index);
+    });
+
+    return row;
+}
+
+// Is the mouse in the bottom half of "element"?
+function isBelowMiddle(element, event) {
+    const box = element.getBoundingClientRect();
+    return event.clientY > box.top + box.height / 2;
+}
+
+// Moves the dragged item so it ends up at position "index" of the day
+// as it looks right now (with the dragged item still in it)
+function dropItem(dayIndex, index) {
+    if (!draggedItem) {
+        return;
+    }
+    const from = draggedItem;
+    draggedItem = null;
+
+    // Taking the item out first shifts everything after it up by one
+    const targetIndex = from.dayIndex === dayIndex && from.index < index ? index - 1 : index;
+    if (from.dayIndex === dayIndex && from.index === targetIndex) {
+        return;
+        // ^ Dropped right where it was
+    }
+    applyEdit(moveItem(editHistory.current(), from, { dayIndex: dayIndex, index: targetIndex }));
+}
+
+// ============================================
+// HELPER FUNCTIONS: Fields and Buttons
+// ============================================
+
+function createField(type, value, label) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.value = value;
+    input.placeholder = label;
+    input.setAttribute('aria-label', label);
+    // ^ Screen readers read this out, since the fields have no visible labels
+    return input;
+}
+
+function createButton(text, label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'edit-button';
+    button.textContent = text;
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.addEventListener("click", onClick);
+    return button;
+}
@@ -0,0 +1,92 @@
+// ============================================
+// ACCOUNTS - Usernames and Passwords
+// ============================================
+// Checks what someone typed on the sign up / log in form, and turns
+// passwords into hashes we can store safely.
+//
+// We NEVER store the password itself. We store a "hash": the result of
+// running the password through scrypt, a function that's slow on
+// purpose and can't be run backwards. To check a login, we hash what was
+// typed the same way and compare. If the users file ever leaks, nobody
+// can read the passwords out of it.
+//
+// A stored hash looks like "scrypt:<salt>:<hash>". The salt is random
+// for every user, so two people with the same password get different
+// hashes.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+// ^ crypto.scrypt() uses a callback; promisify() lets us "await" it instead
+
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+
+// Lowercase letters, numbers, "_", "-" and "."; 3 to 30 characters.
+// Usernames are also used as file names by the user store, so nothing
+// like "../" can ever get through.
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,30}$/;
+
+// ============================================
+// HELPER FUNCTION: Check the Sign Up / Log In Form
+// ============================================
+// Returns { credentials: { username, password } } or
+// { errors: { username: "...", password: "..." }, problems: { username: { code, params } } },
+// like validateTripRequest(): "errors" in English, "problems" as codes the
+// login page translates (see "problem.*" in lib/i18n.js).
+// Usernames are lowercased, so "Alice" and "alice" are the same account.
+function checkCredentials(body) {
+    const errors = {};
+    const problems = {};
+    const { username, password } = body || {};
+
+    function reject(field, code, params, message) {
+        errors[field] = message;
+        problems[field] = { code: code, params: params };
+    }
+
+    const cleanUsername = typeof username === 'string' ? username.trim().toLowerCase() : '';
+    if (!cleanUsername) {
+        reject('username', 'missing', { field: 'username' }, 'Please enter a username');
+    } else if (!USERNAME_PATTERN.test(cleanUsername)) {
+        reject('username', 'username-format', {}, 'Usernames are 3 to 30 letters, numbers, "_", "-" or "."');
+    }
+
+    if (typeof password !== 'string' || password === '') {
+        reject('password', 'missing', { field: 'password' }, 'Please enter a password');
+    } else if (password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+        reject('password', 'password-length', { min: MIN_PASSWORD_LENGTH, max: MAX_PASSWORD_LENGTH },
+            `Passwords must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`);
+    }
+
+    if (Object.keys(errors).length > 0) {
+        return { errors: errors, problems: problems };
+    }
+    return { credentials: { username: cleanUsername, password: password } };
+}
+
+// ============================================
+// HELPER FUNCTIONS: Hash and Check Passwords
+// ============================================
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt:${salt}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, storedHash) {
+    const [scheme, salt, hashHex] = String(storedHash).split(':');
+    if (scheme !== 'scrypt' || !salt || !hashHex) {
+        return false;
+    }
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+    // ^ timingSafeEqual() takes the same time whether the first byte or the
+    //   last one differs, so the response time gives nothing away
+}
+
+module.exports = { checkCredentials, hashPassword, verifyPassword };
@@ -0,0 +1,115 @@
+// ============================================
+// BUDGET - Add Up What a Trip Costs
+// ============================================
+// Every item in an itinerary has an "estimatedCost" (for the whole group,
+// in the itinerary's currency). This file adds those up into a breakdown:
+//
+// {
+//   currency: "EUR",
+//   total: 1840,
+//   perPerson: 920,
+//   numPeople: 2,
+//   byDay: [{ day: 1, date: "2025-11-01", total: 410, perPerson: 205 }, ...],
+//   byCategory: { lodging: 900, food: 420, activities: 310, transport: 210, other: 0 },
+//   budget: { amount: 1500, currency: "EUR", remaining: -340, overBudget: true }
+// }
+//
+// "budget" is null when the traveler didn't give one.
+
+// Itinerary item categories -> the names used in the breakdown
+const CATEGORY_KEYS = {
+    lodging: 'lodging',
+    food: 'food',
+    activity: 'activities',
+    transport: 'transport',
+    other: 'other'
+};
+
+// Money math with decimals can leave tiny errors (0.1 + 0.2 = 0.30000000000000004),
+// so every amount we report is rounded to cents
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// "numPeople" comes from a form, so it might be "2", 2, or missing
+function getPartySize(request) {
+    const numPeople = Number(request.numPeople);
+    return Number.isInteger(numPeople) && numPeople > 0 ? numPeople : 1;
+}
+
+// Returns { amount, currency } if the request includes a usable budget,
+// otherwise null
+function getBudget(request) {
+    if (request.budget === undefined || request.budget === null || request.budget === '') {
+        return null;
+    }
+    return {
+        amount: Number(request.budget),
+        currency: request.currency
+    };
+}
+
+function compareToBudget(total, currency, budget) {
+    if (!budget) {
+        return null;
+    }
+
+    // We can't compare 1500 USD to a total in EUR without exchange rates
+    if (budget.currency !== currency) {
+        return {
+            amount: budget.amount,
+            currency: budget.currency,
+            remaining: null,
+            overBudget: null
+        };
+    }
+
+    const remaining = roundMoney(budget.amount - total);
+    return {
+        amount: budget.amount,
+        currency: budget.currency,
+        remaining: remaining,
+        overBudget: remaining < 0
+    };
+}
+
+function computeCostBreakdown(itinerary, request) {
+    const numPeople = getPartySize(request);
+
+    const byCategory = {};
+    Object.values(CATEGORY_KEYS).forEach(key => {
+        byCategory[key] = 0;
+    });
+
+    const byDay = itinerary.days.map(day => {
+        let dayTotal = 0;
+        day.items.forEach(item => {
+            dayTotal += item.estimatedCost;
+            byCategory[CATEGORY_KEYS[item.category]] += item.estimatedCost;
+        });
+        return {
+            day: day.day,
+            date: day.date,
+            total: roundMoney(dayTotal),
+            perPerson: roundMoney(dayTotal / numPeople)
+        };
+    });
+
+    Object.keys(byCategory).forEach(key => {
+        byCategory[key] = roundMoney(byCategory[key]);
+    });
+
+    const total = roundMoney(byDay.reduce((sum, day) => sum + day.total, 0));
+
+    return {
+        currency: itinerary.currency,
+        total: total,
+        perPerson: roundMoney(total / numPeople),
+        numPeople: numPeople,
+        byDay: byDay,
+        byCategory: byCategory,
+        budget: compareToBudget(total, itinerary.currency, getBudget(request))
+    };
+}
+
+module.exports = { computeCostBreakdown };
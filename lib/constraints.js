@@ -0,0 +1,247 @@
+// ============================================
+// CONSTRAINTS - Does the Itinerary Fit the Request?
+// ============================================
+// lib/itinerarySchema.js checks that Claude's answer has the right SHAPE.
+// This file checks that it makes SENSE for the trip that was asked for:
+//
+// - "day-count":  one day in the itinerary for every day of the trip
+// - "dates":      each day has the right date, inside the trip
+// - "overlap":    no two items on the same day at the same time
+// - "budget":     the costs fit the budget (when there is one)
+// - "diet":       no meat on a vegetarian trip (and so on)
+// - "must-avoid": nothing from the traveler's "rather avoid" list
+// - "must-see":   every "must see" place is in the plan
+//
+// checkConstraints() returns a list of warnings like:
+//   { code: "overlap", message: 'Day 2: "Lunch" (12:30-13:30) overlaps ...',
+//     params: { day: 2, first: "Lunch", ... }, fixable: true }
+// An empty list means everything checks out. "message" is in English;
+// the results page uses "code" and "params" to say it in its own
+// language ("warning.<code>" in lib/i18n.js).
+//
+// "fixable" warnings are worth asking Claude to fix (see
+// enforceConstraints() in lib/generator.js). The rest are only shown to
+// the traveler - a must-see place might simply be in another city.
+//
+// The diet check looks for words like "steak" or "shrimp", so it can
+// miss things and (rarely) get them wrong. That's fine for a warning.
+// The words are English, and the must-see check looks for the places as
+// the traveler typed them - but an itinerary in another language (see
+// "language" in lib/tripRequest.js) says "Torre de Belém", not "Belém
+// Tower". So both checks are skipped unless the itinerary is in English.
+
+const { computeCostBreakdown } = require('./budget');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Words that give away what's in a meal, and the words that say a place
+// caters to the diet anyway ("vegan burger", "vegetarian sushi")
+const MEAT_WORDS = ['meat', 'steak', 'steakhouse', 'beef', 'pork', 'bacon', 'ham', 'chicken', 'lamb', 'veal', 'duck', 'sausage', 'chorizo', 'salami', 'prosciutto', 'turkey', 'brisket', 'ribs'];
+const FISH_WORDS = ['fish', 'seafood', 'shrimp', 'prawn', 'prawns', 'oyster', 'oysters', 'sashimi', 'tuna', 'salmon', 'crab', 'lobster', 'octopus', 'sardines', 'cod', 'clams', 'mussels'];
+const ANIMAL_PRODUCT_WORDS = ['cheese', 'dairy', 'butter', 'cream', 'egg', 'eggs', 'honey', 'milk', 'gelato', 'yogurt'];
+
+const DIETS = {
+    vegetarian: { avoid: [...MEAT_WORDS, ...FISH_WORDS], okWords: ['vegetarian', 'vegan', 'veggie', 'plant-based', 'meatless', 'meat-free'] },
+    vegan: { avoid: [...MEAT_WORDS, ...FISH_WORDS, ...ANIMAL_PRODUCT_WORDS], okWords: ['vegan', 'plant-based', 'dairy-free'] },
+    pescatarian: { avoid: MEAT_WORDS, okWords: ['vegetarian', 'vegan', 'veggie', 'plant-based', 'pescatarian', 'meatless', 'meat-free'] }
+};
+
+// ============================================
+// HELPER FUNCTIONS: Dates, Times and Text
+// ============================================
+
+function addDays(dateText, days) {
+    const [year, month, day] = dateText.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day) + days * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+// "09:30" -> 570 (minutes since midnight)
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// Everything we know about an item, in lowercase, for word searches
+function itemText(item) {
+    return `${item.title} ${item.location} ${item.notes || ''}`.toLowerCase();
+}
+
+// Does "text" contain "word" as a whole word? ("ham" but not "Hamburg")
+function hasWord(text, word) {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z])${escaped}($|[^a-z])`).test(text);
+}
+
+// Is the itinerary written in English? (Left out means English.)
+function isEnglish(request) {
+    return !request.language || request.language === 'en';
+}
+
+// The strictest diet the traveler asked for, or null
+function getDiet(request) {
+    const dietary = request.dietary || [];
+    if (dietary.includes('vegan')) {
+        return 'vegan';
+    }
+    if (dietary.includes('vegetarian') || (request.food || []).includes('veg')) {
+        return 'vegetarian';
+        // ^ The "vegetarian or vegan" food preference counts as vegetarian
+    }
+    if (dietary.includes('pescatarian')) {
+        return 'pescatarian';
+    }
+    return null;
+}
+
+// ============================================
+// THE CHECKS
+// ============================================
+// Each one adds its warnings to the "warnings" list.
+
+function checkDays(itinerary, request, warnings) {
+    const expectedDays = Math.round((Date.parse(request.end) - Date.parse(request.start)) / MS_PER_DAY) + 1;
+    if (itinerary.days.length !== expectedDays) {
+        warnings.push({
+            code: 'day-count',
+            message: `The trip is ${expectedDays} day(s) long, but the itinerary has ${itinerary.days.length}`,
+            params: { count: expectedDays, actual: itinerary.days.length },
+            fixable: true
+        });
+    }
+
+    itinerary.days.forEach((day, index) => {
+        const expectedDate = addDays(request.start, index);
+        if (day.date < request.start || day.date > request.end) {
+            warnings.push({
+                code: 'dates',
+                message: `Day ${day.day} is dated ${day.date}, outside the trip (${request.start} to ${request.end})`,
+                params: { day: day.day, date: day.date, start: request.start, end: request.end },
+                fixable: true
+            });
+        } else if (day.date !== expectedDate) {
+            warnings.push({
+                code: 'dates',
+                message: `Day ${day.day} is dated ${day.date}, but day ${index + 1} of the trip is ${expectedDate}`,
+                params: { day: day.day, date: day.date, position: index + 1, expected: expectedDate },
+                fixable: true
+            });
+        }
+    });
+}
+
+// Lodging is left out: a hotel is often listed for the whole evening or
+// night, and that's not a clash with dinner.
+// An item that ends "before" it starts runs past midnight.
+function checkOverlaps(itinerary, warnings) {
+    itinerary.days.forEach(day => {
+        const timed = day.items
+            .filter(item => item.category !== 'lodging')
+            .map(item => {
+                const start = toMinutes(item.startTime);
+                const end = toMinutes(item.endTime);
+                return { item, start, end: end < start ? 24 * 60 : end };
+            })
+            .sort((a, b) => a.start - b.start);
+
+        for (let index = 1; index < timed.length; index++) {
+            const previous = timed[index - 1];
+            const current = timed[index];
+            if (current.start < previous.end) {
+                warnings.push({
+                    code: 'overlap',
+                    message: `Day ${day.day}: "${previous.item.title}" (${previous.item.startTime}-${previous.item.endTime}) overlaps "${current.item.title}" (${current.item.startTime}-${current.item.endTime})`,
+                    params: {
+                        day: day.day,
+                        first: previous.item.title,
+                        firstTime: `${previous.item.startTime}-${previous.item.endTime}`,
+                        second: current.item.title,
+                        secondTime: `${current.item.startTime}-${current.item.endTime}`
+                    },
+                    fixable: true
+                });
+            }
+        }
+    });
+}
+
+function checkBudget(itinerary, request, warnings) {
+    const { total, budget } = computeCostBreakdown(itinerary, request);
+    if (budget && budget.overBudget) {
+        warnings.push({
+            code: 'budget',
+            message: `The estimated costs add up to ${total} ${itinerary.currency}, which is ${-budget.remaining} over the budget of ${budget.amount} ${budget.currency}`,
+            params: { total: total, over: -budget.remaining, budget: budget.amount, currency: budget.currency },
+            fixable: true
+        });
+    }
+}
+
+function checkDiet(itinerary, request, warnings) {
+    const diet = getDiet(request);
+    if (!diet || !isEnglish(request)) {
+        return;
+    }
+
+    const { avoid, okWords } = DIETS[diet];
+    itinerary.days.forEach(day => {
+        day.items.filter(item => item.category === 'food').forEach(item => {
+            const text = itemText(item);
+            const found = avoid.find(word => hasWord(text, word));
+            if (found && !okWords.some(word => hasWord(text, word))) {
+                warnings.push({
+                    code: 'diet',
+                    message: `Day ${day.day}: "${item.title}" mentions "${found}", which doesn't look ${diet}`,
+                    params: { day: day.day, item: item.title, word: found, diet: diet },
+                    fixable: true
+                });
+            }
+        });
+    });
+}
+
+function checkPlaces(itinerary, request, warnings) {
+    const items = itinerary.days.flatMap(day => day.items.map(item => ({ day, item, text: itemText(item) })));
+
+    (request.mustAvoid || []).forEach(place => {
+        const match = items.find(({ text }) => text.includes(place.toLowerCase()));
+        if (match) {
+            warnings.push({
+                code: 'must-avoid',
+                message: `Day ${match.day.day}: "${match.item.title}" is something the traveler wanted to avoid ("${place}")`,
+                params: { day: match.day.day, item: match.item.title, place: place },
+                fixable: true
+            });
+        }
+    });
+
+    if (!isEnglish(request)) {
+        return;
+    }
+    (request.mustSee || []).forEach(place => {
+        if (!items.some(({ text }) => text.includes(place.toLowerCase()))) {
+            warnings.push({
+                code: 'must-see',
+                message: `"${place}" was on the must-see list, but isn't in the itinerary`,
+                params: { place: place },
+                fixable: false
+            });
+        }
+    });
+}
+
+// ============================================
+// MAIN FUNCTION: Check an Itinerary Against Its Request
+// ============================================
+// "itinerary" must already be valid (see lib/itinerarySchema.js), and
+// "request" is the cleaned-up request from validateTripRequest().
+function checkConstraints(itinerary, request) {
+    const warnings = [];
+    checkDays(itinerary, request, warnings);
+    checkOverlaps(itinerary, warnings);
+    checkBudget(itinerary, request, warnings);
+    checkDiet(itinerary, request, warnings);
+    checkPlaces(itinerary, request, warnings);
+    return warnings;
+}
+
+module.exports = { checkConstraints };
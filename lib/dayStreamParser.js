@@ -0,0 +1,109 @@
+// ============================================
+// DAY STREAM PARSER - Spot Finished Days Early
+// ============================================
+// When we stream Claude's answer, the JSON arrives a few characters at a time:
+//   '{"title": "A Week in To'   ...   'kyo", "days": [{"day": 1, ...'
+// JSON.parse() can't read half a document, but we don't want to wait for
+// the whole thing either. This parser watches the text as it arrives and,
+// every time one entry of the top-level "days" array is complete, hands
+// that day to a callback - so the results page can show Day 1 while
+// Claude is still writing Day 5.
+//
+// How it works: we walk through each character once, keeping track of
+// - how deep we are inside { } and [ ]
+// - whether we're inside a "string" (where braces don't count)
+// - the last key we saw on the top-level object (to know when we hit "days")
+
+function createDayStreamParser(onDay) {
+    let buffer = '';
+    let position = 0; // Next character in "buffer" we haven't looked at yet
+
+    let depth = 0; // 1 = inside the top-level object, 2 = inside one of its arrays, ...
+    let inString = false;
+    let escaped = false; // Was the previous character a backslash inside a string?
+    let stringStart = -1;
+
+    let lastTopLevelString = null; // Most recent string seen directly in the top-level object
+    let daysDepth = null; // Depth of the "days" array's contents, once we're inside it
+    let dayStart = -1; // Where the day object we're reading began
+
+    function handleCharacter(char, index) {
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+                if (depth === 1) {
+                    lastTopLevelString = parseString(buffer.slice(stringStart, index + 1));
+                }
+            }
+            return;
+        }
+
+        if (char === '"') {
+            inString = true;
+            stringStart = index;
+        } else if (char === '{' || char === '[') {
+            // Opening a new day inside the "days" array
+            if (char === '{' && depth === daysDepth) {
+                dayStart = index;
+            }
+            depth++;
+            // Opening the "days" array itself
+            if (char === '[' && depth === 2 && lastTopLevelString === 'days') {
+                daysDepth = depth;
+            }
+        } else if (char === '}' || char === ']') {
+            depth--;
+            // Closing a day: we now have its complete JSON text
+            if (char === '}' && depth === daysDepth && dayStart !== -1) {
+                emitDay(buffer.slice(dayStart, index + 1));
+                dayStart = -1;
+            }
+            // Closing the "days" array: nothing more to look for
+            if (char === ']' && depth === 1 && daysDepth !== null) {
+                daysDepth = null;
+            }
+        }
+    }
+
+    // A top-level key or value, like "days". A bad escape (like "\q")
+    // makes JSON.parse() throw - then it simply isn't "days", and the
+    // full document is checked (and repaired if needed) once the stream ends.
+    function parseString(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            if (!(error instanceof SyntaxError)) {
+                throw error;
+            }
+            return null;
+        }
+    }
+
+    function emitDay(text) {
+        try {
+            onDay(JSON.parse(text));
+        } catch (error) {
+            // A malformed day is skipped here - the full document is
+            // validated (and repaired if needed) once the stream ends
+            if (!(error instanceof SyntaxError)) {
+                throw error;
+            }
+        }
+    }
+
+    return {
+        // Feed the next chunk of streamed text into the parser
+        push(chunk) {
+            buffer += chunk;
+            for (; position < buffer.length; position++) {
+                handleCharacter(buffer[position], position);
+            }
+        }
+    };
+}
+
+module.exports = { createDayStreamParser };
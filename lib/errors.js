@@ -0,0 +1,98 @@
+// ============================================
+// ERRORS - What We Tell the Browser When Things Break
+// ============================================
+// Raw error messages can give away things the browser shouldn't see:
+// file paths, the AI provider's replies, sometimes even part of a key.
+// So error responses only ever carry a short, fixed "code" the page can
+// act on, plus the request id (see app.js) to quote when asking for help:
+//
+//   { "error": "Failed to generate itinerary", "code": "upstream_overloaded", "requestId": "4f1c..." }
+//
+// The full error still goes to the server log, under the same request id.
+//
+// describeFailure() sorts an error into one of these:
+//
+//   Code                   Status  What happened
+//   upstream_timeout       504     The AI took too long to answer
+//   upstream_auth          502     The AI provider rejected our API key
+//   upstream_overloaded    503     The AI provider is busy or rate limiting us
+//   upstream_unavailable   502     The AI provider couldn't be reached, or failed
+//   bad_ai_response        502     The AI answered, but not in the format we need
+//   internal_error         500     Anything else (a bug, a full disk...)
+//
+// The AI providers don't share error classes, so we look at what they
+// have in common: an HTTP "status" (Anthropic's SDK errors and
+// ProviderHttpError both have one), the error's name and network codes.
+// Those are only trusted on errors the provider threw: trackUsage() (see
+// lib/generator.js) marks them with markProviderError(). Anything else -
+// even with a "status" of 500 - is one of ours, so it's an internal_error.
+
+const { ItineraryFormatError } = require('./itinerarySchema');
+
+const TIMEOUT_NAMES = new Set(['APIConnectionTimeoutError', 'TimeoutError']);
+const TIMEOUT_CODES = new Set(['ETIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT']);
+const NETWORK_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE']);
+const OVERLOADED_STATUSES = new Set([429, 503, 529]);
+// ^ 529 is Anthropic's "overloaded" status
+
+const FAILURES = {
+    upstream_timeout: { status: 504, message: 'The AI took too long to answer' },
+    upstream_auth: { status: 502, message: 'The server could not sign in to the AI provider' },
+    upstream_overloaded: { status: 503, message: 'The AI provider is busy right now' },
+    upstream_unavailable: { status: 502, message: 'The AI provider could not be reached' },
+    bad_ai_response: { status: 502, message: 'The AI answer was not in the expected format' },
+    internal_error: { status: 500, message: 'Something went wrong on our side' }
+};
+
+const providerErrors = new WeakSet();
+
+// Marks an error as thrown by the AI provider, and returns it
+function markProviderError(error) {
+    if (error !== null && typeof error === 'object') {
+        providerErrors.add(error);
+    }
+    return error;
+}
+
+// fetch() wraps network problems: the real reason is in error.cause
+function networkCode(error) {
+    return error.code || (error.cause && error.cause.code);
+}
+
+function classifyError(error) {
+    if (error instanceof ItineraryFormatError) {
+        return 'bad_ai_response';
+    }
+    if (!providerErrors.has(error)) {
+        return 'internal_error';
+    }
+
+    const status = typeof error.status === 'number' ? error.status : null;
+    const code = networkCode(error);
+
+    if (status === 401 || status === 403) {
+        return 'upstream_auth';
+    }
+    if (OVERLOADED_STATUSES.has(status)) {
+        return 'upstream_overloaded';
+    }
+    if (status === 408 || status === 504 || TIMEOUT_NAMES.has(error.name) || TIMEOUT_CODES.has(code)) {
+        return 'upstream_timeout';
+    }
+    if ((status !== null && status >= 500) || error.name === 'APIConnectionError' || NETWORK_CODES.has(code)) {
+        return 'upstream_unavailable';
+    }
+    return 'internal_error';
+}
+
+// ============================================
+// MAIN FUNCTION: Describe a Failure
+// ============================================
+// Returns { status, code, message } for an error caught in a route.
+// "message" is safe to show to anyone.
+function describeFailure(error) {
+    const code = classifyError(error);
+    return { code: code, ...FAILURES[code] };
+}
+
+module.exports = { FAILURES, describeFailure, markProviderError };
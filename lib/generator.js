@@ -0,0 +1,263 @@
+// ============================================
+// GENERATOR - Ask the AI, Check the Answer
+// ============================================
+// The steps every endpoint shares: call the model, check its reply
+// against the itinerary schema, and ask for one repair if it doesn't
+// match. The AI provider is passed in, so tests can hand in a fake one.
+// enforceConstraints() then checks the itinerary against the trip request
+// (see lib/constraints.js) and asks for one fix if something is off.
+// Every function takes a "log" option: the request's logger (req.log in
+// app.js), so its lines carry the request id.
+
+const { ItineraryFormatError, checkJsonText, validateItinerary } = require('./itinerarySchema');
+const { checkConstraints } = require('./constraints');
+const { markProviderError } = require('./errors');
+const { buildConstraintFixPrompt, buildRepairPrompt } = require('./prompts');
+const { createLogger } = require('./logger');
+
+// Used when no "log" is passed in
+const defaultLog = createLogger();
+
+// Logs how many tokens a call used (this is what you pay for!).
+// Only at LOG_LEVEL=debug - app.js logs the total for the whole request.
+function logUsage(log, label, usage) {
+    log.debug(`${label} call finished`, { inputTokens: usage.inputTokens, outputTokens: usage.outputTokens });
+}
+
+// ============================================
+// HELPER FUNCTION: Count the Tokens of One Request
+// ============================================
+// One request to our server can mean several AI calls (a generation and
+// a repair). trackUsage() wraps the provider so every call made through
+// it is added up in "totals":
+//
+//   const tracked = trackUsage(llm);
+//   await generateStructuredItinerary(tracked.llm, prompt);
+//   tracked.totals  -> { calls: 2, inputTokens: 2400, outputTokens: 6100 }
+//
+// It also marks every error the provider throws with markProviderError(),
+// so lib/errors.js can tell an AI outage from a bug in our own code.
+// Errors thrown by our own onConnect/onText callbacks are not marked,
+// whichever provider is used.
+function trackUsage(llm) {
+    const totals = { calls: 0, inputTokens: 0, outputTokens: 0 };
+
+    function add(result) {
+        totals.calls++;
+        totals.inputTokens += result.usage.inputTokens;
+        totals.outputTokens += result.usage.outputTokens;
+        return result;
+    }
+
+    async function call(method, options) {
+        // An error thrown by our own callbacks is caught right here, before
+        // the provider sees it: the Anthropic SDK would wrap it in an error
+        // of its own, and a bug of ours would look like an AI outage. The
+        // call is stopped instead (through "signal"), and the original
+        // error is thrown once the provider has given up.
+        let callbackError = null;
+        const controller = new AbortController();
+        const stop = () => controller.abort();
+        if (options.signal) {
+            if (options.signal.aborted) {
+                stop();
+            }
+            options.signal.addEventListener('abort', stop, { once: true });
+            // ^ The caller can still cancel the call, like before
+        }
+
+        const guarded = { ...options, signal: controller.signal };
+        for (const name of ['onConnect', 'onText']) {
+            if (typeof options[name] === 'function') {
+                guarded[name] = (...args) => {
+                    if (callbackError) {
+                        return undefined;
+                        // ^ Ignore whatever the provider sends while it stops
+                    }
+                    try {
+                        return options[name](...args);
+                    } catch (error) {
+                        callbackError = error;
+                        stop();
+                        return undefined;
+                    }
+                };
+            }
+        }
+
+        let result;
+        try {
+            result = await llm[method](guarded);
+        } catch (error) {
+            throw callbackError || markProviderError(error);
+        } finally {
+            if (options.signal) {
+                options.signal.removeEventListener('abort', stop);
+            }
+        }
+        add(result);
+        // ^ Counted even if a callback failed: the tokens were used
+        if (callbackError) {
+            throw callbackError;
+        }
+        return result;
+    }
+
+    return {
+        totals: totals,
+        llm: {
+            name: llm.name,
+            model: llm.model,
+            complete: options => call('complete', options),
+            stream: options => call('stream', options)
+        }
+    };
+}
+
+// ============================================
+// HELPER FUNCTION: Trim a Conversation
+// ============================================
+// Every refinement adds two messages (the instruction and the new
+// itinerary), and each itinerary is long. To keep requests small we send
+// the very first exchange (which has the trip details) plus only the
+// most recent exchanges. Messages come in user/assistant pairs, so
+// cutting whole pairs keeps the roles alternating like Claude expects.
+const MAX_RECENT_EXCHANGES = 3;
+
+function trimConversation(conversation) {
+    const firstExchange = conversation.slice(0, 2);
+    const recent = conversation.slice(2);
+    const keep = MAX_RECENT_EXCHANGES * 2;
+
+    if (recent.length <= keep) {
+        return conversation;
+    }
+    return [...firstExchange, ...recent.slice(recent.length - keep)];
+}
+
+// ============================================
+// HELPER FUNCTION: Check (and Repair) an Itinerary
+// ============================================
+// Checks Claude's reply against the schema. If it doesn't match, we send
+// the problems back for ONE repair attempt.
+// "llm" is the AI provider (see lib/providers/index.js), and "messages"
+// is the conversation that produced "text".
+// Options:
+// - "onRepair" is called right before the repair request, so the browser
+//   can be told what's going on (used by the streaming endpoint)
+// - "signal" cancels the repair request if the browser disconnects
+// - "log" is the logger to use
+// Returns a validated itinerary object, or throws ItineraryFormatError.
+async function checkOrRepairItinerary(llm, messages, text, options = {}) {
+    return checkOrRepair(llm, messages, text, validateItinerary, { ...options, what: 'itinerary' });
+}
+
+// The same steps for any JSON object we ask Claude for. "validate" is a
+// validate function from lib/itinerarySchema.js (like validateSingleItem),
+// and "what" names the object in the repair prompt ("item", "day", ...).
+async function checkOrRepair(llm, messages, text, validate, { what, onRepair, signal, log = defaultLog } = {}) {
+    const firstCheck = checkJsonText(text, validate);
+    if (firstCheck.errors.length === 0) {
+        return firstCheck.value;
+    }
+
+    log.warn(`Generated ${what} failed validation, asking for a repair`, { problems: firstCheck.errors });
+    if (onRepair) {
+        onRepair(firstCheck.errors);
+    }
+
+    // Keep the conversation going: show Claude its own answer and what to fix
+    const repair = await llm.complete({
+        messages: [
+            ...messages,
+            { role: 'assistant', content: text },
+            { role: 'user', content: buildRepairPrompt(firstCheck.errors, what) }
+        ],
+        signal: signal
+    });
+    logUsage(log, 'Repair', repair.usage);
+
+    const secondCheck = checkJsonText(repair.text, validate);
+    if (secondCheck.errors.length > 0) {
+        throw new ItineraryFormatError(secondCheck.errors);
+    }
+    return secondCheck.value;
+}
+
+// ============================================
+// HELPER FUNCTION: Generate a Structured Itinerary
+// ============================================
+// Calls Claude, then checks (and if needed repairs) the reply.
+async function generateStructuredItinerary(llm, prompt, { log = defaultLog } = {}) {
+    const messages = [{ role: 'user', content: prompt }];
+
+    const result = await llm.complete({ messages: messages });
+    logUsage(log, 'Generation', result.usage);
+
+    return checkOrRepairItinerary(llm, messages, result.text, { log: log });
+}
+
+// ============================================
+// HELPER FUNCTION: Enforce the Trip's Constraints
+// ============================================
+// A valid itinerary can still be wrong for the trip: a day too few, two
+// activities at the same time, a steakhouse for a vegetarian...
+// If lib/constraints.js finds "fixable" problems we ask Claude ONCE to
+// fix them, and keep the new version only if it has fewer of them.
+// Whatever is left over is returned as "warnings" for the traveler.
+// "messages" is the conversation that produced "itinerary".
+// Options:
+// - "onFix" is called right before the fix request (like "onRepair")
+// - "signal" cancels the fix request if the browser disconnects
+// - "log" is the logger to use
+// Returns { itinerary, warnings }.
+async function enforceConstraints(llm, messages, itinerary, request, { onFix, signal, log = defaultLog } = {}) {
+    const warnings = checkConstraints(itinerary, request);
+    const fixable = warnings.filter(warning => warning.fixable);
+    if (fixable.length === 0) {
+        return { itinerary, warnings };
+    }
+
+    log.warn('Generated itinerary does not fit the request, asking for a fix', { problems: fixable.map(warning => warning.code) });
+    // ^ Just the codes: the messages quote place names from the request
+    if (onFix) {
+        onFix(fixable);
+    }
+
+    const fixMessages = [
+        ...messages,
+        { role: 'assistant', content: JSON.stringify(itinerary) },
+        { role: 'user', content: buildConstraintFixPrompt(fixable) }
+    ];
+    const fix = await llm.complete({ messages: fixMessages, signal: signal });
+    logUsage(log, 'Constraint fix', fix.usage);
+
+    let fixed;
+    try {
+        fixed = await checkOrRepairItinerary(llm, fixMessages, fix.text, { signal: signal, log: log });
+    } catch (error) {
+        if (!(error instanceof ItineraryFormatError)) {
+            throw error;
+        }
+        log.warn('Fixed itinerary was not in the expected format, keeping the first one');
+        return { itinerary, warnings };
+        // ^ The first itinerary is still valid, just not perfect
+    }
+
+    const fixedWarnings = checkConstraints(fixed, request);
+    if (fixedWarnings.filter(warning => warning.fixable).length >= fixable.length) {
+        log.warn('The fix did not help, keeping the first itinerary');
+        return { itinerary, warnings };
+    }
+    return { itinerary: fixed, warnings: fixedWarnings };
+}
+
+module.exports = {
+    checkOrRepair,
+    checkOrRepairItinerary,
+    enforceConstraints,
+    generateStructuredItinerary,
+    logUsage,
+    trackUsage,
+    trimConversation
+};
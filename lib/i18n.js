@@ -0,0 +1,1434 @@
+// ============================================
+// I18N - The Pages in Your Language
+// ============================================
+// "i18n" is short for "internationalization" (an i, 18 letters, an n).
+// Every piece of text the pages show comes from a translation
+// "catalog": one per language, with the same keys in each.
+//
+// Usage:
+//   translate('es', 'form.submit')                   -> '¡generar itinerario!'
+//   translate('fr', 'results.dayReady', { day: 2 })  -> '✍️ Le jour 2 est prêt - ...'
+//   translate('en', 'wait.minutes', { count: 1 })    -> '1 minute'
+//   formatDate('de', '2025-11-01')                   -> 'Sa., 1. Nov.'
+//   formatMoney('fr', 1840, 'EUR')                   -> '1 840,00 €'
+//
+// "{name}" in a message is replaced by params.name. A message that
+// depends on a number is an object with one form per plural category
+// ({ one: "...", other: "..." }) - Intl.PluralRules picks the right one.
+// A key missing from a catalog falls back to English.
+//
+// Dates, numbers and money are formatted by the browser's built-in Intl
+// objects, which know how every language writes them.
+//
+// The pages load this file directly (see locale.js, which picks the
+// language), and the tests load it in Node.js to check that every
+// catalog has every key - so, like lib/tripRequest.js, it doesn't
+// require() anything.
+//
+// Adding a language: copy the "en" catalog, translate the values (not
+// the keys!) and add it to CATALOGS. The menu on each page lists it
+// by its own "locale.name".
+
+const DEFAULT_LOCALE = 'en';
+
+const CATALOGS = {
+    en: {
+        'locale.name': 'English',
+
+        // On every page
+        'page.resultsTitle': 'roamie - your itinerary',
+        'page.tripsTitle': 'roamie - my trips',
+        'nav.language': 'language',
+        'nav.myTrips': 'my trips →',
+        'nav.myTripsButton': 'my trips',
+        'nav.createNew': '← create new itinerary',
+        'account.loggedInAs': 'logged in as {username} · ',
+        'account.logOut': 'log out',
+        'account.logIn': 'log in / sign up',
+        'account.logInToSave': '{link} to save your trips',
+        'account.offline': "📴 offline · showing what's saved on this device",
+        'page.loginTitle': 'roamie - log in',
+        'login.heading': 'log in or sign up',
+        'login.back': '← back to the planner',
+        'login.username': 'username: ',
+        'login.password': 'password (at least 8 characters): ',
+        'login.logIn': 'log in',
+        'login.signUp': 'create an account',
+        'login.wrongDetails': 'Wrong username or password.',
+        'login.tooMany': 'Too many attempts - please wait a bit and try again.',
+        'login.failed': 'Sorry, something went wrong. Please try again.',
+
+        // The form (index.html and script.js)
+        'form.heading': 'travel itinerary generator',
+        'profile.legend': 'traveler profile',
+        'profile.hint': 'save the people and preferences below as a profile, and fill them in again next time.',
+        'profile.use': 'use a saved profile: ',
+        'profile.pickOne': '- pick one -',
+        'profile.delete': 'delete',
+        'profile.saveAs': 'save the preferences below as: ',
+        'profile.namePlaceholder': 'ex: family trips',
+        'profile.save': 'save profile',
+        'profile.needName': 'Give the profile a name first.',
+        'profile.saved': 'Saved "{name}".',
+        'profile.filledIn': 'Filled in "{name}" - change anything you like.',
+        'profile.confirmDelete': 'Delete the profile "{name}"?',
+        'profile.deleted': 'Deleted "{name}".',
+        'form.origin': 'original city: ',
+        'form.originPlaceholder': 'ex: SFO, PDX',
+        'form.stopsLegend': 'where to?',
+        'form.stopsHint': "add more stops for a multi-city trip. each stop starts on the day the one before it ends - that's your travel day.",
+        'form.addStop': '+ add another stop',
+        'form.stopHeading': 'stop {number}',
+        'form.destination': 'destination city:',
+        'form.destinationPlaceholder': 'ex: Lisbon',
+        'form.startDate': 'start date:',
+        'form.endDate': 'end date:',
+        'form.removeStop': 'remove this stop',
+        'form.numPeople': 'number of people: ',
+        'form.numPeoplePlaceholder': 'ex: 1, 2, 3',
+        'form.budget': 'total budget (optional): ',
+        'form.budgetPlaceholder': 'ex: 2000',
+        'form.currency': 'currency: ',
+        'form.language': 'write my itinerary in: ',
+        'form.activity': 'activity preferences: ',
+        'activity.sightseeing': 'sightseeing',
+        'activity.outdoor': 'outdoor',
+        'activity.museums': 'museums',
+        'activity.nightlife': 'nightlife',
+        'activity.shopping': 'shopping',
+        'activity.relaxation': 'relaxation',
+        'form.food': 'food preferences: ',
+        'food.local': 'local cuisine',
+        'food.fine': 'fine dining',
+        'food.street': 'street food',
+        'food.veg': 'vegetarian or vegan',
+        'food.international': 'international cuisine',
+        'form.moreLegend': 'more about you (optional)',
+        'form.noPreference': 'no preference',
+        'form.pace': 'pace: ',
+        'pace.relaxed': 'relaxed - a few things a day',
+        'pace.moderate': 'moderate',
+        'pace.packed': 'packed - see as much as possible',
+        'form.accessibility': 'accessibility needs: ',
+        'accessibility.wheelchair': 'wheelchair user',
+        'accessibility.limited-walking': 'short walks only',
+        'accessibility.step-free': 'no stairs (step-free access)',
+        'accessibility.low-vision': 'low vision',
+        'accessibility.hearing': 'hard of hearing',
+        'form.dietary': 'dietary restrictions: ',
+        'dietary.vegetarian': 'vegetarian',
+        'dietary.vegan': 'vegan',
+        'dietary.pescatarian': 'pescatarian',
+        'dietary.halal': 'halal',
+        'dietary.kosher': 'kosher',
+        'dietary.gluten-free': 'gluten-free',
+        'dietary.dairy-free': 'dairy-free',
+        'dietary.nut-free': 'nut-free',
+        'form.allergies': 'allergies: ',
+        'form.allergiesPlaceholder': 'ex: peanuts, shellfish',
+        'form.childrenAges': "children's ages (count them in the number of people): ",
+        'form.childrenAgesPlaceholder': 'ex: 4, 9',
+        'form.lodging': 'where to stay: ',
+        'lodging.hotel': 'hotel',
+        'lodging.boutique': 'boutique hotel',
+        'lodging.hostel': 'hostel',
+        'lodging.apartment': 'apartment',
+        'lodging.bnb': 'bed and breakfast',
+        'lodging.resort': 'resort',
+        'form.neighborhood': 'neighborhood: ',
+        'form.neighborhoodPlaceholder': 'ex: Alfama',
+        'form.mustSee': 'must see (one per line): ',
+        'form.mustSeePlaceholder': 'ex: Belém Tower',
+        'form.mustAvoid': 'rather avoid (one per line): ',
+        'form.mustAvoidPlaceholder': 'ex: long bus tours',
+        'form.submit': 'generate itinerary!',
+
+        // The results page (results.html and results.js)
+        'results.heading': 'your travel itinerary',
+        'results.generating': '🤖 Generating your personalized itinerary...',
+        'results.takesSeconds': 'This may take a few seconds!',
+        'results.generatingFresh': '🤖 Generating a fresh itinerary...',
+        'results.polishing': '🔧 Polishing your itinerary...',
+        'results.fixing': "🧭 Fixing a few things that don't fit your trip...",
+        'results.dayReady': '✍️ Day {day} is ready - still writing the rest of your trip...',
+        'results.loadingSaved': '📂 Loading your saved trip...',
+        'results.loadingShared': '📂 Loading the shared trip...',
+        'results.makeFresh': '🔄 make a fresh one',
+        'results.cacheNotice': '♻️ You asked for this exact trip before, so this is the itinerary from {date}.',
+        'results.sharedNotice': "👀 Someone shared this trip with you. It's read-only.",
+        'results.addToCalendar': '📅 add to calendar (.ics)',
+        'results.printable': '🖨️ printable version',
+        'print.button': 'print / save as PDF',
+        'print.time': 'Time',
+        'print.plan': 'Plan',
+        'print.type': 'Type',
+        'print.cost': 'Est. cost',
+        'editor.edit': '✏️ edit itinerary',
+        'editor.undo': '↶ undo',
+        'editor.redo': '↷ redo',
+        'editor.save': '💾 save changes',
+        'editor.cancel': 'cancel',
+        'editor.intro': 'Drag items to move them, or change anything you like. Nothing is saved until you click "save changes".',
+        'editor.confirmCancel': 'Throw away your changes?',
+        'editor.saving': '💾 Saving...',
+        'editor.fixFirst': 'Please fix this first: {problems}',
+        'editor.saved': '✅ Changes saved',
+        'editor.saveFailed': "Sorry, your changes couldn't be saved. Please try again.",
+        'editor.planningDay': '🤖 Planning a new day {day}...',
+        'editor.replacingItem': '🤖 Looking for something instead of "{title}"...',
+        'editor.replaced': "✨ Here's something different. Don't like it? Undo brings the old one back.",
+        'editor.tooMany': 'Too many requests at once - please wait about {wait} and try again.',
+        'editor.failed': "Sorry, that didn't work. Please try again.",
+        'editor.dayTitle': 'Day title',
+        'editor.newDay': '🔄 new day',
+        'editor.newDayLabel': 'Ask for a different plan for day {day}',
+        'editor.addItem': '+ add item',
+        'editor.addItemLabel': 'Add an item to the end of this day',
+        'editor.newItemTitle': 'New activity',
+        'editor.dragToMove': 'Drag to move',
+        'editor.startTime': 'Start time',
+        'editor.endTime': 'End time',
+        'editor.title': 'Title',
+        'editor.category': 'Category',
+        'editor.location': 'Location',
+        'editor.cost': 'Estimated cost',
+        'editor.notes': 'Notes',
+        'editor.moveUp': 'Move up',
+        'editor.moveDown': 'Move down',
+        'editor.replaceItem': 'Ask for something different',
+        'editor.delete': 'Delete',
+        'editor.badDay': 'day {day}: check "{field}"',
+        'editor.badItem': 'day {day}, item {item}: check "{field}"',
+        'editor.badItinerary': "something in the itinerary isn't filled in right",
+        'share.button': '🔗 share a read-only link',
+        'share.explain': 'anyone with this link can see (but not change) this trip:',
+        'share.stop': 'stop sharing',
+        'share.failed': "Sorry, we couldn't make a share link. Please try again.",
+        'share.confirmStop': "Stop sharing? Anyone with the link won't be able to see this trip anymore.",
+        'share.stopFailed': "Sorry, we couldn't turn the link off. Please try again.",
+        'refine.label': 'want to change something? ',
+        'refine.placeholder': 'ex: swap day 2 afternoon for something indoors',
+        'refine.button': 'refine itinerary',
+        'refine.updating': '🤖 Updating your itinerary...',
+        'refine.queued': "📴 You're offline - we'll make this change as soon as you're back online.",
+        'refine.offline': "📴 You're offline - please try again once you're back online.",
+        'refine.tooMany': 'Too many changes at once - please wait about {wait} and try again.',
+        'refine.failed': "Sorry, that change didn't work. Please try again.",
+        'refine.reference': ' (Reference: {id})',
+        'save.needLogin': '🔒 {link} to save this trip, refine it and share it.',
+        'save.loginLink': 'log in or sign up',
+        'save.saved': '✅ Saved to my trips',
+        'save.failed': '⚠️ This trip could not be saved',
+        'save.offlineCopy': "📴 You're offline - this is the copy saved on this device",
+        'error.fixDetails': 'Some of your trip details need fixing:',
+        'error.rate_limited': 'Too many requests, please slow down.',
+        'error.quota_exceeded': 'The daily limit for new itineraries has been reached.',
+        'error.tryAgainIn': 'Please try again in about {wait}.',
+        'error.interrupted': 'Sorry, your itinerary was interrupted before it was finished.',
+        'error.interruptedHint': 'Any days shown below are only part of the trip. Please go back and try again.',
+        'error.generating': 'Sorry, there was an error generating your itinerary.',
+        'error.reference': 'Reference: {id}',
+        'error.offline': "📴 You're offline.",
+        'error.queuedGenerate': "We'll make your itinerary as soon as you're back online - keep this page open, or find it later in my trips.",
+        'error.tryOnline': "Please try again once you're back online.",
+        'error.queueFailed': "Sorry, the request you made while offline didn't work.",
+        'error.loadTrip': "Sorry, we couldn't load that trip.",
+        'error.loadTripHint': 'It may have been deleted. Check your saved trips or create a new itinerary.',
+        'error.loadShared': "Sorry, we couldn't load that shared trip.",
+        'error.loadSharedHint': 'The link may have been turned off by the person who shared it.',
+        'advice.upstream_timeout': 'The AI took too long to answer. Please try again.',
+        'advice.upstream_overloaded': 'The AI is very busy right now. Please try again in a minute or two.',
+        'advice.upstream_auth': "The server couldn't connect to the AI. Please let us know.",
+        'advice.upstream_unavailable': "The server couldn't reach the AI. Please try again in a little while.",
+        'advice.default': 'Please go back and try again.',
+        'wait.seconds': { one: '{count} second', other: '{count} seconds' },
+        'wait.minutes': { one: '{count} minute', other: '{count} minutes' },
+        'wait.hours': { one: '{count} hour', other: '{count} hours' },
+        'changes.youAsked': 'You asked: "{instruction}"',
+        'changes.nothing': 'Nothing changed - try describing the change differently.',
+        'changes.trip': 'Trip',
+        'changes.day': 'Day {day}',
+        'changes.item.added': '{where}: added "{item}"',
+        'changes.item.removed': '{where}: removed "{item}"',
+        'changes.item.changed': '{where}: changed "{item}" ({fields})',
+        'changes.fields': '{where}: changed {fields}',
+        'changes.wholeDay.added': '{where}: added the whole day',
+        'changes.wholeDay.removed': '{where}: removed the whole day',
+        'itinerary.tips': 'Travel Tips',
+        'itinerary.day': 'Day {day} ({date})',
+        'itinerary.travelDay': 'Travel day: {from} → {to}',
+        'itinerary.about': 'about {duration}',
+        'itinerary.planned': 'planned',
+        'itinerary.warnings': '⚠️ Worth a second look',
+        'mode.train': 'train',
+        'mode.flight': 'flight',
+        'mode.drive': 'drive',
+        'mode.bus': 'bus',
+        'mode.ferry': 'ferry',
+        'category.lodging': 'lodging',
+        'category.food': 'food',
+        'category.activity': 'activity',
+        'category.activities': 'activities',
+        'category.transport': 'transport',
+        'category.other': 'other',
+        'budget.heading': 'Budget',
+        'budget.total': {
+            one: 'Estimated total: {total} ({perPerson} per person for {count} traveler)',
+            other: 'Estimated total: {total} ({perPerson} per person for {count} travelers)'
+        },
+        'budget.otherCurrency': 'Your budget is {budget}, but this itinerary is priced in {currency}.',
+        'budget.over': '⚠️ Over your {budget} budget by {amount}',
+        'budget.within': '✅ Within your {budget} budget ({amount} to spare)',
+        'budget.columnDay': 'Day',
+        'budget.columnTotal': 'Total',
+        'budget.columnPerPerson': 'Per person',
+        'budget.columnCategory': 'Category',
+        'cost.free': 'free',
+
+        // What's wrong with a field (see problem() in lib/tripRequest.js), and the
+        // warnings about an itinerary (see lib/constraints.js)
+        'field.origin': 'origin city',
+        'field.destination': 'destination city',
+        'field.start': 'start date',
+        'field.end': 'end date',
+        'field.numPeople': 'number of people',
+        'field.activity': 'activity preferences',
+        'field.food': 'food preferences',
+        'field.pace': 'pace',
+        'field.accessibility': 'accessibility needs',
+        'field.dietary': 'dietary restrictions',
+        'field.allergies': 'allergies',
+        'field.childrenAges': "children's ages",
+        'field.lodging': 'place to stay',
+        'field.neighborhood': 'neighborhood',
+        'field.must-see': 'must-see list',
+        'field.must-avoid': '"rather avoid" list',
+        'field.language': 'itinerary language',
+        'field.username': 'username',
+        'field.password': 'password',
+        'problem.missing': 'Please fill in the {field}.',
+        'problem.not-text': 'The {field} must be text.',
+        'problem.too-long': 'The {field} can be at most {max} characters.',
+        'problem.bad-date': 'The {field} must be a real date.',
+        'problem.not-list': 'The {field} must be a list.',
+        'problem.not-option': 'Please pick from the choices for the {field}.',
+        'problem.entry-too-long': 'Each place in the {field} can be at most {max} characters.',
+        'problem.too-many-entries': 'The {field} can have at most {max} places.',
+        'problem.num-people': 'The number of people must be a whole number from 1 to {max}.',
+        'problem.budget-too-low': 'The budget must be a number greater than 0.',
+        'problem.budget-too-high': 'The budget can be at most {max}.',
+        'problem.currency-format': 'The currency must be a three-letter code like "USD".',
+        'problem.children-ages': "Children's ages must be whole numbers from 0 to {max}, separated by commas.",
+        'problem.no-stops': 'Please add at least one stop.',
+        'problem.too-many-stops': 'A trip can have at most {max} stops.',
+        'problem.stop-missing': 'Stop {stop} is missing its details.',
+        'problem.stop-ends-early': 'This stop must end on or after the day it starts.',
+        'problem.stop-start': "Stop {stop} must start the day stop {previous} ends ({date}) - that's your travel day.",
+        'problem.end-before-start': 'The end date must be on or after the start date.',
+        'problem.trip-too-long': 'A trip can be at most {max} days long.',
+        'problem.no-adult': 'At least one traveler must be an adult - children are counted in the number of people.',
+        'problem.currency-needed': 'Please pick a currency for your budget.',
+        'problem.request-missing': 'The trip details are missing.',
+        'problem.username-format': 'Usernames are 3 to 30 letters, numbers, "_", "-" or ".".',
+        'problem.password-length': 'Passwords must be {min} to {max} characters.',
+        'problem.username-taken': 'That username is taken.',
+        'warning.day-count': { one: 'The trip is {count} day long, but the itinerary has {actual}.', other: 'The trip is {count} days long, but the itinerary has {actual}.' },
+        'warning.dates': 'Day {day} is dated {date}, outside the trip ({start} to {end}).',
+        'warning.datesOrder': 'Day {day} is dated {date}, but day {position} of the trip is {expected}.',
+        'warning.overlap': 'Day {day}: "{first}" ({firstTime}) overlaps "{second}" ({secondTime}).',
+        'warning.budget': 'The estimated costs add up to {total}, which is {over} over the budget of {budget}.',
+        'warning.diet': 'Day {day}: "{item}" mentions "{word}", which doesn\'t look {diet}.',
+        'warning.must-avoid': 'Day {day}: "{item}" is something you wanted to avoid ("{place}").',
+        'warning.must-see': '"{place}" was on your must-see list, but isn\'t in the itinerary.',
+
+        // The "my trips" page (trips.html and trips.js)
+        'trips.heading': 'my trips',
+        'trips.loading': '📂 Loading your saved trips...',
+        'trips.offline': "📴 You're offline - these are the trips saved on this device.",
+        'trips.waiting': 'waiting for a connection',
+        'trips.empty': "You haven't saved any trips yet.",
+        'trips.loadFailed': "Sorry, we couldn't load your saved trips.",
+        'trips.loadFailedHint': 'Please try again in a moment.',
+        'trips.dates': '{destination} · {start} to {end}',
+        'trips.shared': ' · 🔗 shared',
+        'trips.delete': 'delete',
+        'trips.confirmDelete': 'Delete "{title}"? This can\'t be undone.',
+        'trips.deleteFailed': "Sorry, that trip couldn't be deleted. Please try again.",
+        'trips.queuedGenerate': 'a new itinerary for {destination}',
+        'trips.queuedRefine': '"{instruction}" for a saved trip',
+        'trips.queuedAt': '{what} (asked for {date})'
+    },
+
+    es: {
+        'locale.name': 'Español',
+
+        'page.resultsTitle': 'roamie - tu itinerario',
+        'page.tripsTitle': 'roamie - mis viajes',
+        'nav.language': 'idioma',
+        'nav.myTrips': 'mis viajes →',
+        'nav.myTripsButton': 'mis viajes',
+        'nav.createNew': '← crear un itinerario nuevo',
+        'account.loggedInAs': 'sesión iniciada como {username} · ',
+        'account.logOut': 'cerrar sesión',
+        'account.logIn': 'iniciar sesión / registrarse',
+        'account.logInToSave': '{link} para guardar tus viajes',
+        'account.offline': '📴 sin conexión · se muestra lo guardado en este dispositivo',
+        'page.loginTitle': 'roamie - iniciar sesión',
+        'login.heading': 'inicia sesión o regístrate',
+        'login.back': '← volver al planificador',
+        'login.username': 'nombre de usuario: ',
+        'login.password': 'contraseña (al menos 8 caracteres): ',
+        'login.logIn': 'iniciar sesión',
+        'login.signUp': 'crear una cuenta',
+        'login.wrongDetails': 'Nombre de usuario o contraseña incorrectos.',
+        'login.tooMany': 'Demasiados intentos: espera un poco e inténtalo de nuevo.',
+        'login.failed': 'Lo sentimos, algo salió mal. Inténtalo de nuevo.',
+
+        'form.heading': 'generador de itinerarios de viaje',
+        'profile.legend': 'perfil de viajero',
+        'profile.hint': 'guarda las personas y preferencias de abajo como un perfil y vuelve a rellenarlas la próxima vez.',
+        'profile.use': 'usar un perfil guardado: ',
+        'profile.pickOne': '- elige uno -',
+        'profile.delete': 'eliminar',
+        'profile.saveAs': 'guardar las preferencias de abajo como: ',
+        'profile.namePlaceholder': 'ej.: viajes en familia',
+        'profile.save': 'guardar perfil',
+        'profile.needName': 'Primero ponle un nombre al perfil.',
+        'profile.saved': 'Se guardó "{name}".',
+        'profile.filledIn': 'Se rellenó "{name}": cambia lo que quieras.',
+        'profile.confirmDelete': '¿Eliminar el perfil "{name}"?',
+        'profile.deleted': 'Se eliminó "{name}".',
+        'form.origin': 'ciudad de origen: ',
+        'form.originPlaceholder': 'ej.: SFO, PDX',
+        'form.stopsLegend': '¿a dónde?',
+        'form.stopsHint': 'añade más paradas para un viaje por varias ciudades. cada parada empieza el día en que termina la anterior: ese es tu día de viaje.',
+        'form.addStop': '+ añadir otra parada',
+        'form.stopHeading': 'parada {number}',
+        'form.destination': 'ciudad de destino:',
+        'form.destinationPlaceholder': 'ej.: Lisboa',
+        'form.startDate': 'fecha de inicio:',
+        'form.endDate': 'fecha de fin:',
+        'form.removeStop': 'quitar esta parada',
+        'form.numPeople': 'número de personas: ',
+        'form.numPeoplePlaceholder': 'ej.: 1, 2, 3',
+        'form.budget': 'presupuesto total (opcional): ',
+        'form.budgetPlaceholder': 'ej.: 2000',
+        'form.currency': 'moneda: ',
+        'form.language': 'escribir mi itinerario en: ',
+        'form.activity': 'actividades preferidas: ',
+        'activity.sightseeing': 'turismo',
+        'activity.outdoor': 'al aire libre',
+        'activity.museums': 'museos',
+        'activity.nightlife': 'vida nocturna',
+        'activity.shopping': 'compras',
+        'activity.relaxation': 'descanso',
+        'form.food': 'preferencias de comida: ',
+        'food.local': 'cocina local',
+        'food.fine': 'alta cocina',
+        'food.street': 'comida callejera',
+        'food.veg': 'vegetariana o vegana',
+        'food.international': 'cocina internacional',
+        'form.moreLegend': 'más sobre ti (opcional)',
+        'form.noPreference': 'sin preferencia',
+        'form.pace': 'ritmo: ',
+        'pace.relaxed': 'tranquilo - pocas cosas al día',
+        'pace.moderate': 'moderado',
+        'pace.packed': 'intenso - ver todo lo posible',
+        'form.accessibility': 'necesidades de accesibilidad: ',
+        'accessibility.wheelchair': 'usuario de silla de ruedas',
+        'accessibility.limited-walking': 'solo paseos cortos',
+        'accessibility.step-free': 'sin escaleras (acceso sin escalones)',
+        'accessibility.low-vision': 'baja visión',
+        'accessibility.hearing': 'dificultad auditiva',
+        'form.dietary': 'restricciones alimentarias: ',
+        'dietary.vegetarian': 'vegetariana',
+        'dietary.vegan': 'vegana',
+        'dietary.pescatarian': 'pescetariana',
+        'dietary.halal': 'halal',
+        'dietary.kosher': 'kosher',
+        'dietary.gluten-free': 'sin gluten',
+        'dietary.dairy-free': 'sin lácteos',
+        'dietary.nut-free': 'sin frutos secos',
+        'form.allergies': 'alergias: ',
+        'form.allergiesPlaceholder': 'ej.: cacahuetes, marisco',
+        'form.childrenAges': 'edades de los niños (cuéntalos en el número de personas): ',
+        'form.childrenAgesPlaceholder': 'ej.: 4, 9',
+        'form.lodging': 'dónde alojarse: ',
+        'lodging.hotel': 'hotel',
+        'lodging.boutique': 'hotel boutique',
+        'lodging.hostel': 'albergue',
+        'lodging.apartment': 'apartamento',
+        'lodging.bnb': 'alojamiento con desayuno',
+        'lodging.resort': 'resort',
+        'form.neighborhood': 'barrio: ',
+        'form.neighborhoodPlaceholder': 'ej.: Alfama',
+        'form.mustSee': 'imprescindibles (uno por línea): ',
+        'form.mustSeePlaceholder': 'ej.: Torre de Belém',
+        'form.mustAvoid': 'prefiero evitar (uno por línea): ',
+        'form.mustAvoidPlaceholder': 'ej.: excursiones largas en autobús',
+        'form.submit': '¡generar itinerario!',
+
+        'results.heading': 'tu itinerario de viaje',
+        'results.generating': '🤖 Generando tu itinerario personalizado...',
+        'results.takesSeconds': '¡Puede tardar unos segundos!',
+        'results.generatingFresh': '🤖 Generando un itinerario nuevo...',
+        'results.polishing': '🔧 Puliendo tu itinerario...',
+        'results.fixing': '🧭 Corrigiendo algunas cosas que no encajan con tu viaje...',
+        'results.dayReady': '✍️ El día {day} está listo - seguimos escribiendo el resto del viaje...',
+        'results.loadingSaved': '📂 Cargando tu viaje guardado...',
+        'results.loadingShared': '📂 Cargando el viaje compartido...',
+        'results.makeFresh': '🔄 crear uno nuevo',
+        'results.cacheNotice': '♻️ Ya pediste exactamente este viaje, así que este es el itinerario del {date}.',
+        'results.sharedNotice': '👀 Alguien compartió este viaje contigo. Es de solo lectura.',
+        'results.addToCalendar': '📅 añadir al calendario (.ics)',
+        'results.printable': '🖨️ versión para imprimir',
+        'print.button': 'imprimir / guardar como PDF',
+        'print.time': 'Hora',
+        'print.plan': 'Plan',
+        'print.type': 'Tipo',
+        'print.cost': 'Coste est.',
+        'editor.edit': '✏️ editar itinerario',
+        'editor.undo': '↶ deshacer',
+        'editor.redo': '↷ rehacer',
+        'editor.save': '💾 guardar cambios',
+        'editor.cancel': 'cancelar',
+        'editor.intro': 'Arrastra los elementos para moverlos o cambia lo que quieras. No se guarda nada hasta que hagas clic en «guardar cambios».',
+        'editor.confirmCancel': '¿Descartar tus cambios?',
+        'editor.saving': '💾 Guardando...',
+        'editor.fixFirst': 'Corrige esto primero: {problems}',
+        'editor.saved': '✅ Cambios guardados',
+        'editor.saveFailed': 'Lo sentimos, no se pudieron guardar tus cambios. Inténtalo de nuevo.',
+        'editor.planningDay': '🤖 Planeando un nuevo día {day}...',
+        'editor.replacingItem': '🤖 Buscando algo en lugar de «{title}»...',
+        'editor.replaced': '✨ Aquí tienes algo diferente. ¿No te gusta? Deshacer recupera lo anterior.',
+        'editor.tooMany': 'Demasiadas solicitudes a la vez: espera unos {wait} e inténtalo de nuevo.',
+        'editor.failed': 'Lo sentimos, no funcionó. Inténtalo de nuevo.',
+        'editor.dayTitle': 'Título del día',
+        'editor.newDay': '🔄 nuevo día',
+        'editor.newDayLabel': 'Pedir un plan diferente para el día {day}',
+        'editor.addItem': '+ añadir elemento',
+        'editor.addItemLabel': 'Añadir un elemento al final de este día',
+        'editor.newItemTitle': 'Nueva actividad',
+        'editor.dragToMove': 'Arrastra para mover',
+        'editor.startTime': 'Hora de inicio',
+        'editor.endTime': 'Hora de fin',
+        'editor.title': 'Título',
+        'editor.category': 'Categoría',
+        'editor.location': 'Lugar',
+        'editor.cost': 'Coste estimado',
+        'editor.notes': 'Notas',
+        'editor.moveUp': 'Subir',
+        'editor.moveDown': 'Bajar',
+        'editor.replaceItem': 'Pedir algo diferente',
+        'editor.delete': 'Eliminar',
+        'editor.badDay': 'día {day}: revisa «{field}»',
+        'editor.badItem': 'día {day}, elemento {item}: revisa «{field}»',
+        'editor.badItinerary': 'algo del itinerario no está bien rellenado',
+        'share.button': '🔗 compartir un enlace de solo lectura',
+        'share.explain': 'cualquiera con este enlace puede ver (pero no cambiar) este viaje:',
+        'share.stop': 'dejar de compartir',
+        'share.failed': 'Lo sentimos, no pudimos crear un enlace para compartir. Inténtalo de nuevo.',
+        'share.confirmStop': '¿Dejar de compartir? Quien tenga el enlace ya no podrá ver este viaje.',
+        'share.stopFailed': 'Lo sentimos, no pudimos desactivar el enlace. Inténtalo de nuevo.',
+        'refine.label': '¿quieres cambiar algo? ',
+        'refine.placeholder': 'ej.: cambia la tarde del día 2 por algo bajo techo',
+        'refine.button': 'ajustar itinerario',
+        'refine.updating': '🤖 Actualizando tu itinerario...',
+        'refine.queued': '📴 Estás sin conexión: haremos este cambio en cuanto vuelvas a estar en línea.',
+        'refine.offline': '📴 Estás sin conexión: inténtalo de nuevo cuando vuelvas a estar en línea.',
+        'refine.tooMany': 'Demasiados cambios a la vez: espera unos {wait} e inténtalo de nuevo.',
+        'refine.failed': 'Lo sentimos, ese cambio no funcionó. Inténtalo de nuevo.',
+        'refine.reference': ' (Referencia: {id})',
+        'save.needLogin': '🔒 {link} para guardar este viaje, ajustarlo y compartirlo.',
+        'save.loginLink': 'inicia sesión o regístrate',
+        'save.saved': '✅ Guardado en mis viajes',
+        'save.failed': '⚠️ No se pudo guardar este viaje',
+        'save.offlineCopy': '📴 Estás sin conexión: esta es la copia guardada en este dispositivo',
+        'error.fixDetails': 'Hay que corregir algunos datos de tu viaje:',
+        'error.rate_limited': 'Demasiadas solicitudes, ve más despacio.',
+        'error.quota_exceeded': 'Se alcanzó el límite diario de itinerarios nuevos.',
+        'error.tryAgainIn': 'Inténtalo de nuevo en unos {wait}.',
+        'error.interrupted': 'Lo sentimos, tu itinerario se interrumpió antes de terminar.',
+        'error.interruptedHint': 'Los días que ves abajo son solo una parte del viaje. Vuelve atrás e inténtalo de nuevo.',
+        'error.generating': 'Lo sentimos, hubo un error al generar tu itinerario.',
+        'error.reference': 'Referencia: {id}',
+        'error.offline': '📴 Estás sin conexión.',
+        'error.queuedGenerate': 'Crearemos tu itinerario en cuanto vuelvas a estar en línea: deja esta página abierta o búscalo después en mis viajes.',
+        'error.tryOnline': 'Inténtalo de nuevo cuando vuelvas a estar en línea.',
+        'error.queueFailed': 'Lo sentimos, la solicitud que hiciste sin conexión no funcionó.',
+        'error.loadTrip': 'Lo sentimos, no pudimos cargar ese viaje.',
+        'error.loadTripHint': 'Puede que se haya eliminado. Revisa tus viajes guardados o crea un itinerario nuevo.',
+        'error.loadShared': 'Lo sentimos, no pudimos cargar ese viaje compartido.',
+        'error.loadSharedHint': 'Puede que la persona que lo compartió haya desactivado el enlace.',
+        'advice.upstream_timeout': 'La IA tardó demasiado en responder. Inténtalo de nuevo.',
+        'advice.upstream_overloaded': 'La IA está muy ocupada ahora mismo. Inténtalo de nuevo en un par de minutos.',
+        'advice.upstream_auth': 'El servidor no pudo conectarse a la IA. Avísanos, por favor.',
+        'advice.upstream_unavailable': 'El servidor no pudo comunicarse con la IA. Inténtalo de nuevo dentro de un rato.',
+        'advice.default': 'Vuelve atrás e inténtalo de nuevo.',
+        'wait.seconds': { one: '{count} segundo', other: '{count} segundos' },
+        'wait.minutes': { one: '{count} minuto', other: '{count} minutos' },
+        'wait.hours': { one: '{count} hora', other: '{count} horas' },
+        'changes.youAsked': 'Pediste: "{instruction}"',
+        'changes.nothing': 'No cambió nada: intenta describir el cambio de otra forma.',
+        'changes.trip': 'Viaje',
+        'changes.day': 'Día {day}',
+        'changes.item.added': '{where}: se añadió "{item}"',
+        'changes.item.removed': '{where}: se quitó "{item}"',
+        'changes.item.changed': '{where}: se cambió "{item}" ({fields})',
+        'changes.fields': '{where}: se cambió {fields}',
+        'changes.wholeDay.added': '{where}: se añadió el día completo',
+        'changes.wholeDay.removed': '{where}: se quitó el día completo',
+        'itinerary.tips': 'Consejos de viaje',
+        'itinerary.day': 'Día {day} ({date})',
+        'itinerary.travelDay': 'Día de viaje: {from} → {to}',
+        'itinerary.about': 'unas {duration}',
+        'itinerary.planned': 'previsto',
+        'itinerary.warnings': '⚠️ Conviene revisarlo',
+        'mode.train': 'tren',
+        'mode.flight': 'avión',
+        'mode.drive': 'coche',
+        'mode.bus': 'autobús',
+        'mode.ferry': 'ferri',
+        'category.lodging': 'alojamiento',
+        'category.food': 'comida',
+        'category.activity': 'actividad',
+        'category.activities': 'actividades',
+        'category.transport': 'transporte',
+        'category.other': 'otros',
+        'budget.heading': 'Presupuesto',
+        'budget.total': {
+            one: 'Total estimado: {total} ({perPerson} por persona para {count} viajero)',
+            other: 'Total estimado: {total} ({perPerson} por persona para {count} viajeros)'
+        },
+        'budget.otherCurrency': 'Tu presupuesto es de {budget}, pero este itinerario tiene precios en {currency}.',
+        'budget.over': '⚠️ Te pasas de tu presupuesto de {budget} por {amount}',
+        'budget.within': '✅ Dentro de tu presupuesto de {budget} (te sobran {amount})',
+        'budget.columnDay': 'Día',
+        'budget.columnTotal': 'Total',
+        'budget.columnPerPerson': 'Por persona',
+        'budget.columnCategory': 'Categoría',
+        'cost.free': 'gratis',
+
+        // Lo que está mal en un campo, y los avisos sobre un itinerario
+        'field.origin': 'ciudad de origen',
+        'field.destination': 'ciudad de destino',
+        'field.start': 'fecha de inicio',
+        'field.end': 'fecha de fin',
+        'field.numPeople': 'número de personas',
+        'field.activity': 'preferencias de actividades',
+        'field.food': 'preferencias de comida',
+        'field.pace': 'ritmo',
+        'field.accessibility': 'necesidades de accesibilidad',
+        'field.dietary': 'restricciones alimentarias',
+        'field.allergies': 'alergias',
+        'field.childrenAges': 'edades de los niños',
+        'field.lodging': 'dónde alojarse',
+        'field.neighborhood': 'barrio',
+        'field.must-see': 'imprescindibles',
+        'field.must-avoid': 'prefiero evitar',
+        'field.language': 'idioma del itinerario',
+        'field.username': 'nombre de usuario',
+        'field.password': 'contraseña',
+        'problem.missing': 'Rellena el campo «{field}».',
+        'problem.not-text': 'El campo «{field}» debe ser texto.',
+        'problem.too-long': 'El campo «{field}» puede tener como máximo {max} caracteres.',
+        'problem.bad-date': 'El campo «{field}» debe ser una fecha real.',
+        'problem.not-list': 'El campo «{field}» debe ser una lista.',
+        'problem.not-option': 'Elige una de las opciones del campo «{field}».',
+        'problem.entry-too-long': 'Cada lugar del campo «{field}» puede tener como máximo {max} caracteres.',
+        'problem.too-many-entries': 'El campo «{field}» puede tener como máximo {max} lugares.',
+        'problem.num-people': 'El número de personas debe ser un número entero del 1 al {max}.',
+        'problem.budget-too-low': 'El presupuesto debe ser un número mayor que 0.',
+        'problem.budget-too-high': 'El presupuesto puede ser como máximo {max}.',
+        'problem.currency-format': 'La moneda debe ser un código de tres letras como «USD».',
+        'problem.children-ages': 'Las edades de los niños deben ser números enteros del 0 al {max}, separados por comas.',
+        'problem.no-stops': 'Añade al menos una parada.',
+        'problem.too-many-stops': 'Un viaje puede tener como máximo {max} paradas.',
+        'problem.stop-missing': 'A la parada {stop} le faltan los datos.',
+        'problem.stop-ends-early': 'Esta parada debe terminar el mismo día en que empieza o después.',
+        'problem.stop-start': 'La parada {stop} debe empezar el día en que termina la parada {previous} ({date}): ese es tu día de viaje.',
+        'problem.end-before-start': 'La fecha de fin debe ser igual o posterior a la fecha de inicio.',
+        'problem.trip-too-long': 'Un viaje puede durar como máximo {max} días.',
+        'problem.no-adult': 'Al menos un viajero debe ser adulto: los niños cuentan en el número de personas.',
+        'problem.currency-needed': 'Elige una moneda para tu presupuesto.',
+        'problem.request-missing': 'Faltan los datos del viaje.',
+        'problem.username-format': 'Los nombres de usuario tienen de 3 a 30 letras, números, «_», «-» o «.».',
+        'problem.password-length': 'Las contraseñas deben tener de {min} a {max} caracteres.',
+        'problem.username-taken': 'Ese nombre de usuario ya está en uso.',
+        'warning.day-count': { one: 'El viaje dura {count} día, pero el itinerario tiene {actual}.', other: 'El viaje dura {count} días, pero el itinerario tiene {actual}.' },
+        'warning.dates': 'El día {day} tiene fecha {date}, fuera del viaje (del {start} al {end}).',
+        'warning.datesOrder': 'El día {day} tiene fecha {date}, pero el día {position} del viaje es {expected}.',
+        'warning.overlap': 'Día {day}: «{first}» ({firstTime}) se solapa con «{second}» ({secondTime}).',
+        'warning.budget': 'Los costes estimados suman {total}, es decir, {over} por encima del presupuesto de {budget}.',
+        'warning.diet': 'Día {day}: «{item}» menciona «{word}», que no parece apto para una dieta {diet}.',
+        'warning.must-avoid': 'Día {day}: «{item}» es algo que querías evitar («{place}»).',
+        'warning.must-see': '«{place}» estaba en tus imprescindibles, pero no está en el itinerario.',
+
+        'trips.heading': 'mis viajes',
+        'trips.loading': '📂 Cargando tus viajes guardados...',
+        'trips.offline': '📴 Estás sin conexión: estos son los viajes guardados en este dispositivo.',
+        'trips.waiting': 'esperando conexión',
+        'trips.empty': 'Todavía no has guardado ningún viaje.',
+        'trips.loadFailed': 'Lo sentimos, no pudimos cargar tus viajes guardados.',
+        'trips.loadFailedHint': 'Inténtalo de nuevo en un momento.',
+        'trips.dates': '{destination} · del {start} al {end}',
+        'trips.shared': ' · 🔗 compartido',
+        'trips.delete': 'eliminar',
+        'trips.confirmDelete': '¿Eliminar "{title}"? No se puede deshacer.',
+        'trips.deleteFailed': 'Lo sentimos, no se pudo eliminar ese viaje. Inténtalo de nuevo.',
+        'trips.queuedGenerate': 'un itinerario nuevo para {destination}',
+        'trips.queuedRefine': '"{instruction}" para un viaje guardado',
+        'trips.queuedAt': '{what} (pedido el {date})'
+    },
+
+    fr: {
+        'locale.name': 'Français',
+
+        'page.resultsTitle': 'roamie - votre itinéraire',
+        'page.tripsTitle': 'roamie - mes voyages',
+        'nav.language': 'langue',
+        'nav.myTrips': 'mes voyages →',
+        'nav.myTripsButton': 'mes voyages',
+        'nav.createNew': '← créer un nouvel itinéraire',
+        'account.loggedInAs': 'connecté en tant que {username} · ',
+        'account.logOut': 'se déconnecter',
+        'account.logIn': 'se connecter / créer un compte',
+        'account.logInToSave': '{link} pour enregistrer vos voyages',
+        'account.offline': '📴 hors ligne · affichage de ce qui est enregistré sur cet appareil',
+        'page.loginTitle': 'roamie - connexion',
+        'login.heading': 'connectez-vous ou créez un compte',
+        'login.back': '← retour au planificateur',
+        'login.username': "nom d'utilisateur : ",
+        'login.password': 'mot de passe (au moins 8 caractères) : ',
+        'login.logIn': 'se connecter',
+        'login.signUp': 'créer un compte',
+        'login.wrongDetails': "Nom d'utilisateur ou mot de passe incorrect.",
+        'login.tooMany': 'Trop de tentatives - veuillez patienter un peu et réessayer.',
+        'login.failed': "Désolé, une erreur s'est produite. Veuillez réessayer.",
+
+        'form.heading': "générateur d'itinéraires de voyage",
+        'profile.legend': 'profil de voyageur',
+        'profile.hint': 'enregistrez les personnes et les préférences ci-dessous comme profil, et remplissez-les à nouveau la prochaine fois.',
+        'profile.use': 'utiliser un profil enregistré : ',
+        'profile.pickOne': '- choisissez -',
+        'profile.delete': 'supprimer',
+        'profile.saveAs': 'enregistrer les préférences ci-dessous sous : ',
+        'profile.namePlaceholder': 'ex. : voyages en famille',
+        'profile.save': 'enregistrer le profil',
+        'profile.needName': "Donnez d'abord un nom au profil.",
+        'profile.saved': '« {name} » enregistré.',
+        'profile.filledIn': '« {name} » rempli - modifiez ce que vous voulez.',
+        'profile.confirmDelete': 'Supprimer le profil « {name} » ?',
+        'profile.deleted': '« {name} » supprimé.',
+        'form.origin': 'ville de départ : ',
+        'form.originPlaceholder': 'ex. : SFO, PDX',
+        'form.stopsLegend': 'où allez-vous ?',
+        'form.stopsHint': "ajoutez des étapes pour un voyage dans plusieurs villes. chaque étape commence le jour où la précédente se termine - c'est votre jour de trajet.",
+        'form.addStop': '+ ajouter une étape',
+        'form.stopHeading': 'étape {number}',
+        'form.destination': 'ville de destination :',
+        'form.destinationPlaceholder': 'ex. : Lisbonne',
+        'form.startDate': 'date de début :',
+        'form.endDate': 'date de fin :',
+        'form.removeStop': 'retirer cette étape',
+        'form.numPeople': 'nombre de personnes : ',
+        'form.numPeoplePlaceholder': 'ex. : 1, 2, 3',
+        'form.budget': 'budget total (facultatif) : ',
+        'form.budgetPlaceholder': 'ex. : 2000',
+        'form.currency': 'devise : ',
+        'form.language': 'écrire mon itinéraire en : ',
+        'form.activity': "types d'activités : ",
+        'activity.sightseeing': 'visites touristiques',
+        'activity.outdoor': 'plein air',
+        'activity.museums': 'musées',
+        'activity.nightlife': 'vie nocturne',
+        'activity.shopping': 'shopping',
+        'activity.relaxation': 'détente',
+        'form.food': 'préférences culinaires : ',
+        'food.local': 'cuisine locale',
+        'food.fine': 'gastronomie',
+        'food.street': 'cuisine de rue',
+        'food.veg': 'végétarien ou végan',
+        'food.international': 'cuisine internationale',
+        'form.moreLegend': 'plus sur vous (facultatif)',
+        'form.noPreference': 'pas de préférence',
+        'form.pace': 'rythme : ',
+        'pace.relaxed': 'tranquille - quelques activités par jour',
+        'pace.moderate': 'modéré',
+        'pace.packed': 'soutenu - voir un maximum de choses',
+        'form.accessibility': "besoins d'accessibilité : ",
+        'accessibility.wheelchair': 'en fauteuil roulant',
+        'accessibility.limited-walking': 'courtes marches uniquement',
+        'accessibility.step-free': 'sans escaliers (accès de plain-pied)',
+        'accessibility.low-vision': 'malvoyance',
+        'accessibility.hearing': 'malentendance',
+        'form.dietary': 'régime alimentaire : ',
+        'dietary.vegetarian': 'végétarien',
+        'dietary.vegan': 'végan',
+        'dietary.pescatarian': 'pescétarien',
+        'dietary.halal': 'halal',
+        'dietary.kosher': 'casher',
+        'dietary.gluten-free': 'sans gluten',
+        'dietary.dairy-free': 'sans lactose',
+        'dietary.nut-free': 'sans fruits à coque',
+        'form.allergies': 'allergies : ',
+        'form.allergiesPlaceholder': 'ex. : arachides, crustacés',
+        'form.childrenAges': 'âge des enfants (comptez-les dans le nombre de personnes) : ',
+        'form.childrenAgesPlaceholder': 'ex. : 4, 9',
+        'form.lodging': 'hébergement : ',
+        'lodging.hotel': 'hôtel',
+        'lodging.boutique': 'hôtel de charme',
+        'lodging.hostel': 'auberge de jeunesse',
+        'lodging.apartment': 'appartement',
+        'lodging.bnb': "chambre d'hôtes",
+        'lodging.resort': 'complexe hôtelier',
+        'form.neighborhood': 'quartier : ',
+        'form.neighborhoodPlaceholder': 'ex. : Alfama',
+        'form.mustSee': 'à ne pas manquer (un par ligne) : ',
+        'form.mustSeePlaceholder': 'ex. : Tour de Belém',
+        'form.mustAvoid': 'à éviter (un par ligne) : ',
+        'form.mustAvoidPlaceholder': 'ex. : longues excursions en car',
+        'form.submit': "générer l'itinéraire !",
+
+        'results.heading': 'votre itinéraire de voyage',
+        'results.generating': '🤖 Création de votre itinéraire personnalisé...',
+        'results.takesSeconds': 'Cela peut prendre quelques secondes !',
+        'results.generatingFresh': "🤖 Création d'un nouvel itinéraire...",
+        'results.polishing': '🔧 Finitions de votre itinéraire...',
+        'results.fixing': '🧭 Correction de quelques points qui ne collent pas à votre voyage...',
+        'results.dayReady': '✍️ Le jour {day} est prêt - nous écrivons la suite de votre voyage...',
+        'results.loadingSaved': '📂 Chargement de votre voyage enregistré...',
+        'results.loadingShared': '📂 Chargement du voyage partagé...',
+        'results.makeFresh': '🔄 en créer un nouveau',
+        'results.cacheNotice': "♻️ Vous avez déjà demandé exactement ce voyage : voici l'itinéraire du {date}.",
+        'results.sharedNotice': "👀 Quelqu'un a partagé ce voyage avec vous. Il est en lecture seule.",
+        'results.addToCalendar': "📅 ajouter à l'agenda (.ics)",
+        'results.printable': '🖨️ version imprimable',
+        'print.button': 'imprimer / enregistrer en PDF',
+        'print.time': 'Heure',
+        'print.plan': 'Programme',
+        'print.type': 'Type',
+        'print.cost': 'Coût est.',
+        'editor.edit': "✏️ modifier l'itinéraire",
+        'editor.undo': '↶ annuler',
+        'editor.redo': '↷ rétablir',
+        'editor.save': '💾 enregistrer les modifications',
+        'editor.cancel': 'abandonner',
+        'editor.intro': "Faites glisser les éléments pour les déplacer, ou modifiez ce que vous voulez. Rien n'est enregistré avant de cliquer sur « enregistrer les modifications ».",
+        'editor.confirmCancel': 'Abandonner vos modifications ?',
+        'editor.saving': '💾 Enregistrement...',
+        'editor.fixFirst': "Corrigez d'abord ceci : {problems}",
+        'editor.saved': '✅ Modifications enregistrées',
+        'editor.saveFailed': "Désolé, vos modifications n'ont pas pu être enregistrées. Veuillez réessayer.",
+        'editor.planningDay': '🤖 Préparation d\'un nouveau jour {day}...',
+        'editor.replacingItem': '🤖 Recherche d\'autre chose que « {title} »...',
+        'editor.replaced': "✨ Voici autre chose. Ça ne vous plaît pas ? Annuler ramène l'ancien.",
+        'editor.tooMany': 'Trop de demandes à la fois - patientez environ {wait} et réessayez.',
+        'editor.failed': "Désolé, ça n'a pas marché. Veuillez réessayer.",
+        'editor.dayTitle': 'Titre du jour',
+        'editor.newDay': '🔄 nouveau jour',
+        'editor.newDayLabel': 'Demander un autre programme pour le jour {day}',
+        'editor.addItem': '+ ajouter un élément',
+        'editor.addItemLabel': 'Ajouter un élément à la fin de ce jour',
+        'editor.newItemTitle': 'Nouvelle activité',
+        'editor.dragToMove': 'Glisser pour déplacer',
+        'editor.startTime': 'Heure de début',
+        'editor.endTime': 'Heure de fin',
+        'editor.title': 'Titre',
+        'editor.category': 'Catégorie',
+        'editor.location': 'Lieu',
+        'editor.cost': 'Coût estimé',
+        'editor.notes': 'Notes',
+        'editor.moveUp': 'Monter',
+        'editor.moveDown': 'Descendre',
+        'editor.replaceItem': 'Demander autre chose',
+        'editor.delete': 'Supprimer',
+        'editor.badDay': 'jour {day} : vérifiez « {field} »',
+        'editor.badItem': 'jour {day}, élément {item} : vérifiez « {field} »',
+        'editor.badItinerary': "quelque chose dans l'itinéraire n'est pas bien rempli",
+        'share.button': '🔗 partager un lien en lecture seule',
+        'share.explain': 'toute personne ayant ce lien peut voir (mais pas modifier) ce voyage :',
+        'share.stop': 'arrêter le partage',
+        'share.failed': "Désolé, nous n'avons pas pu créer de lien de partage. Veuillez réessayer.",
+        'share.confirmStop': 'Arrêter le partage ? Les personnes ayant le lien ne pourront plus voir ce voyage.',
+        'share.stopFailed': "Désolé, nous n'avons pas pu désactiver le lien. Veuillez réessayer.",
+        'refine.label': 'envie de changer quelque chose ? ',
+        'refine.placeholder': "ex. : remplacer l'après-midi du jour 2 par une activité en intérieur",
+        'refine.button': "ajuster l'itinéraire",
+        'refine.updating': '🤖 Mise à jour de votre itinéraire...',
+        'refine.queued': '📴 Vous êtes hors ligne - nous ferons ce changement dès que vous serez de nouveau en ligne.',
+        'refine.offline': '📴 Vous êtes hors ligne - veuillez réessayer une fois de nouveau en ligne.',
+        'refine.tooMany': 'Trop de changements à la fois - patientez environ {wait} et réessayez.',
+        'refine.failed': "Désolé, ce changement n'a pas fonctionné. Veuillez réessayer.",
+        'refine.reference': ' (Référence : {id})',
+        'save.needLogin': '🔒 {link} pour enregistrer ce voyage, l\'ajuster et le partager.',
+        'save.loginLink': 'connectez-vous ou créez un compte',
+        'save.saved': '✅ Enregistré dans mes voyages',
+        'save.failed': "⚠️ Ce voyage n'a pas pu être enregistré",
+        'save.offlineCopy': '📴 Vous êtes hors ligne - voici la copie enregistrée sur cet appareil',
+        'error.fixDetails': 'Certaines informations de votre voyage sont à corriger :',
+        'error.rate_limited': 'Trop de demandes, veuillez ralentir.',
+        'error.quota_exceeded': 'La limite quotidienne de nouveaux itinéraires est atteinte.',
+        'error.tryAgainIn': 'Veuillez réessayer dans environ {wait}.',
+        'error.interrupted': 'Désolé, votre itinéraire a été interrompu avant la fin.',
+        'error.interruptedHint': "Les jours affichés ci-dessous ne sont qu'une partie du voyage. Veuillez revenir en arrière et réessayer.",
+        'error.generating': 'Désolé, une erreur est survenue lors de la création de votre itinéraire.',
+        'error.reference': 'Référence : {id}',
+        'error.offline': '📴 Vous êtes hors ligne.',
+        'error.queuedGenerate': 'Nous créerons votre itinéraire dès que vous serez de nouveau en ligne - gardez cette page ouverte, ou retrouvez-le plus tard dans mes voyages.',
+        'error.tryOnline': 'Veuillez réessayer une fois de nouveau en ligne.',
+        'error.queueFailed': "Désolé, la demande faite hors ligne n'a pas fonctionné.",
+        'error.loadTrip': "Désolé, nous n'avons pas pu charger ce voyage.",
+        'error.loadTripHint': 'Il a peut-être été supprimé. Consultez vos voyages enregistrés ou créez un nouvel itinéraire.',
+        'error.loadShared': "Désolé, nous n'avons pas pu charger ce voyage partagé.",
+        'error.loadSharedHint': "Le lien a peut-être été désactivé par la personne qui l'a partagé.",
+        'advice.upstream_timeout': "L'IA a mis trop de temps à répondre. Veuillez réessayer.",
+        'advice.upstream_overloaded': "L'IA est très sollicitée en ce moment. Veuillez réessayer dans une minute ou deux.",
+        'advice.upstream_auth': "Le serveur n'a pas pu se connecter à l'IA. Merci de nous prévenir.",
+        'advice.upstream_unavailable': "Le serveur n'a pas pu joindre l'IA. Veuillez réessayer un peu plus tard.",
+        'advice.default': 'Veuillez revenir en arrière et réessayer.',
+        'wait.seconds': { one: '{count} seconde', other: '{count} secondes' },
+        'wait.minutes': { one: '{count} minute', other: '{count} minutes' },
+        'wait.hours': { one: '{count} heure', other: '{count} heures' },
+        'changes.youAsked': 'Votre demande : « {instruction} »',
+        'changes.nothing': "Rien n'a changé - essayez de décrire le changement autrement.",
+        'changes.trip': 'Voyage',
+        'changes.day': 'Jour {day}',
+        'changes.item.added': '{where} : « {item} » ajouté',
+        'changes.item.removed': '{where} : « {item} » retiré',
+        'changes.item.changed': '{where} : « {item} » modifié ({fields})',
+        'changes.fields': '{where} : {fields} modifié',
+        'changes.wholeDay.added': '{where} : journée entière ajoutée',
+        'changes.wholeDay.removed': '{where} : journée entière retirée',
+        'itinerary.tips': 'Conseils de voyage',
+        'itinerary.day': 'Jour {day} ({date})',
+        'itinerary.travelDay': 'Jour de trajet : {from} → {to}',
+        'itinerary.about': 'environ {duration}',
+        'itinerary.planned': 'prévu',
+        'itinerary.warnings': '⚠️ À vérifier',
+        'mode.train': 'train',
+        'mode.flight': 'avion',
+        'mode.drive': 'voiture',
+        'mode.bus': 'bus',
+        'mode.ferry': 'ferry',
+        'category.lodging': 'hébergement',
+        'category.food': 'repas',
+        'category.activity': 'activité',
+        'category.activities': 'activités',
+        'category.transport': 'transport',
+        'category.other': 'autre',
+        'budget.heading': 'Budget',
+        'budget.total': {
+            one: 'Total estimé : {total} ({perPerson} par personne pour {count} voyageur)',
+            other: 'Total estimé : {total} ({perPerson} par personne pour {count} voyageurs)'
+        },
+        'budget.otherCurrency': 'Votre budget est de {budget}, mais les prix de cet itinéraire sont en {currency}.',
+        'budget.over': '⚠️ Dépasse votre budget de {budget} de {amount}',
+        'budget.within': '✅ Dans votre budget de {budget} (il reste {amount})',
+        'budget.columnDay': 'Jour',
+        'budget.columnTotal': 'Total',
+        'budget.columnPerPerson': 'Par personne',
+        'budget.columnCategory': 'Catégorie',
+        'cost.free': 'gratuit',
+
+        // Ce qui ne va pas dans un champ, et les remarques sur un itinéraire
+        'field.origin': 'ville de départ',
+        'field.destination': 'ville de destination',
+        'field.start': 'date de début',
+        'field.end': 'date de fin',
+        'field.numPeople': 'nombre de personnes',
+        'field.activity': "préférences d'activités",
+        'field.food': 'préférences culinaires',
+        'field.pace': 'rythme',
+        'field.accessibility': "besoins d'accessibilité",
+        'field.dietary': 'restrictions alimentaires',
+        'field.allergies': 'allergies',
+        'field.childrenAges': 'âge des enfants',
+        'field.lodging': 'hébergement',
+        'field.neighborhood': 'quartier',
+        'field.must-see': 'à ne pas manquer',
+        'field.must-avoid': 'à éviter',
+        'field.language': "langue de l'itinéraire",
+        'field.username': "nom d'utilisateur",
+        'field.password': 'mot de passe',
+        'problem.missing': 'Veuillez remplir le champ « {field} ».',
+        'problem.not-text': 'Le champ « {field} » doit être du texte.',
+        'problem.too-long': 'Le champ « {field} » peut contenir au plus {max} caractères.',
+        'problem.bad-date': 'Le champ « {field} » doit être une vraie date.',
+        'problem.not-list': 'Le champ « {field} » doit être une liste.',
+        'problem.not-option': 'Veuillez choisir parmi les options du champ « {field} ».',
+        'problem.entry-too-long': 'Chaque lieu du champ « {field} » peut contenir au plus {max} caractères.',
+        'problem.too-many-entries': 'Le champ « {field} » peut contenir au plus {max} lieux.',
+        'problem.num-people': 'Le nombre de personnes doit être un nombre entier de 1 à {max}.',
+        'problem.budget-too-low': 'Le budget doit être un nombre supérieur à 0.',
+        'problem.budget-too-high': 'Le budget peut être au plus de {max}.',
+        'problem.currency-format': 'La devise doit être un code de trois lettres comme « USD ».',
+        'problem.children-ages': "L'âge des enfants doit être des nombres entiers de 0 à {max}, séparés par des virgules.",
+        'problem.no-stops': 'Veuillez ajouter au moins une étape.',
+        'problem.too-many-stops': 'Un voyage peut avoir au plus {max} étapes.',
+        'problem.stop-missing': "Il manque les détails de l'étape {stop}.",
+        'problem.stop-ends-early': 'Cette étape doit se terminer le jour où elle commence ou après.',
+        'problem.stop-start': "L'étape {stop} doit commencer le jour où l'étape {previous} se termine ({date}) - c'est votre jour de trajet.",
+        'problem.end-before-start': 'La date de fin doit être identique ou postérieure à la date de début.',
+        'problem.trip-too-long': 'Un voyage peut durer au plus {max} jours.',
+        'problem.no-adult': 'Au moins un voyageur doit être adulte - les enfants comptent dans le nombre de personnes.',
+        'problem.currency-needed': 'Veuillez choisir une devise pour votre budget.',
+        'problem.request-missing': 'Les détails du voyage sont manquants.',
+        'problem.username-format': "Les noms d'utilisateur comptent de 3 à 30 lettres, chiffres, « _ », « - » ou « . ».",
+        'problem.password-length': 'Les mots de passe doivent contenir de {min} à {max} caractères.',
+        'problem.username-taken': "Ce nom d'utilisateur est déjà pris.",
+        'warning.day-count': { one: "Le voyage dure {count} jour, mais l'itinéraire en compte {actual}.", other: "Le voyage dure {count} jours, mais l'itinéraire en compte {actual}." },
+        'warning.dates': 'Le jour {day} est daté du {date}, en dehors du voyage (du {start} au {end}).',
+        'warning.datesOrder': 'Le jour {day} est daté du {date}, mais le jour {position} du voyage est le {expected}.',
+        'warning.overlap': 'Jour {day} : « {first} » ({firstTime}) chevauche « {second} » ({secondTime}).',
+        'warning.budget': "Les coûts estimés s'élèvent à {total}, soit {over} de plus que le budget de {budget}.",
+        'warning.diet': 'Jour {day} : « {item} » mentionne « {word} », ce qui ne semble pas {diet}.',
+        'warning.must-avoid': 'Jour {day} : « {item} » fait partie de ce que vous vouliez éviter (« {place} »).',
+        'warning.must-see': "« {place} » était dans votre liste à ne pas manquer, mais n'est pas dans l'itinéraire.",
+
+        'trips.heading': 'mes voyages',
+        'trips.loading': '📂 Chargement de vos voyages enregistrés...',
+        'trips.offline': '📴 Vous êtes hors ligne - voici les voyages enregistrés sur cet appareil.',
+        'trips.waiting': 'en attente de connexion',
+        'trips.empty': "Vous n'avez encore enregistré aucun voyage.",
+        'trips.loadFailed': "Désolé, nous n'avons pas pu charger vos voyages enregistrés.",
+        'trips.loadFailedHint': 'Veuillez réessayer dans un instant.',
+        'trips.dates': '{destination} · du {start} au {end}',
+        'trips.shared': ' · 🔗 partagé',
+        'trips.delete': 'supprimer',
+        'trips.confirmDelete': 'Supprimer « {title} » ? Cette action est définitive.',
+        'trips.deleteFailed': "Désolé, ce voyage n'a pas pu être supprimé. Veuillez réessayer.",
+        'trips.queuedGenerate': 'un nouvel itinéraire pour {destination}',
+        'trips.queuedRefine': '« {instruction} » pour un voyage enregistré',
+        'trips.queuedAt': '{what} (demandé le {date})'
+    },
+
+    de: {
+        'locale.name': 'Deutsch',
+
+        'page.resultsTitle': 'roamie - deine Reiseroute',
+        'page.tripsTitle': 'roamie - meine Reisen',
+        'nav.language': 'Sprache',
+        'nav.myTrips': 'meine Reisen →',
+        'nav.myTripsButton': 'meine Reisen',
+        'nav.createNew': '← neue Reiseroute erstellen',
+        'account.loggedInAs': 'angemeldet als {username} · ',
+        'account.logOut': 'abmelden',
+        'account.logIn': 'anmelden / registrieren',
+        'account.logInToSave': '{link}, um deine Reisen zu speichern',
+        'account.offline': '📴 offline · es wird angezeigt, was auf diesem Gerät gespeichert ist',
+        'page.loginTitle': 'roamie - anmelden',
+        'login.heading': 'anmelden oder registrieren',
+        'login.back': '← zurück zum Planer',
+        'login.username': 'Benutzername: ',
+        'login.password': 'Passwort (mindestens 8 Zeichen): ',
+        'login.logIn': 'anmelden',
+        'login.signUp': 'Konto erstellen',
+        'login.wrongDetails': 'Falscher Benutzername oder falsches Passwort.',
+        'login.tooMany': 'Zu viele Versuche - bitte warte kurz und versuche es noch einmal.',
+        'login.failed': 'Leider ist etwas schiefgegangen. Bitte versuche es noch einmal.',
+
+        'form.heading': 'Reiseroutenplaner',
+        'profile.legend': 'Reiseprofil',
+        'profile.hint': 'speichere die Personen und Vorlieben unten als Profil und fülle sie beim nächsten Mal wieder aus.',
+        'profile.use': 'gespeichertes Profil verwenden: ',
+        'profile.pickOne': '- bitte wählen -',
+        'profile.delete': 'löschen',
+        'profile.saveAs': 'Vorlieben unten speichern als: ',
+        'profile.namePlaceholder': 'z. B. Familienreisen',
+        'profile.save': 'Profil speichern',
+        'profile.needName': 'Gib dem Profil zuerst einen Namen.',
+        'profile.saved': '„{name}“ gespeichert.',
+        'profile.filledIn': '„{name}“ ausgefüllt - ändere, was du möchtest.',
+        'profile.confirmDelete': 'Das Profil „{name}“ löschen?',
+        'profile.deleted': '„{name}“ gelöscht.',
+        'form.origin': 'Abreiseort: ',
+        'form.originPlaceholder': 'z. B. SFO, PDX',
+        'form.stopsLegend': 'wohin?',
+        'form.stopsHint': 'füge weitere Stationen für eine Reise durch mehrere Städte hinzu. jede Station beginnt an dem Tag, an dem die vorige endet - das ist dein Reisetag.',
+        'form.addStop': '+ weitere Station hinzufügen',
+        'form.stopHeading': 'Station {number}',
+        'form.destination': 'Zielort:',
+        'form.destinationPlaceholder': 'z. B. Lissabon',
+        'form.startDate': 'Anreisedatum:',
+        'form.endDate': 'Abreisedatum:',
+        'form.removeStop': 'diese Station entfernen',
+        'form.numPeople': 'Anzahl der Personen: ',
+        'form.numPeoplePlaceholder': 'z. B. 1, 2, 3',
+        'form.budget': 'Gesamtbudget (optional): ',
+        'form.budgetPlaceholder': 'z. B. 2000',
+        'form.currency': 'Währung: ',
+        'form.language': 'Reiseroute schreiben auf: ',
+        'form.activity': 'bevorzugte Aktivitäten: ',
+        'activity.sightseeing': 'Sightseeing',
+        'activity.outdoor': 'draußen',
+        'activity.museums': 'Museen',
+        'activity.nightlife': 'Nachtleben',
+        'activity.shopping': 'Shopping',
+        'activity.relaxation': 'Entspannung',
+        'form.food': 'Essensvorlieben: ',
+        'food.local': 'regionale Küche',
+        'food.fine': 'Gourmetküche',
+        'food.street': 'Streetfood',
+        'food.veg': 'vegetarisch oder vegan',
+        'food.international': 'internationale Küche',
+        'form.moreLegend': 'mehr über dich (optional)',
+        'form.noPreference': 'keine Vorliebe',
+        'form.pace': 'Tempo: ',
+        'pace.relaxed': 'entspannt - wenig pro Tag',
+        'pace.moderate': 'mittel',
+        'pace.packed': 'straff - so viel wie möglich sehen',
+        'form.accessibility': 'Barrierefreiheit: ',
+        'accessibility.wheelchair': 'Rollstuhl',
+        'accessibility.limited-walking': 'nur kurze Wege',
+        'accessibility.step-free': 'keine Treppen (stufenloser Zugang)',
+        'accessibility.low-vision': 'sehbehindert',
+        'accessibility.hearing': 'schwerhörig',
+        'form.dietary': 'Ernährung: ',
+        'dietary.vegetarian': 'vegetarisch',
+        'dietary.vegan': 'vegan',
+        'dietary.pescatarian': 'pescetarisch',
+        'dietary.halal': 'halal',
+        'dietary.kosher': 'koscher',
+        'dietary.gluten-free': 'glutenfrei',
+        'dietary.dairy-free': 'laktosefrei',
+        'dietary.nut-free': 'nussfrei',
+        'form.allergies': 'Allergien: ',
+        'form.allergiesPlaceholder': 'z. B. Erdnüsse, Schalentiere',
+        'form.childrenAges': 'Alter der Kinder (bei der Personenzahl mitzählen): ',
+        'form.childrenAgesPlaceholder': 'z. B. 4, 9',
+        'form.lodging': 'Unterkunft: ',
+        'lodging.hotel': 'Hotel',
+        'lodging.boutique': 'Boutique-Hotel',
+        'lodging.hostel': 'Hostel',
+        'lodging.apartment': 'Ferienwohnung',
+        'lodging.bnb': 'Pension mit Frühstück',
+        'lodging.resort': 'Resort',
+        'form.neighborhood': 'Stadtviertel: ',
+        'form.neighborhoodPlaceholder': 'z. B. Alfama',
+        'form.mustSee': 'unbedingt sehen (eins pro Zeile): ',
+        'form.mustSeePlaceholder': 'z. B. Torre de Belém',
+        'form.mustAvoid': 'lieber vermeiden (eins pro Zeile): ',
+        'form.mustAvoidPlaceholder': 'z. B. lange Busrundfahrten',
+        'form.submit': 'Reiseroute erstellen!',
+
+        'results.heading': 'deine Reiseroute',
+        'results.generating': '🤖 Deine persönliche Reiseroute wird erstellt...',
+        'results.takesSeconds': 'Das kann ein paar Sekunden dauern!',
+        'results.generatingFresh': '🤖 Eine neue Reiseroute wird erstellt...',
+        'results.polishing': '🔧 Deine Reiseroute wird überarbeitet...',
+        'results.fixing': '🧭 Ein paar Dinge, die nicht zu deiner Reise passen, werden korrigiert...',
+        'results.dayReady': '✍️ Tag {day} ist fertig - der Rest deiner Reise wird noch geschrieben...',
+        'results.loadingSaved': '📂 Deine gespeicherte Reise wird geladen...',
+        'results.loadingShared': '📂 Die geteilte Reise wird geladen...',
+        'results.makeFresh': '🔄 eine neue erstellen',
+        'results.cacheNotice': '♻️ Du hast genau diese Reise schon einmal angefragt, deshalb ist das die Reiseroute vom {date}.',
+        'results.sharedNotice': '👀 Jemand hat diese Reise mit dir geteilt. Sie kann nur angesehen werden.',
+        'results.addToCalendar': '📅 zum Kalender hinzufügen (.ics)',
+        'results.printable': '🖨️ Druckversion',
+        'print.button': 'drucken / als PDF speichern',
+        'print.time': 'Zeit',
+        'print.plan': 'Plan',
+        'print.type': 'Art',
+        'print.cost': 'Gesch. Kosten',
+        'editor.edit': '✏️ Reiseroute bearbeiten',
+        'editor.undo': '↶ rückgängig',
+        'editor.redo': '↷ wiederholen',
+        'editor.save': '💾 Änderungen speichern',
+        'editor.cancel': 'abbrechen',
+        'editor.intro': 'Zieh Einträge an eine andere Stelle oder ändere, was du möchtest. Gespeichert wird erst, wenn du auf „Änderungen speichern“ klickst.',
+        'editor.confirmCancel': 'Deine Änderungen verwerfen?',
+        'editor.saving': '💾 Wird gespeichert...',
+        'editor.fixFirst': 'Bitte korrigiere zuerst: {problems}',
+        'editor.saved': '✅ Änderungen gespeichert',
+        'editor.saveFailed': 'Deine Änderungen konnten leider nicht gespeichert werden. Bitte versuche es noch einmal.',
+        'editor.planningDay': '🤖 Plane einen neuen Tag {day}...',
+        'editor.replacingItem': '🤖 Suche etwas anderes statt „{title}“...',
+        'editor.replaced': '✨ Hier ist etwas anderes. Gefällt es dir nicht? Rückgängig holt das Alte zurück.',
+        'editor.tooMany': 'Zu viele Anfragen auf einmal - bitte warte etwa {wait} und versuche es dann noch einmal.',
+        'editor.failed': 'Das hat leider nicht geklappt. Bitte versuche es noch einmal.',
+        'editor.dayTitle': 'Titel des Tages',
+        'editor.newDay': '🔄 neuer Tag',
+        'editor.newDayLabel': 'Einen anderen Plan für Tag {day} anfragen',
+        'editor.addItem': '+ Eintrag hinzufügen',
+        'editor.addItemLabel': 'Einen Eintrag am Ende dieses Tages hinzufügen',
+        'editor.newItemTitle': 'Neue Aktivität',
+        'editor.dragToMove': 'Zum Verschieben ziehen',
+        'editor.startTime': 'Beginn',
+        'editor.endTime': 'Ende',
+        'editor.title': 'Titel',
+        'editor.category': 'Kategorie',
+        'editor.location': 'Ort',
+        'editor.cost': 'Geschätzte Kosten',
+        'editor.notes': 'Notizen',
+        'editor.moveUp': 'Nach oben',
+        'editor.moveDown': 'Nach unten',
+        'editor.replaceItem': 'Etwas anderes anfragen',
+        'editor.delete': 'Löschen',
+        'editor.badDay': 'Tag {day}: prüfe „{field}“',
+        'editor.badItem': 'Tag {day}, Eintrag {item}: prüfe „{field}“',
+        'editor.badItinerary': 'etwas in der Reiseroute ist nicht richtig ausgefüllt',
+        'share.button': '🔗 Link zum Ansehen teilen',
+        'share.explain': 'alle mit diesem Link können diese Reise sehen (aber nicht ändern):',
+        'share.stop': 'nicht mehr teilen',
+        'share.failed': 'Leider konnten wir keinen Link zum Teilen erstellen. Bitte versuche es noch einmal.',
+        'share.confirmStop': 'Nicht mehr teilen? Wer den Link hat, kann diese Reise dann nicht mehr sehen.',
+        'share.stopFailed': 'Leider konnten wir den Link nicht deaktivieren. Bitte versuche es noch einmal.',
+        'refine.label': 'möchtest du etwas ändern? ',
+        'refine.placeholder': 'z. B. am Nachmittag von Tag 2 lieber etwas drinnen',
+        'refine.button': 'Reiseroute anpassen',
+        'refine.updating': '🤖 Deine Reiseroute wird aktualisiert...',
+        'refine.queued': '📴 Du bist offline - wir nehmen diese Änderung vor, sobald du wieder online bist.',
+        'refine.offline': '📴 Du bist offline - bitte versuche es noch einmal, wenn du wieder online bist.',
+        'refine.tooMany': 'Zu viele Änderungen auf einmal - bitte warte etwa {wait} und versuche es dann noch einmal.',
+        'refine.failed': 'Leider hat diese Änderung nicht geklappt. Bitte versuche es noch einmal.',
+        'refine.reference': ' (Referenz: {id})',
+        'save.needLogin': '🔒 {link}, um diese Reise zu speichern, anzupassen und zu teilen.',
+        'save.loginLink': 'Anmelden oder registrieren',
+        'save.saved': '✅ In meinen Reisen gespeichert',
+        'save.failed': '⚠️ Diese Reise konnte nicht gespeichert werden',
+        'save.offlineCopy': '📴 Du bist offline - das ist die auf diesem Gerät gespeicherte Kopie',
+        'error.fixDetails': 'Einige Angaben zu deiner Reise müssen korrigiert werden:',
+        'error.rate_limited': 'Zu viele Anfragen, bitte etwas langsamer.',
+        'error.quota_exceeded': 'Das Tageslimit für neue Reiserouten ist erreicht.',
+        'error.tryAgainIn': 'Bitte versuche es in etwa {wait} noch einmal.',
+        'error.interrupted': 'Leider wurde deine Reiseroute unterbrochen, bevor sie fertig war.',
+        'error.interruptedHint': 'Die Tage unten sind nur ein Teil der Reise. Bitte geh zurück und versuche es noch einmal.',
+        'error.generating': 'Leider ist beim Erstellen deiner Reiseroute ein Fehler aufgetreten.',
+        'error.reference': 'Referenz: {id}',
+        'error.offline': '📴 Du bist offline.',
+        'error.queuedGenerate': 'Wir erstellen deine Reiseroute, sobald du wieder online bist - lass diese Seite offen oder finde sie später unter meine Reisen.',
+        'error.tryOnline': 'Bitte versuche es noch einmal, wenn du wieder online bist.',
+        'error.queueFailed': 'Leider hat die Anfrage, die du offline gestellt hast, nicht geklappt.',
+        'error.loadTrip': 'Leider konnten wir diese Reise nicht laden.',
+        'error.loadTripHint': 'Vielleicht wurde sie gelöscht. Sieh in deinen gespeicherten Reisen nach oder erstelle eine neue Reiseroute.',
+        'error.loadShared': 'Leider konnten wir diese geteilte Reise nicht laden.',
+        'error.loadSharedHint': 'Vielleicht hat die Person, die sie geteilt hat, den Link deaktiviert.',
+        'advice.upstream_timeout': 'Die KI hat zu lange für die Antwort gebraucht. Bitte versuche es noch einmal.',
+        'advice.upstream_overloaded': 'Die KI ist gerade sehr ausgelastet. Bitte versuche es in ein, zwei Minuten noch einmal.',
+        'advice.upstream_auth': 'Der Server konnte sich nicht mit der KI verbinden. Bitte gib uns Bescheid.',
+        'advice.upstream_unavailable': 'Der Server konnte die KI nicht erreichen. Bitte versuche es etwas später noch einmal.',
+        'advice.default': 'Bitte geh zurück und versuche es noch einmal.',
+        'wait.seconds': { one: '{count} Sekunde', other: '{count} Sekunden' },
+        'wait.minutes': { one: '{count} Minute', other: '{count} Minuten' },
+        'wait.hours': { one: '{count} Stunde', other: '{count} Stunden' },
+        'changes.youAsked': 'Dein Wunsch: „{instruction}“',
+        'changes.nothing': 'Nichts hat sich geändert - beschreibe die Änderung am besten anders.',
+        'changes.trip': 'Reise',
+        'changes.day': 'Tag {day}',
+        'changes.item.added': '{where}: „{item}“ hinzugefügt',
+        'changes.item.removed': '{where}: „{item}“ entfernt',
+        'changes.item.changed': '{where}: „{item}“ geändert ({fields})',
+        'changes.fields': '{where}: {fields} geändert',
+        'changes.wholeDay.added': '{where}: ganzer Tag hinzugefügt',
+        'changes.wholeDay.removed': '{where}: ganzer Tag entfernt',
+        'itinerary.tips': 'Reisetipps',
+        'itinerary.day': 'Tag {day} ({date})',
+        'itinerary.travelDay': 'Reisetag: {from} → {to}',
+        'itinerary.about': 'etwa {duration}',
+        'itinerary.planned': 'eingeplant',
+        'itinerary.warnings': '⚠️ Lieber noch einmal prüfen',
+        'mode.train': 'Zug',
+        'mode.flight': 'Flug',
+        'mode.drive': 'Auto',
+        'mode.bus': 'Bus',
+        'mode.ferry': 'Fähre',
+        'category.lodging': 'Unterkunft',
+        'category.food': 'Essen',
+        'category.activity': 'Aktivität',
+        'category.activities': 'Aktivitäten',
+        'category.transport': 'Transport',
+        'category.other': 'Sonstiges',
+        'budget.heading': 'Budget',
+        'budget.total': {
+            one: 'Geschätzte Summe: {total} ({perPerson} pro Person für {count} Reisenden)',
+            other: 'Geschätzte Summe: {total} ({perPerson} pro Person für {count} Reisende)'
+        },
+        'budget.otherCurrency': 'Dein Budget beträgt {budget}, aber die Preise dieser Reiseroute sind in {currency}.',
+        'budget.over': '⚠️ {amount} über deinem Budget von {budget}',
+        'budget.within': '✅ Innerhalb deines Budgets von {budget} ({amount} übrig)',
+        'budget.columnDay': 'Tag',
+        'budget.columnTotal': 'Summe',
+        'budget.columnPerPerson': 'Pro Person',
+        'budget.columnCategory': 'Kategorie',
+        'cost.free': 'kostenlos',
+
+        // Was an einem Feld nicht stimmt, und Hinweise zu einer Reiseroute
+        'field.origin': 'Abreiseort',
+        'field.destination': 'Reiseziel',
+        'field.start': 'Startdatum',
+        'field.end': 'Enddatum',
+        'field.numPeople': 'Anzahl der Personen',
+        'field.activity': 'Aktivitäten',
+        'field.food': 'Essen',
+        'field.pace': 'Tempo',
+        'field.accessibility': 'Barrierefreiheit',
+        'field.dietary': 'Ernährung',
+        'field.allergies': 'Allergien',
+        'field.childrenAges': 'Alter der Kinder',
+        'field.lodging': 'Unterkunft',
+        'field.neighborhood': 'Viertel',
+        'field.must-see': 'unbedingt sehen',
+        'field.must-avoid': 'lieber vermeiden',
+        'field.language': 'Sprache der Reiseroute',
+        'field.username': 'Benutzername',
+        'field.password': 'Passwort',
+        'problem.missing': 'Bitte fülle das Feld „{field}“ aus.',
+        'problem.not-text': 'Das Feld „{field}“ muss Text sein.',
+        'problem.too-long': 'Das Feld „{field}“ darf höchstens {max} Zeichen lang sein.',
+        'problem.bad-date': 'Das Feld „{field}“ muss ein echtes Datum sein.',
+        'problem.not-list': 'Das Feld „{field}“ muss eine Liste sein.',
+        'problem.not-option': 'Bitte wähle eine der Optionen im Feld „{field}“.',
+        'problem.entry-too-long': 'Jeder Ort im Feld „{field}“ darf höchstens {max} Zeichen lang sein.',
+        'problem.too-many-entries': 'Das Feld „{field}“ darf höchstens {max} Orte enthalten.',
+        'problem.num-people': 'Die Anzahl der Personen muss eine ganze Zahl von 1 bis {max} sein.',
+        'problem.budget-too-low': 'Das Budget muss eine Zahl größer als 0 sein.',
+        'problem.budget-too-high': 'Das Budget darf höchstens {max} betragen.',
+        'problem.currency-format': 'Die Währung muss ein Code aus drei Buchstaben sein, z. B. „USD“.',
+        'problem.children-ages': 'Das Alter der Kinder muss aus ganzen Zahlen von 0 bis {max} bestehen, durch Kommas getrennt.',
+        'problem.no-stops': 'Bitte füge mindestens eine Station hinzu.',
+        'problem.too-many-stops': 'Eine Reise kann höchstens {max} Stationen haben.',
+        'problem.stop-missing': 'Bei Station {stop} fehlen die Angaben.',
+        'problem.stop-ends-early': 'Diese Station muss am Tag ihres Beginns oder später enden.',
+        'problem.stop-start': 'Station {stop} muss an dem Tag beginnen, an dem Station {previous} endet ({date}) - das ist dein Reisetag.',
+        'problem.end-before-start': 'Das Enddatum muss am oder nach dem Startdatum liegen.',
+        'problem.trip-too-long': 'Eine Reise darf höchstens {max} Tage dauern.',
+        'problem.no-adult': 'Mindestens eine reisende Person muss erwachsen sein - Kinder zählen zur Anzahl der Personen.',
+        'problem.currency-needed': 'Bitte wähle eine Währung für dein Budget.',
+        'problem.request-missing': 'Die Reisedaten fehlen.',
+        'problem.username-format': 'Benutzernamen bestehen aus 3 bis 30 Buchstaben, Zahlen, „_“, „-“ oder „.“.',
+        'problem.password-length': 'Passwörter müssen {min} bis {max} Zeichen lang sein.',
+        'problem.username-taken': 'Dieser Benutzername ist schon vergeben.',
+        'warning.day-count': { one: 'Die Reise dauert {count} Tag, aber die Reiseroute hat {actual}.', other: 'Die Reise dauert {count} Tage, aber die Reiseroute hat {actual}.' },
+        'warning.dates': 'Tag {day} ist auf den {date} datiert, außerhalb der Reise ({start} bis {end}).',
+        'warning.datesOrder': 'Tag {day} ist auf den {date} datiert, aber Tag {position} der Reise ist der {expected}.',
+        'warning.overlap': 'Tag {day}: „{first}“ ({firstTime}) überschneidet sich mit „{second}“ ({secondTime}).',
+        'warning.budget': 'Die geschätzten Kosten betragen {total} und liegen damit {over} über dem Budget von {budget}.',
+        'warning.diet': 'Tag {day}: „{item}“ erwähnt „{word}“ und wirkt nicht {diet}.',
+        'warning.must-avoid': 'Tag {day}: „{item}“ wolltest du lieber vermeiden („{place}“).',
+        'warning.must-see': '„{place}“ stand auf deiner Liste zum unbedingt Sehen, ist aber nicht in der Reiseroute.',
+
+        'trips.heading': 'meine Reisen',
+        'trips.loading': '📂 Deine gespeicherten Reisen werden geladen...',
+        'trips.offline': '📴 Du bist offline - das sind die auf diesem Gerät gespeicherten Reisen.',
+        'trips.waiting': 'wartet auf eine Verbindung',
+        'trips.empty': 'Du hast noch keine Reisen gespeichert.',
+        'trips.loadFailed': 'Leider konnten wir deine gespeicherten Reisen nicht laden.',
+        'trips.loadFailedHint': 'Bitte versuche es gleich noch einmal.',
+        'trips.dates': '{destination} · {start} bis {end}',
+        'trips.shared': ' · 🔗 geteilt',
+        'trips.delete': 'löschen',
+        'trips.confirmDelete': '„{title}“ löschen? Das kann nicht rückgängig gemacht werden.',
+        'trips.deleteFailed': 'Leider konnte diese Reise nicht gelöscht werden. Bitte versuche es noch einmal.',
+        'trips.queuedGenerate': 'eine neue Reiseroute für {destination}',
+        'trips.queuedRefine': '„{instruction}“ für eine gespeicherte Reise',
+        'trips.queuedAt': '{what} (angefragt am {date})'
+    }
+};
+
+// ============================================
+// HELPER FUNCTION: Pick a Supported Locale
+// ============================================
+// "candidates" are language codes in order of preference, like the
+// browser's ["de-AT", "de", "en-US"]. The first one we have a catalog
+// for wins ("de-AT" counts as "de"); with no match it's English.
+// They can come from the address (?lang=), so anything can be in there.
+function pickLocale(candidates) {
+    for (const candidate of candidates) {
+        if (typeof candidate !== 'string') {
+            continue;
+        }
+        const code = candidate.toLowerCase();
+        const base = code.split('-')[0];
+        if (Object.hasOwn(CATALOGS, code)) {
+            return code;
+        }
+        if (Object.hasOwn(CATALOGS, base)) {
+            return base;
+        }
+        // ^ Object.hasOwn(), not CATALOGS[code]: "constructor" and
+        //   "__proto__" are on every object, but they aren't languages
+    }
+    return DEFAULT_LOCALE;
+}
+
+// ============================================
+// MAIN FUNCTION: Translate a Message
+// ============================================
+// Returns the message for "key" in "locale" with its {placeholders}
+// filled in from "params". An unknown key comes back as the key itself,
+// so a missing translation is easy to spot on the page.
+function translate(locale, key, params = {}) {
+    let rulesLocale = locale;
+    let message = CATALOGS[locale] && CATALOGS[locale][key];
+    if (message === undefined) {
+        message = CATALOGS[DEFAULT_LOCALE][key];
+        rulesLocale = DEFAULT_LOCALE;
+        // ^ The English message needs the English plural rules
+    }
+    if (message === undefined) {
+        return key;
+    }
+
+    if (typeof message === 'object') {
+        const form = new Intl.PluralRules(rulesLocale).select(Number(params.count));
+        // ^ "one" for 1 in English, "few" for 3 in Polish, ...
+        message = message[form] || message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        params[name] === undefined ? placeholder : String(params[name]));
+}
+
+// ============================================
+// HELPER FUNCTIONS: Dates, Numbers and Money
+// ============================================
+
+// "2025-11-01" -> "Sat, Nov 1" (en), "sáb, 1 nov" (es), ...
+// A trip's dates are calendar days, not moments in time, so they're
+// formatted in UTC - otherwise they could shift by a day in some time zones.
+function formatDate(locale, isoDate, options = { weekday: 'short', month: 'short', day: 'numeric' }) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(isoDate || '');
+    if (!match) {
+        return String(isoDate);
+    }
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return new Intl.DateTimeFormat(locale, { ...options, timeZone: 'UTC' }).format(date);
+}
+
+// A moment in time (like when a trip was saved), in the viewer's time zone
+function formatDateTime(locale, value) {
+    return new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(value));
+}
+
+// 1840 -> "1,840" (en), "1.840" (de), "1 840" (fr)
+function formatNumber(locale, amount) {
+    return new Intl.NumberFormat(locale).format(amount);
+}
+
+// 1840 + "EUR" -> "€1,840.00" (en), "1.840,00 €" (de). Without a
+// currency (while an itinerary is still streaming in) it's just the number.
+function formatMoney(locale, amount, currency) {
+    if (!currency) {
+        return formatNumber(locale, amount);
+    }
+    return new Intl.NumberFormat(locale, { style: 'currency', currency: currency }).format(amount);
+}
+
+// ============================================
+// Sharing With Node.js
+// ============================================
+// In the browser there's no "module", so this does nothing and the
+// functions above are simply globals that locale.js can use.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CATALOGS,
+        DEFAULT_LOCALE,
+        formatDate,
+        formatDateTime,
+        formatMoney,
+        formatNumber,
+        pickLocale,
+        translate
+    };
+}
@@ -0,0 +1,202 @@
+// ============================================
+// CALENDAR EXPORT - Turn a Trip into an .ics File
+// ============================================
+// iCalendar (.ics) files are the format every calendar app understands
+// (Google Calendar, Apple Calendar, Outlook...). The rules are in
+// RFC 5545. A file looks like:
+//
+//   BEGIN:VCALENDAR
+//   VERSION:2.0
+//   BEGIN:VEVENT
+//   SUMMARY:Tsukiji Outer Market
+//   DTSTART:20251101T000000Z
+//   ...
+//   END:VEVENT
+//   END:VCALENDAR
+//
+// Every scheduled item in the itinerary becomes one VEVENT. Day 1 is
+// dated from the trip's "start" input, day 2 is the day after, and so on.
+// Times in the itinerary are local to the destination, so we convert them
+// to UTC (the "Z" at the end) using the itinerary's "timeZone" (or the
+// day's own "timeZone", on multi-city trips). That way events show up at
+// the right moment no matter where your calendar is.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ============================================
+// TIME ZONE MATH
+// ============================================
+
+// How far ahead of UTC (in milliseconds) is "timeZone" at this instant?
+// Intl.DateTimeFormat tells us what the wall clock reads there; comparing
+// that to the UTC time gives the offset (and it handles daylight saving).
+function getTimeZoneOffset(timestamp, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(timestamp));
+
+    const value = type => Number(parts.find(part => part.type === type).value);
+    const wallClock = Date.UTC(
+        value('year'), value('month') - 1, value('day'),
+        value('hour'), value('minute'), value('second')
+    );
+    return wallClock - timestamp;
+}
+
+// Turns a wall-clock time in "timeZone" into a real UTC timestamp.
+// We guess using the offset at the wall-clock time, then check the
+// offset again at our answer, in case a daylight-saving switch sits
+// between the two.
+function zonedTimeToUtc(wallClock, timeZone) {
+    const firstGuess = wallClock - getTimeZoneOffset(wallClock, timeZone);
+    return wallClock - getTimeZoneOffset(firstGuess, timeZone);
+}
+
+// ============================================
+// FORMATTING HELPERS
+// ============================================
+
+// "2025-11-01" + "09:30" -> milliseconds, as if the wall clock were UTC
+function toWallClock(dateText, timeText) {
+    const [year, month, day] = dateText.split('-').map(Number);
+    const [hours, minutes] = timeText.split(':').map(Number);
+    return Date.UTC(year, month - 1, day, hours, minutes);
+}
+
+const pad = number => String(number).padStart(2, '0');
+
+// 20251101T093000Z - a time in UTC
+function formatUtc(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+        `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+// 20251101T093000 - a "floating" time (same clock time in every zone),
+// used when the itinerary doesn't say which time zone it's in
+function formatFloating(wallClock) {
+    return formatUtc(wallClock).slice(0, -1);
+}
+
+// Commas, semicolons, backslashes and newlines have special meanings
+// in .ics text, so they need a backslash in front
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 bytes must be "folded": split up, with each
+// continuation line starting with a space
+function foldLine(line) {
+    if (Buffer.byteLength(line, 'utf8') <= 75) {
+        return line;
+    }
+
+    const pieces = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char, 'utf8');
+        // The first line gets 75 bytes, continuation lines 74 (plus the space)
+        const limit = pieces.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            pieces.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    pieces.push(current);
+    return pieces.join('\r\n ');
+}
+
+// ============================================
+// BUILD THE CALENDAR
+// ============================================
+
+// The date of a given trip day, counted from the trip's start date
+function dateOfDay(start, dayNumber) {
+    const [year, month, day] = start.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day) + (dayNumber - 1) * MS_PER_DAY);
+    return date.toISOString().slice(0, 10);
+}
+
+function buildEvent(trip, day, item, index) {
+    const itinerary = trip.itinerary;
+    const date = dateOfDay(trip.request.start, day.day);
+
+    const startWallClock = toWallClock(date, item.startTime);
+    let endWallClock = toWallClock(date, item.endTime);
+    if (endWallClock <= startWallClock) {
+        endWallClock += MS_PER_DAY; // Ends after midnight, e.g. 22:00 - 01:00
+    }
+
+    // On multi-city trips a day can be in a different time zone from the rest
+    const timeZone = day.timeZone || itinerary.timeZone;
+    const formatTime = wallClock => (timeZone
+        ? formatUtc(zonedTimeToUtc(wallClock, timeZone))
+        : formatFloating(wallClock));
+
+    const description = [];
+    if (item.notes) {
+        description.push(item.notes);
+    }
+    description.push(`Estimated cost: ${item.estimatedCost} ${itinerary.currency}`);
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${trip.id}-${item.id || `day${day.day}-item${index + 1}`}@roamie`,
+        // ^ The item's id stays the same when it's moved or edited, so
+        //   importing the file again updates the same event. Trips saved
+        //   before items had ids fall back to where the item is.
+        `DTSTAMP:${formatUtc(Date.parse(trip.updatedAt))}`,
+        `DTSTART:${formatTime(startWallClock)}`,
+        `DTEND:${formatTime(endWallClock)}`,
+        `SUMMARY:${escapeText(item.title)}`,
+        `DESCRIPTION:${escapeText(description.join('\n\n'))}`,
+        `CATEGORIES:${escapeText(item.category.toUpperCase())}`
+    ];
+    if (item.location) {
+        lines.push(`LOCATION:${escapeText(item.location)}`);
+    }
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+// Returns the complete .ics file for a saved trip, as a string
+function buildIcs(trip) {
+    const itinerary = trip.itinerary;
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//roamie//Travel Itinerary//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(itinerary.title)}`
+    ];
+    if (itinerary.timeZone) {
+        lines.push(`X-WR-TIMEZONE:${itinerary.timeZone}`);
+        // ^ Not required, but tells calendar apps which zone to display
+    }
+
+    itinerary.days.forEach(day => {
+        day.items.forEach((item, index) => {
+            lines.push(...buildEvent(trip, day, item, index));
+        });
+    });
+
+    lines.push('END:VCALENDAR');
+
+    // .ics files use Windows-style line endings (\r\n), including at the end
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildIcs };
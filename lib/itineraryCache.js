@@ -0,0 +1,105 @@
+// ============================================
+// ITINERARY CACHE - Don't Pay Twice for the Same Trip
+// ============================================
+// If someone submits exactly the same trip again (or just reloads the
+// results page), we hand back the itinerary we already made instead of
+// calling the AI again.
+//
+// "The same trip" means the same CLEANED request (see lib/tripRequest.js),
+// ignoring things that don't change the answer: upper/lower case and
+// extra spaces in city names (and other typed places), and the order
+// preferences were picked in.
+//
+// The cache lives in memory, so it's emptied when the server restarts.
+// Entries expire after "ttlSeconds", and only the "maxEntries" most
+// recently used trips are kept.
+//
+// Usage:
+//   const cache = createItineraryCache({ ttlSeconds: 86400, maxEntries: 100 });
+//   cache.set(request, itinerary);
+//   cache.get(request)  -> { itinerary, createdAt } or null
+
+const { getStops } = require('./tripRequest');
+
+// ============================================
+// HELPER FUNCTION: The Cache Key for a Request
+// ============================================
+// Turns a cleaned request into a string. Two requests that should get
+// the same itinerary get the same string.
+function cacheKeyFor(request) {
+    const normalizeText = text => text.toLowerCase().replace(/\s+/g, ' ').trim();
+    // Lists are sorted, and optional ones (like the dietary restrictions) may be left out
+    const sortedList = (list, normalize = entry => entry) =>
+        list ? list.map(normalize).sort() : [];
+    const optional = value => (value === undefined ? null : value);
+
+    return JSON.stringify({
+        origin: normalizeText(request.origin),
+        stops: getStops(request).map(stop => ({
+            destination: normalizeText(stop.destination),
+            start: stop.start,
+            end: stop.end
+        })),
+        numPeople: request.numPeople,
+        activity: sortedList(request.activity),
+        food: sortedList(request.food),
+        budget: optional(request.budget),
+        currency: optional(request.currency),
+        pace: optional(request.pace),
+        accessibility: sortedList(request.accessibility),
+        dietary: sortedList(request.dietary),
+        allergies: request.allergies ? normalizeText(request.allergies) : null,
+        childrenAges: sortedList(request.childrenAges),
+        lodging: optional(request.lodging),
+        neighborhood: request.neighborhood ? normalizeText(request.neighborhood) : null,
+        mustSee: sortedList(request.mustSee, normalizeText),
+        mustAvoid: sortedList(request.mustAvoid, normalizeText),
+        language: request.language || 'en'
+        // ^ No language means English, so both get the same itinerary
+    });
+}
+
+function createItineraryCache({ ttlSeconds = 24 * 60 * 60, maxEntries = 100, now = Date.now } = {}) {
+    const entries = new Map();
+    // ^ A Map remembers the order things were added in. We re-add an
+    //   entry every time it's used, so the first one is always the
+    //   least recently used - that's the one to drop when we're full.
+
+    function get(request) {
+        const key = cacheKeyFor(request);
+        const entry = entries.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        if (now() - entry.storedAt >= ttlSeconds * 1000) {
+            entries.delete(key);
+            return null;
+        }
+
+        // Move it to the end: it's now the most recently used
+        entries.delete(key);
+        entries.set(key, entry);
+        return { itinerary: entry.itinerary, createdAt: new Date(entry.storedAt).toISOString() };
+    }
+
+    function set(request, itinerary) {
+        if (maxEntries === 0 || ttlSeconds === 0) {
+            return;
+            // ^ The cache is turned off
+        }
+
+        const key = cacheKeyFor(request);
+        entries.delete(key);
+        entries.set(key, { itinerary: itinerary, storedAt: now() });
+
+        if (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+            // ^ .keys().next().value is the first (least recently used) key
+        }
+    }
+
+    return { get, set };
+}
+
+module.exports = { cacheKeyFor, createItineraryCache };
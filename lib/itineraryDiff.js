@@ -0,0 +1,83 @@
+// ============================================
+// ITINERARY DIFF - What Changed Between Versions?
+// ============================================
+// After a trip is refined ("make day 3 cheaper"), we want to show the
+// traveler exactly what's different instead of making them re-read
+// the whole itinerary. This file compares two itineraries and returns
+// a list of changes like:
+//
+//   { type: 'removed', day: 2, item: 'Louvre Museum' }
+//   { type: 'added',   day: 2, item: "Musée d'Orsay" }
+//   { type: 'changed', day: 3, item: 'Dinner at Le Comptoir', fields: ['estimatedCost'] }
+//   { type: 'changed', day: 3, fields: ['title'] }          <- the day itself
+//   { type: 'added',   day: 5 }                              <- a whole new day
+//
+// Days are matched by their "day" number, and items inside a day are
+// matched by their title (ignoring upper/lower case).
+
+// The item fields we compare, in the order we report them
+const ITEM_FIELDS = ['startTime', 'endTime', 'category', 'location', 'estimatedCost', 'notes'];
+
+function itemKey(item) {
+    return item.title.trim().toLowerCase();
+}
+
+function diffItems(dayNumber, beforeItems, afterItems, changes) {
+    const beforeByKey = new Map(beforeItems.map(item => [itemKey(item), item]));
+    const afterKeys = new Set(afterItems.map(itemKey));
+
+    beforeItems.forEach(item => {
+        if (!afterKeys.has(itemKey(item))) {
+            changes.push({ type: 'removed', day: dayNumber, item: item.title });
+        }
+    });
+
+    afterItems.forEach(item => {
+        const previous = beforeByKey.get(itemKey(item));
+        if (!previous) {
+            changes.push({ type: 'added', day: dayNumber, item: item.title });
+            return;
+        }
+
+        const fields = ITEM_FIELDS.filter(field => previous[field] !== item[field]);
+        if (fields.length > 0) {
+            changes.push({ type: 'changed', day: dayNumber, item: item.title, fields: fields });
+        }
+    });
+}
+
+function diffItineraries(before, after) {
+    const changes = [];
+
+    if (before.title !== after.title) {
+        changes.push({ type: 'changed', fields: ['title'] });
+    }
+
+    const beforeDays = new Map(before.days.map(day => [day.day, day]));
+    const afterDays = new Map(after.days.map(day => [day.day, day]));
+
+    before.days.forEach(day => {
+        if (!afterDays.has(day.day)) {
+            changes.push({ type: 'removed', day: day.day });
+        }
+    });
+
+    after.days.forEach(day => {
+        const previous = beforeDays.get(day.day);
+        if (!previous) {
+            changes.push({ type: 'added', day: day.day });
+            return;
+        }
+
+        const fields = ['date', 'title', 'city'].filter(field => previous[field] !== day[field]);
+        if (fields.length > 0) {
+            changes.push({ type: 'changed', day: day.day, fields: fields });
+        }
+
+        diffItems(day.day, previous.items, day.items, changes);
+    });
+
+    return changes;
+}
+
+module.exports = { diffItineraries };
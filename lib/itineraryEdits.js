@@ -0,0 +1,175 @@
+// ============================================
+// ITINERARY EDITS - Changing a Trip by Hand
+// ============================================
+// The results page has an editing mode (see editor.js) where you can
+// drag items around, change them, delete them or add new ones. Every
+// change is one of the small functions below.
+//
+// None of them change the itinerary you pass in: they return a NEW
+// itinerary with the change made. That's what makes undo/redo easy -
+// the edit history (createEditHistory() at the bottom) just keeps a
+// list of versions and steps back and forth through it.
+//
+// Days are picked by their position in itinerary.days ("dayIndex", from 0),
+// and items by their position in that day's list ("index", from 0).
+//
+// This file is ALSO loaded by results.html, like lib/tripRequest.js, so
+// it doesn't require() anything - see the bottom of the file.
+
+// A deep copy, so the new version never shares objects with the old one
+function copyItinerary(itinerary) {
+    return JSON.parse(JSON.stringify(itinerary));
+}
+
+// Moves an item to another place in the same day or to another day.
+// "to.index" is where it ends up in the target day's list.
+function moveItem(itinerary, from, to) {
+    const next = copyItinerary(itinerary);
+    const [item] = next.days[from.dayIndex].items.splice(from.index, 1);
+    // ^ .splice(index, 1) removes one element and returns it in a list
+    const targetItems = next.days[to.dayIndex].items;
+    targetItems.splice(Math.min(to.index, targetItems.length), 0, item);
+    // ^ .splice(index, 0, item) inserts without removing anything
+    return next;
+}
+
+// Changes some fields of one item, e.g. { title: "Lunch at Time Out Market" }
+function updateItem(itinerary, dayIndex, index, changes) {
+    const next = copyItinerary(itinerary);
+    Object.assign(next.days[dayIndex].items[index], changes);
+    return next;
+}
+
+// Changes some fields of a day, e.g. { title: "Museums and markets" }
+function updateDay(itinerary, dayIndex, changes) {
+    const next = copyItinerary(itinerary);
+    Object.assign(next.days[dayIndex], changes);
+    return next;
+}
+
+function removeItem(itinerary, dayIndex, index) {
+    const next = copyItinerary(itinerary);
+    next.days[dayIndex].items.splice(index, 1);
+    return next;
+}
+
+// Adds "item" to a day - at the end, unless an "index" is given
+function addItem(itinerary, dayIndex, item, index) {
+    const next = copyItinerary(itinerary);
+    const items = next.days[dayIndex].items;
+    items.splice(index === undefined ? items.length : index, 0, copyItinerary(item));
+    return next;
+}
+
+function replaceItem(itinerary, dayIndex, index, item) {
+    const next = copyItinerary(itinerary);
+    next.days[dayIndex].items[index] = copyItinerary(item);
+    return next;
+}
+
+// Swaps in a whole new day. Its number and date always stay the same,
+// whatever the replacement says.
+function replaceDay(itinerary, dayIndex, day) {
+    const next = copyItinerary(itinerary);
+    const old = next.days[dayIndex];
+    next.days[dayIndex] = { ...copyItinerary(day), day: old.day, date: old.date };
+    return next;
+}
+
+// ============================================
+// HELPER FUNCTION: A Blank Item
+// ============================================
+// What the "+ add item" button adds: an hour-long activity starting when
+// the day's last item ends (or at 09:00 on an empty day).
+function newItem(day) {
+    const last = day.items[day.items.length - 1];
+    const startTime = last ? last.endTime : '09:00';
+    const [hours, minutes] = startTime.split(':').map(Number);
+    const endHours = Math.min(hours + 1, 23);
+    const endTime = `${String(endHours).padStart(2, '0')}:${String(endHours === 23 ? 59 : minutes).padStart(2, '0')}`;
+    // ^ An activity starting after 22:00 just runs until 23:59
+
+    return {
+        startTime: startTime,
+        endTime: endTime,
+        title: 'New activity',
+        category: 'activity',
+        location: '',
+        estimatedCost: 0
+    };
+}
+
+// ============================================
+// UNDO / REDO
+// ============================================
+// Keeps every version of the itinerary while you edit:
+//
+//   const history = createEditHistory(itinerary);
+//   history.apply(removeItem(history.current(), 0, 2));
+//   history.undo();   // back to the original
+//   history.redo();   // item removed again
+//
+// Making a new change after undoing throws away the versions you undid,
+// like in a text editor. Only the last "limit" versions are kept.
+function createEditHistory(initial, { limit = 100 } = {}) {
+    let versions = [initial];
+    let position = 0;
+    // ^ versions[position] is the current version
+
+    return {
+        current() {
+            return versions[position];
+        },
+
+        apply(next) {
+            versions = versions.slice(0, position + 1);
+            versions.push(next);
+            if (versions.length > limit) {
+                versions.shift();
+            }
+            position = versions.length - 1;
+            return next;
+        },
+
+        canUndo() {
+            return position > 0;
+        },
+
+        canRedo() {
+            return position < versions.length - 1;
+        },
+
+        undo() {
+            if (position > 0) {
+                position--;
+            }
+            return versions[position];
+        },
+
+        redo() {
+            if (position < versions.length - 1) {
+                position++;
+            }
+            return versions[position];
+        }
+    };
+}
+
+// ============================================
+// Sharing With Node.js
+// ============================================
+// In the browser there's no "module", so this does nothing and the
+// functions above are simply globals that editor.js can use.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        addItem,
+        createEditHistory,
+        moveItem,
+        newItem,
+        removeItem,
+        replaceDay,
+        replaceItem,
+        updateDay,
+        updateItem
+    };
+}
@@ -0,0 +1,360 @@
+// ============================================
+// ITINERARY SCHEMA - The Shape of a Trip
+// ============================================
+// Claude used to send back one big block of markdown text, and the results
+// page had to guess which lines were days, activities or tips.
+// Now we ask Claude for a JSON document with a fixed shape, and this file:
+// 1. Describes that shape (so we can put it in the prompt)
+// 2. Pulls the JSON out of Claude's reply
+// 3. Checks every field, so the rest of the app can trust the data
+
+// The kinds of things that can appear in a day
+const ITEM_CATEGORIES = ['lodging', 'food', 'activity', 'transport', 'other'];
+
+// Ways to get from one city to the next on a multi-city trip
+const TRANSPORT_MODES = ['train', 'flight', 'drive', 'bus', 'ferry'];
+
+// "09:30", "14:00", "23:59" - 24-hour clock, always two digits
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// "2025-11-01"
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// "USD", "EUR", "JPY" - ISO 4217 currency codes
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// Saved items get an id (see lib/tripStore.js) - letters, numbers, "-"
+// and "_" only, because it ends up in calendar files
+const ITEM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// ============================================
+// SCHEMA DESCRIPTION (for the prompt)
+// ============================================
+// An example document that shows Claude exactly what we expect back.
+// Keeping it here (next to the validator) means the two never drift apart.
+const ITINERARY_EXAMPLE = {
+    title: 'Short, descriptive trip title',
+    summary: 'One or two paragraphs giving an overview of the trip (markdown allowed)',
+    currency: 'USD',
+    timeZone: 'IANA time zone of the destination, like Europe/Paris',
+    days: [
+        {
+            day: 1,
+            date: 'YYYY-MM-DD',
+            title: 'Theme of the day',
+            city: 'City where the day ends',
+            timeZone: 'IANA time zone of that city, like Europe/Paris',
+            items: [
+                {
+                    startTime: '09:00',
+                    endTime: '10:30',
+                    title: 'Name of the activity, meal or transfer',
+                    category: ITEM_CATEGORIES.join(' | '),
+                    location: 'Place name or neighborhood',
+                    estimatedCost: 25,
+                    notes: 'Practical tips (markdown allowed)'
+                }
+            ]
+        }
+    ],
+    legs: [
+        {
+            day: 4,
+            from: 'City you leave',
+            to: 'City you arrive in',
+            options: [
+                {
+                    mode: TRANSPORT_MODES.join(' | '),
+                    durationMinutes: 180,
+                    estimatedCost: 60,
+                    notes: 'Where to catch it, how often it runs, booking tips'
+                }
+            ]
+        }
+    ],
+    tips: ['Practical tip for the whole trip']
+};
+
+function describeSchema() {
+    return `Respond with ONLY a JSON object (no markdown code fences, no text before or after it) that matches this structure:
+
+${JSON.stringify(ITINERARY_EXAMPLE, null, 2)}
+
+Rules:
+- "days" must have one entry per day of the trip, numbered from 1, with "date" in YYYY-MM-DD format.
+- "startTime" and "endTime" use the 24-hour HH:MM format, and items are listed in time order.
+- "category" must be exactly one of: ${ITEM_CATEGORIES.join(', ')}.
+- "estimatedCost" is a number (no currency symbol) for the whole group, in the trip's "currency". Use 0 for free items.
+- "currency" is a three-letter ISO 4217 code.
+- "timeZone" is the IANA time zone name of the destination, and all times are local to it.
+- "city" is where the traveler is at the end of that day. Give a day its own "timeZone" if that city is in a different time zone from the trip's "timeZone".
+- "legs" lists the trips between the stops of a multi-city trip, one per travel day ("day" is that day's number). List 2-3 "options", best first, with "durationMinutes" as door-to-door travel time and "estimatedCost" for the whole group. Add the first option as a "transport" item on that day too. Single-destination trips use an empty list: "legs": [].`;
+}
+
+// ============================================
+// PARSE: Find the JSON in Claude's Reply
+// ============================================
+// Even when asked nicely, models sometimes wrap JSON in ```json fences
+// or add a sentence before it. We cut out the part between the first "{"
+// and the last "}" and parse only that.
+// Throws a SyntaxError if there is no JSON object to be found.
+function parseItineraryJson(text) {
+    const firstBrace = text.indexOf('{');
+    const lastBrace = text.lastIndexOf('}');
+
+    if (firstBrace === -1 || lastBrace < firstBrace) {
+        throw new SyntaxError('Response does not contain a JSON object');
+    }
+
+    return JSON.parse(text.slice(firstBrace, lastBrace + 1));
+}
+
+// ============================================
+// VALIDATE: Check Every Field
+// ============================================
+// Returns a list of problems like "days[0].items[2].startTime must be HH:MM".
+// An empty list means the itinerary is valid.
+// We collect ALL problems (instead of stopping at the first one) so that
+// the repair prompt can tell Claude everything it needs to fix at once.
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// pattern.test() turns whatever it gets into a string first - and an
+// object like { "toString": 1 } from a request body makes that throw.
+// Checking the type first means only strings can match.
+function matchesPattern(pattern, value) {
+    return typeof value === 'string' && pattern.test(value);
+}
+
+// The browser and Node both know every IANA time zone name, and
+// Intl.DateTimeFormat throws a RangeError for names it doesn't recognize
+function isValidTimeZone(value) {
+    if (!isNonEmptyString(value)) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function validateItem(item, path, errors) {
+    if (!isPlainObject(item)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+
+    if (!matchesPattern(TIME_PATTERN, item.startTime)) {
+        errors.push(`${path}.startTime must be a time in HH:MM format`);
+    }
+    if (!matchesPattern(TIME_PATTERN, item.endTime)) {
+        errors.push(`${path}.endTime must be a time in HH:MM format`);
+    }
+    if (!isNonEmptyString(item.title)) {
+        errors.push(`${path}.title must be a non-empty string`);
+    }
+    if (!ITEM_CATEGORIES.includes(item.category)) {
+        errors.push(`${path}.category must be one of: ${ITEM_CATEGORIES.join(', ')}`);
+    }
+    if (typeof item.location !== 'string') {
+        errors.push(`${path}.location must be a string`);
+    }
+    if (typeof item.estimatedCost !== 'number' || !Number.isFinite(item.estimatedCost) || item.estimatedCost < 0) {
+        errors.push(`${path}.estimatedCost must be a number greater than or equal to 0`);
+    }
+    if (item.notes !== undefined && typeof item.notes !== 'string') {
+        errors.push(`${path}.notes must be a string`);
+    }
+    // Optional: Claude doesn't write ids, and they're added when a trip is saved
+    if (item.id !== undefined && !matchesPattern(ITEM_ID_PATTERN, item.id)) {
+        errors.push(`${path}.id must be letters, numbers, "-" or "_"`);
+    }
+}
+
+function validateDay(day, path, errors) {
+    if (!isPlainObject(day)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+
+    if (!Number.isInteger(day.day) || day.day < 1) {
+        errors.push(`${path}.day must be a positive whole number`);
+    }
+    if (!matchesPattern(DATE_PATTERN, day.date) || Number.isNaN(Date.parse(day.date))) {
+        errors.push(`${path}.date must be a date in YYYY-MM-DD format`);
+    }
+    if (!isNonEmptyString(day.title)) {
+        errors.push(`${path}.title must be a non-empty string`);
+    }
+    // "city" and "timeZone" are optional - only multi-city trips need them
+    if (day.city !== undefined && typeof day.city !== 'string') {
+        errors.push(`${path}.city must be a string`);
+    }
+    if (day.timeZone !== undefined && !isValidTimeZone(day.timeZone)) {
+        errors.push(`${path}.timeZone must be an IANA time zone name like "Europe/Paris"`);
+    }
+    if (!Array.isArray(day.items)) {
+        errors.push(`${path}.items must be an array`);
+        return;
+    }
+
+    day.items.forEach((item, index) => validateItem(item, `${path}.items[${index}]`, errors));
+}
+
+function validateTransportOption(option, path, errors) {
+    if (!isPlainObject(option)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+
+    if (!TRANSPORT_MODES.includes(option.mode)) {
+        errors.push(`${path}.mode must be one of: ${TRANSPORT_MODES.join(', ')}`);
+    }
+    if (!Number.isInteger(option.durationMinutes) || option.durationMinutes <= 0) {
+        errors.push(`${path}.durationMinutes must be a whole number greater than 0`);
+    }
+    if (typeof option.estimatedCost !== 'number' || !Number.isFinite(option.estimatedCost) || option.estimatedCost < 0) {
+        errors.push(`${path}.estimatedCost must be a number greater than or equal to 0`);
+    }
+    if (option.notes !== undefined && typeof option.notes !== 'string') {
+        errors.push(`${path}.notes must be a string`);
+    }
+}
+
+// "dayNumbers" are the day numbers the itinerary actually has, so a leg
+// can't point at a day that doesn't exist
+function validateLeg(leg, path, dayNumbers, errors) {
+    if (!isPlainObject(leg)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+
+    if (!Number.isInteger(leg.day) || !dayNumbers.includes(leg.day)) {
+        errors.push(`${path}.day must be the number of one of the itinerary's days`);
+    }
+    if (!isNonEmptyString(leg.from)) {
+        errors.push(`${path}.from must be a non-empty string`);
+    }
+    if (!isNonEmptyString(leg.to)) {
+        errors.push(`${path}.to must be a non-empty string`);
+    }
+    if (!Array.isArray(leg.options) || leg.options.length === 0) {
+        errors.push(`${path}.options must be a non-empty array`);
+        return;
+    }
+
+    leg.options.forEach((option, index) => validateTransportOption(option, `${path}.options[${index}]`, errors));
+}
+
+function validateItinerary(itinerary) {
+    const errors = [];
+
+    if (!isPlainObject(itinerary)) {
+        return ['itinerary must be a JSON object'];
+    }
+
+    if (!isNonEmptyString(itinerary.title)) {
+        errors.push('title must be a non-empty string');
+    }
+    if (typeof itinerary.summary !== 'string') {
+        errors.push('summary must be a string');
+    }
+    if (!matchesPattern(CURRENCY_PATTERN, itinerary.currency)) {
+        errors.push('currency must be a three-letter ISO 4217 code like "USD"');
+    }
+    // Optional, because trips saved before we asked for it don't have one
+    if (itinerary.timeZone !== undefined && !isValidTimeZone(itinerary.timeZone)) {
+        errors.push('timeZone must be an IANA time zone name like "Europe/Paris"');
+    }
+    if (!Array.isArray(itinerary.tips) || !itinerary.tips.every(tip => typeof tip === 'string')) {
+        errors.push('tips must be an array of strings');
+    }
+    if (!Array.isArray(itinerary.days) || itinerary.days.length === 0) {
+        errors.push('days must be a non-empty array');
+    } else {
+        itinerary.days.forEach((day, index) => validateDay(day, `days[${index}]`, errors));
+    }
+    // Optional, because single-destination trips (and older saved trips) have none
+    if (itinerary.legs !== undefined) {
+        if (!Array.isArray(itinerary.legs)) {
+            errors.push('legs must be an array');
+        } else {
+            const dayNumbers = Array.isArray(itinerary.days) ? itinerary.days.map(day => day && day.day) : [];
+            itinerary.legs.forEach((leg, index) => validateLeg(leg, `legs[${index}]`, dayNumbers, errors));
+        }
+    }
+
+    return errors;
+}
+
+// Validates one day on its own - used while streaming, when days arrive
+// one at a time before the rest of the itinerary exists.
+function validateSingleDay(day) {
+    const errors = [];
+    validateDay(day, 'day', errors);
+    return errors;
+}
+
+// Validates one item on its own - used when Claude replaces a single
+// item of an itinerary (see POST /trips/:id/regenerate in app.js)
+function validateSingleItem(item) {
+    const errors = [];
+    validateItem(item, 'item', errors);
+    return errors;
+}
+
+// ============================================
+// CHECK: Parse + Validate in One Step
+// ============================================
+// Takes Claude's raw reply text and returns { itinerary, errors }.
+// A reply that isn't JSON at all is reported as an error too,
+// so callers only have one list to look at.
+function checkItineraryText(text) {
+    const { value, errors } = checkJsonText(text, validateItinerary);
+    return { itinerary: value, errors: errors };
+}
+
+// The same for any other JSON object we ask Claude for, like a single
+// day or item: "validate" is one of the validate functions above.
+// Returns { value, errors }.
+function checkJsonText(text, validate) {
+    let value;
+    try {
+        value = parseItineraryJson(text);
+    } catch (error) {
+        return { value: null, errors: [`response is not valid JSON (${error.message})`] };
+    }
+
+    return { value, errors: validate(value) };
+}
+
+// Thrown when Claude's reply still doesn't match the schema after the
+// repair attempt. "errors" holds the list of problems we found.
+class ItineraryFormatError extends Error {
+    constructor(errors) {
+        super('Generated itinerary did not match the expected format');
+        this.name = 'ItineraryFormatError';
+        this.errors = errors;
+    }
+}
+
+module.exports = {
+    ITEM_CATEGORIES,
+    TRANSPORT_MODES,
+    ItineraryFormatError,
+    checkItineraryText,
+    checkJsonText,
+    describeSchema,
+    parseItineraryJson,
+    validateItinerary,
+    validateSingleDay,
+    validateSingleItem
+};
@@ -0,0 +1,157 @@
+// ============================================
+// LIMITS - Keeping the AI Bill Under Control
+// ============================================
+// Every generation is a paid call to the AI, and the generate endpoints
+// don't need a login. Two things stop one person (or a runaway script)
+// from running up the bill:
+//
+// 1. A RATE LIMITER: each client (by IP address) can make a few requests
+//    per minute. Going over gets a 429 "Too Many Requests" response with
+//    a Retry-After header saying how many seconds to wait.
+// 2. A DAILY QUOTA: a cap on AI requests and tokens for the whole server.
+//    It resets at midnight UTC.
+//
+// Usage:
+//   const limiter = createRateLimiter({ windowSeconds: 60, maxRequests: 5 });
+//   limiter.hit('1.2.3.4')  -> { allowed: true, remaining: 4 }
+//                           or { allowed: false, retryAfterSeconds: 42 }
+//
+//   const quota = createUsageQuota({ maxRequests: 500, maxTokens: 2000000 });
+//   quota.check()           -> { allowed: true } or { allowed: false, retryAfterSeconds: ... }
+//   quota.record({ inputTokens: 1200, outputTokens: 3400 })
+//
+// Both take a "now" function (default: Date.now) so tests can move the clock.
+
+const MS_PER_SECOND = 1000;
+const MS_PER_DAY = 24 * 60 * 60 * MS_PER_SECOND;
+
+// ============================================
+// RATE LIMITER - A Few Requests Per Minute
+// ============================================
+// A "fixed window" counter: the first request from a client starts a
+// window (say 60 seconds), and every request in that window counts.
+// When the window is over, the count starts again from zero.
+function createRateLimiter({ windowSeconds = 60, maxRequests = 5, now = Date.now } = {}) {
+    const windowMs = windowSeconds * MS_PER_SECOND;
+    const windows = new Map();
+    // ^ client key -> { startedAt, count }
+
+    // Forget windows that are over, so the Map doesn't grow forever
+    function forgetOldWindows(time) {
+        for (const [key, window] of windows) {
+            if (time - window.startedAt >= windowMs) {
+                windows.delete(key);
+            }
+        }
+    }
+
+    function hit(key) {
+        const time = now();
+        forgetOldWindows(time);
+
+        let window = windows.get(key);
+        if (!window) {
+            window = { startedAt: time, count: 0 };
+            windows.set(key, window);
+        }
+
+        if (window.count >= maxRequests) {
+            const msLeft = window.startedAt + windowMs - time;
+            return { allowed: false, retryAfterSeconds: Math.max(1, Math.ceil(msLeft / MS_PER_SECOND)) };
+        }
+
+        window.count++;
+        return { allowed: true, remaining: maxRequests - window.count };
+    }
+
+    return { hit };
+}
+
+// ============================================
+// DAILY QUOTA - A Cap for the Whole Server
+// ============================================
+// Counts AI requests and tokens since midnight UTC. "maxRequests" and
+// "maxTokens" can be Infinity to turn that half of the quota off.
+function createUsageQuota({ maxRequests = Infinity, maxTokens = Infinity, now = Date.now } = {}) {
+    let day = null;
+    let requests = 0;
+    let tokens = 0;
+
+    // Starts the counts again when the date (in UTC) changes
+    function startDayIfNew(time) {
+        const today = Math.floor(time / MS_PER_DAY);
+        if (today !== day) {
+            day = today;
+            requests = 0;
+            tokens = 0;
+        }
+    }
+
+    function check() {
+        const time = now();
+        startDayIfNew(time);
+
+        if (requests >= maxRequests || tokens >= maxTokens) {
+            const msUntilMidnight = (day + 1) * MS_PER_DAY - time;
+            return { allowed: false, retryAfterSeconds: Math.max(1, Math.ceil(msUntilMidnight / MS_PER_SECOND)) };
+        }
+        return { allowed: true };
+    }
+
+    // "usage" is the total for one request to our server, which may
+    // have been several AI calls (a generation and a repair)
+    function record(usage) {
+        startDayIfNew(now());
+        requests++;
+        tokens += usage.inputTokens + usage.outputTokens;
+    }
+
+    // How much has been used today, e.g. for logging
+    function getUsage() {
+        startDayIfNew(now());
+        return { requests: requests, tokens: tokens, maxRequests: maxRequests, maxTokens: maxTokens };
+    }
+
+    return { check, record, getUsage };
+}
+
+// ============================================
+// SETTINGS FROM ENVIRONMENT VARIABLES
+// ============================================
+// Reads the limits from .env (see .env.example). Like loadLlmConfig(),
+// it throws on settings that don't make sense so mistakes show up when
+// the server starts.
+
+function readWholeNumber(env, name, fallback) {
+    if (!env[name]) {
+        return fallback;
+    }
+    const value = Number(env[name]);
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${name} must be a whole number (0 or more)`);
+    }
+    return value;
+}
+
+function loadLimitsConfig(env) {
+    const dailyRequests = readWholeNumber(env, 'DAILY_REQUEST_QUOTA', 0);
+    const dailyTokens = readWholeNumber(env, 'DAILY_TOKEN_QUOTA', 0);
+
+    return {
+        rateLimit: {
+            windowSeconds: readWholeNumber(env, 'RATE_LIMIT_WINDOW_SECONDS', 60) || 60,
+            maxRequests: readWholeNumber(env, 'RATE_LIMIT_MAX_REQUESTS', 5) || Infinity
+        },
+        quota: {
+            // 0 means "no limit"
+            maxRequests: dailyRequests || Infinity,
+            maxTokens: dailyTokens || Infinity
+        },
+        cache: {
+            ttlSeconds: readWholeNumber(env, 'CACHE_TTL_SECONDS', 24 * 60 * 60),
+            maxEntries: readWholeNumber(env, 'CACHE_MAX_ENTRIES', 100)
+        }
+    };
+}
+
+module.exports = { createRateLimiter, createUsageQuota, loadLimitsConfig };
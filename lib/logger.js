@@ -0,0 +1,130 @@
+// ============================================
+// LOGGER - Structured Logs Without Personal Data
+// ============================================
+// Every log line is ONE JSON object, so log tools (or "grep" and "jq")
+// can search and filter them:
+//
+//   {"time":"2025-11-01T09:30:00.000Z","level":"info","msg":"Itinerary generated","requestId":"4f1c...","days":3}
+//
+// Usage:
+//   const logger = createLogger({ level: 'info' });
+//   logger.info('Itinerary generated', { days: 3 });
+//   logger.error('Error refining itinerary', { error });
+//
+//   const log = logger.child({ requestId: req.id });
+//   log.warn('Daily AI quota reached');   // every line includes the requestId
+//
+// Trip requests are full of personal details (where you live, where
+// you're going and when, allergies, children's ages...). Before a line
+// is written, redact() replaces fields like those with "[redacted]" and
+// hides anything that looks like an email address, so logs are safe to
+// keep and share with whoever is helping debug.
+//
+// Lines go through console.log (debug/info) and console.error
+// (warn/error), which is also what the tests mute.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names whose values are never logged, wherever they appear
+const REDACTED_FIELDS = new Set([
+    // Accounts and secrets
+    'password', 'passwordHash', 'token', 'cookie', 'authorization', 'apiKey', 'username',
+    // Where and who - from the trip request
+    'origin', 'destination', 'stops', 'neighborhood', 'mustSee', 'mustAvoid',
+    'accessibility', 'dietary', 'allergies', 'childrenAges',
+    // Free text typed by the traveler
+    'instruction'
+]);
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+// How deep redact() looks into nested objects (logs don't need more)
+const MAX_DEPTH = 6;
+
+// ============================================
+// HELPER FUNCTION: Redact Personal Data
+// ============================================
+// Returns a copy of "value" that is safe to log. Errors become plain
+// objects with their name, message and code (JSON.stringify() would
+// otherwise turn them into "{}").
+function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return value.replace(EMAIL_PATTERN, '[email]');
+    }
+    if (value instanceof Error) {
+        return redact(describeError(value), depth);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[too deep]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(entry => redact(entry, depth + 1));
+    }
+
+    const safe = {};
+    for (const [key, entry] of Object.entries(value)) {
+        safe[key] = REDACTED_FIELDS.has(key) ? '[redacted]' : redact(entry, depth + 1);
+    }
+    return safe;
+}
+
+// The useful parts of an error. "status" is set by AI provider errors
+// (see lib/errors.js); the stack says where it happened.
+function describeError(error) {
+    const description = { name: error.name, message: error.message };
+    if (error.code !== undefined) {
+        description.code = error.code;
+    }
+    if (error.status !== undefined) {
+        description.status = error.status;
+    }
+    if (error.stack) {
+        description.stack = error.stack;
+    }
+    return description;
+}
+
+// ============================================
+// MAIN FUNCTION: Create a Logger
+// ============================================
+// "level" is the least important level that's still written: "debug"
+// writes everything, "error" only errors. "fields" are added to every
+// line (child() adds more). "now" can be replaced in tests.
+function createLogger({ level = 'info', fields = {}, now = () => new Date() } = {}) {
+    const minimum = LEVELS[level] || LEVELS.info;
+
+    function write(lineLevel, message, extra = {}) {
+        if (LEVELS[lineLevel] < minimum) {
+            return;
+        }
+        const line = JSON.stringify({
+            time: now().toISOString(),
+            level: lineLevel,
+            msg: redact(message),
+            ...redact({ ...fields, ...extra })
+        });
+        if (LEVELS[lineLevel] >= LEVELS.warn) {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+    }
+
+    return {
+        level: level,
+        debug: (message, extra) => write('debug', message, extra),
+        info: (message, extra) => write('info', message, extra),
+        warn: (message, extra) => write('warn', message, extra),
+        error: (message, extra) => write('error', message, extra),
+
+        // A logger that adds "moreFields" to every line
+        child(moreFields) {
+            return createLogger({ level, fields: { ...fields, ...moreFields }, now });
+        }
+    };
+}
+
+module.exports = { LEVELS, createLogger, redact };
@@ -0,0 +1,152 @@
+// ============================================
+// METRICS - Numbers for Dashboards and Alerts
+// ============================================
+// Counts what the server does, so a monitoring tool like Prometheus can
+// draw graphs ("how slow is generating?") and send alerts ("lots of
+// upstream_overloaded errors!"). GET /metrics (see app.js) shows them in
+// Prometheus's plain-text format:
+//
+//   # HELP roamie_http_requests_total HTTP requests handled, by route and status.
+//   # TYPE roamie_http_requests_total counter
+//   roamie_http_requests_total{method="POST",route="/generate-itinerary",status="200"} 12
+//
+// Usage:
+//   const metrics = createMetrics();
+//   metrics.recordRequest({ method: 'POST', route: '/trips', status: 201, seconds: 0.012 });
+//   metrics.recordAiUsage('/trips/:id/refine', { calls: 2, inputTokens: 2400, outputTokens: 6100 });
+//   metrics.recordError('upstream_timeout');
+//   metrics.render()  -> the text above
+//
+// Everything lives in memory and starts from zero when the server
+// restarts - Prometheus is built to handle that.
+// Labels never include ids, names or anything typed in a form: "route"
+// is the route's pattern ("/trips/:id"), never the real address.
+
+// Request durations are sorted into these "buckets" (in seconds).
+// Generating a trip can take a minute, so they go up high.
+const DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+// Label values are written in double quotes, so these need escaping
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// { method: "GET", route: "/trips" } -> '{method="GET",route="/trips"}'
+function formatLabels(labels) {
+    const parts = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+// ============================================
+// HELPER FUNCTIONS: Counters and Histograms
+// ============================================
+// A counter only goes up. Each combination of labels has its own count,
+// kept in a Map under its formatted labels.
+function createCounter(name, help) {
+    const values = new Map();
+
+    return {
+        inc(labels, amount = 1) {
+            const key = formatLabels(labels);
+            values.set(key, (values.get(key) || 0) + amount);
+        },
+
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            for (const [labels, value] of values) {
+                lines.push(`${name}${labels} ${value}`);
+            }
+            return lines;
+        }
+    };
+}
+
+// A histogram counts how many values fell at or below each bucket's
+// limit ("le" = less or equal), plus their sum and count, so Prometheus
+// can work out averages and percentiles.
+function createHistogram(name, help, buckets) {
+    const series = new Map();
+    // ^ formatted labels -> { labels, counts: [one per bucket], sum, count }
+
+    return {
+        observe(labels, value) {
+            const key = formatLabels(labels);
+            if (!series.has(key)) {
+                series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+            }
+            const entry = series.get(key);
+            buckets.forEach((limit, index) => {
+                if (value <= limit) {
+                    entry.counts[index]++;
+                }
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            for (const { labels, counts, sum, count } of series.values()) {
+                buckets.forEach((limit, index) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: limit })} ${counts[index]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+            }
+            return lines;
+        }
+    };
+}
+
+// ============================================
+// MAIN FUNCTION: The Server's Metrics
+// ============================================
+// "now" (in milliseconds) can be replaced in tests.
+function createMetrics({ now = Date.now } = {}) {
+    const startedAt = now();
+
+    const requests = createCounter('roamie_http_requests_total', 'HTTP requests handled, by route and status.');
+    const durations = createHistogram('roamie_http_request_duration_seconds', 'How long HTTP requests took, in seconds.', DURATION_BUCKETS);
+    const aiCalls = createCounter('roamie_ai_calls_total', 'Calls made to the AI provider (generations, repairs and fixes).');
+    const aiTokens = createCounter('roamie_ai_tokens_total', 'Tokens used by AI calls, by type (input or output).');
+    const errors = createCounter('roamie_errors_total', 'Failed requests, by error code.');
+
+    return {
+        recordRequest({ method, route, status, seconds }) {
+            requests.inc({ method, route, status });
+            durations.observe({ method, route }, seconds);
+        },
+
+        // "totals" comes from trackUsage() (see lib/generator.js)
+        recordAiUsage(route, totals) {
+            aiCalls.inc({ route }, totals.calls);
+            aiTokens.inc({ route, type: 'input' }, totals.inputTokens);
+            aiTokens.inc({ route, type: 'output' }, totals.outputTokens);
+        },
+
+        // "code" is one of the codes from lib/errors.js (or rate_limited,
+        // quota_exceeded...)
+        recordError(code) {
+            errors.inc({ code });
+        },
+
+        render() {
+            const uptime = [
+                '# HELP roamie_uptime_seconds Seconds since the server started.',
+                '# TYPE roamie_uptime_seconds gauge',
+                `roamie_uptime_seconds ${Math.round((now() - startedAt) / 1000)}`
+            ];
+            return [
+                ...requests.render(),
+                ...durations.render(),
+                ...aiCalls.render(),
+                ...aiTokens.render(),
+                ...errors.render(),
+                ...uptime
+            ].join('\n') + '\n';
+        }
+    };
+}
+
+module.exports = { createMetrics };
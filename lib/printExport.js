@@ -0,0 +1,117 @@
+// ============================================
+// PRINT EXPORT - A Printer-Friendly Itinerary
+// ============================================
+// Builds a standalone HTML page for a saved trip, laid out for paper:
+// black on white, one table per day, and page breaks between days.
+// Open it in the browser and use Print -> "Save as PDF" to get a PDF.
+//
+// Everything from the itinerary goes through escapeHtml() first, so text
+// Claude wrote can never turn into HTML tags on this page.
+//
+// The headings, dates and amounts are in the language of the page the
+// link was opened from (see lib/i18n.js). The itinerary itself is in
+// whatever language it was written in.
+
+const { DEFAULT_LOCALE, formatDate, formatMoney, translate } = require('./i18n');
+
+// The dates at the top, like "Nov 1, 2025"
+const TRIP_DATE_FORMAT = { year: 'numeric', month: 'short', day: 'numeric' };
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// 3000 + "JPY" -> "¥3,000" (en), "3000 ¥" (fr)
+function formatCost(locale, amount, currency) {
+    if (amount === 0) {
+        return translate(locale, 'cost.free');
+    }
+    return formatMoney(locale, amount, currency);
+}
+
+function renderDay(day, currency, locale) {
+    const text = (key, params) => escapeHtml(translate(locale, key, params));
+
+    const rows = day.items.map(item => `
+            <tr>
+                <td class="time">${escapeHtml(item.startTime)}&ndash;${escapeHtml(item.endTime)}</td>
+                <td>
+                    <strong>${escapeHtml(item.title)}</strong>
+                    ${item.location ? `<div class="location">${escapeHtml(item.location)}</div>` : ''}
+                    ${item.notes ? `<div class="notes">${escapeHtml(item.notes)}</div>` : ''}
+                </td>
+                <td>${text(`category.${item.category}`)}</td>
+                <td class="cost">${escapeHtml(formatCost(locale, item.estimatedCost, currency))}</td>
+            </tr>`).join('');
+
+    return `
+    <section class="day">
+        <h2>${text('changes.day', { day: day.day })} &middot; ${escapeHtml(formatDate(locale, day.date))} &middot; ${escapeHtml(day.title)}</h2>
+        <table>
+            <thead>
+                <tr><th>${text('print.time')}</th><th>${text('print.plan')}</th><th>${text('print.type')}</th><th>${text('print.cost')}</th></tr>
+            </thead>
+            <tbody>${rows}
+            </tbody>
+        </table>
+    </section>`;
+}
+
+// Returns the full HTML page for a saved trip, as a string.
+// "locale" is one of the catalogs in lib/i18n.js, like "de".
+function renderPrintPage(trip, locale = DEFAULT_LOCALE) {
+    const { itinerary, request } = trip;
+    const text = (key, params) => escapeHtml(translate(locale, key, params));
+
+    const tips = itinerary.tips.length === 0 ? '' : `
+    <section class="tips">
+        <h2>${text('itinerary.tips')}</h2>
+        <ul>${itinerary.tips.map(tip => `<li>${escapeHtml(tip)}</li>`).join('')}</ul>
+    </section>`;
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(itinerary.title)} - roamie</title>
+    <style>
+        body { font-family: Helvetica, sans-serif; color: #000; margin: 2rem; line-height: 1.4; }
+        h1 { font-weight: 400; margin-bottom: 0.25rem; }
+        .trip-facts { color: #444; margin-top: 0; }
+        .summary, .notes { white-space: pre-line; }
+        table { width: 100%; border-collapse: collapse; margin-bottom: 1rem; }
+        th, td { text-align: left; vertical-align: top; padding: 0.4rem; border-bottom: 1px solid #ccc; }
+        .time { white-space: nowrap; }
+        .cost { text-align: right; white-space: nowrap; }
+        .location, .notes { color: #444; font-size: 0.9rem; }
+        .print-button { margin-bottom: 1.5rem; padding: 0.5rem 1rem; }
+        @media print {
+            body { margin: 0; }
+            .print-button { display: none; }
+            .day { page-break-inside: avoid; }
+            .day + .day { page-break-before: always; }
+        }
+    </style>
+</head>
+<body>
+    <button class="print-button" onclick="window.print()">${text('print.button')}</button>
+    <h1>${escapeHtml(itinerary.title)}</h1>
+    <p class="trip-facts">${text('trips.dates', {
+        destination: `${request.origin} → ${request.destination}`,
+        start: formatDate(locale, request.start, TRIP_DATE_FORMAT),
+        end: formatDate(locale, request.end, TRIP_DATE_FORMAT)
+    })}</p>
+    <p class="summary">${escapeHtml(itinerary.summary)}</p>
+${itinerary.days.map(day => renderDay(day, itinerary.currency, locale)).join('\n')}
+${tips}
+</body>
+</html>
+`;
+}
+
+module.exports = { escapeHtml, renderPrintPage };
@@ -0,0 +1,63 @@
+// ============================================
+// ANTHROPIC PROVIDER - Claude via the Official SDK
+// ============================================
+// The default provider. Needs ANTHROPIC_API_KEY in your .env file.
+// See lib/providers/index.js for what every provider must provide.
+
+const Anthropic = require('@anthropic-ai/sdk');
+
+const DEFAULT_MODEL = 'claude-sonnet-4-5-20250929';
+
+// Claude's reply is a list of "content blocks" - we join the text ones
+function textOf(message) {
+    return message.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+}
+
+function toUsage(usage) {
+    return {
+        inputTokens: usage.input_tokens,
+        outputTokens: usage.output_tokens
+    };
+}
+
+function createAnthropicProvider({ apiKey, model, maxTokens, temperature }) {
+    const client = new Anthropic({ apiKey: apiKey });
+
+    function buildParams(messages) {
+        const params = {
+            model: model || DEFAULT_MODEL,
+            max_tokens: maxTokens,
+            messages: messages
+        };
+        if (temperature !== undefined) {
+            params.temperature = temperature;
+        }
+        return params;
+    }
+
+    return {
+        name: 'anthropic',
+        model: model || DEFAULT_MODEL,
+
+        async complete({ messages, signal }) {
+            const message = await client.messages.create(buildParams(messages), { signal });
+            return { text: textOf(message), usage: toUsage(message.usage) };
+        },
+
+        async stream({ messages, signal, onConnect = () => {}, onText = () => {} }) {
+            const stream = client.messages.stream(buildParams(messages), { signal });
+            // "connect" fires once Claude has accepted the request,
+            // before any text arrives
+            stream.on('connect', () => onConnect());
+            stream.on('text', text => onText(text));
+
+            const message = await stream.finalMessage();
+            return { text: textOf(message), usage: toUsage(message.usage) };
+        }
+    };
+}
+
+module.exports = { createAnthropicProvider };
@@ -0,0 +1,87 @@
+// ============================================
+// LLM PROVIDERS - Which AI Writes the Itinerary?
+// ============================================
+// The rest of the app never talks to Anthropic (or anyone else) directly.
+// It asks a "provider" - an object with two methods:
+//
+//   complete({ messages, signal })
+//     -> Promise of { text, usage: { inputTokens, outputTokens } }
+//
+//   stream({ messages, signal, onConnect, onText })
+//     -> Promise of { text, usage } once the whole answer has arrived.
+//        onConnect() is called once the model has accepted the request,
+//        before any text; onText(chunk) is called for every piece of text.
+//        If the promise rejects before onConnect() was called, the request
+//        never got started.
+//
+// "messages" is the conversation: [{ role: 'user' | 'assistant', content: '...' }]
+// "signal" (optional) is an AbortSignal that cancels the request.
+//
+// Which provider to use, and its settings, come from environment variables
+// (see .env.example). To add a new provider, write a file in this folder
+// that returns an object with those two methods, and add it to
+// createProvider() below.
+
+const { createAnthropicProvider } = require('./anthropic');
+const { createMockProvider } = require('./mock');
+const { createOpenAiCompatibleProvider } = require('./openaiCompatible');
+
+// Reads the provider settings from environment variables.
+// Throws if a setting doesn't make sense, so mistakes show up when the
+// server starts instead of on the first request.
+function loadLlmConfig(env) {
+    const config = {
+        provider: env.LLM_PROVIDER || 'anthropic',
+        model: env.LLM_MODEL || undefined,
+        maxTokens: 4096,
+        temperature: undefined
+    };
+
+    if (env.LLM_MAX_TOKENS) {
+        config.maxTokens = Number(env.LLM_MAX_TOKENS);
+        if (!Number.isInteger(config.maxTokens) || config.maxTokens <= 0) {
+            throw new Error('LLM_MAX_TOKENS must be a whole number greater than 0');
+        }
+    }
+
+    if (env.LLM_TEMPERATURE) {
+        config.temperature = Number(env.LLM_TEMPERATURE);
+        if (!Number.isFinite(config.temperature) || config.temperature < 0 || config.temperature > 2) {
+            throw new Error('LLM_TEMPERATURE must be a number between 0 and 2');
+        }
+    }
+
+    // Provider-specific settings
+    config.anthropicApiKey = env.ANTHROPIC_API_KEY;
+    config.openaiBaseUrl = env.OPENAI_BASE_URL;
+    config.openaiApiKey = env.OPENAI_API_KEY;
+    config.mockFixturePath = env.LLM_MOCK_FIXTURE;
+
+    return config;
+}
+
+function createProvider(config) {
+    if (config.provider === 'anthropic') {
+        return createAnthropicProvider({
+            apiKey: config.anthropicApiKey,
+            model: config.model,
+            maxTokens: config.maxTokens,
+            temperature: config.temperature
+        });
+    }
+    if (config.provider === 'openai') {
+        return createOpenAiCompatibleProvider({
+            baseUrl: config.openaiBaseUrl,
+            apiKey: config.openaiApiKey,
+            model: config.model,
+            maxTokens: config.maxTokens,
+            temperature: config.temperature
+        });
+    }
+    if (config.provider === 'mock') {
+        return createMockProvider({ fixturePath: config.mockFixturePath });
+    }
+    throw new Error(`Unknown LLM_PROVIDER "${config.provider}" (expected "anthropic", "openai" or "mock")`);
+}
+
+module.exports = { createProvider, loadLlmConfig };
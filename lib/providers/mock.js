@@ -0,0 +1,204 @@
+// ============================================
+// MOCK PROVIDER - Fake Itineraries, No Internet Needed
+// ============================================
+// Set LLM_PROVIDER=mock to run the whole app without an API key.
+// Answers are deterministic (the same request always gets the same
+// itinerary), instant, and free - handy for working on the frontend
+// and for tests.
+//
+// - By default it reads the trip details out of the prompt and builds a
+//   simple but valid itinerary: breakfast, a morning activity, lunch, an
+//   afternoon activity, dinner and a hotel for every day of the trip.
+//   Multi-city trips also get a train between each pair of stops.
+// - Follow-up requests (refinements, repairs) get the most recent
+//   itinerary in the conversation back unchanged.
+// - Requests to replace one day or item (see buildRegeneratePrompt() in
+//   lib/prompts.js) get that day or item back with "Another idea: " in
+//   front of its title(s).
+// - Set LLM_MOCK_FIXTURE to a file path to answer every request with
+//   that file's contents instead (e.g. to test how bad output is handled).
+//
+// See lib/providers/index.js for what every provider must provide.
+
+const fs = require('fs');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const CHUNK_SIZE = 64; // Characters per streamed chunk
+
+// The prompt says things like "- Destination: Tokyo". This finds the
+// text after a label, or returns the fallback if it isn't there.
+function readPromptField(prompt, label, fallback) {
+    const match = prompt.match(new RegExp(`^- ${label}: (.+)$`, 'm'));
+    return match ? match[1].trim() : fallback;
+}
+
+function addDays(dateText, days) {
+    const [year, month, day] = dateText.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day) + days * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+// Multi-city prompts list the stops like "  2. Porto: 2025-11-04 to 2025-11-07"
+function readPromptStops(prompt) {
+    const stops = [];
+    const pattern = /^ {2}\d+\. (.+): (\d{4}-\d{2}-\d{2}) to (\d{4}-\d{2}-\d{2})$/gm;
+    let match;
+    while ((match = pattern.exec(prompt)) !== null) {
+        stops.push({ destination: match[1], start: match[2], end: match[3] });
+    }
+    return stops;
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / MS_PER_DAY);
+}
+
+function buildMockItinerary(prompt) {
+    const destination = readPromptField(prompt, 'Destination', 'your destination');
+    const start = readPromptField(prompt, 'Start Date', '2025-01-01');
+    const numPeople = Number(readPromptField(prompt, 'Number of Travelers', '1')) || 1;
+    // Between 1 and 30 days, whatever the prompt says
+    const numDays = Math.min(Math.max(parseInt(readPromptField(prompt, 'Duration', '1'), 10) || 1, 1), 30);
+
+    const currencyMatch = prompt.match(/Use ([A-Z]{3}) as the itinerary's currency/);
+    const currency = currencyMatch ? currencyMatch[1] : 'USD';
+
+    // Which stop each day ends in (normal trips have no stops in the prompt)
+    const stops = readPromptStops(prompt);
+    // (on a travel day, that's the stop you arrive at)
+    function cityOfDay(index) {
+        const started = stops.filter(stop => daysBetween(start, stop.start) <= index);
+        return started.length > 0 ? started[started.length - 1].destination : destination;
+    }
+
+    const days = [];
+    const legs = [];
+    for (let index = 0; index < numDays; index++) {
+        const day = index + 1;
+        const city = cityOfDay(index);
+        const items = [
+            { startTime: '08:00', endTime: '09:00', title: `Breakfast café (day ${day})`, category: 'food', location: city, estimatedCost: 12 * numPeople, notes: 'Mock breakfast spot.' },
+            { startTime: '09:30', endTime: '12:00', title: `Morning walking tour (day ${day})`, category: 'activity', location: city, estimatedCost: 20 * numPeople, notes: 'Mock activity.' },
+            { startTime: '12:30', endTime: '13:30', title: `Lunch at a local spot (day ${day})`, category: 'food', location: city, estimatedCost: 18 * numPeople, notes: '' },
+            { startTime: '14:00', endTime: '17:00', title: `Afternoon museum visit (day ${day})`, category: 'activity', location: city, estimatedCost: 15 * numPeople, notes: '' },
+            { startTime: '17:15', endTime: '17:45', title: `Transit back to hotel (day ${day})`, category: 'transport', location: city, estimatedCost: 3 * numPeople, notes: '' },
+            { startTime: '19:00', endTime: '20:30', title: `Dinner (day ${day})`, category: 'food', location: city, estimatedCost: 30 * numPeople, notes: '' },
+            { startTime: '21:00', endTime: '21:30', title: `Check in for the night (day ${day})`, category: 'lodging', location: city, estimatedCost: 120, notes: 'Mock hotel.' }
+        ];
+
+        // A travel day: swap the morning tour for a train to the next stop
+        const previousCity = index > 0 ? cityOfDay(index - 1) : city;
+        if (previousCity !== city) {
+            items[1] = { startTime: '09:30', endTime: '12:00', title: `Train from ${previousCity} to ${city}`, category: 'transport', location: previousCity, estimatedCost: 40 * numPeople, notes: 'Mock train.' };
+            legs.push({
+                day: day,
+                from: previousCity,
+                to: city,
+                options: [
+                    { mode: 'train', durationMinutes: 150, estimatedCost: 40 * numPeople, notes: 'Mock train.' },
+                    { mode: 'drive', durationMinutes: 180, estimatedCost: 70, notes: 'Mock rental car.' }
+                ]
+            });
+        }
+
+        const entry = { day: day, date: addDays(start, index), title: `Exploring ${city}, day ${day}`, items: items };
+        if (stops.length > 0) {
+            entry.city = city;
+        }
+        days.push(entry);
+    }
+
+    return {
+        title: `Mock trip to ${destination}`,
+        summary: `A **mock** itinerary for ${numDays} day(s) in ${destination}, generated without calling a real model.`,
+        currency: currency,
+        timeZone: 'UTC',
+        days: days,
+        legs: legs,
+        tips: ['This itinerary came from the mock provider (LLM_PROVIDER=mock).']
+    };
+}
+
+// Rough token count - real models use about 4 characters per token
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+function abortError() {
+    const error = new Error('Request was aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
+// The regenerate prompt has the day or item inside <part_to_replace> tags
+function buildMockReplacement(prompt) {
+    const match = prompt.match(/<part_to_replace>([\s\S]*)<\/part_to_replace>/);
+    if (!match) {
+        return null;
+    }
+
+    const part = JSON.parse(match[1]);
+    const rename = item => ({ ...item, title: `Another idea: ${item.title}` });
+    if (Array.isArray(part.items)) {
+        return { ...rename(part), items: part.items.map(rename) };
+    }
+    return rename(part);
+}
+
+function createMockProvider({ fixturePath, chunkDelayMs = 0 } = {}) {
+    function answer(messages) {
+        if (fixturePath) {
+            return fs.readFileSync(fixturePath, 'utf8');
+        }
+
+        const replacement = buildMockReplacement(messages[messages.length - 1].content);
+        if (replacement) {
+            return JSON.stringify(replacement, null, 2);
+        }
+
+        // A follow-up: hand back the latest itinerary unchanged
+        const previousAnswers = messages.filter(message => message.role === 'assistant');
+        if (previousAnswers.length > 0) {
+            return previousAnswers[previousAnswers.length - 1].content;
+        }
+
+        return JSON.stringify(buildMockItinerary(messages[0].content), null, 2);
+    }
+
+    function usageFor(messages, text) {
+        return {
+            inputTokens: estimateTokens(messages.map(message => message.content).join('')),
+            outputTokens: estimateTokens(text)
+        };
+    }
+
+    return {
+        name: 'mock',
+        model: 'mock',
+
+        async complete({ messages, signal }) {
+            if (signal && signal.aborted) {
+                throw abortError();
+            }
+            const text = answer(messages);
+            return { text: text, usage: usageFor(messages, text) };
+        },
+
+        async stream({ messages, signal, onConnect = () => {}, onText = () => {} }) {
+            const text = answer(messages);
+            onConnect();
+
+            for (let position = 0; position < text.length; position += CHUNK_SIZE) {
+                // Give the rest of the server a turn between chunks, like a real stream
+                await new Promise(resolve => setTimeout(resolve, chunkDelayMs));
+                if (signal && signal.aborted) {
+                    throw abortError();
+                }
+                onText(text.slice(position, position + CHUNK_SIZE));
+            }
+
+            return { text: text, usage: usageFor(messages, text) };
+        }
+    };
+}
+
+module.exports = { buildMockItinerary, createMockProvider };
@@ -0,0 +1,117 @@
+// ============================================
+// OPENAI-COMPATIBLE PROVIDER - Local or Hosted Chat Completions
+// ============================================
+// Lots of tools speak the same "chat completions" API as OpenAI:
+// Ollama, LM Studio, llama.cpp's server, vLLM, and OpenAI itself.
+// Point OPENAI_BASE_URL at one of them (for Ollama that's
+// http://localhost:11434/v1) and set LLM_MODEL to the model name.
+//
+// Uses the fetch() built into Node 18 and newer.
+// See lib/providers/index.js for what every provider must provide.
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+// Errors from the server (bad model name, overloaded, ...) carry the
+// HTTP status so callers can tell them apart
+class ProviderHttpError extends Error {
+    constructor(status, body) {
+        super(`Chat completions request failed with status ${status}: ${body}`);
+        this.name = 'ProviderHttpError';
+        this.status = status;
+    }
+}
+
+function toUsage(usage) {
+    return {
+        inputTokens: usage ? usage.prompt_tokens : 0,
+        outputTokens: usage ? usage.completion_tokens : 0
+    };
+}
+
+function createOpenAiCompatibleProvider({ baseUrl, apiKey, model, maxTokens, temperature }) {
+    if (!model) {
+        throw new Error('LLM_MODEL must be set when LLM_PROVIDER=openai');
+    }
+    const url = `${(baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '')}/chat/completions`;
+
+    async function post(body, signal) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) {
+            headers.Authorization = `Bearer ${apiKey}`;
+        }
+
+        const requestBody = { model: model, max_tokens: maxTokens, ...body };
+        if (temperature !== undefined) {
+            requestBody.temperature = temperature;
+        }
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify(requestBody),
+            signal: signal
+        });
+        if (!response.ok) {
+            throw new ProviderHttpError(response.status, await response.text());
+        }
+        return response;
+    }
+
+    return {
+        name: 'openai',
+        model: model,
+
+        async complete({ messages, signal }) {
+            const response = await post({ messages: messages }, signal);
+            const data = await response.json();
+            return { text: data.choices[0].message.content, usage: toUsage(data.usage) };
+        },
+
+        // Streamed replies are Server-Sent Events, one JSON chunk per
+        // "data:" line, ending with "data: [DONE]"
+        async stream({ messages, signal, onConnect = () => {}, onText = () => {} }) {
+            const response = await post({
+                messages: messages,
+                stream: true,
+                stream_options: { include_usage: true }
+            }, signal);
+            onConnect();
+
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let text = '';
+            let usage = null;
+
+            for await (const chunk of response.body) {
+                buffer += decoder.decode(chunk, { stream: true });
+
+                const lines = buffer.split('\n');
+                buffer = lines.pop(); // The last line may not be complete yet
+
+                for (const line of lines) {
+                    if (!line.startsWith('data:')) {
+                        continue;
+                    }
+                    const data = line.slice('data:'.length).trim();
+                    if (data === '[DONE]') {
+                        continue;
+                    }
+
+                    const event = JSON.parse(data);
+                    if (event.usage) {
+                        usage = event.usage;
+                    }
+                    const delta = event.choices && event.choices[0] && event.choices[0].delta;
+                    if (delta && delta.content) {
+                        text += delta.content;
+                        onText(delta.content);
+                    }
+                }
+            }
+
+            return { text: text, usage: toUsage(usage) };
+        }
+    };
+}
+
+module.exports = { ProviderHttpError, createOpenAiCompatibleProvider };
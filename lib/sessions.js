@@ -0,0 +1,113 @@
+// ============================================
+// SESSIONS - Staying Logged In
+// ============================================
+// When you log in, we make up a long random "session token", remember
+// which user it belongs to, and send it to the browser in a cookie.
+// The browser sends that cookie back with every request, so we know
+// who's asking without a password each time.
+//
+//   const sessions = createSessionStore();
+//   const token = sessions.create(user);   // after a good login
+//   sessions.get(token)                    -> { userId, username } or null
+//   sessions.destroy(token);               // log out
+//
+// Sessions live in memory, so everyone is logged out when the server
+// restarts. They also expire after "ttlSeconds" (7 days by default).
+
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'roamie_session';
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+function createSessionStore({ ttlSeconds = DEFAULT_TTL_SECONDS, now = Date.now } = {}) {
+    const sessions = new Map();
+    // ^ token -> { userId, username, expiresAt }
+
+    // Forget sessions that have expired, so the Map doesn't grow forever
+    function forgetExpired(time) {
+        for (const [token, session] of sessions) {
+            if (session.expiresAt <= time) {
+                sessions.delete(token);
+            }
+        }
+    }
+
+    return {
+        ttlSeconds: ttlSeconds,
+
+        create(user) {
+            forgetExpired(now());
+            const token = crypto.randomBytes(32).toString('base64url');
+            // ^ 32 random bytes: far too many possibilities to ever guess
+            sessions.set(token, {
+                userId: user.id,
+                username: user.username,
+                expiresAt: now() + ttlSeconds * 1000
+            });
+            return token;
+        },
+
+        get(token) {
+            const session = sessions.get(token);
+            if (!session) {
+                return null;
+            }
+            if (session.expiresAt <= now()) {
+                sessions.delete(token);
+                return null;
+            }
+            return { userId: session.userId, username: session.username };
+        },
+
+        destroy(token) {
+            sessions.delete(token);
+        }
+    };
+}
+
+// ============================================
+// HELPER FUNCTION: Read a Cookie
+// ============================================
+// The browser sends cookies in one header, like:
+//   Cookie: roamie_session=abc123; theme=dark
+function readCookie(req, name) {
+    const header = req.headers.cookie || '';
+    for (const part of header.split(';')) {
+        const separator = part.indexOf('=');
+        if (separator !== -1 && part.slice(0, separator).trim() === name) {
+            return part.slice(separator + 1).trim();
+            // ^ Our tokens only use letters, numbers, "-" and "_", so there's nothing to decode
+        }
+    }
+    return null;
+}
+
+// ============================================
+// MIDDLEWARE: Who Is Asking?
+// ============================================
+// Runs before every route and sets req.user to { id, username } for
+// logged-in visitors, or null for everyone else.
+function loadSession(sessions) {
+    return function (req, res, next) {
+        const token = readCookie(req, SESSION_COOKIE);
+        const session = token ? sessions.get(token) : null;
+        req.user = session ? { id: session.userId, username: session.username } : null;
+        next();
+    };
+}
+
+// Put this in front of routes that need you to be logged in
+function requireLogin(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Please log in first' });
+    }
+    next();
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    createSessionStore,
+    loadSession,
+    readCookie,
+    requireLogin
+};
@@ -0,0 +1,498 @@
+// ============================================
+// TRIP REQUEST - What the User Asked For
+// ============================================
+// The "userData" object the form sends us looks like:
+// {
+//   origin: "SFO", destination: "Tokyo",
+//   start: "2025-11-01", end: "2025-11-07",
+//   numPeople: "2",
+//   activity: ["museums", "outdoor"],
+//   food: ["local", "street"],
+//   budget: "3000",        // optional: total for the whole group
+//   currency: "USD",       // required when there's a budget
+//
+//   // Everything below is optional too - the traveler profile:
+//   pace: "relaxed",                    // relaxed, moderate or packed
+//   accessibility: ["step-free"],       // mobility and accessibility needs
+//   dietary: ["vegetarian"],            // dietary restrictions
+//   allergies: "peanuts, shellfish",    // free text
+//   childrenAges: ["4", "9"],           // children traveling (counted in numPeople)
+//   lodging: "apartment",               // lodging style
+//   neighborhood: "Alfama",             // where they'd like to stay
+//   mustSee: ["Belém Tower"],           // places they don't want to miss
+//   mustAvoid: ["tourist-trap restaurants"],
+//
+//   language: "es"                      // optional: write the itinerary in Spanish
+// }
+//
+// Multi-city trips send a list of "stops" instead of destination/start/end:
+//   stops: [
+//     { destination: "Lisbon", start: "2025-11-01", end: "2025-11-04" },
+//     { destination: "Porto",  start: "2025-11-04", end: "2025-11-07" }
+//   ]
+// Each stop starts on the day the one before it ends - that's the day
+// you travel between them.
+// Both the generate endpoints and the saved-trips API need to check it,
+// so the checks live here.
+//
+// This file is ALSO loaded by index.html, so the form can show the same
+// errors next to each field before anything is sent. That's why it
+// doesn't require() anything - see the bottom of the file.
+
+// The choices offered on the form. Anything else is rejected, so only
+// these exact words ever reach the AI prompt.
+const ACTIVITY_OPTIONS = ['sightseeing', 'outdoor', 'museums', 'nightlife', 'shopping', 'relaxation'];
+const FOOD_OPTIONS = ['local', 'fine', 'street', 'veg', 'international'];
+
+// Older versions of the form sent "sightseeting" - saved trips may still have it
+const OPTION_ALIASES = { sightseeting: 'sightseeing' };
+
+// The traveler profile choices (see the example at the top)
+const PACE_OPTIONS = ['relaxed', 'moderate', 'packed'];
+const ACCESSIBILITY_OPTIONS = ['wheelchair', 'limited-walking', 'step-free', 'low-vision', 'hearing'];
+const DIETARY_OPTIONS = ['vegetarian', 'vegan', 'pescatarian', 'halal', 'kosher', 'gluten-free', 'dairy-free', 'nut-free'];
+const LODGING_OPTIONS = ['hotel', 'boutique', 'hostel', 'apartment', 'bnb', 'resort'];
+
+// The languages an itinerary can be written in: the code the form sends,
+// the language's English name (for the AI prompt) and its own name (for
+// the form). Leaving the language out means English.
+const LANGUAGES = {
+    en: { name: 'English', nativeName: 'English' },
+    es: { name: 'Spanish', nativeName: 'Español' },
+    fr: { name: 'French', nativeName: 'Français' },
+    de: { name: 'German', nativeName: 'Deutsch' },
+    it: { name: 'Italian', nativeName: 'Italiano' },
+    pt: { name: 'Portuguese', nativeName: 'Português' },
+    nl: { name: 'Dutch', nativeName: 'Nederlands' },
+    ja: { name: 'Japanese', nativeName: '日本語' },
+    ko: { name: 'Korean', nativeName: '한국어' },
+    zh: { name: 'Chinese (Simplified)', nativeName: '简体中文' }
+};
+
+// The parts of a request that describe WHO is traveling and how they like
+// to travel, rather than this particular trip. The form can save these as
+// a named profile and fill them in again next time.
+const PROFILE_FIELDS = ['numPeople', 'currency', 'language', 'activity', 'food', 'pace', 'accessibility', 'dietary', 'allergies', 'childrenAges', 'lodging'];
+
+const MAX_PLACE_LENGTH = 100;    // Characters in a city name
+const MAX_TRIP_DAYS = 30;        // Longest trip we'll plan
+const MAX_PEOPLE = 20;           // Biggest group we'll plan for
+const MAX_BUDGET = 10000000;     // Anything bigger is almost certainly a typo
+const MAX_STOPS = 6;             // Cities in one multi-city trip
+const MAX_CHILD_AGE = 17;        // Older than this counts as an adult
+const MAX_LIST_ENTRIES = 10;     // Places in the must-see / must-avoid lists
+const MAX_ENTRY_LENGTH = 100;    // Characters in one of those places
+const MAX_NOTE_LENGTH = 200;     // Characters of free text, like the allergies
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ============================================
+// THE SCHEMA - One Rule Per Field
+// ============================================
+// Each rule takes the value the form sent and returns
+// { value } with a cleaned-up version, or { error } with a problem().
+// Fields that are left out (or empty) get "missing" instead, which
+// is { error } for required fields and { value } with a default otherwise.
+
+// What's wrong with a field: the English message (what the API sends in
+// "fields", and what the logs show) plus a code and its params, so the
+// pages can say it in their own language ("problem.<code>" in lib/i18n.js):
+//   problem('too-long', { field: 'origin', max: 100 }, 'The origin city must be at most 100 characters')
+// "field" params are names from "field.<name>" in lib/i18n.js.
+function problem(code, params, message) {
+    return { message: message, code: code, params: params };
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Is this a real calendar date written as YYYY-MM-DD?
+// (The regex alone would let "2025-02-30" through, so we also check
+// that the date doesn't roll over into the next month.)
+function isValidDate(text) {
+    if (typeof text !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        return false;
+    }
+    const [year, month, day] = text.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function placeRule(label) {
+    return {
+        missing: { error: problem('missing', { field: label }, `Please enter the ${label} city`) },
+        check(value) {
+            if (typeof value !== 'string') {
+                return { error: problem('not-text', { field: label }, `The ${label} city must be text`) };
+            }
+            // Squash line breaks and runs of spaces - a city name is one short line
+            const place = value.replace(/\s+/g, ' ').trim();
+            if (place.length > MAX_PLACE_LENGTH) {
+                return { error: problem('too-long', { field: label, max: MAX_PLACE_LENGTH }, `The ${label} city must be at most ${MAX_PLACE_LENGTH} characters`) };
+            }
+            return { value: place };
+        }
+    };
+}
+
+function dateRule(label) {
+    return {
+        missing: { error: problem('missing', { field: label }, `Please pick a ${label} date`) },
+        check(value) {
+            if (!isValidDate(value)) {
+                return { error: problem('bad-date', { field: label }, `The ${label} date must be a real date written as YYYY-MM-DD`) };
+            }
+            return { value: value };
+        }
+    };
+}
+
+// A list of choices from the form, e.g. ["museums", "outdoor"].
+// "optional" lists are left out of the request when nothing is picked.
+function choicesRule(label, options, { optional = false } = {}) {
+    return {
+        missing: { value: optional ? undefined : [] },
+        check(value) {
+            if (!Array.isArray(value)) {
+                return { error: problem('not-list', { field: label }, `The ${label} preferences must be a list`) };
+            }
+            const chosen = [];
+            for (const choice of value) {
+                // Only strings are looked up: an object like {"toString": 1}
+                // throws as soon as it is turned into text
+                const option = typeof choice === 'string' && Object.hasOwn(OPTION_ALIASES, choice) ? OPTION_ALIASES[choice] : choice;
+                if (!options.includes(option)) {
+                    const shown = typeof choice === 'string' ? `"${choice.slice(0, 30)}"` : 'That value';
+                    return { error: problem('not-option', { field: label }, `${shown} is not one of the ${label} preferences`) };
+                }
+                if (!chosen.includes(option)) {
+                    chosen.push(option);
+                }
+            }
+            return { value: optional && chosen.length === 0 ? undefined : chosen };
+        }
+    };
+}
+
+// One choice from the form, like the pace. Always optional.
+function choiceRule(label, options) {
+    return {
+        missing: { value: undefined },
+        check(value) {
+            if (!options.includes(value)) {
+                return { error: problem('not-option', { field: label }, `Please pick one of the ${label} options`) };
+            }
+            return { value: value };
+        }
+    };
+}
+
+// A line of free text, like the allergies. Always optional.
+function textRule(label, maxLength) {
+    return {
+        missing: { value: undefined },
+        check(value) {
+            if (typeof value !== 'string') {
+                return { error: problem('not-text', { field: label }, `The ${label} must be text`) };
+            }
+            const text = value.replace(/\s+/g, ' ').trim();
+            if (text.length > maxLength) {
+                return { error: problem('too-long', { field: label, max: maxLength }, `The ${label} must be at most ${maxLength} characters`) };
+            }
+            return { value: text };
+        }
+    };
+}
+
+// A list of free-text places, like ["Belém Tower", "LX Factory"].
+// Blank and repeated entries are dropped. Always optional.
+function placeListRule(label) {
+    return {
+        missing: { value: undefined },
+        check(value) {
+            if (!Array.isArray(value) || !value.every(entry => typeof entry === 'string')) {
+                return { error: problem('not-list', { field: label }, `The ${label} list must be a list of places`) };
+            }
+            const places = [];
+            for (const entry of value) {
+                const place = entry.replace(/\s+/g, ' ').trim();
+                if (place.length > MAX_ENTRY_LENGTH) {
+                    return { error: problem('entry-too-long', { field: label, max: MAX_ENTRY_LENGTH }, `Each ${label} place must be at most ${MAX_ENTRY_LENGTH} characters`) };
+                }
+                if (place && !places.includes(place)) {
+                    places.push(place);
+                }
+            }
+            if (places.length > MAX_LIST_ENTRIES) {
+                return { error: problem('too-many-entries', { field: label, max: MAX_LIST_ENTRIES }, `The ${label} list can have at most ${MAX_LIST_ENTRIES} places`) };
+            }
+            return { value: places.length > 0 ? places : undefined };
+        }
+    };
+}
+
+const REQUEST_SCHEMA = {
+    origin: placeRule('origin'),
+    destination: placeRule('destination'),
+    start: dateRule('start'),
+    end: dateRule('end'),
+
+    numPeople: {
+        missing: { error: problem('missing', { field: 'numPeople' }, 'Please enter the number of people') },
+        check(value) {
+            // Number(true) is 1, so only accept numbers and text like "2"
+            const numPeople = typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN;
+            if (!Number.isInteger(numPeople) || numPeople < 1 || numPeople > MAX_PEOPLE) {
+                return { error: problem('num-people', { max: MAX_PEOPLE }, `Number of people must be a whole number from 1 to ${MAX_PEOPLE}`) };
+            }
+            return { value: numPeople };
+        }
+    },
+
+    activity: choicesRule('activity', ACTIVITY_OPTIONS),
+    food: choicesRule('food', FOOD_OPTIONS),
+
+    // The budget is optional, but if there is one it has to make sense
+    budget: {
+        missing: { value: undefined },
+        check(value) {
+            // Like numPeople: Number(true) is 1 and Number([500]) is 500
+            const budget = typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN;
+            if (!Number.isFinite(budget) || budget <= 0) {
+                return { error: problem('budget-too-low', {}, 'Budget must be a number greater than 0') };
+            }
+            if (budget > MAX_BUDGET) {
+                return { error: problem('budget-too-high', { max: MAX_BUDGET }, `Budget must be at most ${MAX_BUDGET}`) };
+            }
+            return { value: budget };
+        }
+    },
+
+    currency: {
+        missing: { value: undefined },
+        check(value) {
+            if (typeof value !== 'string' || !/^[A-Z]{3}$/.test(value)) {
+                return { error: problem('currency-format', {}, 'Currency must be a three-letter code like "USD"') };
+            }
+            return { value: value };
+        }
+    },
+
+    // The traveler profile
+    pace: choiceRule('pace', PACE_OPTIONS),
+    accessibility: choicesRule('accessibility', ACCESSIBILITY_OPTIONS, { optional: true }),
+    dietary: choicesRule('dietary', DIETARY_OPTIONS, { optional: true }),
+    allergies: textRule('allergies', MAX_NOTE_LENGTH),
+
+    childrenAges: {
+        missing: { value: undefined },
+        check(value) {
+            if (!Array.isArray(value)) {
+                return { error: problem('not-list', { field: 'childrenAges' }, "Children's ages must be a list") };
+            }
+            const ages = value.map(age => typeof age === 'number' || (typeof age === 'string' && age.trim() !== '') ? Number(age) : NaN);
+            if (!ages.every(age => Number.isInteger(age) && age >= 0 && age <= MAX_CHILD_AGE)) {
+                return { error: problem('children-ages', { max: MAX_CHILD_AGE }, `Children's ages must be whole numbers from 0 to ${MAX_CHILD_AGE}, separated by commas`) };
+            }
+            return { value: ages.length > 0 ? ages : undefined };
+        }
+    },
+
+    lodging: choiceRule('lodging', LODGING_OPTIONS),
+    neighborhood: textRule('neighborhood', MAX_PLACE_LENGTH),
+    mustSee: placeListRule('must-see'),
+    mustAvoid: placeListRule('must-avoid'),
+
+    language: choiceRule('language', Object.keys(LANGUAGES))
+};
+
+// Each stop of a multi-city trip has its own destination and dates
+const STOP_SCHEMA = {
+    destination: REQUEST_SCHEMA.destination,
+    start: REQUEST_SCHEMA.start,
+    end: REQUEST_SCHEMA.end
+};
+
+// Runs every rule in "schema" on "data". Cleaned values go into "request"
+// and problems into "errors", with "prefix" in front of each field name.
+function applySchema(schema, data, request, errors, prefix = '') {
+    for (const [field, rule] of Object.entries(schema)) {
+        const result = isEmpty(data[field]) ? rule.missing : rule.check(data[field]);
+        if (result.error) {
+            errors[prefix + field] = result.error;
+        } else if (result.value !== undefined) {
+            request[field] = result.value;
+        }
+    }
+}
+
+// ============================================
+// CHECKS THAT NEED MORE THAN ONE FIELD
+// ============================================
+// These only run on fields that passed their own rule.
+
+// How many days from one YYYY-MM-DD date to another (negative if "to" is earlier)
+function daysBetween(from, to) {
+    const [fromYear, fromMonth, fromDay] = from.split('-').map(Number);
+    const [toYear, toMonth, toDay] = to.split('-').map(Number);
+    return (Date.UTC(toYear, toMonth - 1, toDay) - Date.UTC(fromYear, fromMonth - 1, fromDay)) / MS_PER_DAY;
+}
+
+// Checks the stops of a multi-city trip, and fills in "destination",
+// "start" and "end" for the whole trip from them.
+// Errors are named after the stop, like "stops[1].start".
+function checkStops(stops, request, errors) {
+    if (!Array.isArray(stops) || stops.length === 0) {
+        errors.stops = problem('no-stops', {}, 'Please add at least one stop');
+        return;
+    }
+    if (stops.length > MAX_STOPS) {
+        errors.stops = problem('too-many-stops', { max: MAX_STOPS }, `Trips can have at most ${MAX_STOPS} stops`);
+        return;
+    }
+
+    const stopErrors = {};
+    const cleaned = stops.map((stop, index) => {
+        const cleanedStop = {};
+        if (!isPlainObject(stop)) {
+            stopErrors[`stops[${index}]`] = problem('stop-missing', { stop: index + 1 }, `Stop ${index + 1} is missing its details`);
+        } else {
+            applySchema(STOP_SCHEMA, stop, cleanedStop, stopErrors, `stops[${index}].`);
+        }
+        return cleanedStop;
+    });
+
+    // The dates can only be compared once every stop has real dates
+    if (Object.keys(stopErrors).length === 0) {
+        cleaned.forEach((stop, index) => {
+            if (daysBetween(stop.start, stop.end) < 0) {
+                stopErrors[`stops[${index}].end`] = problem('stop-ends-early', {}, 'This stop must end on or after the day it starts');
+            } else if (index > 0 && stop.start !== cleaned[index - 1].end) {
+                stopErrors[`stops[${index}].start`] = problem(
+                    'stop-start',
+                    { stop: index + 1, previous: index, date: cleaned[index - 1].end },
+                    `Stop ${index + 1} must start the day stop ${index} ends (${cleaned[index - 1].end}) - that's your travel day`
+                );
+            }
+        });
+    }
+
+    if (Object.keys(stopErrors).length > 0) {
+        Object.assign(errors, stopErrors);
+        return;
+    }
+
+    request.destination = cleaned.map(stop => stop.destination).join(' → ');
+    request.start = cleaned[0].start;
+    request.end = cleaned[cleaned.length - 1].end;
+    if (cleaned.length > 1) {
+        request.stops = cleaned;
+        // ^ A single stop is just a normal trip, so it's saved like one
+    }
+}
+
+function checkAcrossFields(request, errors) {
+    if (request.start && request.end) {
+        // For multi-city trips, point at the last stop's end date instead
+        const endField = request.stops ? `stops[${request.stops.length - 1}].end` : 'end';
+        const nights = daysBetween(request.start, request.end);
+
+        if (nights < 0) {
+            errors[endField] = problem('end-before-start', {}, 'The end date must be on or after the start date');
+        } else if (nights + 1 > MAX_TRIP_DAYS) {
+            errors[endField] = problem('trip-too-long', { max: MAX_TRIP_DAYS }, `Trips can be at most ${MAX_TRIP_DAYS} days long`);
+        }
+    }
+
+    // Children are counted in the number of people, and someone has to be the grown-up
+    if (request.childrenAges && request.numPeople && request.childrenAges.length >= request.numPeople) {
+        errors.childrenAges = problem('no-adult', {}, 'At least one traveler must be an adult - children are counted in the number of people');
+    }
+
+    // A budget amount means nothing without its currency
+    if (request.budget !== undefined && request.currency === undefined && !errors.currency) {
+        errors.currency = problem('currency-needed', {}, 'Please pick a currency for your budget');
+    }
+}
+
+// ============================================
+// MAIN FUNCTION: Validate a Trip Request
+// ============================================
+// Returns { request, errors, problems }:
+// - "request" is a cleaned-up copy with only the fields we know about
+//   (numPeople and budget as numbers, city names trimmed, ...)
+// - "errors" has a message for each field with a problem, like
+//   { start: "Please pick a start date", numPeople: "..." }
+//   and is empty ({}) when everything is fine.
+// - "problems" has the same fields, each with the code and params of
+//   its message: { start: { code: "missing", params: { field: "start" } } }
+function validateTripRequest(userData) {
+    const request = {};
+    const errors = {};
+
+    if (!userData || typeof userData !== 'object' || Array.isArray(userData)) {
+        errors.request = problem('request-missing', {}, 'Trip details are missing');
+        return { request: request, ...splitProblems(errors) };
+    }
+
+    if (userData.stops === undefined) {
+        applySchema(REQUEST_SCHEMA, userData, request, errors);
+    } else {
+        // Destination and dates come from the stops instead
+        const schema = { ...REQUEST_SCHEMA };
+        delete schema.destination;
+        delete schema.start;
+        delete schema.end;
+        applySchema(schema, userData, request, errors);
+        checkStops(userData.stops, request, errors);
+    }
+
+    checkAcrossFields(request, errors);
+
+    return { request: request, ...splitProblems(errors) };
+}
+
+// { field: problem() } -> the "errors" and "problems" validateTripRequest() returns
+function splitProblems(found) {
+    const errors = {};
+    const problems = {};
+    for (const [field, { message, code, params }] of Object.entries(found)) {
+        errors[field] = message;
+        problems[field] = { code: code, params: params };
+    }
+    return { errors: errors, problems: problems };
+}
+
+// Every trip as a list of stops - a normal trip is one stop.
+// Use this instead of reading request.stops directly.
+function getStops(request) {
+    return request.stops || [{ destination: request.destination, start: request.start, end: request.end }];
+}
+
+// ============================================
+// Sharing With Node.js
+// ============================================
+// In the browser there's no "module", so this does nothing and the
+// functions above are simply globals that script.js can use.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ACCESSIBILITY_OPTIONS,
+        ACTIVITY_OPTIONS,
+        DIETARY_OPTIONS,
+        FOOD_OPTIONS,
+        LANGUAGES,
+        LODGING_OPTIONS,
+        MAX_STOPS,
+        MAX_TRIP_DAYS,
+        PACE_OPTIONS,
+        PROFILE_FIELDS,
+        getStops,
+        isValidDate,
+        validateTripRequest
+    };
+}
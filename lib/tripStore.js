@@ -0,0 +1,280 @@
+// ============================================
+// TRIP STORE - Where Saved Trips Live
+// ============================================
+// A "store" is an object with five methods that every part of the app
+// uses to save and load trips:
+//
+//   list()               -> array of trips (newest first)
+//   get(id)              -> one trip, or null if it doesn't exist
+//   create(fields)       -> the new trip (with id and timestamps added)
+//   update(id, changes)  -> the updated trip, or null if it doesn't exist
+//   remove(id)           -> true if something was deleted
+//
+// All methods are async (they return Promises), even when they don't
+// need to be, so that swapping in a different store (like a database)
+// never changes the code that uses it.
+//
+// A saved trip looks like:
+// {
+//   id: "3f1c...",                 // random, hard to guess
+//   request: { origin, destination, start, end, ... },   // what the user asked for
+//   itinerary: { title, days, ... },                     // what Claude generated
+//                                    (every item gets an "id", see withItemIds())
+//   createdAt: "2025-11-01T10:00:00.000Z",
+//   updatedAt: "2025-11-01T10:00:00.000Z"
+// }
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Trip ids are UUIDs like "3f1c2a9e-5b7d-4c1e-9a8f-0d2e4b6c8a1f".
+// Checking the format also stops ids like "../../server" from
+// reaching the file system.
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function isValidId(id) {
+    return ID_PATTERN.test(id);
+}
+
+// Gives every item in the itinerary an id that stays the same when the
+// item is moved, edited or has items added around it - calendar exports
+// use it, so re-importing a trip updates the right events. Items that
+// already have one keep it; a copied id (two items with the same one)
+// is replaced, so ids are never shared.
+function withItemIds(itinerary) {
+    if (!itinerary || !Array.isArray(itinerary.days)) {
+        return itinerary;
+    }
+    const seen = new Set();
+    const days = itinerary.days.map(day => (day && Array.isArray(day.items) ? {
+        ...day,
+        items: day.items.map(item => {
+            const id = item.id && !seen.has(item.id) ? item.id : crypto.randomUUID();
+            seen.add(id);
+            return { ...item, id: id };
+        })
+    } : day));
+    return { ...itinerary, days: days };
+}
+
+// Builds a brand-new trip record from the fields the caller gave us
+function buildTrip(fields) {
+    const now = new Date().toISOString();
+    return {
+        ...fields,
+        ...(fields.itinerary && { itinerary: withItemIds(fields.itinerary) }),
+        id: crypto.randomUUID(),
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+// Applies changes to an existing trip (id and createdAt can't be changed)
+function applyChanges(trip, changes) {
+    return {
+        ...trip,
+        ...changes,
+        ...(changes.itinerary && { itinerary: withItemIds(changes.itinerary) }),
+        id: trip.id,
+        createdAt: trip.createdAt,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+function newestFirst(a, b) {
+    return b.updatedAt.localeCompare(a.updatedAt);
+}
+
+// ============================================
+// FILE STORE - One JSON File per Trip
+// ============================================
+// Saves each trip as "<directory>/<id>.json". Simple, easy to inspect,
+// and it survives server restarts.
+function createFileTripStore(directory) {
+    const fileFor = id => path.join(directory, `${id}.json`);
+
+    async function readTrip(id) {
+        if (!isValidId(id)) {
+            return null;
+        }
+        try {
+            return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null; // No such file = no such trip
+            }
+            throw error;
+        }
+    }
+
+    // Write to a temporary file first, then rename it into place.
+    // A rename is all-or-nothing, so a crash mid-write can never leave
+    // a half-written trip behind. Every write gets its own temporary
+    // file, so two writes at once can't mix their contents.
+    async function writeTrip(trip) {
+        await fs.mkdir(directory, { recursive: true });
+        const tempFile = `${fileFor(trip.id)}.${crypto.randomUUID()}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(trip, null, 2));
+        await fs.rename(tempFile, fileFor(trip.id));
+    }
+
+    // Changes to one trip happen one at a time. Without this, two updates
+    // at once (say, a refinement and an editor save) would both read the
+    // old trip, and whichever wrote last would silently undo the other.
+    // "queues" holds, per trip id, a promise for the last change waiting
+    // or running; each new change starts when it's done.
+    const queues = new Map();
+
+    function oneAtATime(id, change) {
+        const previous = queues.get(id) || Promise.resolve();
+        const result = previous.then(change);
+        const done = result.catch(() => {});
+        // ^ A failed change shouldn't stop the ones after it
+        queues.set(id, done);
+        done.then(() => {
+            if (queues.get(id) === done) {
+                queues.delete(id);
+                // ^ Nothing else is waiting - don't keep the trip id around
+            }
+        });
+        return result;
+    }
+
+    return {
+        async list() {
+            let fileNames;
+            try {
+                fileNames = await fs.readdir(directory);
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return []; // Nothing saved yet
+                }
+                throw error;
+            }
+
+            const ids = fileNames
+                .filter(name => name.endsWith('.json'))
+                .map(name => name.slice(0, -'.json'.length));
+            const trips = await Promise.all(ids.map(readTrip));
+            return trips.filter(Boolean).sort(newestFirst);
+        },
+
+        get: readTrip,
+
+        async create(fields) {
+            const trip = buildTrip(fields);
+            await writeTrip(trip);
+            return trip;
+        },
+
+        update(id, changes) {
+            return oneAtATime(id, async () => {
+                const trip = await readTrip(id);
+                if (!trip) {
+                    return null;
+                }
+                const updated = applyChanges(trip, changes);
+                await writeTrip(updated);
+                return updated;
+            });
+        },
+
+        async remove(id) {
+            if (!isValidId(id)) {
+                return false;
+            }
+            return oneAtATime(id, async () => {
+                try {
+                    await fs.unlink(fileFor(id));
+                    return true;
+                } catch (error) {
+                    if (error.code === 'ENOENT') {
+                        return false;
+                    }
+                    throw error;
+                }
+            });
+        }
+    };
+}
+
+// ============================================
+// MEMORY STORE - Trips Disappear on Restart
+// ============================================
+// Keeps trips in a Map. Handy for trying things out without leaving
+// files behind.
+function createMemoryTripStore() {
+    const trips = new Map();
+
+    // Hand out copies so callers can't change stored trips by accident
+    const copy = trip => (trip ? JSON.parse(JSON.stringify(trip)) : null);
+
+    return {
+        async list() {
+            return [...trips.values()].map(copy).sort(newestFirst);
+        },
+
+        async get(id) {
+            return copy(trips.get(id));
+        },
+
+        async create(fields) {
+            const trip = buildTrip(fields);
+            trips.set(trip.id, copy(trip));
+            return trip;
+        },
+
+        async update(id, changes) {
+            const trip = trips.get(id);
+            if (!trip) {
+                return null;
+            }
+            const updated = applyChanges(trip, copy(changes));
+            trips.set(id, updated);
+            return copy(updated);
+        },
+
+        async remove(id) {
+            return trips.delete(id);
+        }
+    };
+}
+
+// ============================================
+// CLAIM TRIPS SAVED BEFORE ACCOUNTS
+// ============================================
+// Trips saved before accounts existed have no "ownerId", so nobody can
+// see them. This gives every one of them to the user with id "ownerId"
+// and returns how many there were. Trips that already have an owner are
+// left alone, so running it again does nothing. Works with any store.
+async function claimOwnerlessTrips(store, ownerId) {
+    const ownerless = (await store.list()).filter(trip => !trip.ownerId);
+    for (const trip of ownerless) {
+        await store.update(trip.id, { ownerId: ownerId });
+    }
+    return ownerless.length;
+}
+
+// ============================================
+// PICK A STORE
+// ============================================
+// TRIP_STORE=file (default) or TRIP_STORE=memory in your .env file.
+// To add another kind of store (SQLite, Postgres...), write a function
+// that returns an object with the same five methods and add it here.
+function createTripStore({ type = 'file', directory } = {}) {
+    if (type === 'file') {
+        return createFileTripStore(directory);
+    }
+    if (type === 'memory') {
+        return createMemoryTripStore();
+    }
+    throw new Error(`Unknown TRIP_STORE "${type}" (expected "file" or "memory")`);
+}
+
+module.exports = {
+    claimOwnerlessTrips,
+    createFileTripStore,
+    createMemoryTripStore,
+    createTripStore
+};
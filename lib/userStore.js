@@ -0,0 +1,107 @@
+// ============================================
+// USER STORE - Where Accounts Live
+// ============================================
+// Works like the trip store (see lib/tripStore.js), with two methods:
+//
+//   getByUsername(username) -> the user, or null if there's no such account
+//   create(fields)          -> the new user (with id and createdAt added),
+//                              or null if the username is already taken
+//
+// A saved user looks like:
+// {
+//   id: "3f1c...",                   // random; trips point at it as "ownerId"
+//   username: "alice",               // always lowercase (see lib/accounts.js)
+//   passwordHash: "scrypt:...:...",  // never the password itself!
+//   createdAt: "2025-11-01T10:00:00.000Z"
+// }
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+function buildUser(fields) {
+    return {
+        ...fields,
+        id: crypto.randomUUID(),
+        createdAt: new Date().toISOString()
+    };
+}
+
+// ============================================
+// FILE STORE - One JSON File per User
+// ============================================
+// Saves each user as "<directory>/<username>.json". Usernames are checked
+// by lib/accounts.js before they get here, so they're always safe file names.
+function createFileUserStore(directory) {
+    const fileFor = username => path.join(directory, `${username}.json`);
+
+    async function getByUsername(username) {
+        try {
+            return JSON.parse(await fs.readFile(fileFor(username), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    return {
+        getByUsername,
+
+        async create(fields) {
+            await fs.mkdir(directory, { recursive: true });
+            const user = buildUser(fields);
+            try {
+                await fs.writeFile(fileFor(user.username), JSON.stringify(user, null, 2), { flag: 'wx' });
+                // ^ "wx" = write, but fail if the file already exists. Two sign ups
+                //   for the same name at the same moment can't both succeed.
+            } catch (error) {
+                if (error.code === 'EEXIST') {
+                    return null;
+                }
+                throw error;
+            }
+            return user;
+        }
+    };
+}
+
+// ============================================
+// MEMORY STORE - Accounts Disappear on Restart
+// ============================================
+function createMemoryUserStore() {
+    const users = new Map();
+
+    return {
+        async getByUsername(username) {
+            return users.has(username) ? { ...users.get(username) } : null;
+        },
+
+        async create(fields) {
+            if (users.has(fields.username)) {
+                return null;
+            }
+            const user = buildUser(fields);
+            users.set(user.username, user);
+            return { ...user };
+        }
+    };
+}
+
+// Same settings as the trip store: "file" (default) or "memory"
+function createUserStore({ type = 'file', directory } = {}) {
+    if (type === 'file') {
+        return createFileUserStore(directory);
+    }
+    if (type === 'memory') {
+        return createMemoryUserStore();
+    }
+    throw new Error(`Unknown TRIP_STORE "${type}" (expected "file" or "memory")`);
+}
+
+module.exports = {
+    createFileUserStore,
+    createMemoryUserStore,
+    createUserStore
+};
@@ -0,0 +1,130 @@
+// ============================================
+// LOCALE - Which Language Are the Pages In?
+// ============================================
+// Loaded first on every page - the form, results, "my trips" and login
+// (right after lib/i18n.js, which has the translations). It:
+// 1. Picks the language: the one you chose in the menu at the top of the
+//    page, or else the first of your browser's languages we have
+// 2. Translates the page's HTML (see translatePage() below)
+// 3. Gives the other scripts t(), which translates their messages:
+//      t('results.dayReady', { day: 2 })
+//
+// The language of the PAGES is separate from the language the
+// itinerary is WRITTEN in (the "write my itinerary in" field on the
+// form), but the form starts out with the same one.
+
+const LOCALE_KEY = 'roamieLocale';
+// ^ localStorage key: the language picked in the menu
+
+function readSavedLocale() {
+    try {
+        return localStorage.getItem(LOCALE_KEY);
+    } catch (error) {
+        return null;
+        // ^ Some browsers block localStorage in private windows
+    }
+}
+
+const currentLocale = pickLocale([readSavedLocale(), ...(navigator.languages || [navigator.language])]);
+
+// Translates a message into the page's language (see lib/i18n.js)
+function t(key, params) {
+    return translate(currentLocale, key, params);
+}
+
+// Like t(), but for messages with a link (or any other element) in the
+// middle: "{link} to save your trips". Returns a list of text and
+// elements for replaceChildren()/append():
+//   paragraph.replaceChildren(...tWithElements('account.logInToSave', { link: anchor }))
+function tWithElements(key, elements) {
+    const parts = t(key).split(/\{(\w+)\}/);
+    // ^ "a {link} b" splits into ["a ", "link", " b"] - every odd part is a name
+    return parts.map((part, index) => (index % 2 === 1 && elements[part]) ? elements[part] : part);
+}
+
+// ============================================
+// HELPER FUNCTION: Translate the HTML
+// ============================================
+// Elements say which message they show with data attributes:
+//   <h1 data-i18n="form.heading">travel itinerary generator</h1>
+//   <input data-i18n-placeholder="form.originPlaceholder" placeholder="ex: SFO, PDX">
+// The English text stays in the HTML, so the page still reads fine if
+// this script doesn't run.
+function translatePage(root) {
+    for (const element of root.querySelectorAll('[data-i18n]')) {
+        element.textContent = t(element.dataset.i18n);
+    }
+    for (const element of root.querySelectorAll('[data-i18n-placeholder]')) {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    }
+    for (const element of root.querySelectorAll('template')) {
+        translatePage(element.content);
+        // ^ A <template>'s insides aren't part of the page until copied,
+        //   so querySelectorAll() above doesn't see them
+    }
+}
+
+// ============================================
+// HELPER FUNCTION: The Language Menu
+// ============================================
+// Fills in <select id="localeSelect"> with every language we have a
+// catalog for, each in its own language ("Deutsch", not "German").
+// Picking one reloads the page in that language.
+function setUpLocaleSelect() {
+    const select = document.getElementById('localeSelect');
+    if (!select) {
+        return;
+    }
+    for (const code of Object.keys(CATALOGS)) {
+        select.appendChild(new Option(CATALOGS[code]['locale.name'], code, false, code === currentLocale));
+    }
+    select.addEventListener('change', () => {
+        try {
+            localStorage.setItem(LOCALE_KEY, select.value);
+        } catch (error) {
+            console.error("Error saving the language:", error);
+        }
+        window.location.reload();
+    });
+}
+
+document.documentElement.lang = currentLocale;
+// ^ Tells screen readers (and the browser's own date pickers) which language this is
+translatePage(document);
+setUpLocaleSelect();
+
+// ============================================
+// HELPER FUNCTION: Translate Field Problems
+// ============================================
+// validateTripRequest() (lib/tripRequest.js) - here or on the server -
+// and the server's login checks say what's wrong with each field twice:
+// an English message in "errors", and a code to translate in "problems":
+//   errors:   { end: "The end date must be on or after the start date." }
+//   problems: { end: { code: "end-before-start", params: {} } }
+// Returns the messages in the page's language, by field. A problem
+// without a code we know keeps its English message.
+function describeProblems(errors, problems) {
+    const messages = {};
+    for (const [field, message] of Object.entries(errors)) {
+        const problem = problems && problems[field];
+        const key = problem && `problem.${problem.code}`;
+        if (!key || !Object.hasOwn(CATALOGS[DEFAULT_LOCALE], key)) {
+            messages[field] = message;
+            continue;
+        }
+        const params = { ...problem.params };
+        if (params.field) {
+            params.field = t(`field.${params.field}`);
+        }
+        if (params.date) {
+            params.date = formatDate(currentLocale, params.date);
+        }
+        ['min', 'max'].forEach(name => {
+            if (params[name] !== undefined) {
+                params[name] = formatNumber(currentLocale, params[name]);
+            }
+        });
+        messages[field] = t(key, params);
+    }
+    return messages;
+}
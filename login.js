@@ -0,0 +1,67 @@
+// ============================================
+// LOGIN PAGE SCRIPT
+// ============================================
+// Sends the username and password to POST /auth/login or
+// POST /auth/signup (depending on which button was clicked). The server
+// answers with a session cookie, and then we go back to the page that
+// sent you here (the "?next=..." part of the address).
+// Messages go through t() from locale.js, like on the other pages.
+
+const loginForm = document.getElementById("loginForm");
+const loginError = document.getElementById("loginError");
+
+// Where to go after logging in. Only pages of this site are allowed, so
+// a link like login.html?next=https://evil.example can't send you elsewhere.
+function nextPage() {
+    const next = new URLSearchParams(window.location.search).get('next') || '';
+    return /^[a-z]+\.html(\?[\w=&%.-]*)?$/.test(next) ? next : 'index.html';
+}
+
+loginForm.addEventListener("submit", async function(event) {
+    event.preventDefault();
+
+    const action = event.submitter && event.submitter.value === "signup" ? "signup" : "login";
+    // ^ event.submitter is the button that was clicked
+
+    // Clear old messages
+    ["username", "password"].forEach(field => {
+        document.getElementById(field + "Error").textContent = "";
+    });
+    loginError.textContent = "";
+
+    try {
+        const response = await fetch(`/auth/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById("username").value,
+                password: document.getElementById("password").value
+            })
+        });
+
+        if (response.ok) {
+            window.location.href = nextPage();
+            return;
+        }
+
+        // Show what went wrong in the page's language. Field problems come
+        // with codes ({ fields, problems }, see checkCredentials() in
+        // lib/accounts.js) and go next to their field; describeProblems()
+        // is in locale.js.
+        const body = await response.json();
+        if (body.fields) {
+            Object.entries(describeProblems(body.fields, body.problems)).forEach(([field, message]) => {
+                document.getElementById(field + "Error").textContent = message;
+            });
+        } else if (response.status === 401) {
+            loginError.textContent = t("login.wrongDetails");
+        } else if (response.status === 429) {
+            loginError.textContent = t("login.tooMany");
+        } else {
+            loginError.textContent = t("login.failed");
+        }
+    } catch (error) {
+        console.error("Error:", error);
+        loginError.textContent = t("login.failed");
+    }
+});
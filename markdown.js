@@ -0,0 +1,509 @@
+// ============================================
+// MARKDOWN - Turn AI Text Into Page Elements
+// ============================================
+// Some parts of an itinerary (the summary, item notes and tips) can
+// contain markdown formatting, like **bold**, lists or tables. This file
+// turns that markdown into real page elements.
+//
+// Safety first: the text comes from an AI model, and we can't be sure
+// what's in it. So we NEVER put it into .innerHTML. Instead we:
+// 1. "parse" the text into a tree of plain objects (parseMarkdown), then
+// 2. build elements from that tree with document.createElement() and
+//    text nodes (renderMarkdown). Text is always added as text, so a
+//    "<script>" in the AI's answer shows up as the word "<script>".
+// Links are only kept if they go to http(s):// or mailto: addresses -
+// anything else (like "javascript:" links) is shown as plain text.
+//
+// What's supported:
+//   # Headers (levels 1-6)             **bold**, __bold__
+//   - bullet lists (nest by indenting)  *italic*, _italic_
+//   1. numbered lists                   `inline code`
+//   | tables | like | this |           [links](https://example.com)
+//   --- (a dividing line)               ``` code blocks ```
+//
+// This file is loaded by results.html (before results.js), so its
+// functions are available there as normal global functions. It's also
+// loaded by the tests in test/markdown.test.js - see the bottom of this file.
+
+// ============================================
+// PART 1: Inline Formatting (inside one line)
+// ============================================
+// parseInline("Try **the tarts** at [Manteigaria](https://...)") gives:
+// [
+//   { type: 'text', text: 'Try ' },
+//   { type: 'strong', children: [{ type: 'text', text: 'the tarts' }] },
+//   { type: 'text', text: ' at ' },
+//   { type: 'link', href: 'https://...', children: [{ type: 'text', text: 'Manteigaria' }] }
+// ]
+
+// http(s):// or mailto: addresses, with no spaces, quotes or <> in them
+const SAFE_LINK = /^(https?:\/\/|mailto:)[^\s"'<>]+$/i;
+
+// A letter or number - used so snake_case_words don't turn italic
+const WORD_CHARACTER = /[\p{L}\p{N}]/u;
+
+// Finds the closing "marker" (like "**") after position "from".
+// Returns its position, or -1 if there isn't one.
+function findClosing(text, marker, from) {
+    let position = text.indexOf(marker, from);
+    while (position !== -1) {
+        // "\*" is an escaped (literal) star, not a closing marker
+        if (text[position - 1] !== '\\') {
+            return position;
+        }
+        position = text.indexOf(marker, position + 1);
+    }
+    return -1;
+}
+
+function parseInline(text) {
+    const nodes = [];
+    let plain = '';
+    // ^ Regular characters pile up here until we reach something special
+
+    function addText(more) {
+        plain += more;
+    }
+    function addNode(node) {
+        if (plain) {
+            nodes.push({ type: 'text', text: plain });
+            plain = '';
+        }
+        nodes.push(node);
+    }
+
+    let i = 0;
+    while (i < text.length) {
+        const character = text[i];
+        const next = text[i + 1];
+
+        // \* or \_ or \[ ... means "show this character as-is"
+        if (character === '\\' && next && /[\\`*_[\]()#|!.+-]/.test(next)) {
+            addText(next);
+            i += 2;
+            continue;
+        }
+
+        // `inline code` - everything inside is shown exactly as written
+        if (character === '`') {
+            const end = text.indexOf('`', i + 1);
+            if (end > i + 1) {
+                addNode({ type: 'code', text: text.slice(i + 1, end) });
+                i = end + 1;
+                continue;
+            }
+        }
+
+        // [label](address)
+        if (character === '[') {
+            const labelEnd = findClosing(text, ']', i + 1);
+            if (labelEnd !== -1 && text[labelEnd + 1] === '(') {
+                const hrefEnd = text.indexOf(')', labelEnd + 2);
+                if (hrefEnd !== -1) {
+                    const label = text.slice(i + 1, labelEnd);
+                    const href = text.slice(labelEnd + 2, hrefEnd).trim();
+                    if (SAFE_LINK.test(href)) {
+                        addNode({ type: 'link', href: href, children: parseInline(label) });
+                    } else {
+                        // Not a safe address - keep the label, drop the link
+                        parseInline(label).forEach(addNode);
+                    }
+                    i = hrefEnd + 1;
+                    continue;
+                }
+            }
+        }
+
+        // **bold** or __bold__
+        if ((character === '*' || character === '_') && next === character) {
+            const marker = character + character;
+            const end = findClosing(text, marker, i + 2);
+            if (end > i + 2) {
+                addNode({ type: 'strong', children: parseInline(text.slice(i + 2, end)) });
+                i = end + 2;
+                continue;
+            }
+        }
+
+        // *italic* or _italic_
+        if (character === '*' || character === '_') {
+            // An underscore in the middle of a word (like check_in_time) is just an underscore
+            const insideWord = character === '_' && i > 0 && WORD_CHARACTER.test(text[i - 1]);
+            const end = findClosing(text, character, i + 1);
+            const closesInsideWord = character === '_' && end !== -1 && WORD_CHARACTER.test(text[end + 1] || '');
+            if (!insideWord && end > i + 1 && !closesInsideWord && text[i + 1] !== ' ') {
+                addNode({ type: 'em', children: parseInline(text.slice(i + 1, end)) });
+                i = end + 1;
+                continue;
+            }
+        }
+
+        addText(character);
+        i++;
+    }
+
+    if (plain) {
+        nodes.push({ type: 'text', text: plain });
+    }
+    return nodes;
+}
+
+// ============================================
+// PART 2: Blocks (headers, lists, tables, ...)
+// ============================================
+// parseMarkdown() reads the text line by line and gives back a list of
+// blocks, each with its inline formatting already parsed:
+//   { type: 'heading', level: 2, children: [...] }
+//   { type: 'paragraph', lines: [[...], [...]] }      (one entry per line)
+//   { type: 'list', ordered: true, start: 1, items: [{ children, lists }] }
+//   { type: 'table', align: ['left', null], header: [...], rows: [[...]] }
+//   { type: 'code', text: '...' }
+//   { type: 'rule' }
+
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const FENCE = /^\s*```/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{1,}:?\s*(\|\s*:?-{1,}:?\s*)*\|?\s*$/;
+
+// Tabs count as 4 spaces when we measure how far a line is indented
+function indentOf(spaces) {
+    return spaces.replace(/\t/g, '    ').length;
+}
+
+function isBlank(line) {
+    return line.trim() === '';
+}
+
+// "| Day | Cost |" -> ["Day", "Cost"]
+function splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) {
+        row = row.slice(1);
+    }
+    if (row.endsWith('|') && !row.endsWith('\\|')) {
+        row = row.slice(0, -1);
+    }
+    // Split on "|" but not on "\|" (an escaped pipe inside a cell)
+    return row.split(/(?<!\\)\|/).map(cell => cell.trim());
+}
+
+// A table is a row with "|" in it, followed by a divider like "|---|:---:|"
+// with the same number of columns
+function isTableStart(lines, i) {
+    return lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') &&
+        TABLE_DIVIDER.test(lines[i + 1]) &&
+        splitTableRow(lines[i]).length === splitTableRow(lines[i + 1]).length;
+}
+
+// Does this line start a new block (so a paragraph has to stop)?
+function startsBlock(lines, i) {
+    const line = lines[i];
+    return HEADING.test(line) || RULE.test(line) || LIST_ITEM.test(line) ||
+        FENCE.test(line) || isTableStart(lines, i);
+}
+
+function parseTable(lines, start) {
+    const header = splitTableRow(lines[start]);
+    const align = splitTableRow(lines[start + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) {
+            return 'center';
+        }
+        if (cell.endsWith(':')) {
+            return 'right';
+        }
+        return cell.startsWith(':') ? 'left' : null;
+    });
+
+    const rows = [];
+    let i = start + 2;
+    while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+        const cells = splitTableRow(lines[i]);
+        // Every row gets exactly as many cells as the header
+        rows.push(header.map((_, column) => parseInline(cells[column] || '')));
+        i++;
+    }
+
+    return {
+        block: {
+            type: 'table',
+            align: header.map((_, column) => align[column] || null),
+            header: header.map(cell => parseInline(cell)),
+            rows: rows
+        },
+        next: i
+    };
+}
+
+// Reads a list that starts at line "start". Lines indented further than
+// the list's own items become a nested list inside the item above them.
+function parseList(lines, start) {
+    const first = LIST_ITEM.exec(lines[start]);
+    const indent = indentOf(first[1]);
+    const ordered = /\d/.test(first[2]);
+
+    const list = {
+        type: 'list',
+        ordered: ordered,
+        start: ordered ? parseInt(first[2], 10) : null,
+        items: []
+    };
+
+    let i = start;
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (isBlank(line)) {
+            // A blank line only ends the list if what follows isn't more of it
+            let after = i + 1;
+            while (after < lines.length && isBlank(lines[after])) {
+                after++;
+            }
+            const nextItem = after < lines.length ? LIST_ITEM.exec(lines[after]) : null;
+            if (nextItem && indentOf(nextItem[1]) >= indent) {
+                i = after;
+                continue;
+            }
+            break;
+        }
+
+        const match = LIST_ITEM.exec(line);
+        const lastItem = list.items[list.items.length - 1];
+
+        if (!match) {
+            // An indented line without a bullet continues the item above it
+            if (indentOf(line.match(/^\s*/)[0]) > indent && lastItem && !startsBlock(lines, i)) {
+                lastItem.children.push({ type: 'text', text: ' ' }, ...parseInline(line.trim()));
+                i++;
+                continue;
+            }
+            break;
+        }
+
+        const itemIndent = indentOf(match[1]);
+        if (itemIndent < indent) {
+            break;
+        }
+        if (itemIndent > indent && lastItem) {
+            const nested = parseList(lines, i);
+            lastItem.lists.push(nested.block);
+            i = nested.next;
+            continue;
+        }
+        if (/\d/.test(match[2]) !== ordered) {
+            break;
+            // ^ Switching between "-" and "1." starts a new list
+        }
+
+        list.items.push({ children: parseInline(match[3]), lists: [] });
+        i++;
+    }
+
+    return { block: list, next: i };
+}
+
+function parseMarkdown(text) {
+    const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (isBlank(line)) {
+            i++;
+            continue;
+        }
+
+        // ``` starts a code block that runs until the next ```
+        if (FENCE.test(line)) {
+            const code = [];
+            i++;
+            while (i < lines.length && !FENCE.test(lines[i])) {
+                code.push(lines[i]);
+                i++;
+            }
+            blocks.push({ type: 'code', text: code.join('\n') });
+            i++;
+            // ^ Skip the closing ``` too
+            continue;
+        }
+
+        const heading = HEADING.exec(line);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+            i++;
+            continue;
+        }
+
+        // Check for a dividing line BEFORE lists - "* * *" would look like a bullet
+        if (RULE.test(line)) {
+            blocks.push({ type: 'rule' });
+            i++;
+            continue;
+        }
+
+        if (isTableStart(lines, i)) {
+            const table = parseTable(lines, i);
+            blocks.push(table.block);
+            i = table.next;
+            continue;
+        }
+
+        if (LIST_ITEM.test(line)) {
+            const list = parseList(lines, i);
+            blocks.push(list.block);
+            i = list.next;
+            continue;
+        }
+
+        // Anything else is a paragraph: this line and the ones right after
+        // it, until a blank line or the start of another block
+        const paragraph = [];
+        while (i < lines.length && !isBlank(lines[i]) && (paragraph.length === 0 || !startsBlock(lines, i))) {
+            paragraph.push(parseInline(lines[i].trim()));
+            i++;
+        }
+        blocks.push({ type: 'paragraph', lines: paragraph });
+    }
+
+    return blocks;
+}
+
+// ============================================
+// PART 3: Build the Page Elements
+// ============================================
+// "doc" is the page's document. You don't need to pass it in the browser -
+// it's there so the tests can hand in a pretend document.
+
+function appendInline(parent, nodes, doc) {
+    nodes.forEach(node => {
+        if (node.type === 'text') {
+            parent.appendChild(doc.createTextNode(node.text));
+            // ^ A text node is always just text - this is what keeps us safe
+        } else if (node.type === 'code') {
+            const code = doc.createElement('code');
+            code.appendChild(doc.createTextNode(node.text));
+            parent.appendChild(code);
+        } else if (node.type === 'link') {
+            const link = doc.createElement('a');
+            link.setAttribute('href', node.href);
+            link.setAttribute('target', '_blank');
+            link.setAttribute('rel', 'noopener noreferrer');
+            // ^ Opens in a new tab, without giving that page access to ours
+            appendInline(link, node.children, doc);
+            parent.appendChild(link);
+        } else {
+            // "strong" or "em"
+            const element = doc.createElement(node.type);
+            appendInline(element, node.children, doc);
+            parent.appendChild(element);
+        }
+    });
+}
+
+function renderList(list, doc) {
+    const element = doc.createElement(list.ordered ? 'ol' : 'ul');
+    if (list.ordered && list.start !== 1) {
+        element.setAttribute('start', String(list.start));
+    }
+    list.items.forEach(item => {
+        const li = doc.createElement('li');
+        appendInline(li, item.children, doc);
+        item.lists.forEach(nested => li.appendChild(renderList(nested, doc)));
+        element.appendChild(li);
+    });
+    return element;
+}
+
+function renderTable(table, doc) {
+    const element = doc.createElement('table');
+
+    function addRow(parent, cells, cellTag) {
+        const row = doc.createElement('tr');
+        cells.forEach((cell, column) => {
+            const td = doc.createElement(cellTag);
+            if (table.align[column]) {
+                td.setAttribute('style', `text-align: ${table.align[column]}`);
+            }
+            appendInline(td, cell, doc);
+            row.appendChild(td);
+        });
+        parent.appendChild(row);
+    }
+
+    const head = doc.createElement('thead');
+    addRow(head, table.header, 'th');
+    element.appendChild(head);
+
+    if (table.rows.length > 0) {
+        const body = doc.createElement('tbody');
+        table.rows.forEach(cells => addRow(body, cells, 'td'));
+        element.appendChild(body);
+    }
+    return element;
+}
+
+function renderBlock(block, doc) {
+    if (block.type === 'heading') {
+        const heading = doc.createElement(`h${block.level}`);
+        appendInline(heading, block.children, doc);
+        return heading;
+    }
+    if (block.type === 'paragraph') {
+        const paragraph = doc.createElement('p');
+        block.lines.forEach((line, index) => {
+            if (index > 0) {
+                paragraph.appendChild(doc.createElement('br'));
+                // ^ Keep the AI's line breaks
+            }
+            appendInline(paragraph, line, doc);
+        });
+        return paragraph;
+    }
+    if (block.type === 'list') {
+        return renderList(block, doc);
+    }
+    if (block.type === 'table') {
+        return renderTable(block, doc);
+    }
+    if (block.type === 'code') {
+        const pre = doc.createElement('pre');
+        const code = doc.createElement('code');
+        code.appendChild(doc.createTextNode(block.text));
+        pre.appendChild(code);
+        return pre;
+    }
+    return doc.createElement('hr');
+}
+
+// ============================================
+// MAIN FUNCTIONS: Render Markdown
+// ============================================
+// Usage:
+//   someElement.replaceChildren(renderMarkdown(itinerary.summary));
+// Returns a DocumentFragment (an invisible container) holding the elements.
+function renderMarkdown(text, doc = document) {
+    const fragment = doc.createDocumentFragment();
+    parseMarkdown(text).forEach(block => {
+        fragment.appendChild(renderBlock(block, doc));
+    });
+    return fragment;
+}
+
+// For one line of text (like a tip in a list) - only the inline
+// formatting (bold, links, ...), no paragraphs or headers
+function renderInlineMarkdown(text, doc = document) {
+    const fragment = doc.createDocumentFragment();
+    appendInline(fragment, parseInline(String(text)), doc);
+    return fragment;
+}
+
+// ============================================
+// Sharing With Node.js (for the tests)
+// ============================================
+// In the browser there's no "module", so this does nothing.
+// In Node.js, it lets tests do: require('../markdown').renderMarkdown
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseInline, parseMarkdown, renderInlineMarkdown, renderMarkdown };
+}
@@ -0,0 +1,331 @@
+// ============================================
+// OFFLINE SUPPORT - roamie on the Road
+// ============================================
+// Loaded on the form, results and "my trips" pages (before the other
+// scripts, which use its functions). Abroad, the connection comes and
+// goes, so this file:
+// 1. Installs the service worker (sw.js), which keeps a copy of the app
+//    itself and of every trip you open, so they load without a connection
+// 2. Keeps your saved trips in IndexedDB - a database built into the
+//    browser - so "my trips" can list them while you're offline
+// 3. Queues AI requests (a new itinerary, a refinement) made while
+//    offline, and sends them as soon as the connection comes back
+//
+// Everything stored here belongs to whoever is logged in: it's all
+// deleted when you log out, or when someone else logs in on this device
+// (see rememberUser(), called by account.js).
+//
+// Offline storage is a bonus: if the browser doesn't support it (or
+// blocks it, e.g. in private windows) the app works like before.
+
+const OFFLINE_DB_NAME = 'roamie';
+const OFFLINE_DB_VERSION = 1;
+const TRIPS_CACHE_NAME = 'roamie-trips';
+// ^ The service worker's cache of opened trips (see sw.js)
+const LAST_USER_KEY = 'roamieLastUserId';
+// ^ localStorage key: who was logged in the last time we checked
+
+// The event replayQueue() sends for every queued request it finished:
+//   window.addEventListener(QUEUE_EVENT, event => { event.detail ... })
+// "detail" is { entry, trip } when it worked, or { entry, error } when
+// the server turned it down for good.
+const QUEUE_EVENT = 'roamie:queue-replayed';
+
+// Thrown by fetchOrQueue() when the request couldn't reach the server
+class OfflineError extends Error {
+    constructor(cause) {
+        super('No connection to the server');
+        this.cause = cause;
+        this.queuedId = null;
+        // ^ Set when the request was queued for later
+    }
+}
+
+// ============================================
+// STEP 1: Install the Service Worker
+// ============================================
+// Service workers only run on https (and on localhost, for development).
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+        console.error("Error installing the service worker:", error);
+    });
+}
+
+// ============================================
+// STEP 2: The Offline Database
+// ============================================
+// IndexedDB has two "object stores" (like tables) for us:
+// - "trips": saved trips, looked up by their id
+// - "queue": requests waiting for a connection, numbered 1, 2, 3...
+//
+// IndexedDB is older than promises, so it reports back through
+// "onsuccess" and "onerror" callbacks. These helpers wrap that in
+// promises, so the rest of the code can use "await".
+
+let databasePromise = null;
+
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+
+            // Runs the first time (and whenever OFFLINE_DB_VERSION goes up)
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('trips')) {
+                    db.createObjectStore('trips', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('queue')) {
+                    db.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        databasePromise.catch(() => {
+            databasePromise = null;
+            // ^ Try again next time instead of remembering the failure
+        });
+    }
+    return databasePromise;
+}
+
+// Runs "work" with one object store and resolves with what it asked for.
+// "mode" is "readonly" or "readwrite".
+async function withStore(storeName, mode, work) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = work(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// A failure here should never break the page - log it and carry on
+// with "fallback" instead
+async function safely(action, work, fallback) {
+    try {
+        return await work();
+    } catch (error) {
+        console.error(`Error trying to ${action} (offline storage):`, error);
+        return fallback;
+    }
+}
+
+// ============================================
+// HELPER FUNCTIONS: Saved Trips on This Device
+// ============================================
+
+// Stores a trip from the server ({ id, request, itinerary, costs,
+// warnings, ... }). The AI conversation isn't needed to show it.
+function saveOfflineTrip(trip) {
+    const { conversation, ...copy } = trip;
+    // ^ "...copy" collects every other field
+    return safely('save a trip', () => withStore('trips', 'readwrite', store => store.put(copy)));
+}
+
+// The trip with this id, or null if it isn't on this device
+function getOfflineTrip(id) {
+    return safely('load a trip', async () => (await withStore('trips', 'readonly', store => store.get(id))) || null, null);
+}
+
+// Every trip on this device, newest first
+function listOfflineTrips() {
+    return safely('list trips', async () => {
+        const trips = await withStore('trips', 'readonly', store => store.getAll());
+        return trips.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    }, []);
+}
+
+// Removes a deleted trip from the database AND the service worker's cache
+function forgetOfflineTrip(id) {
+    return safely('forget a trip', async () => {
+        await withStore('trips', 'readwrite', store => store.delete(id));
+        if ('caches' in window) {
+            const cache = await caches.open(TRIPS_CACHE_NAME);
+            await cache.delete(`/trips/${encodeURIComponent(id)}`);
+        }
+    });
+}
+
+// ============================================
+// HELPER FUNCTIONS: The Request Queue
+// ============================================
+// A queued request looks like one of these:
+//   { id: 1, type: 'generate', request: {...the form...}, regenerate: false, queuedAt: "..." }
+//   { id: 2, type: 'refine', tripId: "abc123", instruction: "make day 2 cheaper", queuedAt: "..." }
+
+// Adds a request to the queue and returns its id
+function queueRequest(entry) {
+    return safely('queue a request', () => withStore('queue', 'readwrite',
+        store => store.add({ ...entry, queuedAt: new Date().toISOString() })), null);
+}
+
+// Every queued request, oldest first (the order they were made in)
+function listQueuedRequests() {
+    return safely('list queued requests', () => withStore('queue', 'readonly', store => store.getAll()), []);
+}
+
+function removeQueuedRequest(id) {
+    return safely('remove a queued request', () => withStore('queue', 'readwrite', store => store.delete(id)));
+}
+
+// ============================================
+// HELPER FUNCTION: Fetch, or Queue for Later
+// ============================================
+// Like fetch(), but when the server can't be reached at all (fetch()
+// throws instead of answering), it throws an OfflineError - after
+// queueing "entry" if one was given AND someone is logged in (queued
+// requests save their results to your account).
+async function fetchOrQueue(url, options, entry = null) {
+    try {
+        return await fetch(url, options);
+    } catch (cause) {
+        const error = new OfflineError(cause);
+        if (entry && localStorage.getItem(LAST_USER_KEY)) {
+            error.queuedId = await queueRequest(entry);
+        }
+        throw error;
+    }
+}
+
+// ============================================
+// MAIN FUNCTION: Send the Queued Requests
+// ============================================
+// Goes through the queue, oldest first. A request that worked is taken
+// off the queue and its trip saved on this device. We stop (and try the
+// rest later) when the connection drops again, when the server is busy
+// (429 or 5xx) or when the login has expired (401). A request the server
+// turns down for good (any other 4xx, like a trip that was deleted) is
+// dropped. Nothing is sent while nobody is logged in.
+//
+// Several tabs can be open, and each would try to replay the same queue.
+// navigator.locks lets only one of them do it at a time.
+function replayQueue() {
+    if (!navigator.onLine || !localStorage.getItem(LAST_USER_KEY)) {
+        return Promise.resolve();
+    }
+    if (navigator.locks) {
+        return navigator.locks.request('roamie-queue', { ifAvailable: true }, lock => lock && sendQueuedRequests());
+        // ^ "ifAvailable": if another tab is already at it, don't wait
+    }
+    return sendQueuedRequests();
+}
+
+async function sendQueuedRequests() {
+    const entries = await listQueuedRequests();
+
+    for (const entry of entries) {
+        let outcome;
+        try {
+            outcome = entry.type === 'refine' ? await replayRefine(entry) : await replayGenerate(entry);
+        } catch (error) {
+            console.error("Error replaying a queued request:", error);
+            return;
+            // ^ Still offline (fetch() threw) - try again when we're back
+        }
+
+        if (outcome.retry) {
+            return;
+        }
+        await removeQueuedRequest(entry.id);
+        window.dispatchEvent(new CustomEvent(QUEUE_EVENT, { detail: { entry: entry, ...outcome } }));
+    }
+}
+
+// Should we keep this request and try again later?
+function isWorthRetrying(status) {
+    return status === 401 || status === 429 || status >= 500;
+}
+
+// "generate": make the itinerary (the same way the form does), then save
+// it. The itinerary is stored on the queue entry before saving, so a
+// dropped connection in between doesn't ask the AI twice.
+async function replayGenerate(entry) {
+    if (!entry.result) {
+        const url = entry.regenerate ? '/generate-itinerary?regenerate=true' : '/generate-itinerary';
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(entry.request)
+        });
+        if (!response.ok) {
+            return isWorthRetrying(response.status) ? { retry: true } : { error: await readError(response) };
+        }
+        entry.result = await response.json();
+        await withStore('queue', 'readwrite', store => store.put(entry));
+    }
+
+    const response = await fetch('/trips', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ request: entry.request, itinerary: entry.result.itinerary })
+    });
+    if (!response.ok) {
+        return isWorthRetrying(response.status) ? { retry: true } : { error: await readError(response) };
+    }
+
+    const trip = await response.json();
+    await saveOfflineTrip(trip);
+    return { trip: trip };
+}
+
+// "refine": send the instruction for the saved trip
+async function replayRefine(entry) {
+    const response = await fetch(`/trips/${encodeURIComponent(entry.tripId)}/refine`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ instruction: entry.instruction })
+    });
+    if (!response.ok) {
+        return isWorthRetrying(response.status) ? { retry: true } : { error: await readError(response) };
+    }
+
+    const data = await response.json();
+    // ^ { trip, changes, costs, warnings } - like the refine form gets
+    const trip = { ...data.trip, costs: data.costs, warnings: data.warnings };
+    await saveOfflineTrip(trip);
+    return { trip: trip, changes: data.changes };
+}
+
+async function readError(response) {
+    const body = await response.json().catch(() => ({}));
+    return body.error || `The server answered ${response.status}`;
+}
+
+window.addEventListener('online', replayQueue);
+// ^ The first replay waits for rememberUser() below, so we never send
+//   someone else's queued requests
+
+// ============================================
+// HELPER FUNCTIONS: Whose Data Is This?
+// ============================================
+
+// Called by account.js with the logged-in user (or null). When it's not
+// the user from last time, whatever is stored belongs to someone else.
+// Once we know who's logged in, their queued requests can be sent.
+async function rememberUser(user) {
+    const userId = user ? user.id : null;
+    const lastUserId = localStorage.getItem(LAST_USER_KEY);
+    if (lastUserId && lastUserId !== userId) {
+        await clearOfflineData();
+    }
+    if (userId) {
+        localStorage.setItem(LAST_USER_KEY, userId);
+        await replayQueue();
+    }
+}
+
+// Deletes every trip and queued request on this device (on logout)
+function clearOfflineData() {
+    localStorage.removeItem(LAST_USER_KEY);
+    return safely('clear offline data', async () => {
+        await withStore('trips', 'readwrite', store => store.clear());
+        await withStore('queue', 'readwrite', store => store.clear());
+        if ('caches' in window) {
+            await caches.delete(TRIPS_CACHE_NAME);
+        }
+    });
+}
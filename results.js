@@ -7,6 +7,14 @@
 // 2. Send that info to our backend server
 // 3. The server calls Claude AI to generate your itinerary
 // 4. Display the beautiful results on the page!
+// 5. Save the trip, so this page's address can be reopened later
+//
+// If the address already has a saved trip in it (results.html?trip=...),
+// we skip straight to loading that trip instead. A share link
+// (results.html?share=...) shows someone else's trip, read-only.
+//
+// Every message goes through t() from locale.js, so it's in the page's
+// language. The itinerary itself is in whatever language it was written in.
 
 // ============================================
 // STEP 1: Get the Travel Data
@@ -19,6 +27,17 @@
 // JSON.parse() - converts the saved text back into a usable JavaScript object
 const userData = JSON.parse(sessionStorage.getItem('travelData'));
 
+// Is this a link to a saved trip? Look for "?trip=..." in the address.
+// URLSearchParams reads the part of the address after the "?"
+const savedTripId = new URLSearchParams(window.location.search).get('trip');
+
+// Is this a share link? Look for "?share=..." instead.
+const shareToken = new URLSearchParams(window.location.search).get('share');
+
+// A trip that was generated while you were logged out. We keep it here
+// while you log in, then save it when you come back (see saveTrip()).
+const pendingTrip = JSON.parse(sessionStorage.getItem('pendingTrip'));
+
 // Quick explanation: What's JSON?
 // JSON is a way to save complex data (like your form info) as plain text.
 // It looks like this: {"origin":"SFO","destination":"NYC","start":"2025-11-01"}
@@ -33,6 +52,9 @@ const userData = JSON.parse(sessionStorage.getItem('travelData'));
 const loadingDiv = document.getElementById("loadingMessage");
 // ^ This is the "Generating your itinerary..." message
 
+const loadingStatus = document.getElementById("loadingStatus");
+// ^ The first line of that message - we update it as days arrive
+
 const errorDiv = document.getElementById("errorMessage");
 // ^ This is where error messages will appear (if something goes wrong)
 
@@ -42,13 +64,71 @@ const resultDiv = document.getElementById("itineraryResult");
 const backButtonContainer = document.getElementById("backButtonContainer");
 // ^ This is the "← create new itinerary" button at the bottom
 
+const saveStatus = document.getElementById("saveStatus");
+// ^ A small note that tells you whether your trip was saved
+
+const refineForm = document.getElementById("refineForm");
+const refineInstruction = document.getElementById("refineInstruction");
+const refineButton = document.getElementById("refineButton");
+const refineStatus = document.getElementById("refineStatus");
+// ^ The "want to change something?" form under the itinerary
+
+const shareBox = document.getElementById("shareBox");
+const shareButton = document.getElementById("shareButton");
+const shareLinkBox = document.getElementById("shareLinkBox");
+const shareLinkInput = document.getElementById("shareLinkInput");
+const stopSharingButton = document.getElementById("stopSharingButton");
+// ^ The "share a read-only link" box for your own saved trips
+
+const sharedNotice = document.getElementById("sharedNotice");
+// ^ The note shown on a shared (read-only) trip
+
+const changesSummary = document.getElementById("changesSummary");
+// ^ The box that lists what changed after a refinement
+
+const cacheNotice = document.getElementById("cacheNotice");
+const cacheNoticeText = document.getElementById("cacheNoticeText");
+const regenerateButton = document.getElementById("regenerateButton");
+// ^ The "this is the itinerary from before" note, with a button to get a fresh one
+
+const exportLinks = document.getElementById("exportLinks");
+const calendarLink = document.getElementById("calendarLink");
+const printLink = document.getElementById("printLink");
+// ^ The "add to calendar" and "printable version" buttons
+
+// Get the "edit itinerary" box (editor.js makes it work)
+const editBox = document.getElementById("editBox");
+
+// The id of the saved trip we're showing (null until it's been saved)
+let currentTripId = null;
+
+// The itinerary, cost breakdown and warnings on screen right now. The
+// editor (editor.js) starts from these, and puts them back if you cancel.
+let currentItinerary = null;
+let currentCosts = null;
+let currentWarnings = [];
+
+// The queued request (see offline.js) this page is waiting for, if you
+// asked for something while offline
+let waitingForQueuedId = null;
+
 // ============================================
 // STEP 3: Safety Check - Do We Have Data?
 // ============================================
 // What if someone tries to visit this page directly without filling out the form?
 // We need to check if we actually have travel data to work with!
 
-if (!userData) {
+if (savedTripId) {
+    // This is a saved trip - load it instead of generating a new one
+    loadSavedTrip(savedTripId);
+} else if (shareToken) {
+    // Someone shared a trip with you - show it, read-only
+    loadSharedTrip(shareToken);
+} else if (pendingTrip && !userData) {
+    // You just logged in to save this trip - show it again and save it
+    showItinerary(pendingTrip.itinerary, pendingTrip.costs, pendingTrip.warnings);
+    saveTrip(pendingTrip.request, pendingTrip.itinerary, pendingTrip.costs, pendingTrip.warnings);
+} else if (!userData) {
     // The "!" means "not" - so this checks: "if there is NO user data"
     // If someone came here without filling out the form, send them back!
     window.location.href = 'index.html';
@@ -64,10 +144,99 @@ if (!userData) {
 // ============================================
 // This is the heart of the results page! It talks to our backend server,
 // which then talks to Claude AI to create your personalized itinerary.
+//
+// Instead of waiting for the WHOLE itinerary (which can take a while),
+// we ask the server to "stream" it: each day is sent to us as soon as
+// Claude finishes writing it, so you can start reading Day 1 right away.
+
+// An error the server answered with. "code" says what kind of problem it
+// was (like "upstream_overloaded") and "requestId" is the reference to
+// quote when asking for help - the server's logs are filed under it.
+class ServerError extends Error {
+    constructor(message, code, requestId) {
+        super(message);
+        this.code = code;
+        this.requestId = requestId;
+    }
+}
+
+// Reads an error response into a ServerError. If the body isn't JSON
+// (a proxy's error page, say), the X-Request-Id header still gives us
+// the reference.
+async function serverError(response, fallbackMessage) {
+    const body = await response.json().catch(() => ({}));
+    return new ServerError(body.error || fallbackMessage, body.code, body.requestId || response.headers.get('X-Request-Id'));
+}
+
+// The translated message for an error code (see lib/errors.js), like
+// "advice.upstream_timeout" - or "fallback" for a code we have no
+// message for. t() gives back the key itself when there's no message.
+function messageForCode(prefix, code, fallback) {
+    const key = `${prefix}.${code}`;
+    const message = t(key);
+    return message === key ? fallback : message;
+}
+
+// A special kind of error for when the stream breaks AFTER it started.
+// This lets us tell the user "we got part of it" instead of "nothing worked".
+class StreamInterruptedError extends ServerError {}
+
+// And one for when the server says the trip details themselves are wrong.
+// "problems" is the list of messages, like ["The end date must be ..."]
+class InvalidRequestError extends Error {
+    constructor(problems) {
+        super('The trip details were rejected');
+        this.problems = problems;
+    }
+}
+
+// And one for when the server says "slow down" (status 429).
+// "retryAfterSeconds" is how long it wants us to wait, and "code" is
+// "rate_limited" or "quota_exceeded".
+class TooManyRequestsError extends Error {
+    constructor(message, retryAfterSeconds, code) {
+        super(message);
+        this.retryAfterSeconds = retryAfterSeconds;
+        this.code = code;
+    }
+}
+
+// Reads a 429 response into a TooManyRequestsError. The wait time comes
+// from the "Retry-After" header (in seconds).
+async function tooManyRequestsError(response) {
+    const body = await response.json();
+    const retryAfterSeconds = Number(response.headers.get('Retry-After')) || body.retryAfter;
+    return new TooManyRequestsError(body.error, retryAfterSeconds, body.code);
+}
+
+// Adds "Reference: 4f1c..." under an error message, when the server gave
+// us one. textContent, because the id came over the network.
+function appendErrorReference(error) {
+    if (!error.requestId) {
+        return;
+    }
+    const reference = document.createElement("p");
+    reference.className = "error-reference";
+    reference.textContent = t('error.reference', { id: error.requestId });
+    errorDiv.appendChild(reference);
+}
+
+// Turns a number of seconds into something like "45 seconds" or "3 hours"
+function describeWait(seconds) {
+    if (seconds < 90) {
+        return t('wait.seconds', { count: seconds });
+    }
+    if (seconds < 90 * 60) {
+        return t('wait.minutes', { count: Math.round(seconds / 60) });
+    }
+    return t('wait.hours', { count: Math.round(seconds / 3600) });
+}
 
 // "async" means this function will wait for things to finish (like API calls)
-// before moving on to the next step
-async function generateItinerary(userData) {
+// before moving on to the next step.
+// "regenerate: true" asks for a brand new itinerary even if the server
+// already made one for this exact trip.
+async function generateItinerary(userData, { regenerate = false } = {}) {
 
     // The "try-catch" block is like a safety net!
     // - "try" means: attempt to do these things
@@ -82,7 +251,10 @@ async function generateItinerary(userData) {
 
         // fetch() is how we talk to our backend server
         // Think of it like sending a letter with your travel info
-        const response = await fetch('/generate-itinerary', {
+        // fetchOrQueue() (in offline.js) is fetch(), except that without a
+        // connection it queues the request for later and throws an OfflineError
+        const url = regenerate ? '/generate-itinerary/stream?regenerate=true' : '/generate-itinerary/stream';
+        const response = await fetchOrQueue(url, {
             // "await" means: wait for this to finish before moving forward
 
             method: 'POST',
@@ -97,27 +269,75 @@ async function generateItinerary(userData) {
             // ^ JSON.stringify() converts our userData object back into text
             // ^ so it can be sent over the internet
             // ^ It's the opposite of JSON.parse() we used earlier!
-        });
+        }, { type: 'generate', request: userData, regenerate: regenerate });
 
         // ============================================
         // STEP 5: Check if the Request Worked
         // ============================================
-        // Did the server respond successfully? Let's check!
+        // Did the server start streaming? Let's check!
+
+        if (response.status === 400) {
+            // 400 means the server didn't like the trip details. It tells us
+            // what's wrong with each field, in English and as codes we can
+            // translate: { error, fields: { end: "..." }, problems: { end: { code, params } } }
+            const body = await response.json();
+            throw new InvalidRequestError(Object.values(describeProblems(body.fields || {}, body.problems)));
+        }
+
+        if (response.status === 429) {
+            // 429 means "Too Many Requests" - we have to wait a bit
+            throw await tooManyRequestsError(response);
+        }
 
         if (!response.ok) {
             // "response.ok" checks if we got a good response (status code 200)
-            // If NOT ok, throw an error to stop here and jump to the "catch" block
-            throw new Error('Failed to generate itinerary');
+            // If NOT ok, the server couldn't even start - throw an error
+            // to stop here and jump to the "catch" block
+            throw await serverError(response, 'Failed to start generating itinerary');
         }
 
         // ============================================
-        // STEP 6: Get the Itinerary from the Response
+        // STEP 6: Read the Itinerary as It Arrives
         // ============================================
-        // The server sent us back data! Let's extract it.
+        // The server sends us a series of "events". We handle each one
+        // as soon as it shows up (see readEventStream() below).
 
-        const data = await response.json();
-        // ^ .json() converts the server's text response back into a JavaScript object
-        // ^ Now "data" contains: { success: true, itinerary: "Day 1: ..." }
+        let finalItinerary = null;
+        let finalCosts = null;
+        let finalWarnings = [];
+        let cachedAt = null;
+
+        await readEventStream(response, (event, data) => {
+            if (event === 'day') {
+                // One more day is ready - show it immediately!
+                showStreamedDay(data);
+            } else if (event === 'repair') {
+                // The server found problems in Claude's answer and is fixing them
+                loadingStatus.textContent = t('results.polishing');
+            } else if (event === 'fix') {
+                // The itinerary doesn't quite fit your trip (a missing day,
+                // two things at once...) and the server is asking for a fix
+                loadingStatus.textContent = t('results.fixing');
+            } else if (event === 'done') {
+                // The complete, checked itinerary (what it costs, and
+                // anything that still doesn't fit your request)
+                finalItinerary = data.itinerary;
+                finalCosts = data.costs;
+                finalWarnings = data.warnings || [];
+                if (data.cached) {
+                    cachedAt = data.cachedAt;
+                    // ^ The server had already made this exact trip, so it sent that one
+                }
+            } else if (event === 'error') {
+                // Something broke partway through
+                throw new StreamInterruptedError(data.error, data.code, data.requestId);
+            }
+        });
+
+        if (!finalItinerary) {
+            // The stream ended without a "done" event (e.g. the connection dropped)
+            throw new StreamInterruptedError('The connection closed before the itinerary was finished');
+        }
 
         console.log("Received itinerary from backend!");
         // ^ Success! Log it to the console
@@ -127,24 +347,21 @@ async function generateItinerary(userData) {
         // ============================================
         // Time to show your beautiful itinerary to the world!
 
-        // First, hide the loading message (since we're done loading)
-        loadingDiv.style.display = "none";
-        // ^ .style.display = "none" makes an element invisible
-
-        // Convert the AI's text into nice HTML and put it in the result box
-        resultDiv.innerHTML = formatItinerary(data.itinerary);
-        // ^ formatItinerary() is our helper function (see below!)
-        // ^ .innerHTML means: put this HTML code inside this element
-
-        // Make the result box visible
-        resultDiv.style.display = "block";
-        // ^ .style.display = "block" makes an element visible
+        // Swap the streamed days for the final version (it may have been
+        // repaired, and now we also have the title, summary and tips)
+        showItinerary(finalItinerary, finalCosts, finalWarnings);
+        if (cachedAt) {
+            showCacheNotice(cachedAt);
+        }
 
-        // Show the back button so users can create a new itinerary
-        backButtonContainer.style.display = "block";
+        // ============================================
+        // STEP 8: Save the Trip
+        // ============================================
+        // Store the trip on the server so it doesn't disappear on reload
+        await saveTrip(userData, finalItinerary, finalCosts, finalWarnings);
 
         // ============================================
-        // STEP 8: Clean Up
+        // STEP 9: Clean Up
         // ============================================
         // We got our itinerary, so we don't need the saved data anymore
         sessionStorage.removeItem('travelData');
@@ -162,12 +379,39 @@ async function generateItinerary(userData) {
         // Hide the loading message
         loadingDiv.style.display = "none";
 
-        // Show a friendly error message to the user
-        errorDiv.innerHTML = `
-            <p>Sorry, there was an error generating your itinerary.</p>
-            <p>Please go back and try again.</p>
-        `;
-        // ^ Using backticks (`) lets us write multi-line text easily
+        // Show a friendly error message to the user.
+        // "instanceof" checks which kind of error we caught.
+        if (error instanceof InvalidRequestError) {
+            // List each problem. We build the list with textContent instead of
+            // innerHTML because the messages can quote what was typed in the form.
+            const list = document.createElement("ul");
+            list.className = "request-problems";
+            error.problems.forEach(problem => {
+                const item = document.createElement("li");
+                item.textContent = problem;
+                list.appendChild(item);
+            });
+            const intro = document.createElement("p");
+            intro.textContent = t('error.fixDetails');
+            errorDiv.replaceChildren(intro, list);
+        } else if (error instanceof TooManyRequestsError) {
+            // Built with textContent - without a translation for its code,
+            // the message is the server's
+            const message = document.createElement("p");
+            message.textContent = messageForCode('error', error.code, `${error.message}.`);
+            const wait = document.createElement("p");
+            wait.textContent = t('error.tryAgainIn', { wait: describeWait(error.retryAfterSeconds) });
+            errorDiv.replaceChildren(message, wait);
+        } else if (error instanceof OfflineError) {
+            showOfflineMessage(error, t('error.queuedGenerate'));
+        } else if (error instanceof StreamInterruptedError) {
+            // We may already be showing some days - leave them on the page
+            showErrorLines(t('error.interrupted'), t('error.interruptedHint'));
+            appendErrorReference(error);
+        } else {
+            showErrorLines(t('error.generating'), messageForCode('advice', error.code, t('advice.default')));
+            appendErrorReference(error);
+        }
 
         // Make the error message visible
         errorDiv.style.display = "block";
@@ -177,111 +421,874 @@ async function generateItinerary(userData) {
     }
 }
 
+// Fills the error box with one paragraph per message. textContent, not
+// innerHTML - translations are text, not HTML.
+function showErrorLines(...messages) {
+    errorDiv.replaceChildren(...messages.map(message => {
+        const paragraph = document.createElement("p");
+        paragraph.textContent = message;
+        return paragraph;
+    }));
+}
+
 // ============================================
-// HELPER FUNCTION: Format Itinerary
+// HELPER FUNCTION: Show "You're Offline"
 // ============================================
-// The AI returns plain text with markdown formatting (like # for headers)
-// This function converts that markdown into proper HTML so it looks pretty!
+// When a request couldn't reach the server. If it was queued (only
+// possible when you're logged in - see offline.js), "queuedMessage" says
+// what happens next; otherwise you need to try again later.
 
-// Example of what the AI might return:
-// "# Trip to NYC\n## Day 1\n- Visit museum\n**Important:** Bring ID"
-// We need to convert this to HTML like:
-// "<h1>Trip to NYC</h1><h2>Day 1</h2><li>Visit museum</li><h3>Important: Bring ID</h3>"
+function showOfflineMessage(error, queuedMessage) {
+    if (error.queuedId) {
+        waitingForQueuedId = error.queuedId;
+    }
+    showErrorLines(t('error.offline'), error.queuedId ? queuedMessage : t('error.tryOnline'));
+}
 
-function formatItinerary(text) {
-    // ============================================
-    // How This Works (The Big Picture)
-    // ============================================
-    // 1. Split the text into individual lines
-    // 2. Look at each line and figure out what type it is (header? list? paragraph?)
-    // 3. Convert it to the appropriate HTML tag
-    // 4. Join all the lines back together
+// ============================================
+// HELPER FUNCTION: Show the Finished Itinerary
+// ============================================
+// Used both after generating a new trip and after loading a saved one.
+// "warnings" are the server's notes on what doesn't fit the request
+// (see lib/constraints.js) - shared trips don't have any.
 
-    return text
-        .split('\n')
-        // ^ .split('\n') breaks the text into an array of lines
-        // ^ '\n' means "new line" (like pressing Enter)
-        // ^ Example: "Line 1\nLine 2" becomes ["Line 1", "Line 2"]
+function showItinerary(itinerary, costs, warnings = []) {
+    currentItinerary = itinerary;
+    currentCosts = costs;
+    currentWarnings = warnings;
 
-        .map(line => {
-            // ^ .map() goes through each line and transforms it
-            // ^ It's like a conveyor belt - each line goes in, gets changed, comes out
+    // First, hide the loading message (since we're done loading)
+    loadingDiv.style.display = "none";
+    // ^ .style.display = "none" makes an element invisible
 
-            // ============================================
-            // Check What Type of Line This Is
-            // ============================================
+    // Turn the itinerary data into page elements and put them in the result box,
+    // after any warnings and followed by the budget breakdown
+    resultDiv.replaceChildren(renderWarnings(warnings), renderItinerary(itinerary), renderCostBreakdown(costs));
+    // ^ renderWarnings(), renderItinerary() and renderCostBreakdown() are helper functions (see below!)
+    // ^ .replaceChildren() swaps out whatever was inside for the new elements
 
-            // Is it a Level 3 Header? (### Header)
-            if (line.startsWith('### ')) {
-                // .startsWith() checks if the line begins with those characters
-                return `<h3>${line.replace(/###\s*/g, '')}</h3>`;
-                // ^ .replace(/###\s*/g, '') removes all "###" and spaces after them
-                // ^ Then we wrap it in <h3> tags to make it a header
-                // ^ Example: "### Day 1" becomes "<h3>Day 1</h3>"
-            }
+    // Make the result box visible
+    resultDiv.style.display = "block";
+    // ^ .style.display = "block" makes an element visible
 
-            // Is it a Level 2 Header? (## Header)
-            else if (line.startsWith('## ')) {
-                return `<h2>${line.replace(/##\s*/g, '')}</h2>`;
-                // ^ Same idea, but for <h2> (slightly bigger header)
-            }
+    // Show the back button so users can create a new itinerary
+    backButtonContainer.style.display = "block";
+}
 
-            // Is it a Level 1 Header? (# Header - the biggest!)
-            else if (line.startsWith('# ')) {
-                return `<h1>${line.replace(/#\s*/g, '')}</h1>`;
-                // ^ The biggest header of all!
-            }
+// ============================================
+// HELPER FUNCTION: Show the "From Before" Note
+// ============================================
+// When you ask for exactly the same trip again, the server sends the
+// itinerary it already made (it's free and instant). This note says so,
+// and its button asks for a brand new one instead.
 
-            // Is it bold text that fills the whole line? (**Bold**)
-            else if (line.startsWith('**') && line.endsWith('**')) {
-                // .endsWith() checks if the line ends with those characters
-                return `<h3>${line.replace(/\*\*/g, '')}</h3>`;
-                // ^ .replace(/\*\*/g, '') removes ALL asterisks from the line
-                // ^ The "g" means "global" - find all matches, not just the first one
-                // ^ Example: "**Important**" becomes "<h3>Important</h3>"
-            }
+function showCacheNotice(cachedAt) {
+    const madeAt = formatDateTime(currentLocale, cachedAt);
+    // ^ Shows the date and time the way they're written in the page's language
+    cacheNoticeText.textContent = t('results.cacheNotice', { date: madeAt });
+    cacheNotice.style.display = "block";
+}
+
+regenerateButton.addEventListener("click", function() {
+    // Put the page back the way it looks while generating...
+    cacheNotice.style.display = "none";
+    resultDiv.style.display = "none";
+    exportLinks.style.display = "none";
+    editBox.style.display = "none";
+    refineForm.style.display = "none";
+    shareBox.style.display = "none";
+    saveStatus.style.display = "none";
+    backButtonContainer.style.display = "none";
+    loadingStatus.textContent = t('results.generatingFresh');
+    loadingDiv.style.display = "block";
+
+    // ...and ask again, skipping the server's cache
+    generateItinerary(userData, { regenerate: true });
+});
 
-            // Is it a list item? (- Item)
-            else if (line.startsWith('- ')) {
-                return `<li>${line.replace(/^-\s*/, '')}</li>`;
-                // ^ /^-\s*/ means: find a dash at the start (^), followed by spaces (\s*)
-                // ^ Example: "- Pack sunscreen" becomes "<li>Pack sunscreen</li>"
+// ============================================
+// HELPER FUNCTION: Save a Trip
+// ============================================
+// Sends the trip to POST /trips. The server answers with the saved trip,
+// including its "id". We then change the page address to
+// results.html?trip=<id> so reloading (or bookmarking) brings it back.
+//
+// Saving needs a login. If you're logged out, we keep the trip in
+// sessionStorage and offer a login link - this page saves it when you
+// come back.
+
+async function saveTrip(request, itinerary, costs, warnings) {
+    try {
+        const response = await fetch('/trips', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ request: request, itinerary: itinerary })
+        });
+
+        if (response.status === 401) {
+            sessionStorage.setItem('pendingTrip', JSON.stringify({ request, itinerary, costs, warnings }));
+
+            const link = document.createElement("a");
+            link.href = loginLink();
+            // ^ loginLink() comes from account.js
+            link.textContent = t('save.loginLink');
+            saveStatus.replaceChildren(...tWithElements('save.needLogin', { link: link }));
+            saveStatus.style.display = "block";
+            return;
+        }
+
+        if (!response.ok) {
+            throw new Error('Failed to save trip');
+        }
+
+        const trip = await response.json();
+        currentItinerary = trip.itinerary;
+        // ^ The saved copy has an id on every item (see lib/tripStore.js),
+        //   and edits should keep them
+        sessionStorage.removeItem('pendingTrip');
+        saveOfflineTrip(trip);
+        // ^ From offline.js: keeps a copy on this device for offline viewing
+
+        history.replaceState(null, '', `results.html?trip=${trip.id}`);
+        // ^ Changes the address bar WITHOUT reloading the page
+
+        saveStatus.textContent = t('save.saved');
+
+        enableTripActions(trip);
+    } catch (error) {
+        // Not being able to save is annoying, but the itinerary is still
+        // on screen - so we just mention it instead of showing an error
+        console.error("Error saving trip:", error);
+        saveStatus.textContent = t('save.failed');
+    }
+    saveStatus.style.display = "block";
+}
+
+// ============================================
+// HELPER FUNCTION: Enable Saved-Trip Actions
+// ============================================
+// Some things only work once the trip is saved on the server (they need
+// its id): editing and refining it, adding it to a calendar, printing it
+// and sharing it.
+
+function enableTripActions(trip) {
+    currentTripId = trip.id;
+    editBox.style.display = "block";
+    refineForm.style.display = "block";
+
+    const tripPath = `/trips/${encodeURIComponent(trip.id)}`;
+    calendarLink.href = `${tripPath}/calendar.ics`;
+    printLink.href = `${tripPath}/print?lang=${currentLocale}`;
+    // ^ The print page is made on the server, so it's told the page's language
+    exportLinks.style.display = "block";
+
+    showShareLink(trip.share ? `/results.html?share=${trip.share.token}` : null);
+    shareBox.style.display = "block";
+}
+
+// ============================================
+// HELPER FUNCTIONS: Share Links
+// ============================================
+// A share link lets travel companions see the trip without an account.
+// They can't change it, and "stop sharing" turns the link off for good.
+
+// Shows the link (or just the "share" button when "url" is null)
+function showShareLink(url) {
+    shareButton.style.display = url ? "none" : "inline-block";
+    shareLinkBox.style.display = url ? "block" : "none";
+    shareLinkInput.value = url ? new URL(url, window.location.origin).href : "";
+    // ^ new URL(..., origin) turns "/results.html?..." into a full address to copy
+}
+
+shareButton.addEventListener("click", async function() {
+    try {
+        const response = await fetch(`/trips/${encodeURIComponent(currentTripId)}/share`, { method: 'POST' });
+        if (!response.ok) {
+            throw new Error('Failed to share trip');
+        }
+
+        const data = await response.json();
+        // ^ Now "data" contains: { share: { token, url, createdAt } }
+        showShareLink(data.share.url);
+        shareLinkInput.select();
+        // ^ Highlights the link so it's ready to copy
+    } catch (error) {
+        console.error("Error:", error);
+        alert(t('share.failed'));
+    }
+});
+
+stopSharingButton.addEventListener("click", async function() {
+    if (!confirm(t('share.confirmStop'))) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/trips/${encodeURIComponent(currentTripId)}/share`, { method: 'DELETE' });
+        if (!response.ok) {
+            throw new Error('Failed to stop sharing');
+        }
+        showShareLink(null);
+    } catch (error) {
+        console.error("Error:", error);
+        alert(t('share.stopFailed'));
+    }
+});
+
+// ============================================
+// MAIN FUNCTION: Load a Saved Trip
+// ============================================
+// Fetches a trip from GET /trips/<id> and shows it - no AI needed!
+// Without a connection, we show the copy saved on this device instead.
+
+async function loadSavedTrip(tripId) {
+    loadingStatus.textContent = t('results.loadingSaved');
+
+    try {
+        const response = await fetchOrQueue(`/trips/${encodeURIComponent(tripId)}`);
+        // ^ encodeURIComponent() makes sure odd characters can't break the address
+
+        if (response.status === 401) {
+            // Saved trips are private - log in first, then come back here
+            window.location.href = loginLink();
+            return;
+        }
+
+        if (!response.ok) {
+            throw new Error('Failed to load trip');
+        }
+
+        const trip = await response.json();
+        showItinerary(trip.itinerary, trip.costs, trip.warnings);
+        enableTripActions(trip);
+        saveOfflineTrip(trip);
+    } catch (error) {
+        console.error("Error:", error);
+
+        const offlineTrip = error instanceof OfflineError ? await getOfflineTrip(tripId) : null;
+        if (offlineTrip) {
+            showOfflineTrip(offlineTrip);
+            return;
+        }
+
+        loadingDiv.style.display = "none";
+
+        showErrorLines(t('error.loadTrip'), t('error.loadTripHint'));
+        errorDiv.style.display = "block";
+        backButtonContainer.style.display = "block";
+    }
+}
+
+// Shows a trip saved on this device. Offline, the only thing you can do
+// with it is ask for a change - the request waits for the connection.
+function showOfflineTrip(trip) {
+    showItinerary(trip.itinerary, trip.costs, trip.warnings);
+    currentTripId = trip.id;
+    refineForm.style.display = "block";
+    saveStatus.textContent = t('save.offlineCopy');
+    saveStatus.style.display = "block";
+}
+
+// ============================================
+// MAIN FUNCTION: Load a Shared Trip
+// ============================================
+// Fetches a trip from GET /shared/<token>. No login needed, and nothing
+// on the page lets you change it.
+
+async function loadSharedTrip(token) {
+    loadingStatus.textContent = t('results.loadingShared');
+
+    try {
+        const response = await fetch(`/shared/${encodeURIComponent(token)}`);
+        if (!response.ok) {
+            throw new Error('Failed to load shared trip');
+        }
+
+        const data = await response.json();
+        showItinerary(data.itinerary, data.costs);
+        sharedNotice.style.display = "block";
+    } catch (error) {
+        console.error("Error:", error);
+        loadingDiv.style.display = "none";
+
+        showErrorLines(t('error.loadShared'), t('error.loadSharedHint'));
+        errorDiv.style.display = "block";
+        backButtonContainer.style.display = "block";
+    }
+}
+
+// ============================================
+// MAIN FUNCTION: Refine the Trip
+// ============================================
+// When you submit the "want to change something?" form, we send your
+// instruction to POST /trips/<id>/refine. The server asks Claude for a
+// revised itinerary and tells us what changed.
+
+refineForm.addEventListener("submit", async function(event) {
+    event.preventDefault();
+    // ^ Stop the form from reloading the page
+
+    const instruction = refineInstruction.value.trim();
+    if (!instruction) {
+        return;
+    }
+
+    // Disable the button so it can't be clicked twice while we wait
+    refineButton.disabled = true;
+    refineStatus.textContent = t('refine.updating');
+
+    try {
+        const response = await fetchOrQueue(`/trips/${encodeURIComponent(currentTripId)}/refine`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ instruction: instruction })
+        }, { type: 'refine', tripId: currentTripId, instruction: instruction });
+
+        if (response.status === 429) {
+            throw await tooManyRequestsError(response);
+        }
+
+        if (!response.ok) {
+            throw await serverError(response, 'Failed to refine itinerary');
+        }
+
+        const data = await response.json();
+        // ^ Now "data" contains: { success: true, trip: {...}, changes: [...], costs: {...}, warnings: [...] }
+
+        showItinerary(data.trip.itinerary, data.costs, data.warnings);
+        showChanges(instruction, data.changes);
+        saveOfflineTrip({ ...data.trip, costs: data.costs, warnings: data.warnings });
+
+        refineInstruction.value = '';
+        refineStatus.textContent = '';
+    } catch (error) {
+        console.error("Error:", error);
+        if (error instanceof OfflineError && error.queuedId) {
+            waitingForQueuedId = error.queuedId;
+            refineInstruction.value = '';
+            refineStatus.textContent = t('refine.queued');
+        } else if (error instanceof OfflineError) {
+            refineStatus.textContent = t('refine.offline');
+        } else if (error instanceof TooManyRequestsError) {
+            refineStatus.textContent = t('refine.tooMany', { wait: describeWait(error.retryAfterSeconds) });
+        } else {
+            refineStatus.textContent = t('refine.failed');
+            if (error.requestId) {
+                refineStatus.textContent += t('refine.reference', { id: error.requestId });
             }
+        }
+    }
+
+    refineButton.disabled = false;
+});
+
+// ============================================
+// When a Queued Request Is Done
+// ============================================
+// offline.js sends the requests you made offline once the connection is
+// back, and tells us about each one. If it's the one this page is
+// waiting for, show the result.
+
+window.addEventListener(QUEUE_EVENT, function(event) {
+    const { entry, trip, changes, error } = event.detail;
+    if (entry.id !== waitingForQueuedId) {
+        return;
+    }
+    waitingForQueuedId = null;
+
+    if (error) {
+        refineStatus.textContent = '';
+        showErrorLines(t('error.queueFailed'), error);
+        // ^ "error" is the server's message
+        errorDiv.style.display = "block";
+        return;
+    }
+
+    if (entry.type === 'generate') {
+        window.location.href = `results.html?trip=${encodeURIComponent(trip.id)}`;
+        // ^ It's saved now - open it like any saved trip
+        return;
+    }
 
-            // Is it a horizontal line? (---)
-            else if (line.trim() === '---') {
-                // .trim() removes spaces from the beginning and end
-                return '<hr style="margin: 2rem 0; border: none; border-top: 2px solid #e0e0e0;">';
-                // ^ <hr> is a horizontal rule (dividing line)
-                // ^ The style makes it look nice with proper spacing and color
+    showItinerary(trip.itinerary, trip.costs, trip.warnings);
+    showChanges(entry.instruction, changes);
+    refineStatus.textContent = '';
+});
+
+// ============================================
+// HELPER FUNCTION: Show What Changed
+// ============================================
+// Turns the server's list of changes into a short bulleted list, like:
+//   You asked: "make day 3 cheaper"
+//   • Day 3: removed "Dinner at Le Comptoir"
+//   • Day 3: added "Picnic at Parc Monceau"
+
+function showChanges(instruction, changes) {
+    const heading = document.createElement('p');
+    heading.textContent = t('changes.youAsked', { instruction: instruction });
+
+    const list = document.createElement('ul');
+    if (changes.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = t('changes.nothing');
+        list.appendChild(item);
+    }
+    changes.forEach(change => {
+        const item = document.createElement('li');
+        item.textContent = describeChange(change);
+        list.appendChild(item);
+    });
+
+    changesSummary.replaceChildren(heading, list);
+    changesSummary.style.display = "block";
+}
+
+// Turns one change object into a sentence
+// { type: 'added', day: 2, item: 'Louvre' }  ->  'Day 2: added "Louvre"'
+// "type" is "added", "removed" or "changed"; "fields" are the names of
+// what changed, like "startTime", and aren't translated.
+function describeChange(change) {
+    // Which part of the trip is this about?
+    let where = t('changes.trip');
+    if (change.day !== undefined) {
+        where = t('changes.day', { day: change.day });
+    }
+    const fields = (change.fields || []).join(', ');
+
+    if (change.item) {
+        return t(`changes.item.${change.type}`, { where: where, item: change.item, fields: fields });
+    }
+
+    if (change.type === 'changed') {
+        return t('changes.fields', { where: where, fields: fields });
+    }
+    return t(`changes.wholeDay.${change.type}`, { where: where });
+}
+
+// ============================================
+// HELPER FUNCTION: Read an Event Stream
+// ============================================
+// The server sends "Server-Sent Events" - plain text that looks like:
+//
+//   event: day
+//   data: {"day":1,"date":"2025-11-01",...}
+//
+// with a blank line between events. The text arrives in chunks that don't
+// line up with events, so we keep a "buffer" of leftover text and only
+// handle an event once we've seen the blank line that ends it.
+
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    // ^ A "reader" hands us the response body one chunk at a time
+    const decoder = new TextDecoder();
+    // ^ Chunks arrive as raw bytes - the decoder turns them into text
+    let buffer = '';
+
+    try {
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) {
+                break;
+                // ^ The server closed the stream - we're finished
             }
 
-            // Is it a regular line with text?
-            else if (line.trim()) {
-                // .trim() removes extra spaces, then we check if there's anything left
-                // ^ If the line is NOT empty after trimming spaces...
-
-                // Handle bold text in the MIDDLE of a line (not the whole line)
-                let formattedLine = line.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-                // ^ This is more complex! Let's break it down:
-                // ^ /\*\*(.*?)\*\*/g finds text between ** and **
-                // ^ (.*?) means: capture any characters (that's what the parentheses do)
-                // ^ The ? makes it "non-greedy" (stops at the first ** it finds)
-                // ^ $1 means: use whatever was captured in the parentheses
-                // ^ Example: "This is **bold** text" becomes "This is <strong>bold</strong> text"
-
-                return `<p>${formattedLine}</p>`;
-                // ^ Wrap the line in <p> tags to make it a paragraph
+            buffer += decoder.decode(value, { stream: true });
+
+            // Handle every complete event in the buffer
+            let boundary = buffer.indexOf('\n\n');
+            while (boundary !== -1) {
+                const rawEvent = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+
+                let eventName = 'message';
+                let dataText = '';
+                rawEvent.split('\n').forEach(line => {
+                    if (line.startsWith('event: ')) {
+                        eventName = line.slice('event: '.length);
+                    } else if (line.startsWith('data: ')) {
+                        dataText += line.slice('data: '.length);
+                    }
+                });
+
+                onEvent(eventName, JSON.parse(dataText));
+                boundary = buffer.indexOf('\n\n');
             }
+        }
+    } catch (error) {
+        // If handling an event failed, hang up so the server stops sending
+        reader.cancel();
+        throw error;
+    }
+}
+
+// ============================================
+// HELPER FUNCTION: Show a Streamed Day
+// ============================================
+// Adds one day to the result box while the rest is still being written.
+
+function showStreamedDay(day) {
+    if (resultDiv.style.display === "none") {
+        // First day! Clear the box and make it visible
+        resultDiv.replaceChildren();
+        resultDiv.style.display = "block";
+    }
+
+    resultDiv.appendChild(renderDay(day));
+    // ^ We don't know the trip's currency yet, so costs are shown as plain numbers
+
+    loadingStatus.textContent = t('results.dayReady', { day: day.day });
+}
+
+// ============================================
+// HELPER FUNCTION: Render Itinerary
+// ============================================
+// The server sends the itinerary as DATA, not text. It looks like this:
+// {
+//   title: "A Week in Tokyo",
+//   summary: "...",
+//   currency: "JPY",
+//   days: [
+//     { day: 1, date: "2025-11-01", title: "Arrival", items: [
+//         { startTime: "09:00", endTime: "10:30", title: "Tsukiji Outer Market",
+//           category: "food", location: "Chuo", estimatedCost: 3000, notes: "..." }
+//     ] }
+//   ],
+//   legs: [
+//     { day: 4, from: "Tokyo", to: "Kyoto", options: [
+//         { mode: "train", durationMinutes: 140, estimatedCost: 14000, notes: "..." }
+//     ] }
+//   ],
+//   tips: ["..."]
+// }
+// "legs" only has entries on multi-city trips (and older trips don't have it at all).
+// Because we know exactly where everything is, we can build the page
+// piece by piece instead of guessing from the text.
+
+function renderItinerary(itinerary) {
+    // A "fragment" is an invisible container - we fill it up, then add it
+    // to the page all at once (faster than adding elements one by one)
+    const fragment = document.createDocumentFragment();
+
+    const title = document.createElement('h1');
+    title.textContent = itinerary.title;
+    // ^ .textContent shows text exactly as-is (no HTML), which keeps us safe
+    fragment.appendChild(title);
+
+    if (itinerary.summary) {
+        const summary = document.createElement('div');
+        summary.className = 'itinerary-summary';
+        summary.appendChild(renderMarkdown(itinerary.summary));
+        // ^ The summary may contain markdown - renderMarkdown() (in markdown.js)
+        // ^ turns it into elements without ever using innerHTML
+        fragment.appendChild(summary);
+    }
+
+    // One section per day. On multi-city trips, a travel day gets an
+    // extra section first, showing the ways to get to the next city.
+    const legs = itinerary.legs || [];
+    // ^ "|| []" means: if there's no legs list, use an empty one
+    itinerary.days.forEach(day => {
+        legs.filter(leg => leg.day === day.day).forEach(leg => {
+            fragment.appendChild(renderLeg(leg, itinerary.currency));
+        });
+        fragment.appendChild(renderDay(day, itinerary.currency));
+    });
+
+    if (itinerary.tips.length > 0) {
+        const tipsHeader = document.createElement('h2');
+        tipsHeader.textContent = t('itinerary.tips');
+        fragment.appendChild(tipsHeader);
+
+        const tipsList = document.createElement('ul');
+        itinerary.tips.forEach(tip => {
+            const tipItem = document.createElement('li');
+            tipItem.appendChild(renderInlineMarkdown(tip));
+            // ^ Tips can have **bold** words or links, but no headers or lists
+            tipsList.appendChild(tipItem);
+        });
+        fragment.appendChild(tipsList);
+    }
+
+    return fragment;
+}
+
+// Builds the section for a single day: a header, then one row per item
+function renderDay(day, currency) {
+    const section = document.createElement('section');
+    section.className = 'itinerary-day';
+
+    const header = document.createElement('h2');
+    const city = day.city ? ` · ${day.city}` : '';
+    // ^ Multi-city trips say which city you're in
+    header.textContent = `${t('itinerary.day', { day: day.day, date: formatDate(currentLocale, day.date) })}${city}: ${day.title}`;
+    // ^ formatDate() (lib/i18n.js): "2025-11-01" -> "Sat, Nov 1", in the page's language
+    section.appendChild(header);
+
+    day.items.forEach(item => {
+        section.appendChild(renderItem(item, currency));
+    });
+
+    return section;
+}
+
+// Builds the "getting from one city to the next" section for a travel day:
+// a header, then one line per way of getting there (the first is the
+// one the itinerary uses)
+const TRANSPORT_ICONS = { train: '🚆', flight: '✈️', drive: '🚗', bus: '🚌', ferry: '⛴️' };
+
+function renderLeg(leg, currency) {
+    const section = document.createElement('section');
+    section.className = 'itinerary-leg';
 
-            // If the line is empty, return nothing
-            return '';
-        })
+    const header = document.createElement('h2');
+    header.textContent = t('itinerary.travelDay', { from: leg.from, to: leg.to });
+    section.appendChild(header);
 
-        .join('');
-        // ^ .join('') combines all the lines back into one big string
-        // ^ The '' means: don't put anything between the lines (no separator)
-        // ^ Example: ["<h1>Hi</h1>", "<p>Hello</p>"] becomes "<h1>Hi</h1><p>Hello</p>"
+    const list = document.createElement('ul');
+    list.className = 'leg-options';
+    leg.options.forEach((option, index) => {
+        const item = document.createElement('li');
+
+        const summary = document.createElement('strong');
+        summary.textContent = `${TRANSPORT_ICONS[option.mode] || ''} ${t(`mode.${option.mode}`)}`;
+        item.appendChild(summary);
+
+        // "· about 2h 30m · €80"
+        const details = [t('itinerary.about', { duration: formatDuration(option.durationMinutes) }), formatCost(option.estimatedCost, currency)];
+        if (index === 0) {
+            details.push(t('itinerary.planned'));
+            // ^ The first option is the one in the day's schedule
+        }
+        item.appendChild(document.createTextNode(` · ${details.join(' · ')}`));
+
+        if (option.notes) {
+            const notes = document.createElement('div');
+            notes.className = 'item-notes';
+            notes.appendChild(renderMarkdown(option.notes));
+            item.appendChild(notes);
+        }
+        list.appendChild(item);
+    });
+    section.appendChild(list);
+
+    return section;
+}
+
+// 150 -> "2h 30m", 45 -> "45m", 120 -> "2h"
+function formatDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (hours === 0) {
+        return `${rest}m`;
+    }
+    return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+}
+
+// Builds one time slot, like "09:00 - 10:30  Tsukiji Outer Market"
+function renderItem(item, currency) {
+    const row = document.createElement('div');
+    row.className = `itinerary-item category-${item.category}`;
+    // ^ The category class lets style.css color meals, activities, etc. differently
+
+    const time = document.createElement('span');
+    time.className = 'item-time';
+    time.textContent = `${item.startTime} - ${item.endTime}`;
+    row.appendChild(time);
+
+    const details = document.createElement('div');
+    details.className = 'item-details';
+
+    const title = document.createElement('h3');
+    title.textContent = item.title;
+    details.appendChild(title);
+
+    // "📍 Chuo · food · 3,000 JPY"
+    const meta = document.createElement('p');
+    meta.className = 'item-meta';
+    const metaParts = [t(`category.${item.category}`), formatCost(item.estimatedCost, currency)];
+    if (item.location) {
+        metaParts.unshift(`📍 ${item.location}`);
+    }
+    meta.textContent = metaParts.join(' · ');
+    details.appendChild(meta);
+
+    if (item.notes) {
+        const notes = document.createElement('div');
+        notes.className = 'item-notes';
+        notes.appendChild(renderMarkdown(item.notes));
+        details.appendChild(notes);
+    }
+
+    row.appendChild(details);
+    return row;
+}
+
+// ============================================
+// HELPER FUNCTION: Render Warnings
+// ============================================
+// The server checks every itinerary against what you asked for (the
+// right number of days, no overlapping times, your diet, your budget...)
+// and asks Claude to fix what it can. Anything left over comes as:
+//   [{ code: "must-see", message: '"Alfama" was on the must-see list, ...',
+//      params: { place: "Alfama" }, fixable: false }, ...]
+// With no warnings there's nothing to show, so we return an empty fragment.
+
+// The message is in English; the code and params let us say it in the
+// page's language instead (see "warning.*" in lib/i18n.js). Trips saved
+// before warnings had params keep the English message.
+function describeWarning(warning) {
+    const params = warning.params;
+    if (!params) {
+        return warning.message;
+    }
+
+    const shown = { ...params };
+    ['date', 'start', 'end', 'expected'].forEach(name => {
+        if (shown[name]) {
+            shown[name] = formatDate(currentLocale, shown[name], { month: 'long', day: 'numeric' });
+            // ^ Long month names: a short one can end in "." ("nov."), right
+            //   before the one that ends the sentence
+        }
+    });
+    ['total', 'over', 'budget'].forEach(name => {
+        if (shown[name] !== undefined) {
+            shown[name] = formatMoney(currentLocale, shown[name], params.currency);
+        }
+    });
+    if (shown.diet) {
+        shown.diet = t(`dietary.${shown.diet}`);
+    }
+
+    // "dates" covers two problems: a day outside the trip, or out of order
+    const key = warning.code === 'dates' && params.expected ? 'warning.datesOrder' : `warning.${warning.code}`;
+    return Object.hasOwn(CATALOGS[DEFAULT_LOCALE], key) ? t(key, shown) : warning.message;
+}
+
+function renderWarnings(warnings) {
+    if (!warnings || warnings.length === 0) {
+        return document.createDocumentFragment();
+        // ^ A "fragment" is an invisible container - adding it adds nothing
+    }
+
+    const section = document.createElement('section');
+    section.className = 'itinerary-warnings';
+
+    const header = document.createElement('h2');
+    header.textContent = t('itinerary.warnings');
+    section.appendChild(header);
+
+    const list = document.createElement('ul');
+    warnings.forEach(warning => {
+        const entry = document.createElement('li');
+        entry.textContent = describeWarning(warning);
+        // ^ .textContent, not .innerHTML: messages quote titles Claude wrote
+        list.appendChild(entry);
+    });
+    section.appendChild(list);
+
+    return section;
+}
+
+// ============================================
+// HELPER FUNCTION: Render Cost Breakdown
+// ============================================
+// The server adds up every item's estimated cost and sends us:
+// {
+//   currency: "EUR", total: 1840, perPerson: 920, numPeople: 2,
+//   byDay: [{ day: 1, date: "2025-11-01", total: 410, perPerson: 205 }, ...],
+//   byCategory: { lodging: 900, food: 420, activities: 310, transport: 210, other: 0 },
+//   budget: { amount: 1500, currency: "EUR", remaining: -340, overBudget: true }  (or null)
+// }
+// We show it as a budget section under the itinerary.
+
+function renderCostBreakdown(costs) {
+    const section = document.createElement('section');
+    section.className = 'cost-breakdown';
+
+    const header = document.createElement('h2');
+    header.textContent = t('budget.heading');
+    section.appendChild(header);
+
+    // "Estimated total: €1,840 (€920 per person for 2 travelers)"
+    const total = document.createElement('p');
+    total.textContent = t('budget.total', {
+        total: formatCost(costs.total, costs.currency),
+        perPerson: formatCost(costs.perPerson, costs.currency),
+        count: costs.numPeople
+        // ^ "count" picks "traveler" or "travelers"
+    });
+    section.appendChild(total);
+
+    // Compare to the traveler's budget (if they gave one)
+    if (costs.budget) {
+        const status = document.createElement('p');
+        const budgetText = formatCost(costs.budget.amount, costs.budget.currency);
+
+        if (costs.budget.overBudget === null) {
+            // Different currencies - we can't compare without exchange rates
+            status.textContent = t('budget.otherCurrency', { budget: budgetText, currency: costs.currency });
+        } else if (costs.budget.overBudget) {
+            status.className = 'over-budget';
+            status.textContent = t('budget.over', { budget: budgetText, amount: formatCost(-costs.budget.remaining, costs.currency) });
+        } else {
+            status.className = 'within-budget';
+            status.textContent = t('budget.within', { budget: budgetText, amount: formatCost(costs.budget.remaining, costs.currency) });
+        }
+        section.appendChild(status);
+    }
+
+    // Two small tables: one row per day, one row per category
+    section.appendChild(renderCostTable(
+        [t('budget.columnDay'), t('budget.columnTotal'), t('budget.columnPerPerson')],
+        costs.byDay.map(day => [
+            t('itinerary.day', { day: day.day, date: formatDate(currentLocale, day.date) }),
+            formatCost(day.total, costs.currency),
+            formatCost(day.perPerson, costs.currency)
+        ])
+    ));
+
+    section.appendChild(renderCostTable(
+        [t('budget.columnCategory'), t('budget.columnTotal')],
+        Object.keys(costs.byCategory).map(category => [
+            t(`category.${category}`),
+            formatCost(costs.byCategory[category], costs.currency)
+        ])
+    ));
+
+    return section;
+}
+
+// Builds a <table> from a list of column headings and a list of rows
+function renderCostTable(headings, rows) {
+    const table = document.createElement('table');
+    table.className = 'cost-table';
+
+    const headerRow = table.createTHead().insertRow();
+    headings.forEach(heading => {
+        const cell = document.createElement('th');
+        cell.textContent = heading;
+        headerRow.appendChild(cell);
+    });
+
+    const body = table.createTBody();
+    rows.forEach(values => {
+        const row = body.insertRow();
+        values.forEach(value => {
+            row.insertCell().textContent = value;
+        });
+    });
+
+    return table;
+}
+
+// Turns 3000 + "JPY" into "¥3,000" (or "free" for 0), written the way
+// the page's language writes money
+function formatCost(amount, currency) {
+    if (amount === 0) {
+        return t('cost.free');
+    }
+    return formatMoney(currentLocale, amount, currency);
+    // ^ From lib/i18n.js. With no currency yet (while streaming) it's just the number.
 }
 
 // ============================================
@@ -290,10 +1297,13 @@ function formatItinerary(text) {
 // When this page loads:
 // 1. We get your travel data from sessionStorage
 // 2. We send it to the backend server
-// 3. The server calls Claude AI
-// 4. Claude generates an amazing itinerary
-// 5. We format it nicely with HTML
+// 3. The server calls Claude AI and streams the answer back to us
+// 4. Claude generates an amazing itinerary (as structured data!), day by day
+// 5. We build the page from that data, one day at a time
 // 6. You see your beautiful travel plan!
+// 7. Your trip is saved, so you can come back to it any time
+// 8. Want changes? Ask for them, and we'll show you what's different
+// 9. Or make them yourself in the editor (see editor.js)
 //
 // Questions? Try adding console.log() statements to see what's happening!
 // Example: console.log("userData is:", userData);
@@ -0,0 +1,124 @@
+// ============================================
+// ACCOUNTS API - Sign Up, Log In, Log Out
+// ============================================
+// These routes are mounted at "/auth" in app.js:
+//
+//   POST /auth/signup   { username, password }  -> 201 + { user }, logged in
+//   POST /auth/login    { username, password }  -> { user }, logged in
+//   POST /auth/logout                           -> 204 (no content)
+//   GET  /auth/me                               -> { user }, or 401 if logged out
+//
+// "user" is { id, username } - never the password hash.
+// Logging in sets an httpOnly session cookie (see lib/sessions.js), so
+// page scripts can't read it; the browser just sends it along.
+
+const express = require('express');
+const { checkCredentials, hashPassword, verifyPassword } = require('../lib/accounts');
+const { SESSION_COOKIE, readCookie } = require('../lib/sessions');
+
+const publicUser = user => ({ id: user.id, username: user.username });
+
+// "secureCookies" should be true when the site is served over https,
+// so the browser never sends the session cookie over plain http.
+// "loginLimiter" (see lib/limits.js) slows down password guessing.
+function createAuthRouter({ userStore, sessions, loginLimiter, secureCookies = false }) {
+    const router = express.Router();
+
+    function startSession(res, user) {
+        const token = sessions.create(user);
+        res.cookie(SESSION_COOKIE, token, {
+            httpOnly: true,       // Page scripts can't read it
+            sameSite: 'lax',      // Not sent with form posts from other sites
+            secure: secureCookies,
+            maxAge: sessions.ttlSeconds * 1000,
+            path: '/'
+        });
+    }
+
+    // Both forms post to routes that try passwords, so both are limited
+    function limitAttempts(req, res, next) {
+        const result = loginLimiter.hit(req.ip);
+        if (!result.allowed) {
+            res.set('Retry-After', String(result.retryAfterSeconds));
+            return res.status(429).json({
+                error: 'Too many attempts, please wait a bit',
+                code: 'rate_limited',
+                retryAfter: result.retryAfterSeconds,
+                requestId: req.id
+            });
+        }
+        next();
+    }
+
+    router.post('/signup', limitAttempts, async (req, res) => {
+        const { credentials, errors, problems } = checkCredentials(req.body);
+        if (errors) {
+            return res.status(400).json({ error: 'Invalid sign up details', fields: errors, problems: problems });
+        }
+
+        try {
+            const user = await userStore.create({
+                username: credentials.username,
+                passwordHash: await hashPassword(credentials.password)
+            });
+            if (!user) {
+                return res.status(409).json({
+                    error: 'That username is taken',
+                    fields: { username: 'That username is taken' },
+                    problems: { username: { code: 'username-taken', params: {} } }
+                });
+            }
+
+            req.log.info('New account', { userId: user.id });
+            // ^ The id, not the username - logs shouldn't name people
+            startSession(res, user);
+            res.status(201).json({ user: publicUser(user) });
+        } catch (error) {
+            req.log.error('Error creating account', { error: error });
+            res.status(500).json({ error: 'Failed to create account', code: 'internal_error', requestId: req.id });
+        }
+    });
+
+    router.post('/login', limitAttempts, async (req, res) => {
+        const { credentials, errors } = checkCredentials(req.body);
+        // The same message whether the username or the password is wrong,
+        // so the form can't be used to find out who has an account
+        const wrongDetails = { error: 'Wrong username or password' };
+        if (errors) {
+            return res.status(401).json(wrongDetails);
+        }
+
+        try {
+            const user = await userStore.getByUsername(credentials.username);
+            if (!user || !(await verifyPassword(credentials.password, user.passwordHash))) {
+                return res.status(401).json(wrongDetails);
+            }
+
+            startSession(res, user);
+            res.json({ user: publicUser(user) });
+        } catch (error) {
+            req.log.error('Error logging in', { error: error });
+            res.status(500).json({ error: 'Failed to log in', code: 'internal_error', requestId: req.id });
+        }
+    });
+
+    router.post('/logout', (req, res) => {
+        const token = readCookie(req, SESSION_COOKIE);
+        if (token) {
+            sessions.destroy(token);
+        }
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+        res.status(204).end();
+    });
+
+    router.get('/me', (req, res) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Not logged in' });
+        }
+        res.json({ user: req.user });
+    });
+
+    return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,391 @@
+// ============================================
+// TRIPS API - Save, Load, Update and Delete Trips
+// ============================================
+// These routes are mounted at "/trips" in app.js:
+//
+//   POST   /trips       save a new trip        -> 201 + the saved trip
+//   GET    /trips       list saved trips       -> { trips: [summary, ...] }
+//   GET    /trips/:id   load one trip          -> the saved trip
+//   PUT    /trips/:id   change a saved trip    -> the updated trip
+//   DELETE /trips/:id   delete a saved trip    -> 204 (no content)
+//
+//   GET /trips/:id/calendar.ics   download the trip as a calendar file
+//   GET /trips/:id/print          printer-friendly page (print to PDF)
+//                                 in the language from ?lang= (or the browser's)
+//
+//   POST   /trips/:id/share   make a read-only share link  -> { share: { token, url, createdAt } }
+//   DELETE /trips/:id/share   turn the share link off      -> 204
+//
+// You have to be logged in (see routes/auth.js), and you only ever see
+// your own trips: someone else's trip gets the same 404 as a trip that
+// doesn't exist, so ids can't be used to find out what others saved.
+//
+// Share links are handled by a second, much smaller router mounted at
+// "/shared" - anyone with the link can read the trip, nobody can change it:
+//
+//   GET /shared/:token   -> { itinerary, costs }
+//
+// Both routers are given the same share index (see createShareIndex()),
+// so a link made on one works on the other straight away.
+//
+// The request body for POST and PUT is:
+//   { request: { origin, destination, start, end, ... }, itinerary: { ... } }
+// (PUT may send just one of the two.)
+// Single trips are sent back with a "costs" breakdown (see lib/budget.js)
+// and a list of "warnings" (see lib/constraints.js).
+
+const crypto = require('crypto');
+const express = require('express');
+const { validateItinerary } = require('../lib/itinerarySchema');
+const { validateTripRequest } = require('../lib/tripRequest');
+const { buildIcs } = require('../lib/icsExport');
+const { renderPrintPage } = require('../lib/printExport');
+const { pickLocale } = require('../lib/i18n');
+const { computeCostBreakdown } = require('../lib/budget');
+const { checkConstraints } = require('../lib/constraints');
+const { requireLogin } = require('../lib/sessions');
+
+// Share tokens are 24 random bytes written with letters, numbers, "-" and "_"
+const SHARE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+// The list page only needs a few fields, not every day of every trip
+function summarizeTrip(trip) {
+    return {
+        id: trip.id,
+        title: trip.itinerary.title,
+        destination: trip.request.destination,
+        start: trip.request.start,
+        end: trip.request.end,
+        shared: Boolean(trip.share),
+        createdAt: trip.createdAt,
+        updatedAt: trip.updatedAt
+    };
+}
+
+// Checks a POST/PUT body and picks out the fields we know about
+// (anything else in the body is ignored).
+// Returns { fields } with what to save, or { problem } with an error
+// object to send back with a 400 status.
+// "partial" allows leaving out request or itinerary (for PUT).
+function checkTripBody(body, { partial }) {
+    const { request, itinerary } = body || {};
+    const fields = {};
+
+    if (request === undefined && itinerary === undefined) {
+        return { problem: { error: 'Request body must include "request" and/or "itinerary"' } };
+    }
+    if (request !== undefined || !partial) {
+        const result = validateTripRequest(request);
+        if (Object.keys(result.errors).length > 0) {
+            return { problem: { error: 'Invalid "request"', fields: result.errors, problems: result.problems } };
+        }
+        // Save the cleaned-up version (numbers as numbers, trimmed names)
+        fields.request = result.request;
+    }
+    if (itinerary !== undefined || !partial) {
+        const errors = validateItinerary(itinerary);
+        if (errors.length > 0) {
+            return { problem: { error: 'Invalid itinerary', details: errors } };
+        }
+        fields.itinerary = itinerary;
+    }
+    return { fields: fields };
+}
+
+// Trips are sent back with their cost breakdown and constraint warnings
+// (see lib/constraints.js) worked out. Neither is stored, so they always
+// match the current itinerary - after editing by hand too.
+function withCostsAndWarnings(trip) {
+    return {
+        ...trip,
+        costs: computeCostBreakdown(trip.itinerary, trip.request),
+        warnings: checkConstraints(trip.itinerary, trip.request)
+    };
+}
+
+// "A Week in Tokyo!" -> "a-week-in-tokyo" (safe to use as a file name)
+function toFileName(title) {
+    const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return slug || 'itinerary';
+}
+
+// The address of the read-only page for a share token
+function shareUrl(token) {
+    return `/results.html?share=${token}`;
+}
+
+// ============================================
+// HELPER FUNCTION: Load One of YOUR Trips
+// ============================================
+// Returns the trip if it exists and belongs to the logged-in user,
+// otherwise null (which the routes turn into a 404).
+// Trips saved before accounts existed have no owner, so nobody gets them
+// until they're claimed (see OLD_TRIPS_OWNER in server.js).
+async function loadOwnTrip(store, req) {
+    const trip = await store.get(req.params.id);
+    if (!trip || !req.user || trip.ownerId !== req.user.id) {
+        return null;
+    }
+    return trip;
+}
+
+// ============================================
+// HELPER FUNCTION: Find a Trip by Its Share Token
+// ============================================
+// Reading every trip on every visit to a share link gets slow as trips
+// pile up, so we keep a Map of share token -> trip id. It's filled from
+// store.list() on the first lookup, then kept up to date as links are
+// made and turned off. The trip's own "share" is still checked on every
+// lookup, so an out-of-date entry can never show a trip.
+function createShareIndex(store) {
+    const tripIds = new Map();
+    let loading = null;
+
+    function load() {
+        if (!loading) {
+            loading = store.list().then(trips => {
+                trips.filter(trip => trip.share).forEach(trip => tripIds.set(trip.share.token, trip.id));
+            });
+            loading.catch(() => {
+                loading = null; // Try again on the next lookup
+            });
+        }
+        return loading;
+    }
+
+    return {
+        // The trip shared with "token", or null
+        async find(token) {
+            await load();
+            const id = tripIds.get(token);
+            if (!id) {
+                return null;
+            }
+            const trip = await store.get(id);
+            if (!trip || !trip.share || trip.share.token !== token) {
+                tripIds.delete(token);
+                return null;
+            }
+            return trip;
+        },
+
+        add(token, tripId) {
+            tripIds.set(token, tripId);
+        },
+
+        remove(token) {
+            tripIds.delete(token);
+        }
+    };
+}
+
+// Saving and loading trips can fail too (a full disk, a broken file...).
+// The details go to the log; the browser only gets the request id.
+function sendStoreError(req, res, action, error) {
+    req.log.error(`Error trying to ${action}`, { error: error });
+    res.status(500).json({
+        error: `Failed to ${action}`,
+        code: 'internal_error',
+        requestId: req.id
+    });
+}
+
+function createTripsRouter(store, shareIndex) {
+    const router = express.Router();
+
+    // Every route below needs a logged-in user
+    router.use(requireLogin);
+
+    router.post('/', async (req, res) => {
+        try {
+            const { problem, fields } = checkTripBody(req.body, { partial: false });
+            // ^ Inside the "try": a check that throws on strange input gets
+            //   an error answer instead of crashing the server
+            if (problem) {
+                return res.status(400).json(problem);
+            }
+
+            const trip = await store.create({ ...fields, ownerId: req.user.id });
+            res.status(201).json(withCostsAndWarnings(trip));
+        } catch (error) {
+            sendStoreError(req, res, 'save trip', error);
+        }
+    });
+
+    router.get('/', async (req, res) => {
+        try {
+            const trips = await store.list();
+            const ownTrips = trips.filter(trip => trip.ownerId === req.user.id);
+            res.json({ trips: ownTrips.map(summarizeTrip) });
+        } catch (error) {
+            sendStoreError(req, res, 'list trips', error);
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        try {
+            const trip = await loadOwnTrip(store, req);
+            if (!trip) {
+                return res.status(404).json({ error: 'Trip not found' });
+            }
+            res.json(withCostsAndWarnings(trip));
+        } catch (error) {
+            sendStoreError(req, res, 'load trip', error);
+        }
+    });
+
+    router.put('/:id', async (req, res) => {
+        try {
+            const { problem, fields } = checkTripBody(req.body, { partial: true });
+            // ^ Inside the "try": a check that throws on strange input gets
+            //   an error answer instead of crashing the server
+            if (problem) {
+                return res.status(400).json(problem);
+            }
+
+            if (!(await loadOwnTrip(store, req))) {
+                return res.status(404).json({ error: 'Trip not found' });
+            }
+            const trip = await store.update(req.params.id, fields);
+            if (!trip) {
+                return res.status(404).json({ error: 'Trip not found' });
+            }
+            res.json(withCostsAndWarnings(trip));
+        } catch (error) {
+            sendStoreError(req, res, 'update trip', error);
+        }
+    });
+
+    router.delete('/:id', async (req, res) => {
+        try {
+            const trip = await loadOwnTrip(store, req);
+            if (!trip) {
+                return res.status(404).json({ error: 'Trip not found' });
+            }
+            const removed = await store.remove(trip.id);
+            if (!removed) {
+                return res.status(404).json({ error: 'Trip not found' });
+            }
+            if (trip.share) {
+                shareIndex.remove(trip.share.token);
+            }
+            res.status(204).end();
+        } catch (error) {
+            sendStoreError(req, res, 'delete trip', error);
+        }
+    });
+
+    // ============================================
+    // EXPORTS
+    // ============================================
+
+    router.get('/:id/calendar.ics', async (req, res) => {
+        try {
+            const trip = await loadOwnTrip(store, req);
+            if (!trip) {
+                return res.status(404).json({ error: 'Trip not found' });
+            }
+
+            // "attachment" tells the browser to download the file instead of
+            // showing it (and sets the Content-Type from the .ics extension)
+            res.attachment(`${toFileName(trip.itinerary.title)}.ics`);
+            res.send(buildIcs(trip));
+        } catch (error) {
+            sendStoreError(req, res, 'export trip', error);
+        }
+    });
+
+    router.get('/:id/print', async (req, res) => {
+        try {
+            const trip = await loadOwnTrip(store, req);
+            if (!trip) {
+                return res.status(404).json({ error: 'Trip not found' });
+            }
+
+            const locale = pickLocale([req.query.lang, ...req.acceptsLanguages()]);
+            res.type('html').send(renderPrintPage(trip, locale));
+        } catch (error) {
+            sendStoreError(req, res, 'export trip', error);
+        }
+    });
+
+    // ============================================
+    // SHARE LINKS
+    // ============================================
+    // A share link has a long random token in it. Making a new link after
+    // turning sharing off gives a NEW token, so the old link stays dead.
+
+    router.post('/:id/share', async (req, res) => {
+        try {
+            const trip = await loadOwnTrip(store, req);
+            if (!trip) {
+                return res.status(404).json({ error: 'Trip not found' });
+            }
+
+            // Already shared? Hand back the same link
+            let share = trip.share;
+            if (!share) {
+                share = { token: crypto.randomBytes(24).toString('base64url'), createdAt: new Date().toISOString() };
+                await store.update(trip.id, { share: share });
+                shareIndex.add(share.token, trip.id);
+            }
+            res.json({ share: { ...share, url: shareUrl(share.token) } });
+        } catch (error) {
+            sendStoreError(req, res, 'share trip', error);
+        }
+    });
+
+    router.delete('/:id/share', async (req, res) => {
+        try {
+            const trip = await loadOwnTrip(store, req);
+            if (!trip) {
+                return res.status(404).json({ error: 'Trip not found' });
+            }
+
+            await store.update(trip.id, { share: null });
+            // ^ null rather than leaving it out: update() only changes the fields it's given
+            if (trip.share) {
+                shareIndex.remove(trip.share.token);
+            }
+            res.status(204).end();
+        } catch (error) {
+            sendStoreError(req, res, 'stop sharing trip', error);
+        }
+    });
+
+    return router;
+}
+
+// ============================================
+// THE SHARED (READ-ONLY) VIEW
+// ============================================
+// Only the itinerary and its costs are sent - not the owner, the
+// conversation with the AI or the share token itself.
+function createSharedRouter(store, shareIndex) {
+    const router = express.Router();
+
+    router.get('/:token', async (req, res) => {
+        try {
+            const token = req.params.token;
+            if (!SHARE_TOKEN_PATTERN.test(token)) {
+                return res.status(404).json({ error: 'Shared trip not found' });
+            }
+
+            const trip = await shareIndex.find(token);
+            if (!trip) {
+                return res.status(404).json({ error: 'Shared trip not found' });
+            }
+
+            res.json({
+                itinerary: trip.itinerary,
+                costs: computeCostBreakdown(trip.itinerary, trip.request)
+            });
+        } catch (error) {
+            sendStoreError(req, res, 'load shared trip', error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createShareIndex, createSharedRouter, createTripsRouter, loadOwnTrip };
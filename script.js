@@ -5,45 +5,375 @@
 // 1. Collecting form data
 // 2. Sending it to our backend server
 // 3. Displaying the generated itinerary
+// 4. Showing what's wrong with a field, right under it
+// 5. Filling in the currency and language menus
+// 6. Saving and loading traveler profiles (at the bottom)
+//
+// Messages go through t() from locale.js, so they're in the page's language.
 
 document.getElementById("userInputForm").addEventListener("submit", async function(event) {
     // Prevent the form from refreshing the page
     event.preventDefault();
 
-    // Step 1: Collect selected activities
-    const activitySelect = document.getElementById("activity")
-    const selectedActivities = [];
-    for (let i = 0; i < activitySelect.options.length; i++) {
-        if (activitySelect.options[i].selected) {
-            selectedActivities.push(activitySelect.options[i].value);
-        }
+    // Step 1: Collect everything from the form into one userData object
+    const userData = collectFormData();
+
+    console.log("User data collected:", userData);
+
+    // Step 2: Check the data before going anywhere
+    // validateTripRequest() comes from lib/tripRequest.js - the server runs
+    // exactly the same checks, so if it's fine here it'll be fine there.
+    // describeProblems() (locale.js) puts the messages in the page's language.
+    const { errors, problems } = validateTripRequest(userData);
+    showFieldErrors(describeProblems(errors, problems));
+    if (Object.keys(errors).length > 0) {
+        return;
+        // ^ Stop here - the messages under the fields say what to fix
     }
 
-    // Step 2: Collect selected food preferences
-    const foodSelect = document.getElementById("food");
-    const selectedFoods = [];
-    for (let i = 0; i < foodSelect.options.length; i++) {
-        if (foodSelect.options[i].selected) {
-            selectedFoods.push(foodSelect.options[i].value);
+    // Step 3: Store data in sessionStorage and redirect to results page
+    sessionStorage.setItem('travelData', JSON.stringify(userData));
+
+    // Redirect to results page
+    window.location.href = 'results.html';
+});
+
+// ============================================
+// HELPER FUNCTION: Collect the Form Data
+// ============================================
+// Reads every field into the "userData" object the server expects
+// (see the example at the top of lib/tripRequest.js).
+
+// The options picked in a <select multiple>, like ["museums", "outdoor"]
+function selectedValues(select) {
+    const values = [];
+    for (let i = 0; i < select.options.length; i++) {
+        if (select.options[i].selected) {
+            values.push(select.options[i].value);
         }
     }
+    return values;
+}
+
+// "4, 9" -> ["4", "9"] (with ","), or one entry per line (with "\n")
+function splitList(text, separator) {
+    return text.split(separator).map(entry => entry.trim()).filter(entry => entry !== "");
+}
+
+function collectFormData() {
+    const value = id => document.getElementById(id).value;
 
-    // Step 3: Create the userData object with all form values
-    const userData = {
-        origin: document.getElementById("origin").value,
-        destination: document.getElementById("destination").value,
-        start: document.getElementById("start").value,
-        end: document.getElementById("end").value,
-        numPeople: document.getElementById("numPeople").value,
-        activity: selectedActivities,
-        food: selectedFoods
+    return {
+        origin: value("origin"),
+        stops: collectStops(),
+        // ^ Where you're going and when - see the stops section below
+        numPeople: value("numPeople"),
+        activity: selectedValues(document.getElementById("activity")),
+        food: selectedValues(document.getElementById("food")),
+        budget: value("budget"),
+        currency: value("currency"),
+        language: value("language"),
+        // ^ The language the itinerary is written in
+
+        // The optional traveler profile. Empty fields are simply left out
+        // by validateTripRequest().
+        pace: value("pace"),
+        accessibility: selectedValues(document.getElementById("accessibility")),
+        dietary: selectedValues(document.getElementById("dietary")),
+        allergies: value("allergies"),
+        childrenAges: splitList(value("childrenAges"), ","),
+        lodging: value("lodging"),
+        neighborhood: value("neighborhood"),
+        mustSee: splitList(value("mustSee"), "\n"),
+        mustAvoid: splitList(value("mustAvoid"), "\n")
     };
+}
 
-    console.log("User data collected:", userData);
+// ============================================
+// HELPER FUNCTION: Show Errors Next to Fields
+// ============================================
+// "errors" looks like { start: "Please pick a start date", ... }.
+// Every field has a <span id="<field>Error"> under it in index.html.
+// Fields without an error get their message cleared.
 
-    // Step 4: Store data in sessionStorage and redirect to results page
-    sessionStorage.setItem('travelData', JSON.stringify(userData));
+// Stop fields are named like "stops[1].start" instead - they're shown
+// in the matching stop's own <span class="stop-start-error">.
 
-    // Redirect to results page
-    window.location.href = 'results.html';
+const FORM_FIELDS = [
+    "origin", "numPeople", "budget", "currency", "language", "activity", "food",
+    "pace", "accessibility", "dietary", "allergies", "childrenAges",
+    "lodging", "neighborhood", "mustSee", "mustAvoid"
+];
+const STOP_FIELDS = ["destination", "start", "end"];
+
+function showError(input, errorSpan, message) {
+    errorSpan.textContent = message;
+    // ^ textContent (not innerHTML) - messages can quote what the user typed
+
+    input.classList.toggle("invalid", message !== "");
+    // ^ .toggle(name, true/false) adds or removes the red outline
+    input.setAttribute("aria-invalid", message ? "true" : "false");
+    // ^ Tells screen readers which fields have a problem
+}
+
+function showFieldErrors(errors) {
+    let firstBadField = null;
+
+    FORM_FIELDS.forEach(field => {
+        const input = document.getElementById(field);
+        const message = errors[field] || "";
+
+        showError(input, document.getElementById(field + "Error"), message);
+
+        if (message && !firstBadField) {
+            firstBadField = input;
+        }
+    });
+
+    // Problems with the list of stops as a whole, like "too many stops"
+    document.getElementById("stopsError").textContent = errors.stops || "";
+
+    getStopRows().forEach((row, index) => {
+        STOP_FIELDS.forEach(field => {
+            const input = row.querySelector(".stop-" + field);
+            const message = errors[`stops[${index}].${field}`] || "";
+
+            showError(input, row.querySelector(".stop-" + field + "-error"), message);
+
+            if (message && !firstBadField) {
+                firstBadField = input;
+            }
+        });
+    });
+
+    if (firstBadField) {
+        firstBadField.focus();
+        // ^ Jump to the first field that needs fixing
+    }
+}
+
+// Once someone starts fixing a field, hide its old message
+FORM_FIELDS.forEach(field => {
+    document.getElementById(field).addEventListener("input", () => {
+        document.getElementById(field + "Error").textContent = "";
+        document.getElementById(field).classList.remove("invalid");
+    });
+});
+
+// ============================================
+// STOPS: One or More Cities to Visit
+// ============================================
+// Each stop is a copy of the <template id="stopTemplate"> in index.html.
+// A normal trip is just one stop; a multi-city trip has a few, each
+// starting on the day the one before it ends.
+
+const stopsContainer = document.getElementById("stops");
+const stopTemplate = document.getElementById("stopTemplate");
+
+function getStopRows() {
+    return Array.from(stopsContainer.querySelectorAll(".stop"));
+}
+
+// Reads every stop into a list like [{ destination, start, end }, ...]
+function collectStops() {
+    return getStopRows().map(row => ({
+        destination: row.querySelector(".stop-destination").value,
+        start: row.querySelector(".stop-start").value,
+        end: row.querySelector(".stop-end").value
+    }));
+}
+
+// Numbers the headings ("stop 1", "stop 2", ...) and hides the remove
+// button when there's only one stop left, then checks the stop limit
+function refreshStops() {
+    const rows = getStopRows();
+    rows.forEach((row, index) => {
+        row.querySelector(".stop-heading").textContent = t("form.stopHeading", { number: index + 1 });
+        row.querySelector(".remove-stop-button").hidden = rows.length === 1;
+    });
+    document.getElementById("addStopButton").disabled = rows.length >= MAX_STOPS;
+    // ^ MAX_STOPS comes from lib/tripRequest.js, like validateTripRequest()
+}
+
+function addStop() {
+    const row = stopTemplate.content.firstElementChild.cloneNode(true);
+    // ^ .content holds the template's elements; cloneNode(true) copies them with their children
+
+    // The next stop starts the day the last one ends, so fill that in
+    const rows = getStopRows();
+    if (rows.length > 0) {
+        row.querySelector(".stop-start").value = rows[rows.length - 1].querySelector(".stop-end").value;
+    }
+
+    // Once someone starts fixing a stop field, hide its old message
+    STOP_FIELDS.forEach(field => {
+        row.querySelector(".stop-" + field).addEventListener("input", () => {
+            row.querySelector(".stop-" + field + "-error").textContent = "";
+            row.querySelector(".stop-" + field).classList.remove("invalid");
+        });
+    });
+
+    row.querySelector(".remove-stop-button").addEventListener("click", () => {
+        row.remove();
+        refreshStops();
+    });
+
+    stopsContainer.appendChild(row);
+    refreshStops();
+    return row;
+}
+
+document.getElementById("addStopButton").addEventListener("click", () => {
+    addStop().querySelector(".stop-destination").focus();
 });
+
+// Every trip has at least one stop
+addStop();
+
+// ============================================
+// CURRENCY AND LANGUAGE MENUS
+// ============================================
+// Intl.DisplayNames knows what every currency is called in every
+// language, so "EUR - euro" becomes "EUR - Euro" on the German page.
+// Older browsers don't have it, and keep the English names from index.html.
+
+function nameCurrencies() {
+    if (typeof Intl.DisplayNames !== "function") {
+        return;
+    }
+    const names = new Intl.DisplayNames([currentLocale], { type: "currency" });
+    for (const option of document.getElementById("currency").options) {
+        option.textContent = `${option.value} - ${names.of(option.value)}`;
+    }
+}
+
+// The language the itinerary is written in starts out as the page's
+// language. LANGUAGES (from lib/tripRequest.js) has more languages than
+// the pages do - the AI can write in all of them.
+function defaultItineraryLanguage() {
+    return LANGUAGES[currentLocale] ? currentLocale : "en";
+}
+
+function fillLanguageSelect() {
+    const select = document.getElementById("language");
+    for (const [code, language] of Object.entries(LANGUAGES)) {
+        select.appendChild(new Option(language.nativeName, code, false, code === defaultItineraryLanguage()));
+    }
+}
+
+nameCurrencies();
+fillLanguageSelect();
+
+// ============================================
+// TRAVELER PROFILES: Save Your Preferences
+// ============================================
+// A profile is the part of the form about WHO is traveling (the fields
+// in PROFILE_FIELDS from lib/tripRequest.js): number of people, their
+// preferences, dietary needs and so on - but not where or when.
+// Profiles are kept in this browser's localStorage (like sessionStorage,
+// but it stays after the browser is closed), as one JSON object:
+//   { "family trips": { numPeople: "4", pace: "relaxed", ... }, ... }
+
+const PROFILES_KEY = "travelerProfiles";
+
+const profileSelect = document.getElementById("profileSelect");
+const profileName = document.getElementById("profileName");
+const profileStatus = document.getElementById("profileStatus");
+
+function loadProfiles() {
+    try {
+        return JSON.parse(localStorage.getItem(PROFILES_KEY)) || {};
+    } catch (error) {
+        return {};
+        // ^ Broken data in storage shouldn't break the whole form
+    }
+}
+
+function storeProfiles(profiles) {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+}
+
+// Lists the saved profiles in the "use a saved profile" menu
+function refreshProfileSelect(selectedName) {
+    const names = Object.keys(loadProfiles()).sort();
+    profileSelect.replaceChildren(new Option(t("profile.pickOne"), ""));
+    names.forEach(name => {
+        profileSelect.appendChild(new Option(name, name, false, name === selectedName));
+        // ^ new Option(text, value, defaultSelected, selected); as text, a name can't be HTML
+    });
+    document.getElementById("deleteProfileButton").disabled = !selectedName;
+}
+
+// Fills the profile fields in from a saved profile
+function applyProfile(profile) {
+    PROFILE_FIELDS.forEach(field => {
+        const input = document.getElementById(field);
+        const saved = profile[field];
+
+        if (input.multiple) {
+            const values = Array.isArray(saved) ? saved : [];
+            for (let i = 0; i < input.options.length; i++) {
+                input.options[i].selected = values.includes(input.options[i].value);
+            }
+        } else if (field === "childrenAges") {
+            input.value = Array.isArray(saved) ? saved.join(", ") : "";
+        } else if (field === "currency") {
+            input.value = saved || "USD";
+        } else if (field === "language") {
+            input.value = saved || defaultItineraryLanguage();
+        } else {
+            input.value = saved === undefined ? "" : saved;
+        }
+    });
+}
+
+document.getElementById("saveProfileButton").addEventListener("click", () => {
+    const name = profileName.value.trim();
+    if (!name) {
+        profileStatus.textContent = t("profile.needName");
+        profileName.focus();
+        return;
+    }
+
+    const formData = collectFormData();
+    const profile = {};
+    PROFILE_FIELDS.forEach(field => {
+        profile[field] = formData[field];
+    });
+
+    const profiles = loadProfiles();
+    profiles[name] = profile;
+    storeProfiles(profiles);
+
+    refreshProfileSelect(name);
+    profileStatus.textContent = t("profile.saved", { name: name });
+    // ^ textContent, so a name like "<b>" is shown as typed
+});
+
+profileSelect.addEventListener("change", () => {
+    const name = profileSelect.value;
+    document.getElementById("deleteProfileButton").disabled = !name;
+    if (!name) {
+        return;
+    }
+
+    applyProfile(loadProfiles()[name] || {});
+    profileName.value = name;
+    profileStatus.textContent = t("profile.filledIn", { name: name });
+});
+
+document.getElementById("deleteProfileButton").addEventListener("click", () => {
+    const name = profileSelect.value;
+    if (!name || !confirm(t("profile.confirmDelete", { name: name }))) {
+        return;
+    }
+
+    const profiles = loadProfiles();
+    delete profiles[name];
+    storeProfiles(profiles);
+
+    refreshProfileSelect(null);
+    profileStatus.textContent = t("profile.deleted", { name: name });
+});
+
+refreshProfileSelect(null);
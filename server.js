@@ -5,128 +5,108 @@
 // 1. Receiving travel data from the frontend
 // 2. Calling the AI API securely (with hidden API keys)
 // 3. Sending the generated itinerary back to the frontend
+//
+// The routes themselves live in app.js - this file picks the AI
+// provider and trip store from your settings and starts the server.
 
-const express = require('express');
-const Anthropic = require('@anthropic-ai/sdk');
 require('dotenv').config(); // Loads environment variables from .env file
+const { createApp } = require('./app');
+const { claimOwnerlessTrips, createTripStore } = require('./lib/tripStore');
+const { createUserStore } = require('./lib/userStore');
+const { createProvider, loadLlmConfig } = require('./lib/providers');
+const { createItineraryCache } = require('./lib/itineraryCache');
+const { createRateLimiter, createUsageQuota, loadLimitsConfig } = require('./lib/limits');
+const { createLogger } = require('./lib/logger');
 
-const app = express();
 const PORT = 3000;
 
 // ============================================
-// MIDDLEWARE SETUP
+// LOGGING
 // ============================================
-// These help Express understand different types of data
+// Logs are JSON lines (see lib/logger.js). LOG_LEVEL in .env picks how
+// much is written: "debug", "info" (default), "warn" or "error".
+const logger = createLogger({ level: process.env.LOG_LEVEL || 'info' });
 
-// Parse JSON data from requests
-app.use(express.json());
-
-// Serve static files (HTML, CSS, JS) from the current directory
-app.use(express.static('.'));
+// ============================================
+// INITIALIZE THE AI PROVIDER
+// ============================================
+// This creates a connection to the AI model (Claude, by default).
+// Which provider and model to use, and API keys, are set in the .env
+// file (NOT in this code!) - see lib/providers/index.js.
+const llm = createProvider(loadLlmConfig(process.env));
+logger.info('Using AI provider', { provider: llm.name, model: llm.model });
 
 // ============================================
-// INITIALIZE ANTHROPIC CLIENT
+// SAVED TRIPS
 // ============================================
-// This creates a connection to Claude AI
-// The API key is stored in a .env file (NOT in this code!)
-const anthropic = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY,
+// Trips are saved as JSON files in data/trips by default.
+// Set TRIP_STORE=memory in .env to keep them in memory instead.
+const tripStore = createTripStore({
+    type: process.env.TRIP_STORE || 'file',
+    directory: process.env.TRIPS_DIR || 'data/trips'
 });
 
 // ============================================
-// HELPER FUNCTION: Build AI Prompt
+// ACCOUNTS
 // ============================================
-// This function takes user data and creates a detailed prompt for Claude
-function buildItineraryPrompt(userData) {
-    const { origin, destination, start, end, numPeople, activity, food } = userData;
-
-    // Calculate length of stay
-    const startDate = new Date(start);
-    const endDate = new Date(end);
-    const lengthOfStay = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
-
-    // Format the prompt - be specific to get better results!
-    return `You are a professional travel planner. Create a detailed, personalized travel itinerary based on the following information:
-
-**Trip Details:**
-- Origin: ${origin}
-- Destination: ${destination}
-- Start Date: ${start}
-- End Date: ${end}
-- Duration: ${lengthOfStay} days
-- Number of Travelers: ${numPeople}
-- Activity Preferences: ${activity.join(', ')}
-- Food Preferences: ${food.join(', ')}
-
-Please create a comprehensive day-by-day itinerary that includes:
-1. Daily activities that match their preferences
-2. Restaurant recommendations that align with their food preferences
-3. Practical tips (transportation, timing, budget estimates)
-4. A balance between activities and rest time
+// Accounts are kept the same way as trips (files in data/users by default).
+// Set COOKIE_SECURE=true when the site is served over https.
+const userStore = createUserStore({
+    type: process.env.TRIP_STORE || 'file',
+    directory: process.env.USERS_DIR || 'data/users'
+});
 
-Format the itinerary in a clear, easy-to-read structure with sections for each day.`;
+// Trips saved before accounts existed have no owner, so nobody can see
+// them. Set OLD_TRIPS_OWNER=<username> in .env (after signing up with that
+// name) and restart: they're all given to that account. It's safe to
+// leave set - trips that already have an owner are never touched.
+async function claimOldTrips(username) {
+    const user = await userStore.getByUsername(username.toLowerCase());
+    if (!user) {
+        logger.warn('OLD_TRIPS_OWNER is not an account yet - sign up with that name, then restart the server');
+        return;
+    }
+    const claimed = await claimOwnerlessTrips(tripStore, user.id);
+    if (claimed > 0) {
+        logger.info('Gave the trips saved before accounts existed to OLD_TRIPS_OWNER', { trips: claimed });
+    }
 }
 
 // ============================================
-// API ENDPOINT: Generate Itinerary
+// LIMITS AND CACHING
 // ============================================
-// This is the route that the frontend will call
-// POST means the frontend is "sending" data to us
-
-app.post('/generate-itinerary', async (req, res) => {
-    try {
-        // Step 1: Get user data from the request body
-        const userData = req.body;
-        console.log('Received user data:', userData);
-
-        // Step 2: Validate that we have all required data
-        if (!userData.origin || !userData.destination || !userData.start || !userData.end) {
-            return res.status(400).json({
-                error: 'Missing required fields'
-            });
-        }
-
-        // Step 3: Build the prompt for Claude
-        const prompt = buildItineraryPrompt(userData);
-
-        // Step 4: Call Claude API
-        // This is where the magic happens! We send the prompt to Claude.
-        console.log('Calling Claude API...');
-        const message = await anthropic.messages.create({
-            model: "claude-sonnet-4-5-20250929", // The AI model to use
-            max_tokens: 4096, // Maximum length of response
-            messages: [
-                {
-                    role: "user",
-                    content: prompt
-                }
-            ]
-        });
-
-        // Step 5: Extract the itinerary from Claude's response
-        const itinerary = message.content[0].text;
-        console.log('Itinerary generated successfully!');
-
-        // Step 6: Send the itinerary back to the frontend
-        res.json({
-            success: true,
-            itinerary: itinerary
-        });
-
-    } catch (error) {
-        // If anything goes wrong, log it and send an error response
-        console.error('Error generating itinerary:', error);
-        res.status(500).json({
-            error: 'Failed to generate itinerary',
-            details: error.message
-        });
-    }
+// How many AI requests each visitor can make per minute, how much the
+// whole server can use per day, and how long finished itineraries are
+// reused for identical trips. All set in .env - see lib/limits.js.
+const limits = loadLimitsConfig(process.env);
+
+const app = createApp({
+    llm,
+    tripStore,
+    rateLimiter: createRateLimiter(limits.rateLimit),
+    usageQuota: createUsageQuota(limits.quota),
+    itineraryCache: createItineraryCache(limits.cache),
+    userStore,
+    secureCookies: process.env.COOKIE_SECURE === 'true',
+    logger,
+    metricsToken: process.env.METRICS_TOKEN || null
+    // ^ Set METRICS_TOKEN to keep GET /metrics private
 });
 
 // ============================================
 // START THE SERVER
 // ============================================
-app.listen(PORT, () => {
-    console.log(`🚀 Server is running on http://localhost:${PORT}`);
-    console.log(`📝 Open your browser to see the app!`);
+async function start() {
+    if (process.env.OLD_TRIPS_OWNER) {
+        await claimOldTrips(process.env.OLD_TRIPS_OWNER);
+    }
+    app.listen(PORT, () => {
+        logger.info(`🚀 Server is running on http://localhost:${PORT}`);
+        logger.info(`📝 Open your browser to see the app!`);
+    });
+}
+
+start().catch(error => {
+    logger.error('The server could not start', { error: error });
+    process.exit(1);
 });
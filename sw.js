@@ -0,0 +1,151 @@
+// ============================================
+// SERVICE WORKER - roamie Without a Connection
+// ============================================
+// A service worker is a script the browser runs IN THE BACKGROUND, apart
+// from any page. Once it's installed (offline.js registers it), every
+// request our pages make goes through its "fetch" handler below, so it
+// can answer from its own cache when the network is down.
+//
+// It keeps two caches:
+// - SHELL_CACHE: the "app shell" - the pages, styles and scripts - so
+//   the app itself opens offline
+// - TRIPS_CACHE: every saved or shared trip you've opened
+//   (GET /trips/<id> and GET /shared/<token>), so it opens offline too
+//
+// Both are "network first": when you're online you always get the
+// newest version (and the cache is updated), and the cache is only used
+// when the network fails - or is so slow that waiting makes no sense.
+// Everything else (generating, logging in, saving...) goes straight to
+// the network; offline.js queues AI requests made while offline.
+//
+// Changed a file in the app shell? Bump SHELL_VERSION so browsers drop
+// the old cache and fetch the new files.
+// Added a file the pages need? Put it in SHELL_FILES - it's also the
+// list of files the server is allowed to hand out (see app.js).
+
+const SHELL_VERSION = 4;
+const SHELL_CACHE = `roamie-shell-v${SHELL_VERSION}`;
+const TRIPS_CACHE = 'roamie-trips';
+// ^ offline.js empties this one when you log out
+
+const SHELL_FILES = [
+    '/index.html',
+    '/results.html',
+    '/trips.html',
+    '/login.html',
+    '/style.css',
+    '/script.js',
+    '/results.js',
+    '/editor.js',
+    '/trips.js',
+    '/login.js',
+    '/account.js',
+    '/markdown.js',
+    '/offline.js',
+    '/locale.js',
+    '/lib/i18n.js',
+    '/lib/tripRequest.js',
+    '/lib/itineraryEdits.js',
+    '/manifest.webmanifest',
+    '/icons/icon.svg'
+];
+
+// On a slow connection, how long to wait for the network before
+// answering from the cache (the network answer still updates the cache)
+const NETWORK_TIMEOUT_MS = 4000;
+
+// "/trips/abc123" and "/shared/xyz" are trips - but not "/trips" (the
+// list) or "/trips/abc123/calendar.ics"
+function isTripPath(pathname) {
+    return /^\/(trips|shared)\/[^/]+$/.test(pathname);
+}
+
+// Which app shell file answers a page address: "/" is index.html, and
+// "/results.html?trip=..." is results.html (the script reads the rest)
+function shellPathFor(pathname) {
+    const path = pathname === '/' ? '/index.html' : pathname;
+    return SHELL_FILES.includes(path) ? path : null;
+}
+
+// ============================================
+// HELPER FUNCTION: Network First, Cache Second
+// ============================================
+// Asks the network, and stores good answers under "cacheKey". If the
+// network fails (or takes longer than NETWORK_TIMEOUT_MS and we have a
+// cached copy) the cached copy is used instead.
+async function networkFirst(request, cacheName, cacheKey) {
+    const cache = await caches.open(cacheName);
+
+    const fromNetwork = fetch(request).then(async response => {
+        if (response.ok) {
+            await cache.put(cacheKey, response.clone());
+            // ^ .clone(): a response body can only be read once - one copy
+            //   for the cache, one for the page
+        } else if (response.status === 401 || response.status === 404) {
+            await cache.delete(cacheKey);
+            // ^ Deleted, unshared or not yours (anymore) - don't keep it
+        }
+        return response;
+    });
+
+    const cached = await cache.match(cacheKey);
+    if (!cached) {
+        return fromNetwork;
+        // ^ Nothing to fall back on: wait for the network, errors and all
+    }
+
+    const timeout = new Promise(resolve => setTimeout(() => resolve(cached), NETWORK_TIMEOUT_MS));
+    return Promise.race([fromNetwork, timeout]).catch(() => cached);
+    // ^ .race() takes whichever finishes first; a network error means "use the cache"
+}
+
+// ============================================
+// Running in the Browser or in the Tests?
+// ============================================
+// The tests load this file in Node.js to check the app shell list, like
+// the shared files in lib/. In a service worker there's no "module".
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SHELL_FILES, isTripPath, shellPathFor };
+} else {
+    // "install" runs once for each new version of this file: download
+    // the whole app shell before we take over
+    self.addEventListener('install', event => {
+        event.waitUntil(
+            caches.open(SHELL_CACHE)
+                .then(cache => cache.addAll(SHELL_FILES))
+                .then(() => self.skipWaiting())
+            // ^ skipWaiting(): don't wait for old tabs to close
+        );
+    });
+
+    // "activate" runs when this version takes over: delete the app shell
+    // caches of older versions, and start handling already-open pages
+    self.addEventListener('activate', event => {
+        event.waitUntil(
+            caches.keys()
+                .then(names => Promise.all(names
+                    .filter(name => name.startsWith('roamie-shell-') && name !== SHELL_CACHE)
+                    .map(name => caches.delete(name))))
+                .then(() => self.clients.claim())
+        );
+    });
+
+    self.addEventListener('fetch', event => {
+        const request = event.request;
+        const url = new URL(request.url);
+        if (request.method !== 'GET' || url.origin !== self.location.origin) {
+            return;
+            // ^ Not calling respondWith() lets the browser handle it as usual
+        }
+
+        if (isTripPath(url.pathname)) {
+            event.respondWith(networkFirst(request, TRIPS_CACHE, url.pathname));
+            return;
+        }
+
+        const shellPath = shellPathFor(url.pathname);
+        if (shellPath) {
+            event.respondWith(networkFirst(request, SHELL_CACHE, shellPath));
+        }
+    });
+}
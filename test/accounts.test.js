@@ -0,0 +1,67 @@
+// Tests for lib/accounts.js and lib/sessions.js - logging in
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkCredentials, hashPassword, verifyPassword } = require('../lib/accounts');
+const { createSessionStore, readCookie } = require('../lib/sessions');
+
+test('usernames are lowercased and checked', () => {
+    assert.deepStrictEqual(checkCredentials({ username: ' Alice ', password: 'correct horse' }), {
+        credentials: { username: 'alice', password: 'correct horse' }
+    });
+
+    assert.match(checkCredentials({ username: '../etc', password: 'correct horse' }).errors.username, /3 to 30/);
+    assert.match(checkCredentials({ username: 'al', password: 'correct horse' }).errors.username, /3 to 30/);
+    assert.deepStrictEqual(Object.keys(checkCredentials({}).errors), ['username', 'password']);
+});
+
+test('passwords have a minimum length', () => {
+    assert.match(checkCredentials({ username: 'alice', password: 'short' }).errors.password, /8 to 200/);
+    assert.match(checkCredentials({ username: 'alice', password: 12345678 }).errors.password, /enter a password/);
+});
+
+test('problems with the form also come as codes the login page can translate', () => {
+    assert.deepStrictEqual(checkCredentials({ username: 'al', password: 'short' }).problems, {
+        username: { code: 'username-format', params: {} },
+        password: { code: 'password-length', params: { min: 8, max: 200 } }
+    });
+    assert.deepStrictEqual(checkCredentials({}).problems.username, { code: 'missing', params: { field: 'username' } });
+});
+
+test('passwords are stored as salted hashes', async () => {
+    const hash = await hashPassword('correct horse');
+
+    assert.match(hash, /^scrypt:[0-9a-f]{32}:[0-9a-f]{128}$/);
+    assert.ok(!hash.includes('correct horse'));
+    assert.notStrictEqual(hash, await hashPassword('correct horse'));
+
+    assert.strictEqual(await verifyPassword('correct horse', hash), true);
+    assert.strictEqual(await verifyPassword('wrong horse', hash), false);
+    assert.strictEqual(await verifyPassword('correct horse', 'not a hash'), false);
+});
+
+test('sessions expire', () => {
+    let time = 0;
+    const sessions = createSessionStore({ ttlSeconds: 60, now: () => time });
+    const token = sessions.create({ id: 'user-1', username: 'alice' });
+
+    assert.deepStrictEqual(sessions.get(token), { userId: 'user-1', username: 'alice' });
+    time = 60 * 1000;
+    assert.strictEqual(sessions.get(token), null);
+});
+
+test('sessions can be ended', () => {
+    const sessions = createSessionStore();
+    const token = sessions.create({ id: 'user-1', username: 'alice' });
+
+    sessions.destroy(token);
+    assert.strictEqual(sessions.get(token), null);
+    assert.strictEqual(sessions.get('made-up-token'), null);
+});
+
+test('cookies are read from the Cookie header', () => {
+    const req = { headers: { cookie: 'theme=dark; roamie_session=abc-123' } };
+
+    assert.strictEqual(readCookie(req, 'roamie_session'), 'abc-123');
+    assert.strictEqual(readCookie(req, 'missing'), null);
+    assert.strictEqual(readCookie({ headers: {} }, 'roamie_session'), null);
+});
@@ -0,0 +1,109 @@
+// Tests for lib/constraints.js - does the itinerary fit the trip request?
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkConstraints } = require('../lib/constraints');
+const { validateTripRequest } = require('../lib/tripRequest');
+const { buildMockItinerary } = require('../lib/providers/mock');
+const { buildItineraryPrompt } = require('../lib/prompts');
+
+// A cleaned-up request (like the server has), plus extra fields
+function requestWith(fields = {}) {
+    const { request, errors } = validateTripRequest({
+        origin: 'SFO',
+        destination: 'Lisbon',
+        start: '2025-11-01',
+        end: '2025-11-03',
+        numPeople: 2,
+        activity: ['museums'],
+        food: ['local'],
+        ...fields
+    });
+    assert.deepStrictEqual(errors, {});
+    return request;
+}
+
+const itineraryFor = request => buildMockItinerary(buildItineraryPrompt(request));
+const codes = warnings => warnings.map(warning => warning.code);
+
+test('an itinerary that fits the request has no warnings', () => {
+    const request = requestWith();
+    assert.deepStrictEqual(checkConstraints(itineraryFor(request), request), []);
+});
+
+test('a missing day and wrong dates are fixable warnings', () => {
+    const request = requestWith();
+    const itinerary = itineraryFor(request);
+    itinerary.days.pop();
+    itinerary.days[1].date = '2025-11-05';
+
+    const warnings = checkConstraints(itinerary, request);
+    assert.deepStrictEqual(codes(warnings), ['day-count', 'dates']);
+    assert.match(warnings[0].message, /3 day\(s\) long, but the itinerary has 2/);
+    assert.match(warnings[1].message, /outside the trip/);
+    assert.ok(warnings.every(warning => warning.fixable));
+});
+
+test('overlapping items are found, but lodging and late nights are fine', () => {
+    const request = requestWith();
+    const itinerary = itineraryFor(request);
+    const items = itinerary.days[0].items;
+    items[1].endTime = '13:00';
+    // ^ The morning tour now runs into lunch (12:30)
+
+    const warnings = checkConstraints(itinerary, request);
+    assert.deepStrictEqual(codes(warnings), ['overlap']);
+    assert.match(warnings[0].message, /^Day 1: "Morning walking tour \(day 1\)" \(09:30-13:00\) overlaps "Lunch/);
+
+    // A hotel listed for the whole evening, and dinner running past midnight
+    items[1].endTime = '12:00';
+    items[items.length - 1].startTime = '18:00';
+    items[items.length - 2].endTime = '00:30';
+    assert.deepStrictEqual(checkConstraints(itinerary, request), []);
+});
+
+test('vegetarian trips get a warning for meat and fish, unless the place is vegetarian', () => {
+    const request = requestWith({ food: ['veg'] });
+    const itinerary = itineraryFor(request);
+    itinerary.days[0].items[2].title = 'Grilled sardines in Alfama';
+    itinerary.days[1].items[2].title = 'Vegetarian "chicken" at Ao 26';
+    itinerary.days[2].items[2].title = 'Lunch in Hamburg';
+    // ^ "ham" only counts as a whole word
+
+    const warnings = checkConstraints(itinerary, request);
+    assert.deepStrictEqual(codes(warnings), ['diet']);
+    assert.match(warnings[0].message, /"sardines", which doesn't look vegetarian/);
+
+    // Pescatarians can have the sardines
+    assert.deepStrictEqual(checkConstraints(itinerary, requestWith({ dietary: ['pescatarian'] })), []);
+});
+
+test('going over budget is a fixable warning', () => {
+    const itinerary = itineraryFor(requestWith());
+    const request = requestWith({ budget: 100, currency: itinerary.currency });
+
+    const warnings = checkConstraints(itinerary, request);
+    assert.deepStrictEqual(codes(warnings), ['budget']);
+    assert.match(warnings[0].message, new RegExp(`over the budget of 100 ${itinerary.currency}`));
+});
+
+test('must-avoid places are fixable, missing must-see places are not', () => {
+    const request = requestWith({ mustSee: ['Belém Tower', 'walking tour'], mustAvoid: ['museum'] });
+
+    const warnings = checkConstraints(itineraryFor(request), request);
+    assert.deepStrictEqual(
+        warnings.map(warning => [warning.code, warning.fixable]),
+        [['must-avoid', true], ['must-see', false]]
+    );
+    assert.match(warnings[1].message, /"Belém Tower" was on the must-see list/);
+});
+
+test('the English-only diet and must-see checks are skipped for itineraries in other languages', () => {
+    const fields = { dietary: ['vegetarian'], mustSee: ['Belém Tower'], mustAvoid: ['museum'] };
+    const request = requestWith(fields);
+    const itinerary = itineraryFor(request);
+    itinerary.days[0].items.find(item => item.category === 'food').title = 'Steak dinner';
+
+    assert.deepStrictEqual(codes(checkConstraints(itinerary, request)), ['diet', 'must-avoid', 'must-see']);
+    assert.deepStrictEqual(codes(checkConstraints(itinerary, requestWith({ ...fields, language: 'en' }))), ['diet', 'must-avoid', 'must-see']);
+    assert.deepStrictEqual(codes(checkConstraints(itinerary, requestWith({ ...fields, language: 'pt' }))), ['must-avoid']);
+});
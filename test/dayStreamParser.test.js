@@ -0,0 +1,77 @@
+// Tests for lib/dayStreamParser.js - spotting finished days while the
+// itinerary is still streaming in
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDayStreamParser } = require('../lib/dayStreamParser');
+
+const itinerary = {
+    title: 'Lisbon {in} "November"',
+    summary: 'Trams, tiles and [pastries]',
+    days: [
+        { day: 1, date: '2025-11-01', title: 'Alfama', items: [{ title: 'Castle', notes: 'Bring {water}' }] },
+        { day: 2, date: '2025-11-02', title: 'Belém', items: [] }
+    ],
+    tips: ['Wear "good" shoes \\ seriously']
+};
+
+// Feeds "text" to a new parser in pieces of "size" characters and
+// returns every day it found
+function parseInChunks(text, size) {
+    const days = [];
+    const parser = createDayStreamParser(day => days.push(day));
+    for (let start = 0; start < text.length; start += size) {
+        parser.push(text.slice(start, start + size));
+    }
+    return days;
+}
+
+test('each day is found once it is complete, however the text is split', () => {
+    const text = JSON.stringify(itinerary, null, 2);
+
+    for (const size of [1, 3, 7, text.length]) {
+        assert.deepStrictEqual(parseInChunks(text, size), itinerary.days, `chunks of ${size}`);
+    }
+});
+
+test('days are handed over as soon as they close, before the rest arrives', () => {
+    const days = [];
+    const parser = createDayStreamParser(day => days.push(day));
+
+    parser.push('{"title": "Lisbon", "days": [{"day": 1, "items": []}, {"day": 2, "ite');
+    assert.deepStrictEqual(days, [{ day: 1, items: [] }]);
+
+    parser.push('ms": []}]}');
+    assert.deepStrictEqual(days, [{ day: 1, items: [] }, { day: 2, items: [] }]);
+});
+
+test('braces, brackets and escaped quotes inside strings are ignored', () => {
+    const text = '{"notes": "a \\"days\\" [list] {of} \\\\ things", "days": [{"day": 1, "title": "}]\\"{["}]}';
+
+    assert.deepStrictEqual(parseInChunks(text, 2), [{ day: 1, title: '}]"{[' }]);
+});
+
+test('only the top-level "days" array counts', () => {
+    const text = '{"extra": {"days": [{"day": 99}]}, "days": [{"day": 1}]}';
+
+    assert.deepStrictEqual(parseInChunks(text, 5), [{ day: 1 }]);
+});
+
+test('a bad escape in a top-level string does not throw', () => {
+    const text = '{"title": "Caf\\q Tour", "days": [{"day": 1}], "bad\\x": 1}';
+
+    assert.deepStrictEqual(parseInChunks(text, 4), [{ day: 1 }]);
+});
+
+test('malformed days are skipped, and the days after them still arrive', () => {
+    const text = '{"days": [{"day": 1, "title": "Bad \\q"}, {"day": 2}]}';
+
+    assert.deepStrictEqual(parseInChunks(text, 3), [{ day: 2 }]);
+});
+
+test('errors thrown by the callback are not swallowed', () => {
+    const parser = createDayStreamParser(() => {
+        throw new TypeError('the page broke');
+    });
+
+    assert.throws(() => parser.push('{"days": [{"day": 1}]}'), /the page broke/);
+});
@@ -0,0 +1,92 @@
+// Tests for lib/generator.js - telling our own bugs apart from AI failures.
+// These use the real Anthropic provider, talking to a small local server
+// that answers like the Anthropic API does. Nothing leaves this machine.
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { trackUsage } = require('../lib/generator');
+const { describeFailure } = require('../lib/errors');
+const { createAnthropicProvider } = require('../lib/providers/anthropic');
+
+// The events of a streamed reply that says "Hello" in two pieces
+const STREAM_EVENTS = [
+    { type: 'message_start', message: { id: 'msg_1', type: 'message', role: 'assistant', model: 'test', content: [], stop_reason: null, stop_sequence: null, usage: { input_tokens: 5, output_tokens: 1 } } },
+    { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hel' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'lo' } },
+    { type: 'content_block_stop', index: 0 },
+    { type: 'message_delta', delta: { stop_reason: 'end_turn', stop_sequence: null }, usage: { output_tokens: 3 } },
+    { type: 'message_stop' }
+];
+
+// Starts a fake Anthropic API that answers every request with "handler",
+// points the SDK at it (ANTHROPIC_BASE_URL), and runs "fn" with a provider
+async function withAnthropic(handler, fn) {
+    const server = http.createServer(handler).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const previousBaseUrl = process.env.ANTHROPIC_BASE_URL;
+    process.env.ANTHROPIC_BASE_URL = `http://localhost:${server.address().port}`;
+    try {
+        await fn(createAnthropicProvider({ apiKey: 'test-key', maxTokens: 100 }));
+    } finally {
+        if (previousBaseUrl === undefined) {
+            delete process.env.ANTHROPIC_BASE_URL;
+        } else {
+            process.env.ANTHROPIC_BASE_URL = previousBaseUrl;
+        }
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+function streamReply(req, res) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const event of STREAM_EVENTS) {
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+    res.end();
+}
+
+const messages = [{ role: 'user', content: 'Hi' }];
+
+test('streamed replies from the Anthropic provider are passed on and counted', async () => {
+    await withAnthropic(streamReply, async llm => {
+        const tracked = trackUsage(llm);
+        const pieces = [];
+        const result = await tracked.llm.stream({ messages, onText: text => pieces.push(text) });
+
+        assert.strictEqual(result.text, 'Hello');
+        assert.deepStrictEqual(pieces, ['Hel', 'lo']);
+        assert.deepStrictEqual(tracked.totals, { calls: 1, inputTokens: 5, outputTokens: 3 });
+    });
+});
+
+test('an error in our own callback is not blamed on the Anthropic provider', async () => {
+    // Like writing to a browser that has gone away
+    const closed = Object.assign(new Error('write ECONNRESET'), { code: 'ECONNRESET' });
+    await withAnthropic(streamReply, async llm => {
+        const tracked = trackUsage(llm);
+        const thrown = await tracked.llm.stream({ messages, onText: () => { throw closed; } }).then(
+            () => assert.fail('the call should fail'),
+            error => error
+        );
+
+        assert.strictEqual(thrown, closed);
+        // ^ Our own error, not the SDK's copy of it
+        assert.strictEqual(describeFailure(thrown).code, 'internal_error');
+    });
+});
+
+test('errors from the Anthropic API are still marked as provider failures', async () => {
+    const unauthorized = (req, res) => {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } }));
+    };
+    await withAnthropic(unauthorized, async llm => {
+        const tracked = trackUsage(llm);
+        await assert.rejects(tracked.llm.stream({ messages, onText: () => {} }), error => {
+            assert.strictEqual(describeFailure(error).code, 'upstream_auth');
+            return true;
+        });
+    });
+});
@@ -0,0 +1,79 @@
+// Tests for lib/i18n.js - the pages in other languages
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    CATALOGS,
+    DEFAULT_LOCALE,
+    formatDate,
+    formatMoney,
+    pickLocale,
+    translate
+} = require('../lib/i18n');
+
+// The {placeholders} in a message (or in every form of a plural message)
+function placeholdersIn(message) {
+    const text = typeof message === 'object' ? Object.values(message).join(' ') : message;
+    return [...new Set(text.match(/\{\w+\}/g) || [])].sort();
+}
+
+test('every catalog has the same messages and placeholders as English', () => {
+    const english = CATALOGS[DEFAULT_LOCALE];
+
+    for (const [locale, catalog] of Object.entries(CATALOGS)) {
+        assert.deepStrictEqual(Object.keys(catalog).sort(), Object.keys(english).sort(), `${locale} has different keys`);
+        for (const key of Object.keys(english)) {
+            assert.deepStrictEqual(placeholdersIn(catalog[key]), placeholdersIn(english[key]), `${locale}: ${key}`);
+            if (typeof english[key] === 'object') {
+                assert.ok(catalog[key].other, `${locale}: ${key} needs an "other" form`);
+            }
+        }
+    }
+});
+
+test('the browser languages are matched to a catalog, falling back to English', () => {
+    assert.strictEqual(pickLocale(['de-AT', 'en-US']), 'de');
+    assert.strictEqual(pickLocale(['ja', 'FR-ca']), 'fr');
+    assert.strictEqual(pickLocale([null, 'es']), 'es');
+    // ^ Nothing saved in localStorage yet
+    assert.strictEqual(pickLocale(['ja', 'ko']), 'en');
+    assert.strictEqual(pickLocale([]), 'en');
+});
+
+test('names every object has are not languages', () => {
+    assert.strictEqual(pickLocale(['constructor']), 'en');
+    assert.strictEqual(pickLocale(['__proto__', 'de']), 'de');
+    assert.strictEqual(pickLocale(['toString-de']), 'en');
+});
+
+test('messages are filled in, and missing ones fall back', () => {
+    assert.strictEqual(translate('es', 'form.stopHeading', { number: 2 }), 'parada 2');
+    assert.strictEqual(translate('fr', 'profile.saved', { name: '<b>' }), '« <b> » enregistré.');
+    assert.strictEqual(translate('ja', 'form.submit'), 'generate itinerary!');
+    // ^ No Japanese catalog - English instead
+    assert.strictEqual(translate('de', 'no.such.key'), 'no.such.key');
+    assert.strictEqual(translate('en', 'changes.day'), 'Day {day}');
+    // ^ A missing param leaves the placeholder, so it's easy to spot
+});
+
+test('plural messages pick the form for the count', () => {
+    assert.strictEqual(translate('en', 'wait.minutes', { count: 1 }), '1 minute');
+    assert.strictEqual(translate('en', 'wait.minutes', { count: 5 }), '5 minutes');
+    assert.strictEqual(translate('fr', 'wait.seconds', { count: 0 }), '0 seconde');
+    // ^ French counts 0 as singular
+    assert.match(translate('de', 'budget.total', { total: '10 €', perPerson: '10 €', count: 1 }), /1 Reisenden\)$/);
+});
+
+test('dates are written the way each language writes them, on the right day', () => {
+    assert.strictEqual(formatDate('en', '2025-11-01'), 'Sat, Nov 1');
+    assert.strictEqual(formatDate('de', '2025-11-01'), 'Sa., 1. Nov.');
+    assert.strictEqual(formatDate('en', '2025-11-01', { year: 'numeric', month: 'long', day: 'numeric' }), 'November 1, 2025');
+    assert.strictEqual(formatDate('en', 'someday'), 'someday');
+});
+
+test('money and numbers use the language\'s separators', () => {
+    assert.strictEqual(formatMoney('en', 1840, 'EUR'), '€1,840.00');
+    assert.strictEqual(formatMoney('de', 1840, 'EUR'), '1.840,00 €');
+    assert.strictEqual(formatMoney('en', 3000, 'JPY'), '¥3,000');
+    assert.strictEqual(formatMoney('de', 1840), '1.840');
+    // ^ No currency yet (while streaming)
+});
@@ -0,0 +1,139 @@
+// Tests for lib/icsExport.js - saved trips as calendar files
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildIcs } = require('../lib/icsExport');
+
+function item(fields) {
+    return {
+        startTime: '09:00', endTime: '10:30', title: 'Tsukiji Outer Market',
+        category: 'food', location: 'Chuo', estimatedCost: 3000, ...fields
+    };
+}
+
+function buildTrip(itinerary) {
+    return {
+        id: 'abc123',
+        request: { origin: 'SFO', destination: 'Tokyo', start: '2025-11-01', end: '2025-11-02' },
+        itinerary: { title: 'Tokyo', summary: '', currency: 'JPY', tips: [], ...itinerary },
+        createdAt: '2025-10-01T10:00:00.000Z',
+        updatedAt: '2025-10-02T10:00:00.000Z'
+    };
+}
+
+const tokyoTrip = buildTrip({
+    timeZone: 'Asia/Tokyo',
+    days: [
+        { day: 1, date: '2025-11-01', title: 'Arrival', items: [item({}), item({ startTime: '22:00', endTime: '01:00', title: 'Karaoke' })] },
+        { day: 2, date: '2025-11-02', title: 'Temples', items: [item({ title: 'Senso-ji', location: '' })] }
+    ]
+});
+
+// The lines of the file, with folded lines joined back together
+function unfoldedLines(ics) {
+    return ics.replace(/\r\n /g, '').split('\r\n');
+}
+
+// The value of every "NAME:..." line
+function valuesOf(ics, name) {
+    return unfoldedLines(ics).filter(line => line.startsWith(`${name}:`)).map(line => line.slice(name.length + 1));
+}
+
+test('every item becomes one event inside a calendar', () => {
+    const ics = buildIcs(tokyoTrip);
+
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.strictEqual(valuesOf(ics, 'BEGIN').filter(value => value === 'VEVENT').length, 3);
+    assert.strictEqual(valuesOf(ics, 'END').filter(value => value === 'VEVENT').length, 3);
+    assert.deepStrictEqual(valuesOf(ics, 'UID'), ['abc123-day1-item1@roamie', 'abc123-day1-item2@roamie', 'abc123-day2-item1@roamie']);
+    assert.deepStrictEqual(valuesOf(ics, 'LOCATION'), ['Chuo', 'Chuo']);
+    // ^ No LOCATION line for the item without one
+    assert.ok(ics.split('\n').every(line => line === '' || line.endsWith('\r')), 'every line ends with \\r\\n');
+});
+
+test('times are converted from the trip\'s time zone to UTC', () => {
+    const ics = buildIcs(tokyoTrip);
+
+    // Tokyo is 9 hours ahead of UTC
+    assert.deepStrictEqual(valuesOf(ics, 'DTSTART'), ['20251101T000000Z', '20251101T130000Z', '20251102T000000Z']);
+    // 22:00 - 01:00 ends the next day
+    assert.deepStrictEqual(valuesOf(ics, 'DTEND'), ['20251101T013000Z', '20251101T160000Z', '20251102T013000Z']);
+    assert.deepStrictEqual(valuesOf(ics, 'X-WR-TIMEZONE'), ['Asia/Tokyo']);
+});
+
+test('daylight saving time and per-day time zones are respected', () => {
+    const trip = buildTrip({
+        timeZone: 'America/New_York',
+        days: [
+            { day: 1, date: '2025-03-08', title: 'Before', items: [item({ startTime: '10:00', endTime: '11:00' })] },
+            { day: 2, date: '2025-03-09', title: 'After', items: [item({ startTime: '10:00', endTime: '11:00' })] },
+            { day: 3, date: '2025-03-10', title: 'Elsewhere', timeZone: 'Europe/London', items: [item({ startTime: '10:00', endTime: '11:00' })] }
+        ]
+    });
+    trip.request.start = '2025-03-08';
+
+    assert.deepStrictEqual(valuesOf(buildIcs(trip), 'DTSTART'), [
+        '20250308T150000Z', // EST, UTC-5
+        '20250309T140000Z', // EDT, UTC-4 from that morning
+        '20250310T100000Z' // London, still UTC+0
+    ]);
+});
+
+test('without a time zone the times are "floating"', () => {
+    const { timeZone, ...itinerary } = tokyoTrip.itinerary;
+    const ics = buildIcs({ ...tokyoTrip, itinerary: itinerary });
+
+    assert.strictEqual(valuesOf(ics, 'DTSTART')[0], '20251101T090000');
+    assert.deepStrictEqual(valuesOf(ics, 'X-WR-TIMEZONE'), []);
+});
+
+test('special characters in text are escaped', () => {
+    const trip = buildTrip({
+        title: 'Tokyo, Kyoto; more',
+        days: [{ day: 1, date: '2025-11-01', title: 'Arrival', items: [
+            item({ title: 'Sushi, sake; back\\slash', notes: 'Line one\nLine two' })
+        ] }]
+    });
+    const ics = buildIcs(trip);
+
+    assert.deepStrictEqual(valuesOf(ics, 'X-WR-CALNAME'), ['Tokyo\\, Kyoto\\; more']);
+    assert.deepStrictEqual(valuesOf(ics, 'SUMMARY'), ['Sushi\\, sake\\; back\\\\slash']);
+    assert.deepStrictEqual(valuesOf(ics, 'DESCRIPTION'), ['Line one\\nLine two\\n\\nEstimated cost: 3000 JPY']);
+});
+
+test('long lines are folded at 75 bytes without splitting characters', () => {
+    const notes = '🍣 Omakase at the counter. '.repeat(10);
+    const trip = buildTrip({
+        days: [{ day: 1, date: '2025-11-01', title: 'Arrival', items: [item({ notes: notes })] }]
+    });
+    const ics = buildIcs(trip);
+
+    for (const line of ics.split('\r\n')) {
+        assert.ok(Buffer.byteLength(line, 'utf8') <= 75, `"${line}" is too long`);
+    }
+    assert.ok(!ics.includes('�'));
+    assert.deepStrictEqual(valuesOf(ics, 'DESCRIPTION'), [`${notes}\\n\\nEstimated cost: 3000 JPY`]);
+    // ^ Unfolding gives back the whole text
+});
+
+test('events keep their UID when items are moved, added or removed', () => {
+    const breakfast = item({ id: 'breakfast', title: 'Breakfast' });
+    const temple = item({ id: 'temple', title: 'Senso-ji' });
+    const uidsOf = days => {
+        const ics = buildIcs(buildTrip({ timeZone: 'Asia/Tokyo', days: days }));
+        return Object.fromEntries(valuesOf(ics, 'SUMMARY').map((title, index) => [title, valuesOf(ics, 'UID')[index]]));
+    };
+
+    const before = uidsOf([
+        { day: 1, date: '2025-11-01', title: 'Arrival', items: [breakfast, temple] }
+    ]);
+    const after = uidsOf([
+        { day: 1, date: '2025-11-01', title: 'Arrival', items: [item({ id: 'karaoke', title: 'Karaoke' })] },
+        { day: 2, date: '2025-11-02', title: 'Temples', items: [temple, breakfast] }
+    ]);
+
+    assert.deepStrictEqual(before, { Breakfast: 'abc123-breakfast@roamie', 'Senso-ji': 'abc123-temple@roamie' });
+    assert.strictEqual(after.Breakfast, before.Breakfast);
+    assert.strictEqual(after['Senso-ji'], before['Senso-ji']);
+    assert.strictEqual(after.Karaoke, 'abc123-karaoke@roamie');
+});
@@ -0,0 +1,81 @@
+// Tests for lib/itineraryCache.js - reusing itineraries for identical trips
+const test = require('node:test');
+const assert = require('node:assert');
+const { cacheKeyFor, createItineraryCache } = require('../lib/itineraryCache');
+
+const request = {
+    origin: 'SFO',
+    destination: 'Lisbon',
+    start: '2025-11-01',
+    end: '2025-11-03',
+    numPeople: 2,
+    activity: ['museums', 'outdoor'],
+    food: ['local']
+};
+
+const itinerary = { title: 'Lisbon' };
+
+test('requests that only differ in case, spacing or order share a key', () => {
+    assert.strictEqual(
+        cacheKeyFor(request),
+        cacheKeyFor({ ...request, destination: 'LISBON', origin: ' sfo', activity: ['outdoor', 'museums'] })
+    );
+
+    assert.notStrictEqual(cacheKeyFor(request), cacheKeyFor({ ...request, numPeople: 3 }));
+    assert.notStrictEqual(cacheKeyFor(request), cacheKeyFor({ ...request, budget: 1000, currency: 'EUR' }));
+});
+
+test('the traveler profile is part of the key', () => {
+    assert.notStrictEqual(cacheKeyFor(request), cacheKeyFor({ ...request, dietary: ['vegan'] }));
+    assert.notStrictEqual(cacheKeyFor(request), cacheKeyFor({ ...request, mustSee: ['Belém Tower'] }));
+    assert.strictEqual(
+        cacheKeyFor({ ...request, dietary: ['vegan', 'nut-free'], mustSee: ['Belém Tower'] }),
+        cacheKeyFor({ ...request, dietary: ['nut-free', 'vegan'], mustSee: ['belém  tower'] })
+    );
+});
+
+test('itineraries in different languages have different keys', () => {
+    assert.notStrictEqual(cacheKeyFor(request), cacheKeyFor({ ...request, language: 'de' }));
+    assert.strictEqual(cacheKeyFor(request), cacheKeyFor({ ...request, language: 'en' }));
+    // ^ No language means English
+});
+
+test('a cached itinerary comes back with when it was made', () => {
+    const cache = createItineraryCache({ now: () => Date.UTC(2025, 9, 1) });
+
+    assert.strictEqual(cache.get(request), null);
+    cache.set(request, itinerary);
+    assert.deepStrictEqual(cache.get(request), { itinerary: itinerary, createdAt: '2025-10-01T00:00:00.000Z' });
+});
+
+test('entries expire', () => {
+    let time = 0;
+    const cache = createItineraryCache({ ttlSeconds: 60, now: () => time });
+
+    cache.set(request, itinerary);
+    time = 60 * 1000;
+    assert.strictEqual(cache.get(request), null);
+});
+
+test('the least recently used trip is dropped when the cache is full', () => {
+    const cache = createItineraryCache({ maxEntries: 2 });
+    const porto = { ...request, destination: 'Porto' };
+    const faro = { ...request, destination: 'Faro' };
+
+    cache.set(request, itinerary);
+    cache.set(porto, itinerary);
+    cache.get(request);
+    // ^ Lisbon was used more recently than Porto now
+    cache.set(faro, itinerary);
+
+    assert.ok(cache.get(request));
+    assert.strictEqual(cache.get(porto), null);
+    assert.ok(cache.get(faro));
+});
+
+test('a size of 0 turns the cache off', () => {
+    const cache = createItineraryCache({ maxEntries: 0 });
+
+    cache.set(request, itinerary);
+    assert.strictEqual(cache.get(request), null);
+});
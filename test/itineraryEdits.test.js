@@ -0,0 +1,122 @@
+// Tests for lib/itineraryEdits.js - the editor's changes and undo/redo
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    addItem,
+    createEditHistory,
+    moveItem,
+    newItem,
+    removeItem,
+    replaceDay,
+    replaceItem,
+    updateItem
+} = require('../lib/itineraryEdits');
+
+// A small itinerary: two days, with items that are easy to recognize
+function buildItinerary() {
+    const item = (title, startTime, endTime) => ({
+        startTime, endTime, title, category: 'activity', location: '', estimatedCost: 0
+    });
+    return {
+        title: 'Lisbon',
+        days: [
+            { day: 1, date: '2025-11-01', title: 'Day one', items: [item('A', '09:00', '10:00'), item('B', '10:00', '11:00'), item('C', '11:00', '12:00')] },
+            { day: 2, date: '2025-11-02', title: 'Day two', items: [item('D', '09:00', '10:00')] }
+        ]
+    };
+}
+
+const titles = day => day.items.map(item => item.title);
+
+test('items can be moved within a day and to another day', () => {
+    const itinerary = buildItinerary();
+
+    const reordered = moveItem(itinerary, { dayIndex: 0, index: 0 }, { dayIndex: 0, index: 2 });
+    assert.deepStrictEqual(titles(reordered.days[0]), ['B', 'C', 'A']);
+
+    const moved = moveItem(itinerary, { dayIndex: 0, index: 1 }, { dayIndex: 1, index: 0 });
+    assert.deepStrictEqual(titles(moved.days[0]), ['A', 'C']);
+    assert.deepStrictEqual(titles(moved.days[1]), ['B', 'D']);
+});
+
+test('edits never change the itinerary they were given', () => {
+    const itinerary = buildItinerary();
+    const before = JSON.stringify(itinerary);
+
+    updateItem(itinerary, 0, 0, { title: 'Changed' });
+    removeItem(itinerary, 0, 1);
+    addItem(itinerary, 1, newItem(itinerary.days[1]));
+    moveItem(itinerary, { dayIndex: 0, index: 0 }, { dayIndex: 1, index: 1 });
+
+    assert.strictEqual(JSON.stringify(itinerary), before);
+});
+
+test('items can be changed, removed, added and replaced', () => {
+    let itinerary = buildItinerary();
+
+    itinerary = updateItem(itinerary, 0, 0, { title: 'Breakfast', estimatedCost: 12 });
+    assert.strictEqual(itinerary.days[0].items[0].title, 'Breakfast');
+    assert.strictEqual(itinerary.days[0].items[0].startTime, '09:00');
+
+    itinerary = removeItem(itinerary, 0, 1);
+    assert.deepStrictEqual(titles(itinerary.days[0]), ['Breakfast', 'C']);
+
+    itinerary = addItem(itinerary, 1, newItem(itinerary.days[1]));
+    const added = itinerary.days[1].items[1];
+    assert.deepStrictEqual([added.startTime, added.endTime], ['10:00', '11:00']);
+
+    itinerary = replaceItem(itinerary, 0, 1, { ...itinerary.days[0].items[1], title: 'Another idea' });
+    assert.deepStrictEqual(titles(itinerary.days[0]), ['Breakfast', 'Another idea']);
+});
+
+test('a new item on an empty or late day still has valid times', () => {
+    assert.deepStrictEqual(
+        [newItem({ items: [] }).startTime, newItem({ items: [] }).endTime],
+        ['09:00', '10:00']
+    );
+
+    const late = newItem({ items: [{ endTime: '23:15' }] });
+    assert.deepStrictEqual([late.startTime, late.endTime], ['23:15', '23:59']);
+});
+
+test('a replaced day keeps its number and date', () => {
+    const itinerary = buildItinerary();
+    const replaced = replaceDay(itinerary, 1, { day: 9, date: '2030-01-01', title: 'New plan', items: [] });
+
+    assert.strictEqual(replaced.days[1].title, 'New plan');
+    assert.strictEqual(replaced.days[1].day, 2);
+    assert.strictEqual(replaced.days[1].date, '2025-11-02');
+});
+
+test('the edit history undoes and redoes, and a new edit drops the redo steps', () => {
+    const original = buildItinerary();
+    const history = createEditHistory(original);
+    assert.strictEqual(history.canUndo(), false);
+
+    history.apply(removeItem(history.current(), 0, 0));
+    history.apply(removeItem(history.current(), 0, 0));
+    assert.deepStrictEqual(titles(history.current().days[0]), ['C']);
+
+    history.undo();
+    assert.deepStrictEqual(titles(history.current().days[0]), ['B', 'C']);
+    assert.strictEqual(history.undo(), original);
+    assert.strictEqual(history.canUndo(), false);
+
+    history.redo();
+    assert.deepStrictEqual(titles(history.current().days[0]), ['B', 'C']);
+
+    history.apply(updateItem(history.current(), 1, 0, { title: 'Changed' }));
+    assert.strictEqual(history.canRedo(), false);
+});
+
+test('the edit history only keeps the last "limit" versions', () => {
+    const history = createEditHistory(buildItinerary(), { limit: 3 });
+    for (let count = 1; count <= 5; count++) {
+        history.apply(updateItem(history.current(), 0, 0, { title: `Version ${count}` }));
+    }
+
+    history.undo();
+    history.undo();
+    assert.strictEqual(history.canUndo(), false);
+    assert.strictEqual(history.current().days[0].items[0].title, 'Version 3');
+});
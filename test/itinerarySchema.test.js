@@ -0,0 +1,87 @@
+// Tests for lib/itinerarySchema.js - checking what the AI sent back
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateItinerary, validateSingleItem } = require('../lib/itinerarySchema');
+const { buildMockItinerary } = require('../lib/providers/mock');
+const { buildItineraryPrompt } = require('../lib/prompts');
+
+const multiCityPrompt = buildItineraryPrompt({
+    origin: 'SFO',
+    destination: 'Lisbon → Porto',
+    start: '2025-11-01',
+    end: '2025-11-05',
+    numPeople: 2,
+    activity: [],
+    food: [],
+    stops: [
+        { destination: 'Lisbon', start: '2025-11-01', end: '2025-11-03' },
+        { destination: 'Porto', start: '2025-11-03', end: '2025-11-05' }
+    ]
+});
+
+test('a multi-city itinerary with legs is valid', () => {
+    const itinerary = buildMockItinerary(multiCityPrompt);
+
+    assert.deepStrictEqual(validateItinerary(itinerary), []);
+    assert.strictEqual(itinerary.legs.length, 1);
+    assert.deepStrictEqual(
+        { day: itinerary.legs[0].day, from: itinerary.legs[0].from, to: itinerary.legs[0].to },
+        { day: 3, from: 'Lisbon', to: 'Porto' }
+    );
+    assert.deepStrictEqual(itinerary.days.map(day => day.city), ['Lisbon', 'Lisbon', 'Porto', 'Porto', 'Porto']);
+});
+
+test('older itineraries without legs or cities are still valid', () => {
+    const itinerary = buildMockItinerary(multiCityPrompt);
+    delete itinerary.legs;
+    itinerary.days.forEach(day => delete day.city);
+
+    assert.deepStrictEqual(validateItinerary(itinerary), []);
+});
+
+test('legs need a real day and sensible transport options', () => {
+    const itinerary = buildMockItinerary(multiCityPrompt);
+    itinerary.legs[0].day = 9;
+    itinerary.legs[0].options[0].mode = 'teleport';
+    itinerary.legs[0].options[1].durationMinutes = 0;
+
+    assert.deepStrictEqual(validateItinerary(itinerary), [
+        "legs[0].day must be the number of one of the itinerary's days",
+        'legs[0].options[0].mode must be one of: train, flight, drive, bus, ferry',
+        'legs[0].options[1].durationMinutes must be a whole number greater than 0'
+    ]);
+});
+
+test('a day\'s time zone has to be a real one', () => {
+    const itinerary = buildMockItinerary(multiCityPrompt);
+    itinerary.days[2].timeZone = 'Europe/Nowhere';
+
+    assert.match(validateItinerary(itinerary).join('\n'), /days\[2\]\.timeZone/);
+});
+
+test('values that are not strings never match a pattern, and never throw', () => {
+    const sneaky = { toString: 1 };
+    // ^ Turning this into a string throws a TypeError
+    const errors = validateSingleItem({
+        startTime: sneaky,
+        endTime: ['10:00'],
+        title: 'Castle',
+        category: 'activity',
+        location: '',
+        estimatedCost: 0
+    });
+
+    assert.deepStrictEqual(errors, [
+        'item.startTime must be a time in HH:MM format',
+        'item.endTime must be a time in HH:MM format'
+    ]);
+});
+
+test('item ids are optional, but safe to put in a calendar file', () => {
+    const itinerary = buildMockItinerary(multiCityPrompt);
+    itinerary.days[0].items[0].id = 'a1b2-c3_d4';
+    assert.deepStrictEqual(validateItinerary(itinerary), []);
+
+    itinerary.days[0].items[1].id = 'x\r\nBEGIN:VEVENT';
+    assert.deepStrictEqual(validateItinerary(itinerary), ['days[0].items[1].id must be letters, numbers, "-" or "_"']);
+});
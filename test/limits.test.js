@@ -0,0 +1,91 @@
+// Tests for lib/limits.js - the rate limiter and the daily quota
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter, createUsageQuota, loadLimitsConfig } = require('../lib/limits');
+
+// A clock the tests can move forward by hand
+function createClock(start = Date.UTC(2025, 10, 1, 12, 0, 0)) {
+    const clock = {
+        time: start,
+        now: () => clock.time,
+        advance: seconds => {
+            clock.time += seconds * 1000;
+        }
+    };
+    return clock;
+}
+
+test('the rate limiter allows a few requests per window', () => {
+    const clock = createClock();
+    const limiter = createRateLimiter({ windowSeconds: 60, maxRequests: 2, now: clock.now });
+
+    assert.deepStrictEqual(limiter.hit('a'), { allowed: true, remaining: 1 });
+    assert.deepStrictEqual(limiter.hit('a'), { allowed: true, remaining: 0 });
+
+    clock.advance(15);
+    assert.deepStrictEqual(limiter.hit('a'), { allowed: false, retryAfterSeconds: 45 });
+});
+
+test('each client has its own count', () => {
+    const limiter = createRateLimiter({ maxRequests: 1 });
+
+    assert.strictEqual(limiter.hit('a').allowed, true);
+    assert.strictEqual(limiter.hit('a').allowed, false);
+    assert.strictEqual(limiter.hit('b').allowed, true);
+});
+
+test('the count starts again when the window is over', () => {
+    const clock = createClock();
+    const limiter = createRateLimiter({ windowSeconds: 60, maxRequests: 1, now: clock.now });
+
+    limiter.hit('a');
+    clock.advance(60);
+    assert.strictEqual(limiter.hit('a').allowed, true);
+});
+
+test('the daily quota counts requests and tokens', () => {
+    const clock = createClock();
+    const quota = createUsageQuota({ maxRequests: 2, maxTokens: 1000, now: clock.now });
+
+    quota.record({ inputTokens: 100, outputTokens: 200 });
+    assert.deepStrictEqual(quota.check(), { allowed: true });
+    assert.deepStrictEqual(quota.getUsage(), { requests: 1, tokens: 300, maxRequests: 2, maxTokens: 1000 });
+
+    quota.record({ inputTokens: 100, outputTokens: 200 });
+    // Midday, so the quota comes back in 12 hours
+    assert.deepStrictEqual(quota.check(), { allowed: false, retryAfterSeconds: 12 * 60 * 60 });
+});
+
+test('running out of tokens also uses up the quota', () => {
+    const quota = createUsageQuota({ maxTokens: 1000 });
+
+    quota.record({ inputTokens: 400, outputTokens: 600 });
+    assert.strictEqual(quota.check().allowed, false);
+});
+
+test('the quota resets at midnight UTC', () => {
+    const clock = createClock();
+    const quota = createUsageQuota({ maxRequests: 1, now: clock.now });
+
+    quota.record({ inputTokens: 1, outputTokens: 1 });
+    assert.strictEqual(quota.check().allowed, false);
+
+    clock.advance(12 * 60 * 60);
+    assert.deepStrictEqual(quota.check(), { allowed: true });
+    assert.strictEqual(quota.getUsage().requests, 0);
+});
+
+test('limits come from environment variables', () => {
+    assert.deepStrictEqual(loadLimitsConfig({}), {
+        rateLimit: { windowSeconds: 60, maxRequests: 5 },
+        quota: { maxRequests: Infinity, maxTokens: Infinity },
+        cache: { ttlSeconds: 86400, maxEntries: 100 }
+    });
+
+    const config = loadLimitsConfig({ RATE_LIMIT_MAX_REQUESTS: '0', DAILY_TOKEN_QUOTA: '500000', CACHE_MAX_ENTRIES: '0' });
+    assert.strictEqual(config.rateLimit.maxRequests, Infinity);
+    assert.strictEqual(config.quota.maxTokens, 500000);
+    assert.strictEqual(config.cache.maxEntries, 0);
+
+    assert.throws(() => loadLimitsConfig({ DAILY_REQUEST_QUOTA: 'lots' }), /DAILY_REQUEST_QUOTA must be a whole number/);
+});
@@ -0,0 +1,50 @@
+// Tests for lib/logger.js - JSON log lines without personal data
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLogger, redact } = require('../lib/logger');
+
+test('redact hides personal fields and email addresses, at any depth', () => {
+    const safe = redact({
+        request: { origin: 'SFO', destination: 'Lisbon', numPeople: 2, stops: [{ destination: 'Porto' }] },
+        user: { username: 'alice', password: 'correct horse' },
+        note: 'Contact alice@example.com please'
+    });
+
+    assert.deepStrictEqual(safe, {
+        request: { origin: '[redacted]', destination: '[redacted]', numPeople: 2, stops: '[redacted]' },
+        user: { username: '[redacted]', password: '[redacted]' },
+        note: 'Contact [email] please'
+    });
+});
+
+test('errors are logged with their name, message and status', () => {
+    const error = Object.assign(new Error('Overloaded'), { status: 529 });
+    const safe = redact({ error });
+
+    assert.strictEqual(safe.error.name, 'Error');
+    assert.strictEqual(safe.error.message, 'Overloaded');
+    assert.strictEqual(safe.error.status, 529);
+    assert.match(safe.error.stack, /Overloaded/);
+});
+
+test('each line is one JSON object, child loggers add fields, and quiet levels are skipped', t => {
+    const log = t.mock.method(console, 'log', () => {});
+    const error = t.mock.method(console, 'error', () => {});
+    const logger = createLogger({ level: 'info', now: () => new Date('2025-11-01T09:30:00Z') });
+
+    const child = logger.child({ requestId: 'abc12345' });
+    child.debug('Not written');
+    child.info('Trip refined', { changes: 2 });
+    child.warn('Daily AI quota reached');
+
+    assert.strictEqual(log.mock.callCount(), 1);
+    assert.deepStrictEqual(JSON.parse(log.mock.calls[0].arguments[0]), {
+        time: '2025-11-01T09:30:00.000Z',
+        level: 'info',
+        msg: 'Trip refined',
+        requestId: 'abc12345',
+        changes: 2
+    });
+    // Warnings and errors go to stderr
+    assert.strictEqual(JSON.parse(error.mock.calls[0].arguments[0]).level, 'warn');
+});
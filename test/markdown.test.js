@@ -0,0 +1,169 @@
+// Tests for markdown.js - the renderer the results page uses for
+// summaries, notes and tips.
+//
+// There's no browser here, so renderMarkdown() gets a tiny pretend
+// "document" that can only do what the renderer needs. Turning its
+// elements back into HTML text (with everything escaped, like a browser
+// would) lets us compare the output with plain strings.
+//
+// test/fixtures/markdown/ holds a corpus of real-looking AI output:
+// each NAME.md is rendered and compared with NAME.html.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseMarkdown, renderInlineMarkdown, renderMarkdown } = require('../markdown');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'markdown');
+
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function createFakeDocument() {
+    function createNode(tagName) {
+        return {
+            tagName: tagName,
+            attributes: [],
+            children: [],
+            setAttribute(name, value) {
+                this.attributes.push([name, String(value)]);
+            },
+            appendChild(child) {
+                // Like the real DOM: adding a fragment adds its children
+                if (child.tagName === '#fragment') {
+                    this.children.push(...child.children);
+                } else {
+                    this.children.push(child);
+                }
+                return child;
+            }
+        };
+    }
+
+    return {
+        createElement: tagName => createNode(tagName),
+        createDocumentFragment: () => createNode('#fragment'),
+        createTextNode: text => ({ text: String(text) })
+    };
+}
+
+function toHtml(node) {
+    if (node.text !== undefined) {
+        return escapeText(node.text);
+    }
+    const inner = node.children.map(toHtml).join('');
+    if (node.tagName === '#fragment') {
+        return inner;
+    }
+    const attributes = node.attributes
+        .map(([name, value]) => ` ${name}="${escapeText(value).replace(/"/g, '&quot;')}"`)
+        .join('');
+    if (node.tagName === 'br' || node.tagName === 'hr') {
+        return `<${node.tagName}${attributes}>`;
+    }
+    return `<${node.tagName}${attributes}>${inner}</${node.tagName}>`;
+}
+
+function render(text) {
+    return toHtml(renderMarkdown(text, createFakeDocument()));
+}
+
+test('headers keep any # inside their text', () => {
+    assert.strictEqual(render('# Trip to NYC'), '<h1>Trip to NYC</h1>');
+    assert.strictEqual(render('### Day #2: Brooklyn ###'), '<h3>Day #2: Brooklyn</h3>');
+    assert.strictEqual(render('#hashtag'), '<p>#hashtag</p>');
+});
+
+test('bullet lists are wrapped in <ul>', () => {
+    assert.strictEqual(render('- Pack sunscreen\n- Bring a hat'), '<ul><li>Pack sunscreen</li><li>Bring a hat</li></ul>');
+});
+
+test('numbered lists keep their starting number', () => {
+    assert.strictEqual(render('1. Land\n2. Check in'), '<ol><li>Land</li><li>Check in</li></ol>');
+    assert.strictEqual(render('3. Dinner\n4. Bed'), '<ol start="3"><li>Dinner</li><li>Bed</li></ol>');
+});
+
+test('indented items become nested lists', () => {
+    assert.strictEqual(
+        render('- Morning\n  - Coffee\n  - Museum\n- Evening'),
+        '<ul><li>Morning<ul><li>Coffee</li><li>Museum</li></ul></li><li>Evening</li></ul>'
+    );
+});
+
+test('inline formatting: bold, italic, code and links', () => {
+    assert.strictEqual(
+        render('**Book ahead**, *really*, use `JR Pass` and see [the site](https://example.com/a?b=1&c=2)'),
+        '<p><strong>Book ahead</strong>, <em>really</em>, use <code>JR Pass</code> and see ' +
+        '<a href="https://example.com/a?b=1&amp;c=2" target="_blank" rel="noopener noreferrer">the site</a></p>'
+    );
+});
+
+test('underscores inside words stay as they are', () => {
+    assert.strictEqual(render('Use check_in_time and _this_'), '<p>Use check_in_time and <em>this</em></p>');
+});
+
+test('tables get a header, rows and column alignment', () => {
+    assert.strictEqual(
+        render('| Item | Cost |\n|:-----|-----:|\n| Hotel | 120 |\n| Tram \\| bus | 3 |'),
+        '<table><thead><tr><th style="text-align: left">Item</th><th style="text-align: right">Cost</th></tr></thead>' +
+        '<tbody><tr><td style="text-align: left">Hotel</td><td style="text-align: right">120</td></tr>' +
+        '<tr><td style="text-align: left">Tram | bus</td><td style="text-align: right">3</td></tr></tbody></table>'
+    );
+});
+
+test('HTML in the text is shown as text, never run', () => {
+    assert.strictEqual(
+        render('<img src=x onerror="alert(1)">\n**<script>alert(1)</script>**'),
+        '<p>&lt;img src=x onerror="alert(1)"&gt;<br><strong>&lt;script&gt;alert(1)&lt;/script&gt;</strong></p>'
+    );
+});
+
+test('only http(s) and mailto links are kept', () => {
+    assert.strictEqual(render('[click](javascript:alert(1))'), '<p>click)</p>');
+    assert.strictEqual(render('[click](data:text/html,hi)'), '<p>click</p>');
+    assert.strictEqual(
+        render('[email us](mailto:hi@example.com)'),
+        '<p><a href="mailto:hi@example.com" target="_blank" rel="noopener noreferrer">email us</a></p>'
+    );
+});
+
+test('the parsed tree never contains raw HTML', () => {
+    const blocks = parseMarkdown('# <b>Hi</b>');
+
+    assert.deepStrictEqual(blocks, [
+        { type: 'heading', level: 1, children: [{ type: 'text', text: '<b>Hi</b>' }] }
+    ]);
+});
+
+test('inline rendering ignores block syntax', () => {
+    assert.strictEqual(
+        toHtml(renderInlineMarkdown('# Not a header, but **bold**', createFakeDocument())),
+        '# Not a header, but <strong>bold</strong>'
+    );
+});
+
+test('empty text renders nothing', () => {
+    assert.strictEqual(render(''), '');
+    assert.strictEqual(render('\n\n'), '');
+});
+
+// ============================================
+// The corpus
+// ============================================
+const corpus = fs.readdirSync(FIXTURES).filter(name => name.endsWith('.md'));
+
+test('the corpus is not empty', () => {
+    assert.ok(corpus.length > 0);
+});
+
+for (const name of corpus) {
+    test(`corpus: ${name}`, () => {
+        const markdown = fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+        const expected = fs.readFileSync(path.join(FIXTURES, name.replace(/\.md$/, '.html')), 'utf8');
+
+        // The .html files are written one element per line to keep them
+        // readable - the line breaks between tags aren't part of the output
+        assert.strictEqual(render(markdown), expected.replace(/>\n</g, '><').trim());
+    });
+}
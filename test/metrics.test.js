@@ -0,0 +1,38 @@
+// Tests for lib/metrics.js - the Prometheus text format
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMetrics } = require('../lib/metrics');
+
+test('requests are counted and timed per route and status', () => {
+    const metrics = createMetrics();
+    metrics.recordRequest({ method: 'GET', route: '/trips/:id', status: 200, seconds: 0.5 });
+    metrics.recordRequest({ method: 'GET', route: '/trips/:id', status: 200, seconds: 2 });
+    metrics.recordRequest({ method: 'GET', route: '/trips/:id', status: 404, seconds: 0.25 });
+
+    const text = metrics.render();
+    assert.match(text, /^# TYPE roamie_http_requests_total counter$/m);
+    assert.match(text, /^roamie_http_requests_total\{method="GET",route="\/trips\/:id",status="200"\} 2$/m);
+    assert.match(text, /^roamie_http_requests_total\{method="GET",route="\/trips\/:id",status="404"\} 1$/m);
+
+    // Buckets count every value at or below their limit
+    assert.match(text, /^roamie_http_request_duration_seconds_bucket\{method="GET",route="\/trips\/:id",le="0.25"\} 1$/m);
+    assert.match(text, /^roamie_http_request_duration_seconds_bucket\{method="GET",route="\/trips\/:id",le="0.5"\} 2$/m);
+    assert.match(text, /^roamie_http_request_duration_seconds_bucket\{method="GET",route="\/trips\/:id",le="\+Inf"\} 3$/m);
+    assert.match(text, /^roamie_http_request_duration_seconds_sum\{method="GET",route="\/trips\/:id"\} 2.75$/m);
+});
+
+test('AI usage, errors and uptime are reported, with label values escaped', () => {
+    let time = 0;
+    const metrics = createMetrics({ now: () => time });
+    metrics.recordAiUsage('/generate-itinerary', { calls: 2, inputTokens: 2400, outputTokens: 6100 });
+    metrics.recordError('upstream_timeout');
+    metrics.recordError('odd "code"\n');
+    time = 90 * 1000;
+
+    const text = metrics.render();
+    assert.match(text, /^roamie_ai_calls_total\{route="\/generate-itinerary"\} 2$/m);
+    assert.match(text, /^roamie_ai_tokens_total\{route="\/generate-itinerary",type="input"\} 2400$/m);
+    assert.match(text, /^roamie_errors_total\{code="upstream_timeout"\} 1$/m);
+    assert.match(text, /^roamie_errors_total\{code="odd \\"code\\"\\n"\} 1$/m);
+    assert.match(text, /^roamie_uptime_seconds 90$/m);
+});
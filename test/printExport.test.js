@@ -0,0 +1,79 @@
+// Tests for lib/printExport.js - the printer-friendly page
+const test = require('node:test');
+const assert = require('node:assert');
+const { escapeHtml, renderPrintPage } = require('../lib/printExport');
+
+function buildTrip(itinerary) {
+    return {
+        id: 'abc123',
+        request: { origin: 'SFO', destination: 'Tokyo', start: '2025-11-01', end: '2025-11-02' },
+        itinerary: {
+            title: 'Tokyo',
+            summary: 'Two days',
+            currency: 'JPY',
+            days: [{ day: 1, date: '2025-11-01', title: 'Arrival', items: [{
+                startTime: '09:00', endTime: '10:30', title: 'Tsukiji Outer Market',
+                category: 'food', location: 'Chuo', estimatedCost: 3000, notes: 'Go early'
+            }] }],
+            tips: ['Carry cash'],
+            ...itinerary
+        }
+    };
+}
+
+test('escapeHtml escapes every character that means something in HTML', () => {
+    assert.strictEqual(escapeHtml(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+    assert.strictEqual(escapeHtml(3), '3');
+});
+
+test('the page lists every day, item and tip', () => {
+    const html = renderPrintPage(buildTrip({}));
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<title>Tokyo - roamie<\/title>/);
+    assert.match(html, /<html lang="en">/);
+    assert.match(html, /SFO → Tokyo · Nov 1, 2025 to Nov 2, 2025/);
+    assert.match(html, /<h2>Day 1 &middot; Sat, Nov 1 &middot; Arrival<\/h2>/);
+    assert.match(html, /<strong>Tsukiji Outer Market<\/strong>/);
+    assert.match(html, /<td class="cost">¥3,000<\/td>/);
+    assert.match(html, /<h2>Travel Tips<\/h2>/);
+    assert.match(html, /<li>Carry cash<\/li>/);
+});
+
+test('the headings, dates and amounts are in the language asked for', () => {
+    const html = renderPrintPage(buildTrip({}), 'de');
+
+    assert.match(html, /<html lang="de">/);
+    assert.match(html, /<h2>Tag 1 &middot; Sa\., 1\. Nov\. &middot; Arrival<\/h2>/);
+    assert.match(html, /<th>Zeit<\/th>/);
+    assert.match(html, /<td>Essen<\/td>/);
+    assert.match(html, /<td class="cost">3\.000\s¥<\/td>/);
+    assert.match(html, /<h2>Reisetipps<\/h2>/);
+    assert.match(html, /<strong>Tsukiji Outer Market<\/strong>/);
+    // ^ The itinerary itself stays as it was written
+});
+
+test('text from the itinerary and the request can never become HTML', () => {
+    const attack = '<script>alert("hi")</script>';
+    const trip = buildTrip({
+        title: attack,
+        summary: attack,
+        days: [{ day: 1, date: '2025-11-01', title: attack, items: [{
+            startTime: '09:00', endTime: '10:30', title: attack,
+            category: 'food', location: attack, estimatedCost: 0, notes: attack
+        }] }],
+        tips: [attack]
+    });
+    trip.request.origin = attack;
+    trip.request.destination = '<img src=x onerror=alert(1)>';
+    const html = renderPrintPage(trip);
+
+    assert.doesNotMatch(html, /<script>/);
+    assert.doesNotMatch(html, /<img/);
+    assert.strictEqual(html.split('&lt;script&gt;alert(&quot;hi&quot;)&lt;/script&gt;').length - 1, 9);
+    assert.match(html, /<td class="cost">free<\/td>/);
+});
+
+test('a trip without tips has no tips section', () => {
+    assert.doesNotMatch(renderPrintPage(buildTrip({ tips: [] })), /Travel Tips/);
+});
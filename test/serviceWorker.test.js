@@ -0,0 +1,51 @@
+// Tests for sw.js and manifest.webmanifest - what makes roamie work offline
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { SHELL_FILES, isTripPath, shellPathFor } = require('../sw');
+
+const ROOT = path.join(__dirname, '..');
+
+test('every app shell file exists', () => {
+    // cache.addAll() fails the whole install if even one file is missing
+    for (const file of SHELL_FILES) {
+        assert.ok(fs.existsSync(path.join(ROOT, file)), `${file} is missing`);
+    }
+});
+
+test('every script the pages load is in the app shell', () => {
+    for (const page of ['index.html', 'results.html', 'trips.html', 'login.html']) {
+        const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+        for (const [, src] of html.matchAll(/<script src="([^"]+)"/g)) {
+            assert.ok(SHELL_FILES.includes(`/${src}`), `${page} loads ${src}, which isn't cached`);
+        }
+    }
+});
+
+test('saved and shared trips are cached, but not the list or exports', () => {
+    assert.strictEqual(isTripPath('/trips/abc123'), true);
+    assert.strictEqual(isTripPath('/shared/xyz789'), true);
+    assert.strictEqual(isTripPath('/trips'), false);
+    assert.strictEqual(isTripPath('/trips/abc123/calendar.ics'), false);
+    assert.strictEqual(isTripPath('/trips/abc123/print'), false);
+});
+
+test('pages are answered from the app shell', () => {
+    assert.strictEqual(shellPathFor('/'), '/index.html');
+    assert.strictEqual(shellPathFor('/results.html'), '/results.html');
+    assert.strictEqual(shellPathFor('/metrics'), null);
+    assert.strictEqual(shellPathFor('/data/trips/abc123.json'), null);
+});
+
+test('the manifest points at an icon that exists', () => {
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.webmanifest'), 'utf8'));
+
+    assert.strictEqual(manifest.start_url, '/index.html');
+    assert.strictEqual(manifest.display, 'standalone');
+    assert.ok(manifest.icons.length > 0);
+    for (const icon of manifest.icons) {
+        assert.ok(SHELL_FILES.includes(icon.src), `${icon.src} isn't cached`);
+        assert.ok(fs.existsSync(path.join(ROOT, icon.src)));
+    }
+});
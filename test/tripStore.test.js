@@ -0,0 +1,85 @@
+// Tests for lib/tripStore.js - saving trips as files
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { claimOwnerlessTrips, createFileTripStore, createMemoryTripStore } = require('../lib/tripStore');
+
+// Runs "fn" with a file store in a new temporary directory, and
+// deletes the directory afterwards
+async function withFileStore(fn) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'roamie-trips-'));
+    try {
+        await fn(createFileTripStore(directory), directory);
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+}
+
+test('trips are saved, updated and removed as files', async () => {
+    await withFileStore(async store => {
+        const trip = await store.create({ request: { destination: 'Lisbon' } });
+
+        assert.deepStrictEqual(await store.get(trip.id), trip);
+        assert.strictEqual((await store.update(trip.id, { title: 'Porto' })).title, 'Porto');
+        assert.strictEqual(await store.remove(trip.id), true);
+        assert.strictEqual(await store.get(trip.id), null);
+        assert.strictEqual(await store.update(trip.id, { title: 'gone' }), null);
+    });
+});
+
+test('updates to the same trip at the same time are all kept', async () => {
+    await withFileStore(async (store, directory) => {
+        const trip = await store.create({ request: { destination: 'Lisbon' } });
+
+        await Promise.all([
+            store.update(trip.id, { itinerary: { title: 'Refined' } }),
+            store.update(trip.id, { share: { token: 'abc' } }),
+            store.update(trip.id, { note: 'edited' })
+        ]);
+
+        const saved = await store.get(trip.id);
+        assert.deepStrictEqual(saved.itinerary, { title: 'Refined' });
+        assert.deepStrictEqual(saved.share, { token: 'abc' });
+        assert.strictEqual(saved.note, 'edited');
+        assert.deepStrictEqual(await fs.readdir(directory), [`${trip.id}.json`]);
+        // ^ No temporary files left behind
+    });
+});
+
+test('ids that could reach other files are never looked up', async () => {
+    await withFileStore(async store => {
+        assert.strictEqual(await store.get('../../server'), null);
+        assert.strictEqual(await store.remove('../../server'), false);
+    });
+});
+
+test('trips saved before accounts existed can be claimed, once', async () => {
+    const store = createMemoryTripStore();
+    const old = await store.create({ request: { destination: 'Lisbon' } });
+    const owned = await store.create({ request: { destination: 'Porto' }, ownerId: 'bob' });
+
+    assert.strictEqual(await claimOwnerlessTrips(store, 'alice'), 1);
+    assert.strictEqual((await store.get(old.id)).ownerId, 'alice');
+    assert.strictEqual((await store.get(owned.id)).ownerId, 'bob');
+    assert.strictEqual(await claimOwnerlessTrips(store, 'carol'), 0);
+});
+
+test('every saved item gets an id that it keeps when items move', async () => {
+    const store = createMemoryTripStore();
+    const breakfast = { title: 'Breakfast' };
+    const museum = { title: 'Museum' };
+    const trip = await store.create({ itinerary: { days: [{ day: 1, items: [breakfast, museum] }] } });
+    const [first, second] = trip.itinerary.days[0].items;
+
+    assert.ok(first.id && second.id && first.id !== second.id);
+
+    // Swapped, with a new item and a copied id added by hand
+    const updated = await store.update(trip.id, {
+        itinerary: { days: [{ day: 1, items: [second, first, { title: 'Dinner' }, { title: 'Copy', id: first.id }] }] }
+    });
+    const items = updated.itinerary.days[0].items;
+    assert.deepStrictEqual(items.slice(0, 2).map(item => item.id), [second.id, first.id]);
+    assert.strictEqual(new Set(items.map(item => item.id)).size, 4);
+});
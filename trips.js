@@ -0,0 +1,204 @@
+// ============================================
+// MY TRIPS PAGE SCRIPT
+// ============================================
+// This page lists every trip you've saved. Here's what happens:
+// 1. Ask the server for the list of your saved trips (GET /trips) -
+//    if you're not logged in, go to the login page first
+// 2. Show one card per trip, linking to results.html?trip=<id>
+// 3. Let you delete trips you don't need anymore (DELETE /trips/<id>)
+//
+// Offline, the list comes from the trips saved on this device instead,
+// and requests made while offline are listed until they've been sent
+// (see offline.js).
+//
+// Messages go through t() from locale.js, so they're in the page's language.
+
+const loadingDiv = document.getElementById("loadingMessage");
+const errorDiv = document.getElementById("errorMessage");
+const emptyMessage = document.getElementById("emptyMessage");
+const tripList = document.getElementById("tripList");
+const offlineNotice = document.getElementById("offlineNotice");
+const queuedRequests = document.getElementById("queuedRequests");
+const queuedList = document.getElementById("queuedList");
+
+const TRIP_DATE_FORMAT = { year: 'numeric', month: 'short', day: 'numeric' };
+// ^ How trip cards show dates (see formatDate() in lib/i18n.js) - with
+//   the year, since saved trips can be in different years
+
+loadTrips();
+showQueuedRequests();
+
+// ============================================
+// MAIN FUNCTION: Load the Trip List
+// ============================================
+async function loadTrips() {
+    try {
+        const response = await fetchOrQueue('/trips');
+        // ^ From offline.js - throws an OfflineError without a connection
+
+        if (response.status === 401) {
+            // Only logged-in users have saved trips
+            window.location.href = 'login.html?next=trips.html';
+            return;
+        }
+
+        if (!response.ok) {
+            throw new Error('Failed to load trips');
+        }
+
+        const data = await response.json();
+        // ^ Now "data" contains: { trips: [{ id, title, destination, start, end, ... }] }
+
+        loadingDiv.style.display = "none";
+
+        data.trips.forEach(trip => {
+            tripList.appendChild(renderTripCard(trip));
+        });
+
+        showEmptyMessageIfNeeded();
+    } catch (error) {
+        console.error("Error:", error);
+        loadingDiv.style.display = "none";
+
+        if (error instanceof OfflineError) {
+            await showOfflineTrips();
+            return;
+        }
+
+        const message = document.createElement('p');
+        message.textContent = t('trips.loadFailed');
+        const hint = document.createElement('p');
+        hint.textContent = t('trips.loadFailedHint');
+        errorDiv.replaceChildren(message, hint);
+        errorDiv.style.display = "block";
+    }
+}
+
+// ============================================
+// HELPER FUNCTION: List the Trips on This Device
+// ============================================
+// Every trip you opened while online was saved on this device.
+async function showOfflineTrips() {
+    const trips = await listOfflineTrips();
+    trips.forEach(trip => {
+        tripList.appendChild(renderTripCard(summarizeTrip(trip)));
+    });
+    offlineNotice.style.display = "block";
+    showEmptyMessageIfNeeded();
+}
+
+// A whole trip -> what renderTripCard() needs (the same fields the
+// server's list has)
+function summarizeTrip(trip) {
+    return {
+        id: trip.id,
+        title: trip.itinerary.title,
+        destination: trip.request.destination,
+        start: trip.request.start,
+        end: trip.request.end,
+        shared: Boolean(trip.share)
+    };
+}
+
+// ============================================
+// HELPER FUNCTION: List the Queued Requests
+// ============================================
+// Looks like:  • a new itinerary for Lisbon (asked for Oct 19, 2026, 9:30 AM)
+//              • "make day 2 cheaper" for a saved trip (asked for ...)
+async function showQueuedRequests() {
+    const entries = await listQueuedRequests();
+    queuedList.replaceChildren();
+
+    entries.forEach(entry => {
+        const item = document.createElement('li');
+        const what = entry.type === 'refine'
+            ? t('trips.queuedRefine', { instruction: entry.instruction })
+            : t('trips.queuedGenerate', { destination: entry.request.destination });
+        item.textContent = t('trips.queuedAt', { what: what, date: formatDateTime(currentLocale, entry.queuedAt) });
+        queuedList.appendChild(item);
+    });
+
+    queuedRequests.style.display = entries.length > 0 ? "block" : "none";
+}
+
+// When a queued request has been sent, update the lists. A new trip
+// goes at the top, like the newest trip in the server's list.
+window.addEventListener(QUEUE_EVENT, function(event) {
+    const { entry, trip } = event.detail;
+    if (trip && entry.type === 'generate') {
+        tripList.prepend(renderTripCard(summarizeTrip(trip)));
+        showEmptyMessageIfNeeded();
+    }
+    showQueuedRequests();
+});
+
+// ============================================
+// HELPER FUNCTION: Build One Trip Card
+// ============================================
+// Looks like:  [ A Week in Tokyo                      [delete] ]
+//              [ Tokyo · Nov 1, 2025 to Nov 7, 2025            ]
+function renderTripCard(trip) {
+    const card = document.createElement('li');
+    card.className = 'trip-card';
+
+    const info = document.createElement('div');
+
+    const link = document.createElement('a');
+    link.href = `results.html?trip=${encodeURIComponent(trip.id)}`;
+    link.textContent = trip.title;
+    // ^ .textContent (not .innerHTML) so a trip title can never inject HTML
+    info.appendChild(link);
+
+    const dates = document.createElement('p');
+    dates.className = 'trip-dates';
+    dates.textContent = t('trips.dates', {
+        destination: trip.destination,
+        start: formatDate(currentLocale, trip.start, TRIP_DATE_FORMAT),
+        end: formatDate(currentLocale, trip.end, TRIP_DATE_FORMAT)
+    }) + (trip.shared ? t('trips.shared') : '');
+    // ^ "shared" is true while the trip has a share link turned on
+    info.appendChild(dates);
+
+    card.appendChild(info);
+
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'nav-button';
+    deleteButton.textContent = t('trips.delete');
+    deleteButton.addEventListener('click', () => deleteTrip(trip, card));
+    card.appendChild(deleteButton);
+
+    return card;
+}
+
+// ============================================
+// HELPER FUNCTION: Delete a Trip
+// ============================================
+async function deleteTrip(trip, card) {
+    // confirm() pops up an OK/Cancel box - returns true if you clicked OK
+    if (!confirm(t('trips.confirmDelete', { title: trip.title }))) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/trips/${encodeURIComponent(trip.id)}`, {
+            method: 'DELETE'
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to delete trip');
+        }
+
+        card.remove();
+        // ^ Takes the card off the page
+        forgetOfflineTrip(trip.id);
+        // ^ And the copy saved on this device (see offline.js)
+        showEmptyMessageIfNeeded();
+    } catch (error) {
+        console.error("Error:", error);
+        alert(t('trips.deleteFailed'));
+    }
+}
+
+function showEmptyMessageIfNeeded() {
+    emptyMessage.style.display = tripList.children.length === 0 ? "block" : "none";
+}